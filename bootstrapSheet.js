@@ -0,0 +1,341 @@
+// bootstrapSheet.js
+// Creates or repairs campaign worksheets so they pass header validation on the first run
+
+require('dotenv').config();
+const {
+  getSheetsClient,
+  columnLetter,
+  quoteSheetName,
+  normalizeHeader,
+  parseColumnAliases,
+  buildColumnMap,
+  COLUMN_FIELDS,
+  OUTCOME_STATUSES,
+} = require('./sheetsManager');
+const { loadSourceConfig } = require('./sourceConfig');
+const { loadFollowUpSteps } = require('./followUps');
+const { loadFallbackTiers } = require('./fallbackTiers');
+const logger = require('./logger');
+
+/**
+ * Sheet Bootstrap
+ *
+ * For each worksheet named on the command line (default: GOOGLE_SHEET_NAME):
+ *   - creates the tab if it does not exist
+ *   - writes the header row on an empty tab, or appends any missing required headers
+ *     (existing columns are never moved, so the tab keeps working with header-based lookup)
+ *   - freezes the header row
+ *   - adds a Status dropdown (the statuses the bot writes plus ACTIVATE_STATUS / fallback tier statuses)
+ *   - adds a Source dropdown from the valid source modes
+ *   - colors rows by Status with conditional formatting
+ *
+ * Safe to re-run: dropdowns are replaced and the bot's formatting rules are not duplicated.
+ *
+ * Usage: npm run bootstrap -- ["Tab name" ...] [--dry-run]
+ */
+
+/**
+ * Row background colors by status (conditional formatting)
+ */
+const STATUS_COLORS = {
+  'Drafted': { red: 0.81, green: 0.89, blue: 0.95 },
+  'Sent': { red: 0.85, green: 0.92, blue: 0.83 },
+  'Partially Sent': { red: 0.95, green: 0.92, blue: 0.75 },
+  'Send Failed': { red: 0.99, green: 0.9, blue: 0.8 },
+  'Skipped': { red: 0.93, green: 0.93, blue: 0.93 },
+  'Failed': { red: 0.96, green: 0.8, blue: 0.8 },
+  'Suppressed': { red: 0.8, green: 0.8, blue: 0.8 },
+  'Replied': { red: 0.85, green: 0.82, blue: 0.93 },
+  'Follow-up Failed': { red: 0.98, green: 0.85, blue: 0.75 },
+  'Invalid Username': { red: 0.98, green: 0.93, blue: 0.7 },
+  'Invalid Template': { red: 0.98, green: 0.9, blue: 0.65 },
+};
+
+/**
+ * Optional columns added to existing tabs when follow-up sequences are used
+ */
+const FOLLOW_UP_KEYS = ['FOLLOW_UP_STEP', 'NEXT_FOLLOW_UP'];
+
+/**
+ * Optional columns added to existing tabs when a template library is used
+ */
+const TEMPLATE_KEYS = ['TEMPLATE', 'TEMPLATE_ID', 'VARIANT'];
+
+/**
+ * Builds the Status dropdown values: the statuses the bot writes, plus the statuses it reads
+ * (ACTIVATE_STATUS and the status of each fallback tier).
+ *
+ * @returns {Array<string>} Status values (deduplicated, in display order)
+ */
+function getStatusValues() {
+  const readStatuses = [
+    (process.env.ACTIVATE_STATUS || '').trim() || 'Pending',
+    ...loadFallbackTiers().map(tier => tier.status),
+  ].filter(Boolean);
+
+  return [...new Set([...readStatuses, ...OUTCOME_STATUSES])];
+}
+
+/**
+ * Works out the header row a worksheet should have.
+ * An empty tab gets every column; an existing header row keeps its columns in place and
+ * gets any missing required headers (plus the optional ones asked for) appended after its last header.
+ *
+ * @param {Array<string>} headerRow - Current header row (may be empty)
+ * @param {Array<string>} [optionalKeys] - Optional column keys to add when missing (e.g. FOLLOW_UP_KEYS)
+ * @returns {Object} { headers, added, columnMap } - full header row, headers added, resulting column map
+ * @throws {Error} If the current headers cannot be repaired (e.g. two columns map to one field)
+ */
+function planHeaders(headerRow, optionalKeys = []) {
+  const current = (headerRow || []).map(header => String(header || ''));
+  const lastUsed = current.reduce((last, header, index) => (normalizeHeader(header) ? index : last), -1);
+
+  if (lastUsed === -1) {
+    const headers = COLUMN_FIELDS.map(field => field.header);
+    return { headers, added: headers.slice(), columnMap: buildColumnMap(headers) };
+  }
+
+  const aliases = parseColumnAliases();
+  const presentKeys = new Set();
+  current.forEach(header => {
+    const normalized = normalizeHeader(header);
+    const field = COLUMN_FIELDS.find(candidate => normalizeHeader(candidate.header) === normalized);
+    const key = field ? field.key : aliases[normalized];
+    if (key) {
+      presentKeys.add(key);
+    }
+  });
+
+  const added = COLUMN_FIELDS
+    .filter(field => (field.required || optionalKeys.includes(field.key)) && !presentKeys.has(field.key))
+    .map(field => field.header);
+  const headers = [...current.slice(0, lastUsed + 1), ...added];
+
+  // Throws for problems appending cannot fix (duplicate mappings)
+  const columnMap = buildColumnMap(headers, aliases);
+
+  return { headers, added, columnMap };
+}
+
+/**
+ * Builds a ONE_OF_LIST data validation request for one column (rows 2+).
+ *
+ * @param {number} sheetId - Numeric worksheet ID
+ * @param {number} columnIndex - 0-based column index
+ * @param {Array<string>} values - Allowed values
+ * @returns {Object} setDataValidation request
+ */
+function buildDropdownRequest(sheetId, columnIndex, values) {
+  return {
+    setDataValidation: {
+      range: { sheetId, startRowIndex: 1, startColumnIndex: columnIndex, endColumnIndex: columnIndex + 1 },
+      rule: {
+        condition: { type: 'ONE_OF_LIST', values: values.map(value => ({ userEnteredValue: value })) },
+        showCustomUi: true,
+        // Warn instead of reject, so custom statuses/sources typed by hand are not lost
+        strict: false,
+      },
+    },
+  };
+}
+
+/**
+ * Builds the conditional formatting formula that matches one status.
+ *
+ * @param {number} statusColumnIndex - 0-based Status column index
+ * @param {string} status - Status value
+ * @returns {string} Custom formula (relative to row 2)
+ */
+function buildStatusFormula(statusColumnIndex, status) {
+  return `=$${columnLetter(statusColumnIndex)}2="${status.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Builds the conditional formatting requests for a worksheet: deletes the bot's existing
+ * status rules (matched by formula) and adds one rule per status in STATUS_COLORS.
+ *
+ * @param {number} sheetId - Numeric worksheet ID
+ * @param {number} statusColumnIndex - 0-based Status column index
+ * @param {Array<Object>} existingRules - Current conditional format rules on the worksheet
+ * @returns {Array<Object>} batchUpdate requests
+ */
+function buildStatusFormattingRequests(sheetId, statusColumnIndex, existingRules = []) {
+  const botFormula = /^=\$[A-Z]+2="(.*)"$/;
+  const requests = [];
+
+  // Delete from the highest index down so earlier indexes stay valid
+  existingRules
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => {
+      const condition = rule.booleanRule && rule.booleanRule.condition;
+      const formula = condition && condition.type === 'CUSTOM_FORMULA' && condition.values && condition.values[0].userEnteredValue;
+      const match = formula && formula.match(botFormula);
+      return Boolean(match) && Object.prototype.hasOwnProperty.call(STATUS_COLORS, match[1].replace(/""/g, '"'));
+    })
+    .reverse()
+    .forEach(({ index }) => requests.push({ deleteConditionalFormatRule: { sheetId, index } }));
+
+  Object.entries(STATUS_COLORS).forEach(([status, color], index) => {
+    requests.push({
+      addConditionalFormatRule: {
+        index: index,
+        rule: {
+          ranges: [{ sheetId, startRowIndex: 1 }],
+          booleanRule: {
+            condition: {
+              type: 'CUSTOM_FORMULA',
+              values: [{ userEnteredValue: buildStatusFormula(statusColumnIndex, status) }],
+            },
+            format: { backgroundColor: color },
+          },
+        },
+      },
+    });
+  });
+
+  return requests;
+}
+
+/**
+ * Creates or repairs one worksheet.
+ *
+ * @param {Object} sheets - Sheets API client
+ * @param {string} spreadsheetId - Spreadsheet ID
+ * @param {string} sheetName - Worksheet name
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report what would change
+ * @param {boolean} [options.followUps] - Also add the Follow-up Step / Next Follow-up columns
+ * @param {boolean} [options.templates] - Also add the Template / Template ID / Variant columns
+ * @returns {Promise<Object>} { created, added } - whether the tab was created and headers added
+ */
+async function bootstrapSheet(sheets, spreadsheetId, sheetName, options = {}) {
+  // Source dropdown values (LEAD_SOURCES), read before anything is changed so bad settings fail early
+  const sourceValues = loadSourceConfig().sources;
+
+  const spreadsheet = await sheets.spreadsheets.get({
+    spreadsheetId,
+    fields: 'sheets(properties(sheetId,title),conditionalFormats)',
+  });
+
+  let sheet = (spreadsheet.data.sheets || []).find(candidate => candidate.properties.title === sheetName);
+  const created = !sheet;
+
+  let headerRow = [];
+  if (sheet) {
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: `${quoteSheetName(sheetName)}!1:1`,
+    });
+    headerRow = (response.data.values && response.data.values[0]) || [];
+  }
+
+  const plan = planHeaders(headerRow, [
+    ...(options.followUps ? FOLLOW_UP_KEYS : []),
+    ...(options.templates ? TEMPLATE_KEYS : []),
+  ]);
+
+  logger.info(`${sheetName}: ${created ? 'tab will be created' : 'tab exists'}`);
+  logger.info(`${sheetName}: ${plan.added.length > 0 ? `adding header(s): ${plan.added.join(', ')}` : 'headers OK'}`);
+
+  if (options.dryRun) {
+    return { created, added: plan.added };
+  }
+
+  if (created) {
+    const addResponse = await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: { requests: [{ addSheet: { properties: { title: sheetName } } }] },
+    });
+    sheet = { properties: addResponse.data.replies[0].addSheet.properties, conditionalFormats: [] };
+    logger.success(`${sheetName}: tab created`);
+  }
+
+  if (plan.added.length > 0) {
+    await sheets.spreadsheets.values.update({
+      spreadsheetId,
+      range: `${quoteSheetName(sheetName)}!A1:${columnLetter(plan.headers.length - 1)}1`,
+      valueInputOption: 'RAW',
+      requestBody: { values: [plan.headers] },
+    });
+    logger.success(`${sheetName}: header row written`);
+  }
+
+  const sheetId = sheet.properties.sheetId;
+  const requests = [
+    {
+      updateSheetProperties: {
+        properties: { sheetId, gridProperties: { frozenRowCount: 1 } },
+        fields: 'gridProperties.frozenRowCount',
+      },
+    },
+    buildDropdownRequest(sheetId, plan.columnMap.STATUS, getStatusValues()),
+    buildDropdownRequest(sheetId, plan.columnMap.SOURCE, sourceValues),
+    ...buildStatusFormattingRequests(sheetId, plan.columnMap.STATUS, sheet.conditionalFormats || []),
+  ];
+
+  await sheets.spreadsheets.batchUpdate({ spreadsheetId, requestBody: { requests } });
+  logger.success(`${sheetName}: Status/Source dropdowns and status colors applied`);
+
+  return { created, added: plan.added };
+}
+
+/**
+ * Main entry point for the bootstrap command.
+ */
+async function run() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  // Sequence columns are added when FOLLOW_UP_* steps are configured (or --follow-ups is passed for campaign-only sequences)
+  const followUps = args.includes('--follow-ups') || loadFollowUpSteps().length > 0;
+  // Template columns are added when a template library is configured
+  const templates = Boolean((process.env.TEMPLATES_PATH || '').trim());
+  const sheetNames = args.filter(arg => arg !== '--dry-run' && arg !== '--follow-ups');
+
+  if (sheetNames.length === 0 && process.env.GOOGLE_SHEET_NAME) {
+    sheetNames.push(process.env.GOOGLE_SHEET_NAME.trim());
+  }
+
+  if (sheetNames.length === 0) {
+    throw new Error('No worksheet given: pass tab names as arguments or set GOOGLE_SHEET_NAME');
+  }
+
+  logger.section(`Sheet Bootstrap${dryRun ? ' (Dry Run)' : ''}`);
+
+  const sheets = await getSheetsClient();
+  const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+  let failures = 0;
+
+  for (const sheetName of sheetNames) {
+    try {
+      await bootstrapSheet(sheets, spreadsheetId, sheetName, { dryRun, followUps, templates });
+    } catch (error) {
+      failures++;
+      logger.error(`${sheetName}: ${error.message}`);
+    }
+  }
+
+  if (failures > 0) {
+    logger.error(`${failures} worksheet(s) could not be bootstrapped`);
+    return 1;
+  }
+
+  logger.success(dryRun ? 'Dry run completed - nothing changed' : 'All worksheets ready');
+  return 0;
+}
+
+if (require.main === module) {
+  run()
+    .then(exitCode => process.exit(exitCode))
+    .catch(error => {
+      logger.error(`Bootstrap failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  bootstrapSheet,
+  getStatusValues,
+  planHeaders, // Exported for testing
+  buildStatusFormattingRequests, // Exported for testing
+  STATUS_COLORS,
+};
@@ -0,0 +1,316 @@
+// campaigns.js
+// Campaign configuration - one run can work through several worksheets (or lead files),
+// each with its own template, status filter and draft cap
+
+require('dotenv').config();
+const fs = require('fs');
+const { compileLeadFilter } = require('./leadFilter');
+const { loadSourceConfig } = require('./sourceConfig');
+const { parseFollowUpList } = require('./followUps');
+const { parseFallbackTierList } = require('./fallbackTiers');
+const { compileTemplate, isBurstTemplate } = require('./templateEngine');
+
+/**
+ * Keys accepted in a campaign entry (anything else is reported as a typo)
+ */
+const CAMPAIGN_KEYS = [
+  'name',
+  'sheetName',
+  'path',
+  'draftMessage',
+  'filter',
+  'activateStatus',
+  'sourceMode',
+  'maxDraft',
+  'maxProcess',
+  'enableFallback',
+  'fallbackStatus',
+  'fallbackFilter',
+  'fallbacks',
+  'followUps',
+];
+
+/**
+ * Builds the single campaign used when CAMPAIGNS_PATH is not set: the configured
+ * worksheet or lead file with the settings from the environment.
+ *
+ * @param {Object} config - Configuration from validateEnv()
+ * @returns {Object} Campaign (see loadCampaigns)
+ */
+function buildDefaultCampaign(config) {
+  const storeOptions = config.leadStore === 'sheets'
+    ? { sheetName: config.sheetName }
+    : { path: config.leadStorePath };
+
+  return {
+    name: config.leadStore === 'sheets' ? config.sheetName : config.leadStorePath,
+    storeOptions: storeOptions,
+    draftMessage: config.draftMessage,
+    filter: config.leadFilter,
+    activateStatus: config.activateStatus,
+    sourceMode: config.sourceMode,
+    maxDraft: config.maxDraft,
+    maxProcess: config.maxProcess,
+    enableFallback: config.enableFallback,
+    fallbacks: config.fallbacks || [],
+    followUps: config.followUps || [],
+  };
+}
+
+/**
+ * Checks whether a value is a non-empty string.
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Validates one campaign entry and fills unset settings from the environment config.
+ *
+ * @param {Object} entry - Raw campaign entry from the campaigns file
+ * @param {number} index - Position in the file (for error messages)
+ * @param {Object} config - Configuration from validateEnv()
+ * @param {Array<string>} errors - Collected validation errors (appended to)
+ * @returns {Object|null} Campaign, or null if the entry is invalid
+ */
+function resolveCampaign(entry, index, config, errors) {
+  const label = entry && isNonEmptyString(entry.name) ? `Campaign "${entry.name.trim()}"` : `Campaign #${index + 1}`;
+  const initialErrorCount = errors.length;
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    errors.push(`${label} must be an object`);
+    return null;
+  }
+
+  const unknownKeys = Object.keys(entry).filter(key => !CAMPAIGN_KEYS.includes(key));
+  if (unknownKeys.length > 0) {
+    errors.push(`${label} has unknown setting(s): ${unknownKeys.join(', ')}. Valid settings: ${CAMPAIGN_KEYS.join(', ')}`);
+  }
+
+  // --- Worksheet / lead file ---
+  let storeOptions;
+  if (config.leadStore === 'sheets') {
+    if (!isNonEmptyString(entry.sheetName)) {
+      errors.push(`${label}: sheetName is required when LEAD_STORE=sheets`);
+    } else {
+      storeOptions = { sheetName: entry.sheetName.trim() };
+    }
+  } else {
+    const filePath = entry.path !== undefined ? entry.path : config.leadStorePath;
+    if (!isNonEmptyString(filePath)) {
+      errors.push(`${label}: path is required when LEAD_STORE=${config.leadStore} and LEAD_STORE_PATH is not set`);
+    } else if (config.leadStore === 'csv' && !fs.existsSync(filePath.trim())) {
+      errors.push(`${label}: lead file not found: ${filePath}`);
+    } else {
+      storeOptions = { path: filePath.trim() };
+    }
+  }
+
+  // --- Template and filters ---
+  const checkString = (key) => {
+    if (entry[key] !== undefined && !isNonEmptyString(entry[key])) {
+      errors.push(`${label}: ${key} must be a non-empty string`);
+    }
+  };
+  const checkPositiveInt = (key) => {
+    if (entry[key] !== undefined && (!Number.isInteger(entry[key]) || entry[key] < 1)) {
+      errors.push(`${label}: ${key} must be a positive integer. Received: ${JSON.stringify(entry[key])}`);
+    }
+  };
+
+  const checkFilter = (key) => {
+    if (entry[key] === undefined) {
+      return;
+    }
+    if (!isNonEmptyString(entry[key])) {
+      errors.push(`${label}: ${key} must be a non-empty string`);
+      return;
+    }
+    try {
+      compileLeadFilter(entry[key]);
+    } catch (filterError) {
+      errors.push(`${label}: ${key}: ${filterError.message}`);
+    }
+  };
+
+  checkString('name');
+  checkString('draftMessage');
+  if (isNonEmptyString(entry.draftMessage)) {
+    try {
+      compileTemplate(entry.draftMessage);
+    } catch (templateError) {
+      errors.push(`${label}: draftMessage: ${templateError.message}`);
+    }
+  }
+  checkString('activateStatus');
+  checkString('fallbackStatus');
+  checkFilter('filter');
+  checkFilter('fallbackFilter');
+  checkPositiveInt('maxDraft');
+  checkPositiveInt('maxProcess');
+
+  // A campaign's own filter wins; setting activateStatus/sourceMode opts out of the LEAD_FILTER default
+  const filter = isNonEmptyString(entry.filter)
+    ? entry.filter.trim()
+    : (entry.activateStatus !== undefined || entry.sourceMode !== undefined ? null : config.leadFilter);
+  const activateStatus = isNonEmptyString(entry.activateStatus) ? entry.activateStatus.trim() : config.activateStatus;
+  if (!filter && !activateStatus) {
+    errors.push(`${label}: activateStatus (or filter) is required when ACTIVATE_STATUS is not set`);
+  }
+
+  let sourceMode = config.sourceMode || 'all';
+  if (entry.sourceMode !== undefined) {
+    const sources = config.sources || loadSourceConfig();
+    sourceMode = isNonEmptyString(entry.sourceMode) ? entry.sourceMode.trim().toLowerCase() : '';
+    try {
+      sources.resolveSourceMode(sourceMode);
+    } catch (sourceModeError) {
+      errors.push(`${label}: sourceMode: ${sourceModeError.message}`);
+    }
+  }
+
+  let followUps = config.followUps || [];
+  if (entry.followUps !== undefined) {
+    try {
+      followUps = parseFollowUpList(entry.followUps);
+    } catch (followUpError) {
+      errors.push(`${label}: ${followUpError.message}`);
+    }
+  }
+
+  if (entry.enableFallback !== undefined && typeof entry.enableFallback !== 'boolean') {
+    errors.push(`${label}: enableFallback must be true or false`);
+  }
+
+  // Fallback chain: the campaign's own tiers, its single fallbackStatus/fallbackFilter, or the environment's chain
+  let fallbacks = config.fallbacks || [];
+  if (entry.fallbacks !== undefined) {
+    if (entry.fallbackStatus !== undefined || entry.fallbackFilter !== undefined) {
+      errors.push(`${label}: use either fallbacks or fallbackStatus/fallbackFilter, not both`);
+    }
+    try {
+      fallbacks = parseFallbackTierList(entry.fallbacks);
+    } catch (fallbackError) {
+      errors.push(`${label}: ${fallbackError.message}`);
+    }
+  } else if (isNonEmptyString(entry.fallbackFilter) || isNonEmptyString(entry.fallbackStatus)) {
+    // fallbackFilter replaces fallbackStatus (both already checked above)
+    const fallbackFilter = isNonEmptyString(entry.fallbackFilter) ? entry.fallbackFilter.trim() : null;
+    fallbacks = [{
+      tier: 1,
+      status: fallbackFilter ? null : entry.fallbackStatus.trim(),
+      filter: fallbackFilter,
+      max: null,
+      draftMessage: null,
+    }];
+  }
+
+  const enableFallback = entry.enableFallback !== undefined
+    ? entry.enableFallback === true
+    : (entry.fallbacks !== undefined || config.enableFallback);
+  if (enableFallback && fallbacks.length === 0) {
+    errors.push(`${label}: fallbacks, fallbackStatus or fallbackFilter is required when enableFallback is true (or set FALLBACK_STATUS)`);
+  }
+
+  // Multi-message templates ({{break}}) need SEND_MESSAGE=true (only one message can wait in the composer)
+  if (!config.sendMessage) {
+    const burstTemplates = [
+      ['draftMessage', entry.draftMessage],
+      ...(entry.followUps !== undefined ? followUps : []).map(step => [`followUps step ${step.step}`, step.message]),
+      ...(entry.fallbacks !== undefined && enableFallback ? fallbacks : []).map(tier => [`fallbacks tier ${tier.tier}`, tier.draftMessage]),
+    ].filter(([, text]) => isBurstTemplate(text)).map(([label]) => label);
+    if (burstTemplates.length > 0) {
+      errors.push(`${label}: SEND_MESSAGE=true is required for multi-message templates ({{break}}): ${burstTemplates.join(', ')}`);
+    }
+  }
+
+  if (errors.length > initialErrorCount) {
+    return null;
+  }
+
+  return {
+    name: isNonEmptyString(entry.name) ? entry.name.trim() : (storeOptions.sheetName || storeOptions.path),
+    storeOptions: storeOptions,
+    draftMessage: isNonEmptyString(entry.draftMessage) ? entry.draftMessage.trim() : config.draftMessage,
+    filter: filter || null,
+    activateStatus: activateStatus,
+    sourceMode: sourceMode,
+    maxDraft: entry.maxDraft || config.maxDraft,
+    maxProcess: entry.maxProcess || config.maxProcess,
+    enableFallback: enableFallback,
+    fallbacks: enableFallback ? fallbacks : [],
+    followUps: followUps,
+  };
+}
+
+/**
+ * Loads the campaigns for this run.
+ *
+ * Without CAMPAIGNS_PATH the run has a single campaign built from the environment
+ * (GOOGLE_SHEET_NAME or LEAD_STORE_PATH, DRAFT_MESSAGE, ACTIVATE_STATUS, ...).
+ *
+ * CAMPAIGNS_PATH points to a JSON file holding an array of campaigns (or { "campaigns": [...] }).
+ * Each campaign names its worksheet (sheetName, for LEAD_STORE=sheets) or lead file (path, for
+ * csv/sqlite) and may override draftMessage, filter, activateStatus, sourceMode, maxDraft, maxProcess,
+ * enableFallback, fallbacks (an ordered list of { status or filter, max, draftMessage } tiers) or its single-tier
+ * shorthand fallbackStatus / fallbackFilter, and followUps (a list of { days, message } for steps 2, 3, ...);
+ * anything not set falls back to the environment value.
+ * A campaign that sets activateStatus or sourceMode (and no filter) ignores LEAD_FILTER.
+ * Campaigns run in file order.
+ *
+ * @param {Object} config - Configuration from validateEnv()
+ * @param {string} [campaignsPath] - Campaign file path (defaults to config.campaignsPath)
+ * @returns {Array<Object>} Campaigns, each with:
+ *   - name: string
+ *   - storeOptions: Object ({ sheetName } or { path }) passed to createLeadStore()
+ *   - draftMessage, filter, activateStatus, sourceMode, maxDraft, maxProcess, enableFallback
+ *     (filter is null when the status/source pair applies)
+ *   - fallbacks: Array of { tier, status, filter, max, draftMessage } (empty when fallback is disabled)
+ *   - followUps: Array of { step, days, message } (empty when the campaign has no follow-up sequence)
+ * @throws {Error} If the file cannot be read or any campaign is invalid (all errors at once)
+ */
+function loadCampaigns(config, campaignsPath = config.campaignsPath) {
+  if (!campaignsPath) {
+    return [buildDefaultCampaign(config)];
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(campaignsPath, 'utf8'));
+  } catch (readError) {
+    throw new Error(`Failed to read campaigns from ${campaignsPath}: ${readError.message}`);
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : parsed && parsed.campaigns;
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Campaign file ${campaignsPath} must contain a non-empty array of campaigns (or { "campaigns": [...] })`);
+  }
+
+  const errors = [];
+  const campaigns = entries.map((entry, index) => resolveCampaign(entry, index, config, errors));
+
+  // Two campaigns on the same worksheet/file would fight over the same rows
+  const seenTargets = new Map();
+  campaigns.forEach(campaign => {
+    if (!campaign) {
+      return;
+    }
+    const target = campaign.storeOptions.sheetName || campaign.storeOptions.path;
+    if (seenTargets.has(target)) {
+      errors.push(`Campaigns "${seenTargets.get(target)}" and "${campaign.name}" both use ${target}`);
+    } else {
+      seenTargets.set(target, campaign.name);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid campaigns in ${campaignsPath}:\n` + errors.map(err => `  - ${err}`).join('\n'));
+  }
+
+  return campaigns;
+}
+
+module.exports = {
+  loadCampaigns,
+  CAMPAIGN_KEYS,
+};
@@ -0,0 +1,157 @@
+// composerInput.js
+// DM composer input - types messages with line breaks, emoji and combining characters intact
+
+const { humanDelay } = require('./utils');
+
+/**
+ * Composer Input
+ *
+ * The Instagram composer sends on Enter, so line breaks are entered with Shift+Enter. Text is
+ * walked by grapheme (what a reader sees as one character: "é" written as e + U+0301, "👍🏽",
+ * "👩‍👩‍👧", flags), never by UTF-16 code unit, so no emoji is ever split in half.
+ * The first few graphemes of the message are typed one at a time like a person would; the rest
+ * of each line is inserted in one go.
+ */
+
+/**
+ * Graphemes typed one at a time before the rest is inserted
+ */
+const TYPED_GRAPHEMES = 10;
+
+const LINE_BREAK = /\r\n|\r|\n|\u2028|\u2029/;
+
+/**
+ * Splits text into graphemes (user-perceived characters).
+ * Falls back to code points where Intl.Segmenter is not available.
+ *
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Graphemes
+ */
+function splitGraphemes(text) {
+  const value = String(text || '');
+  if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+    const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+    return Array.from(segmenter.segment(value), segment => segment.segment);
+  }
+  return Array.from(value);
+}
+
+/**
+ * Plans the keyboard steps that enter a message in the composer.
+ *
+ * @param {string} message - Message text (NFC-normalized before planning)
+ * @param {Object} [options]
+ * @param {number} [options.typedGraphemes] - Graphemes typed one at a time (default: TYPED_GRAPHEMES)
+ * @returns {Array<Object>} Steps, in order, of:
+ *   - { type: 'key', text } - one grapheme typed as a keystroke (plain ASCII characters only)
+ *   - { type: 'insert', text } - text inserted in one go (graphemes a keyboard cannot type, and the rest of a line)
+ *   - { type: 'newline' } - a line break (Shift+Enter)
+ */
+function planComposerInput(message, options = {}) {
+  const typedGraphemes = options.typedGraphemes === undefined ? TYPED_GRAPHEMES : options.typedGraphemes;
+  const lines = String(message || '').normalize('NFC').split(LINE_BREAK);
+  const steps = [];
+  let typed = 0;
+
+  lines.forEach((line, index) => {
+    if (index > 0) {
+      steps.push({ type: 'newline' });
+    }
+
+    const graphemes = splitGraphemes(line);
+    let next = 0;
+    while (next < graphemes.length && typed < typedGraphemes) {
+      const grapheme = graphemes[next];
+      // keyboard.type() only maps printable ASCII to real keys; anything else is inserted as text
+      steps.push({ type: /^[\x20-\x7e]$/.test(grapheme) ? 'key' : 'insert', text: grapheme });
+      next++;
+      typed++;
+    }
+    if (next < graphemes.length) {
+      steps.push({ type: 'insert', text: graphemes.slice(next).join('') });
+    }
+  });
+
+  return steps;
+}
+
+/**
+ * Normalizes composer text for comparison: NFC, line breaks and non-breaking spaces as plain
+ * spaces, whitespace runs collapsed, zero-width spaces and the ends trimmed. The composer renders
+ * each line as its own paragraph, so innerText may show one line break as several.
+ *
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeComposerText(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .replace(/[\u200b\ufeff]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Checks whether the composer holds the message.
+ *
+ * @param {string} typedText - Text read back from the composer
+ * @param {string} message - Message that was entered
+ * @returns {boolean} True if both normalize to the same text (see normalizeComposerText)
+ */
+function composerTextMatches(typedText, message) {
+  const expected = normalizeComposerText(message);
+  return expected !== '' && normalizeComposerText(typedText) === expected;
+}
+
+/**
+ * Enters a message in the focused composer (see planComposerInput).
+ *
+ * @param {Object} page - Playwright page with the composer focused and empty
+ * @param {string} message - Message text
+ * @param {Object} [options] - See planComposerInput
+ * @returns {Promise<void>}
+ */
+async function typeIntoComposer(page, message, options = {}) {
+  const steps = planComposerInput(message, options);
+
+  for (const step of steps) {
+    if (step.type === 'key') {
+      await humanDelay(40, 100, 'between keystrokes');
+      await page.keyboard.type(step.text);
+    } else if (step.type === 'newline') {
+      await humanDelay(80, 200, 'line break');
+      await page.keyboard.press('Shift+Enter');
+    } else {
+      await humanDelay(step.text.length > 8 ? 250 : 40, step.text.length > 8 ? 500 : 100, 'inserting text');
+      await page.keyboard.insertText(step.text);
+    }
+  }
+}
+
+/**
+ * Reads the text of the composer an input element belongs to. A multi-line message spans several
+ * paragraphs, so the text is read from the outermost editable element, not just the one located.
+ *
+ * @param {Object} page - Playwright page
+ * @param {Object} input - Composer element handle (or a paragraph inside it)
+ * @returns {Promise<string>} Composer text as rendered (innerText)
+ */
+async function readComposerText(page, input) {
+  return page.evaluate(el => {
+    let root = el;
+    while (root.parentElement && root.parentElement.isContentEditable) {
+      root = root.parentElement;
+    }
+    return root.innerText || root.textContent || '';
+  }, input);
+}
+
+module.exports = {
+  typeIntoComposer,
+  readComposerText,
+  planComposerInput,
+  splitGraphemes,
+  normalizeComposerText,
+  composerTextMatches,
+  TYPED_GRAPHEMES,
+};
@@ -0,0 +1,134 @@
+// contactHistory.js
+// Cross-campaign contact frequency cap - when each username was last contacted, from recorded outcome history
+
+require('dotenv').config();
+const { normalizeUsername } = require('./usernames');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * History statuses that count as contacting a lead (a partially sent burst reached the lead)
+ */
+const CONTACT_STATUSES = ['Drafted', 'Sent', 'Partially Sent'];
+
+/**
+ * Parses CONTACT_COOLDOWN_DAYS: the minimum number of days between two contacts with the same username,
+ * across every campaign, worksheet and lead file.
+ *
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {number|null} Cooldown in days, or null when not set (no cap)
+ * @throws {Error} If the value is not a positive number
+ */
+function parseContactCooldown(env = process.env) {
+  const value = env.CONTACT_COOLDOWN_DAYS;
+  if (value === undefined || value === null || value.trim() === '') {
+    return null;
+  }
+
+  const days = Number(value.trim());
+  if (!Number.isFinite(days) || days <= 0) {
+    throw new Error(`CONTACT_COOLDOWN_DAYS must be a positive number of days. Received: "${value}"`);
+  }
+  return days;
+}
+
+/**
+ * Finds the latest contact with each username in a list of history entries.
+ * Entries with other statuses (Skipped, Failed, ...) or an unreadable timestamp are ignored.
+ *
+ * @param {Array<Object>} entries - History entries (see LeadStore.appendHistory), in any order
+ * @returns {Map<string, Object>} username -> { username, status, timestamp, at (ms), sessionId }
+ */
+function buildLastContacts(entries) {
+  const lastContacts = new Map();
+
+  for (const entry of entries) {
+    if (!entry || !CONTACT_STATUSES.includes(entry.status)) {
+      continue;
+    }
+    const at = Date.parse(entry.timestamp);
+    const { username } = normalizeUsername(entry.username);
+    if (isNaN(at) || !username) {
+      continue;
+    }
+
+    const current = lastContacts.get(username);
+    if (!current || at > current.at) {
+      lastContacts.set(username, { username, status: entry.status, timestamp: entry.timestamp, at, sessionId: entry.sessionId });
+    }
+  }
+
+  return lastContacts;
+}
+
+/**
+ * Loads the last contact with every username from the history of each lead store and the outcome journal.
+ * The journal covers outcomes whose history row has not reached its store yet.
+ *
+ * @param {Array<Object>} stores - LeadStore implementations (backends without loadHistory are skipped)
+ * @param {Object} [journal] - Outcome journal (see outcomeJournal.js)
+ * @returns {Promise<Map<string, Object>>} username -> last contact (see buildLastContacts)
+ * @throws {Error} If a store's history cannot be read
+ */
+async function loadLastContacts(stores, journal = null) {
+  const entries = [];
+
+  for (const store of stores) {
+    if (typeof store.loadHistory !== 'function') {
+      continue;
+    }
+    try {
+      entries.push(...await store.loadHistory());
+    } catch (error) {
+      throw new Error(`Failed to load contact history from ${store.name} (${store.target}): ${error.message}`);
+    }
+  }
+
+  if (journal) {
+    entries.push(...journal.loadOutcomes());
+  }
+
+  return buildLastContacts(entries);
+}
+
+/**
+ * Returns the last contact with a username if it falls inside the cooldown.
+ *
+ * @param {Map<string, Object>} lastContacts - Result of loadLastContacts()
+ * @param {string} username - Username to check
+ * @param {number} cooldownDays - CONTACT_COOLDOWN_DAYS
+ * @param {number} [now] - Reference time
+ * @returns {Object|null} Last contact plus ageDays, or null if the username may be contacted
+ */
+function findRecentContact(lastContacts, username, cooldownDays, now = Date.now()) {
+  const contact = lastContacts.get(normalizeUsername(username).username);
+  if (!contact) {
+    return null;
+  }
+
+  const ageDays = (now - contact.at) / DAY_MS;
+  return ageDays < cooldownDays ? { ...contact, ageDays: Math.max(0, ageDays) } : null;
+}
+
+/**
+ * Describes a recent contact for exclusion reasons,
+ * e.g. "contacted 3 days ago (Sent 2024-06-12), CONTACT_COOLDOWN_DAYS=30".
+ *
+ * @param {Object} contact - Result of findRecentContact()
+ * @param {number} cooldownDays - CONTACT_COOLDOWN_DAYS
+ * @returns {string} Reason text
+ */
+function formatRecentContact(contact, cooldownDays) {
+  const days = Math.floor(contact.ageDays);
+  const age = days === 0 ? 'today' : `${days} day${days === 1 ? '' : 's'} ago`;
+  return `contacted ${age} (${contact.status} ${contact.timestamp.slice(0, 10)}), CONTACT_COOLDOWN_DAYS=${cooldownDays}`;
+}
+
+module.exports = {
+  parseContactCooldown,
+  buildLastContacts,
+  loadLastContacts,
+  findRecentContact,
+  formatRecentContact,
+  CONTACT_STATUSES,
+};
@@ -2,73 +2,104 @@
 // Instagram DM conversation detection module
 // This file does NOT contain any credentials or secrets - all credentials are loaded from environment variables
 const { humanDelay, ts } = require('./utils');
+const { normalizeComposerText } = require('./composerInput');
 
-async function detectExistingConversation(dmPage) {
-  console.log(`[${ts()}] 🧩 Starting refined conversation detection...`);
+/**
+ * Reads the text elements of the open DM thread, unfiltered.
+ * @param {Object} dmPage - Playwright page with the DM thread open
+ * @returns {Promise<Array<Object>>} Candidates of { text, isInHeader, isNested, parentAria, element } -
+ *   isNested is true for an element inside another one read (the same bubble read twice)
+ */
+async function readThreadCandidates(dmPage) {
+  // --- Step 1: Detect Layout ---
+  const isModal = await dmPage.$('div[role="dialog"]');
+  const isFullPage = await dmPage.$('div[role="presentation"]');
+  
+  let containerSelector;
+  if (isModal) {
+    containerSelector = 'div[aria-label="Chat details"], div[role="none"]:has(span[dir="auto"])';
+  } else if (isFullPage) {
+    containerSelector = 'div[role="none"]:has(span[dir="auto"])';
+  } else {
+    // Fallback to general message container
+    containerSelector = 'div[role="none"]:has(span[dir="auto"]), div[aria-label="Chat details"]';
+  }
+  
+  console.log(`[${ts()}] 🔍 Detected ${isModal ? 'modal' : isFullPage ? 'full-page' : 'unknown'} DM layout`);
 
-  try {
-    await humanDelay(250, 500, 'before scanning conversation thread');
+  // --- Step 2: Extract Candidate Messages ---
+  return dmPage.$$eval(`${containerSelector} div[dir="auto"], ${containerSelector} span[dir="auto"]`, elements => {
+    const matched = new Set(elements);
+    const insideMatched = el => {
+      for (let parent = el.parentElement; parent; parent = parent.parentElement) {
+        if (matched.has(parent)) return true;
+      }
+      return false;
+    };
+    return elements.map(el => {
+      const text = el.innerText?.trim() || '';
+      const isInHeader = el.closest('[role="banner"], [aria-label*="profile"]') !== null;
+      const isNested = insideMatched(el);
+      const parentAria = el.closest('[aria-label]')?.getAttribute('aria-label') || '';
+      
+      return {
+        text,
+        isInHeader,
+        isNested,
+        parentAria,
+        element: el.tagName
+      };
+    });
+  });
+}
+
+/**
+ * Collects the text of the message bubbles in the open DM thread (header and UI text filtered out).
+ * @param {Object} dmPage - Playwright page with the DM thread open
+ * @returns {Promise<Array<Object>>} Candidates of { text, isInHeader, isNested, parentAria, element }
+ */
+async function collectMessageCandidates(dmPage) {
+  const rawCandidates = await readThreadCandidates(dmPage);
 
-    // --- Step 1: Detect Layout ---
-    const isModal = await dmPage.$('div[role="dialog"]');
-    const isFullPage = await dmPage.$('div[role="presentation"]');
+  console.log(`[conversationDetector] Raw candidates: ${rawCandidates.length}`);
+
+  // --- Step 3: Filter out non-message elements ---
+  const filteredCandidates = rawCandidates.filter(candidate => {
+    const text = candidate.text;
     
-    let containerSelector;
-    if (isModal) {
-      containerSelector = 'div[aria-label="Chat details"], div[role="none"]:has(span[dir="auto"])';
-    } else if (isFullPage) {
-      containerSelector = 'div[role="none"]:has(span[dir="auto"])';
-    } else {
-      // Fallback to general message container
-      containerSelector = 'div[role="none"]:has(span[dir="auto"]), div[aria-label="Chat details"]';
-    }
+    // Skip empty or whitespace-only text
+    if (!text || text.trim().length === 0) return false;
     
-    console.log(`[${ts()}] 🔍 Detected ${isModal ? 'modal' : isFullPage ? 'full-page' : 'unknown'} DM layout`);
-
-    // --- Step 2: Extract Candidate Messages ---
-    const rawCandidates = await dmPage.$$eval(`${containerSelector} div[dir="auto"], ${containerSelector} span[dir="auto"]`, elements => {
-      return elements.map(el => {
-        const text = el.innerText?.trim() || '';
-        const isInHeader = el.closest('[role="banner"], [aria-label*="profile"]') !== null;
-        const parentAria = el.closest('[aria-label]')?.getAttribute('aria-label') || '';
-        
-        return {
-          text,
-          isInHeader,
-          parentAria,
-          element: el.tagName
-        };
-      });
-    });
+    // Skip elements in header sections
+    if (candidate.isInHeader) return false;
+    
+    // Skip elements whose text equals username, display name, or includes "Instagram"
+    const lowerText = text.toLowerCase();
+    if (lowerText.includes('instagram') || 
+        lowerText.includes('profile') ||
+        lowerText.includes('follow') ||
+        lowerText.includes('message') ||
+        lowerText.includes('send')) return false;
+    
+    // Skip very short text (likely UI elements)
+    if (text.length < 3) return false;
+    
+    return true;
+  });
 
-    console.log(`[conversationDetector] Raw candidates: ${rawCandidates.length}`);
+  const filteredCount = rawCandidates.length - filteredCandidates.length;
+  console.log(`[conversationDetector] Raw candidates: ${rawCandidates.length}, filtered: ${filteredCount}`);
 
-    // --- Step 3: Filter out non-message elements ---
-    const filteredCandidates = rawCandidates.filter(candidate => {
-      const text = candidate.text;
-      
-      // Skip empty or whitespace-only text
-      if (!text || text.trim().length === 0) return false;
-      
-      // Skip elements in header sections
-      if (candidate.isInHeader) return false;
-      
-      // Skip elements whose text equals username, display name, or includes "Instagram"
-      const lowerText = text.toLowerCase();
-      if (lowerText.includes('instagram') || 
-          lowerText.includes('profile') ||
-          lowerText.includes('follow') ||
-          lowerText.includes('message') ||
-          lowerText.includes('send')) return false;
-      
-      // Skip very short text (likely UI elements)
-      if (text.length < 3) return false;
-      
-      return true;
-    });
+  return filteredCandidates;
+}
+
+async function detectExistingConversation(dmPage) {
+  console.log(`[${ts()}] 🧩 Starting refined conversation detection...`);
+
+  try {
+    await humanDelay(250, 500, 'before scanning conversation thread');
 
-    const filteredCount = rawCandidates.length - filteredCandidates.length;
-    console.log(`[conversationDetector] Raw candidates: ${rawCandidates.length}, filtered: ${filteredCount}`);
+    const filteredCandidates = await collectMessageCandidates(dmPage);
 
     // --- Step 4: Determine Conversation State ---
     const validMessageCount = filteredCandidates.length;
@@ -99,4 +130,46 @@ async function detectExistingConversation(dmPage) {
   }
 }
 
-module.exports = { detectExistingConversation };
+/**
+ * Thread text that is not a message (timestamps and delivery labels)
+ */
+const THREAD_LABEL_PATTERN = /^((today|yesterday|mon|tue|wed|thu|fri|sat|sun)\w*,?\s*)?\d{1,2}[:.]\d{2}(\s?[ap]\.?m\.?)?$|^(seen|delivered|sent|you sent.*|active .*)$/i;
+
+/**
+ * Text of the lead's profile card at the top of a thread, matched against the whole text only
+ * (a message that merely mentions these words is still a message)
+ */
+const PROFILE_CARD_PATTERN = /^(instagram|view profile|message|send|follow|following|follows you|[\d.,]+[km]? (followers|posts)( · [\d.,]+[km]? (followers|posts))*)$/i;
+
+/**
+ * Detects whether the lead has written in the thread, for follow-up sequences.
+ * A bubble is ours only when it is a whole message we sent (case-, whitespace- and Unicode form-insensitive;
+ * each message of a burst on its own). Every other bubble is taken as a reply, however short and whatever
+ * words it uses. This errs towards "replied": our own text edited by hand in the DM shows up as a reply
+ * and stops the sequence.
+ * @param {Object} dmPage - Playwright page with the DM thread open
+ * @param {Array<string>} sentMessages - Every message we sent this lead
+ * @returns {Promise<Object>} { replied, messageCount, sample } - replied is null when detection failed
+ */
+async function detectReply(dmPage, sentMessages) {
+  console.log(`[${ts()}] 🧩 Checking thread for a reply...`);
+
+  try {
+    await humanDelay(250, 500, 'before scanning thread for replies');
+
+    const normalize = text => normalizeComposerText(text).toLowerCase();
+    const ours = new Set(sentMessages.map(normalize).filter(Boolean));
+    const replies = (await readThreadCandidates(dmPage))
+      .filter(candidate => !candidate.isInHeader && !candidate.isNested)
+      .map(candidate => normalize(candidate.text))
+      .filter(text => text && !THREAD_LABEL_PATTERN.test(text) && !PROFILE_CARD_PATTERN.test(text) && !ours.has(text));
+
+    console.log(`[conversationDetector] Reply detected: ${replies.length > 0} (${replies.length} message(s) not sent by us)`);
+    return { replied: replies.length > 0, messageCount: replies.length, sample: replies.slice(0, 3) };
+  } catch (err) {
+    console.log(`[${ts()}] 💥 Reply detection error: ${err.message}`);
+    return { replied: null, messageCount: 0, sample: [], error: err.message };
+  }
+}
+
+module.exports = { detectExistingConversation, detectReply };
@@ -175,5 +175,6 @@ async function hasExistingMessages(page) {
 module.exports = {
   getFirstName,
   hasExistingMessages,
+  sanitizeFirstName,
 };
 
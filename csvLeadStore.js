@@ -0,0 +1,313 @@
+// csvLeadStore.js
+// Local CSV/TSV lead store - same columns as the Google Sheet, no service account needed
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const {
+  validateHeaders,
+  buildRowObjects,
+  applyOutcomeToRow,
+  locateLeadRow,
+  buildLeadValues,
+  buildHistoryValues,
+  parseHistoryRows,
+  HISTORY_HEADERS,
+} = require('./sheetsManager');
+const { writeFileAtomic } = require('./utils');
+
+/**
+ * Resolves the field delimiter for a lead file.
+ * LEAD_STORE_DELIMITER wins ("tab" or "\t" for tabs); otherwise .tsv/.tab files use tabs
+ * and everything else uses commas.
+ *
+ * @param {string} filePath - Lead file path
+ * @param {string} [override] - Explicit delimiter
+ * @returns {string} Single-character delimiter
+ */
+function resolveDelimiter(filePath, override = process.env.LEAD_STORE_DELIMITER) {
+  if (override && override.trim() !== '') {
+    const normalized = override.trim().toLowerCase();
+    if (normalized === 'tab' || normalized === '\\t') {
+      return '\t';
+    }
+    return override.trim().charAt(0);
+  }
+
+  const extension = path.extname(filePath).toLowerCase();
+  return extension === '.tsv' || extension === '.tab' ? '\t' : ',';
+}
+
+/**
+ * Parses delimited text into an array of rows (RFC 4180 quoting rules).
+ * Handles quoted fields containing delimiters, doubled quotes and line breaks,
+ * CRLF line endings, and a leading UTF-8 BOM.
+ *
+ * @param {string} text - File content
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Parsed rows
+ */
+function parseDelimited(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  // Last record without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Serializes rows into delimited text, quoting only fields that need it.
+ *
+ * @param {Array<Array<string>>} rows - Rows to serialize
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} File content (newline-terminated)
+ */
+function formatDelimited(rows, delimiter = ',') {
+  const needsQuoting = value => value.includes(delimiter) || /["\r\n]/.test(value) || /^\s|\s$/.test(value);
+
+  return rows.map(row => row.map(cell => {
+    const value = cell === undefined || cell === null ? '' : String(cell);
+    return needsQuoting(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }).join(delimiter)).join('\n') + '\n';
+}
+
+/**
+ * Finds where the last terminated record of delimited text ends. Line breaks inside quoted
+ * fields do not end a record (quotes follow the rules of parseDelimited).
+ *
+ * @param {string} text - Delimited text
+ * @param {string} delimiter - Field delimiter
+ * @returns {number} Length of the text up to and including the last record's line break
+ */
+function terminatedLength(text, delimiter = ',') {
+  let end = 0;
+  let fieldStart = true;
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      }
+      continue;
+    }
+
+    if (ch === '"' && fieldStart) {
+      inQuotes = true;
+    } else if (ch === '\n' || ch === '\r') {
+      end = i + 1;
+    }
+    fieldStart = ch === delimiter || ch === '\n' || ch === '\r';
+  }
+
+  return end;
+}
+
+/**
+ * Appends rows to a delimited file and flushes them to disk.
+ * A crash mid-append can leave the last record without its line break, and the next record would be
+ * merged into it: such a record is cut off first, or only terminated when it holds every column.
+ *
+ * @param {string} filePath - File path
+ * @param {Array<string>} headers - Header row, written first when the file is empty
+ * @param {Array<Array<string>>} rows - Rows to append
+ * @param {string} delimiter - Field delimiter
+ */
+function appendRowsDurably(filePath, headers, rows, delimiter) {
+  let content = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+  let prefix = '';
+
+  const end = terminatedLength(content, delimiter);
+  if (end < content.length) {
+    const tail = content.slice(end);
+    const tailRows = parseDelimited(tail + '\n', delimiter);
+    const whole = terminatedLength(tail + '\n', delimiter) === tail.length + 1 &&
+      tailRows.length === 1 && tailRows[0].length === headers.length;
+    if (whole) {
+      prefix = '\n';
+    } else {
+      content = content.slice(0, end);
+      fs.truncateSync(filePath, Buffer.byteLength(content));
+    }
+  }
+
+  const lines = content === '' ? [headers, ...rows] : rows;
+  const fd = fs.openSync(filePath, 'a');
+  try {
+    fs.writeSync(fd, prefix + formatDelimited(lines, delimiter));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Creates a lead store backed by a local CSV/TSV file.
+ *
+ * Every write re-reads the file, changes only the target row, and replaces the file atomically,
+ * so edits made between writes are kept and a crash never leaves a half-written file.
+ * History is appended to (and read back from) a sidecar file (default: "<name>.history<ext>") with HISTORY_HEADERS columns.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.path] - Lead file path (defaults to LEAD_STORE_PATH)
+ * @param {string} [options.delimiter] - Field delimiter (defaults to LEAD_STORE_DELIMITER or by extension)
+ * @param {string} [options.historyPath] - History file path (defaults to LEAD_STORE_HISTORY_PATH or sidecar)
+ * @returns {Object} LeadStore implementation
+ * @throws {Error} If no file path is configured
+ */
+function createCsvLeadStore(options = {}) {
+  const filePath = options.path || process.env.LEAD_STORE_PATH;
+
+  if (!filePath || filePath.trim() === '') {
+    throw new Error('Missing lead file path: set LEAD_STORE_PATH when LEAD_STORE=csv');
+  }
+
+  const delimiter = options.delimiter || resolveDelimiter(filePath);
+  const extension = path.extname(filePath);
+  const historyPath = options.historyPath ||
+    process.env.LEAD_STORE_HISTORY_PATH ||
+    path.join(path.dirname(filePath), `${path.basename(filePath, extension)}.history${extension || '.csv'}`);
+
+  /**
+   * Reads and parses the whole lead file.
+   * @returns {Array<Array<string>>} Raw rows including the header row
+   */
+  function readAllRows() {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Lead file not found: ${filePath}`);
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    return parseDelimited(content, delimiter);
+  }
+
+  return {
+    name: 'csv',
+    target: filePath,
+
+    async loadRows() {
+      const allRows = readAllRows();
+
+      if (allRows.length === 0) {
+        return [];
+      }
+
+      const columnMap = validateHeaders(allRows[0]);
+      return buildRowObjects(allRows, columnMap);
+    },
+
+    async updateRowOutcome(row, outcome) {
+      const allRows = readAllRows();
+
+      if (!Number.isInteger(row.rowIndex) || row.rowIndex < 2 || allRows.length === 0) {
+        throw new Error(`Invalid rowIndex: ${row.rowIndex}. Row does not exist in ${filePath}`);
+      }
+
+      // Locate columns from the current header row - the file may have been edited since loadRows() -
+      // then make sure the row still holds this lead (relocating it if rows were reordered)
+      const columnMap = validateHeaders(allRows[0]);
+      const { rowIndex } = locateLeadRow(
+        allRows.map(cells => cells[columnMap.USERNAME]),
+        row.rowIndex,
+        row.username
+      );
+      const arrayIndex = rowIndex - 1;
+
+      allRows[arrayIndex] = applyOutcomeToRow(
+        allRows[arrayIndex],
+        outcome.sessionId,
+        outcome.dateSent || '',
+        outcome.message || '',
+        outcome.status,
+        columnMap,
+        outcome.reason,
+        outcome.followUp,
+        outcome
+      );
+
+      writeFileAtomic(filePath, formatDelimited(allRows, delimiter));
+      return rowIndex;
+    },
+
+    async appendLeads(leads) {
+      const allRows = readAllRows();
+      const columnMap = validateHeaders(allRows[0]);
+
+      // Drop trailing blank lines so new rows follow the last lead
+      while (allRows.length > 1 && allRows[allRows.length - 1].every(cell => !cell || cell.trim() === '')) {
+        allRows.pop();
+      }
+
+      allRows.push(...leads.map(lead => buildLeadValues(lead, columnMap)));
+      writeFileAtomic(filePath, formatDelimited(allRows, delimiter));
+      return leads.length;
+    },
+
+    async appendHistory(entry) {
+      appendRowsDurably(historyPath, HISTORY_HEADERS, [buildHistoryValues(entry)], delimiter);
+    },
+
+    async loadHistory(filter) {
+      if (!fs.existsSync(historyPath)) {
+        return [];
+      }
+      return parseHistoryRows(parseDelimited(fs.readFileSync(historyPath, 'utf8'), delimiter), filter);
+    },
+  };
+}
+
+module.exports = {
+  createCsvLeadStore,
+  parseDelimited,
+  formatDelimited,
+  resolveDelimiter,
+};
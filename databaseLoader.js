@@ -1,38 +1,50 @@
 // databaseLoader.js
 require('dotenv').config();
-const { loadDatabaseRows } = require('./sheetsManager');
-
-/**
- * Valid source mode values
- */
-const VALID_SOURCE_MODES = ['likes', 'comments', 'comment_free', 'followers', 'pod_guest', 'all'];
+const { getLeadStore } = require('./leadStore');
+const { compileLeadFilter, buildStatusFilter } = require('./leadFilter');
+const { loadScoringConfig, scoreLead } = require('./leadScoring');
+const { createSuppressionList } = require('./suppressionList');
+const { normalizeUsername } = require('./usernames');
+const { parseContactCooldown, loadLastContacts, findRecentContact, formatRecentContact } = require('./contactHistory');
+const { createOutcomeJournal } = require('./outcomeJournal');
+const { loadFollowUpSteps, findDueFollowUp } = require('./followUps');
+const { loadSourceConfig, ALL_SOURCES } = require('./sourceConfig');
+const { loadFallbackTiers, formatFallbackTier } = require('./fallbackTiers');
 
 /**
  * Validates and normalizes the SOURCE_MODE environment variable.
  * 
- * @returns {string} Normalized source mode (lowercase)
+ * @param {Object} [sourceConfig] - Source configuration (defaults to loadSourceConfig())
+ * @returns {string} Normalized source mode (lowercase): a source, alias, group, comma-separated list or "all"
  * @throws {Error} If SOURCE_MODE is missing or invalid
  */
-function validateSourceMode() {
+function validateSourceMode(sourceConfig = loadSourceConfig()) {
   const sourceMode = process.env.SOURCE_MODE;
 
   if (!sourceMode || typeof sourceMode !== 'string') {
     throw new Error(
       'Missing required environment variable: SOURCE_MODE. ' +
-      `Valid values are: ${VALID_SOURCE_MODES.join(', ')}`
+      `Valid values are: ${sourceConfig.modeValues().join(', ')}`
     );
   }
 
-  const normalized = sourceMode.trim().toLowerCase();
-
-  if (!VALID_SOURCE_MODES.includes(normalized)) {
-    throw new Error(
-      `Invalid SOURCE_MODE value: "${sourceMode}". ` +
-      `Valid values are: ${VALID_SOURCE_MODES.join(', ')}`
-    );
-  }
+  sourceConfig.resolveSourceMode(sourceMode);
+  return sourceMode.trim().toLowerCase();
+}
 
-  return normalized;
+/**
+ * Builds the filter for a status/source mode pair. The source mode is resolved through the
+ * source configuration, so a group or list matches each of its sources, under any alias.
+ *
+ * @param {string} status - Status value to filter by
+ * @param {string} sourceMode - Source mode (source, alias, group, comma-separated list or "all")
+ * @param {Object} [sourceConfig] - Source configuration (defaults to loadSourceConfig())
+ * @returns {Object} Compiled filter (see leadFilter.compileLeadFilter)
+ * @throws {Error} If the source mode names an unknown source
+ */
+function buildSourceModeFilter(status, sourceMode, sourceConfig = loadSourceConfig()) {
+  const sources = sourceConfig.resolveSourceMode(sourceMode || ALL_SOURCES);
+  return buildStatusFilter(status, sources === ALL_SOURCES ? ALL_SOURCES : sourceConfig.expandSources(sources));
 }
 
 /**
@@ -99,132 +111,214 @@ function parseEnableFallback() {
 }
 
 /**
- * Validates FALLBACK_STATUS when fallback is enabled.
- * 
- * @returns {string | null} Fallback status value, or null if fallback disabled
- * @throws {Error} If fallback is enabled but FALLBACK_STATUS is missing
+ * Reads the LEAD_FILTER environment variable.
+ *
+ * @param {string} name - Variable name
+ * @returns {string|null} Filter expression, or null if not set
  */
-function validateFallbackStatus() {
-  const enableFallback = parseEnableFallback();
-  
-  if (!enableFallback) {
-    return null;
-  }
-  
-  const fallbackStatus = process.env.FALLBACK_STATUS;
-  if (!fallbackStatus || typeof fallbackStatus !== 'string' || fallbackStatus.trim() === '') {
-    throw new Error('FALLBACK_STATUS is required when ENABLE_FALLBACK=true');
-  }
-  
-  return fallbackStatus.trim();
+function readFilterExpression(name) {
+  const value = process.env[name];
+  return value && value.trim() !== '' ? value.trim() : null;
 }
 
 /**
- * Gets eligible rows filtered by status, source mode, and deduplicated by username.
- * Preserves row order and applies MAX_PROCCESS limit.
- * 
+ * Gets eligible rows that match a lead filter, deduplicated by username (first occurrence wins).
+ * Rows keep sheet order, or are ordered by score (highest first, ties in sheet order) when scores
+ * are given, before the MAX_PROCCESS limit is applied.
+ *
  * @param {Array<Object>} allRows - All rows from the database
- * @param {string} status - Status value to filter by
- * @param {string} sourceMode - Source mode to filter by (normalized lowercase)
+ * @param {Object} filter - Compiled lead filter (see leadFilter.compileLeadFilter)
  * @param {number} maxProcess - Maximum number of rows to return
  * @param {Set<string>} [excludeUsernames] - Set of usernames to exclude (for fallback deduplication)
+ * @param {Map<Object, string>} [reasons] - Receives the reason each skipped row was left out
+ * @param {Map<Object, Object>} [scores] - Row scores (see leadScoring.scoreLead) to order by
  * @returns {Array<Object>} Filtered and deduplicated rows
  */
-function getEligibleRowsByStatus(allRows, status, sourceMode, maxProcess, excludeUsernames = new Set()) {
-  // Filter by status (exact match)
-  const statusFiltered = allRows.filter(row => {
-    if (!row || typeof row !== 'object') {
-      return false;
+function getEligibleRows(allRows, filter, maxProcess, excludeUsernames = new Set(), reasons = null, scores = null) {
+  const exclude = (row, reason) => {
+    if (reasons) {
+      reasons.set(row, reason);
     }
-    
-    const rowStatus = row.status;
-    if (typeof rowStatus !== 'string') {
-      return false;
-    }
-    
-    return rowStatus.trim() === status;
-  });
-  
-  // Filter by source mode
-  let sourceFiltered;
-  if (sourceMode === 'all') {
-    sourceFiltered = statusFiltered;
-  } else {
-    sourceFiltered = statusFiltered.filter(row => {
-      if (!row || typeof row !== 'object') {
-        return false;
-      }
-      
-      const rowSource = row.source;
-      if (typeof rowSource !== 'string') {
-        return false;
-      }
-      
-      return rowSource.trim().toLowerCase() === sourceMode;
-    });
-  }
-  
-  // Deduplicate by username, excluding already selected usernames
-  const seenUsernames = new Set(excludeUsernames);
-  const deduplicated = [];
-  
-  for (const row of sourceFiltered) {
+  };
+
+  const seenUsernames = new Set();
+  const eligible = [];
+  const now = Date.now();
+
+  for (const row of allRows) {
     if (!row || typeof row !== 'object') {
       continue;
     }
-    
+
+    const { matched, clause } = filter.test(row, now);
+    if (!matched) {
+      exclude(row, `filter: ${clause}`);
+      continue;
+    }
+
     const username = row.username;
     if (!username || typeof username !== 'string' || username.trim() === '') {
+      exclude(row, 'no username');
       continue;
     }
-    
+
     const normalizedUsername = username.toLowerCase().trim();
-    
+
+    if (excludeUsernames.has(normalizedUsername)) {
+      exclude(row, 'username already selected');
+      continue;
+    }
+
     if (seenUsernames.has(normalizedUsername)) {
+      exclude(row, 'duplicate username');
       continue;
     }
-    
+
     seenUsernames.add(normalizedUsername);
-    deduplicated.push(row);
+    eligible.push(row);
   }
-  
+
+  // Order by score (Array.prototype.sort is stable, so equal scores keep sheet order)
+  if (scores) {
+    eligible.sort((a, b) => scores.get(b).score - scores.get(a).score);
+  }
+
   // Apply MAX_PROCCESS limit
-  return deduplicated.slice(0, maxProcess);
+  eligible.slice(maxProcess).forEach(row => exclude(row, `over MAX_PROCCESS (${maxProcess})`));
+  return eligible.slice(0, maxProcess);
 }
 
 /**
- * Loads and filters database rows from Google Sheets with optional fallback status support.
+ * Gets eligible rows filtered by status, source mode, and deduplicated by username.
+ * Preserves row order and applies MAX_PROCCESS limit.
+ * 
+ * @param {Array<Object>} allRows - All rows from the database
+ * @param {string} status - Status value to filter by
+ * @param {string} sourceMode - Source mode to filter by (source, alias, group, list or "all")
+ * @param {number} maxProcess - Maximum number of rows to return
+ * @param {Set<string>} [excludeUsernames] - Set of usernames to exclude (for fallback deduplication)
+ * @returns {Array<Object>} Filtered and deduplicated rows
+ */
+function getEligibleRowsByStatus(allRows, status, sourceMode, maxProcess, excludeUsernames = new Set()) {
+  return getEligibleRows(allRows, buildSourceModeFilter(status, sourceMode), maxProcess, excludeUsernames);
+}
+
+/**
+ * Loads and filters database rows from the lead store with optional fallback status support.
  * 
  * Processing pipeline:
- * 1. Load all rows from sheetsManager
- * 2. Build primary candidate list (Status == ACTIVATE_STATUS)
- * 3. Apply source filter and deduplication to primary
- * 4. Apply MAX_PROCCESS limit to primary
- * 5. Select up to MAX_DRAFT from primary
- * 6. If fallback enabled and primary insufficient:
- *    - Build fallback candidate list (Status == FALLBACK_STATUS)
- *    - Apply same source filter and deduplication (excluding primary usernames)
- *    - Apply MAX_PROCCESS limit to fallback
- *    - Append fallback rows until total == MAX_DRAFT or fallback exhausted
+ * 1. Load all rows from the lead store (or use options.rows when already loaded)
+ * 2. Drop rows whose username breaks Instagram's rules (see usernames.parseRowUsername) and
+ *    rows of suppressed usernames (do-not-contact registry, see suppressionList.js), set aside
+ *    leads with a follow-up due (see followUps.js), and drop usernames contacted within
+ *    CONTACT_COOLDOWN_DAYS according to recorded history (see contactHistory.js)
+ * 3. Select due follow-ups first (oldest due first, deduplicated), up to MAX_DRAFT; new leads fill the rest
+ * 4. Build primary candidate list (rows matching LEAD_FILTER, or Status == ACTIVATE_STATUS
+ *    and the SOURCE_MODE source when no filter is set)
+ * 5. Apply deduplication to primary, then order it by score (SCORE_* weights; sheet order when unset)
+ * 6. Apply MAX_PROCCESS limit to primary
+ * 7. Select the remaining MAX_DRAFT slots from primary
+ * 8. If fallback enabled and primary insufficient, for each fallback tier in order:
+ *    - Build the tier's candidate list (rows matching its filter, or its status and the SOURCE_MODE source)
+ *    - Apply same deduplication and scoring (excluding usernames selected by earlier tiers)
+ *    - Apply MAX_PROCCESS limit to the tier
+ *    - Append the tier's rows until total == MAX_DRAFT, the tier's cap is reached or the tier is exhausted
+ * 
+ * Filter settings come from the environment unless overridden in options (per-campaign settings).
  * 
+ * @param {Object} [options]
+ * @param {Object} [options.store] - LeadStore to load from (defaults to the LEAD_STORE backend)
+ * @param {Array<Object>} [options.rows] - Pre-loaded rows; skips loading from the store
+ * @param {string|null} [options.filter] - Overrides LEAD_FILTER (null: use the status/source pair)
+ * @param {string} [options.activateStatus] - Overrides ACTIVATE_STATUS
+ * @param {string} [options.sourceMode] - Overrides SOURCE_MODE (normalized lowercase)
+ * @param {Object} [options.sources] - Overrides the LEAD_SOURCES / SOURCE_ALIASES / SOURCE_GROUPS configuration
+ *   (see sourceConfig.loadSourceConfig)
+ * @param {number} [options.maxProcess] - Overrides MAX_PROCCESS
+ * @param {number} [options.maxDraft] - Overrides MAX_DRAFT
+ * @param {boolean} [options.enableFallback] - Overrides ENABLE_FALLBACK (with options.fallbacks,
+ *   options.fallbackStatus or options.fallbackFilter)
+ * @param {Array<Object>} [options.fallbacks] - Overrides the fallback chain (see fallbackTiers.loadFallbackTiers)
+ * @param {string} [options.fallbackStatus] - Overrides FALLBACK_STATUS (a single-tier chain)
+ * @param {string|null} [options.fallbackFilter] - Overrides FALLBACK_FILTER (a single-tier chain)
+ * @param {Set<string>} [options.excludeUsernames] - Usernames never selected (e.g. already selected by
+ *   another campaign in this run)
+ * @param {Object} [options.scoring] - Overrides the SCORE_* weights (see leadScoring.loadScoringConfig)
+ * @param {Map<string, Object>} [options.suppressed] - Suppressed usernames (defaults to loading the
+ *   suppression list)
+ * @param {number|null} [options.cooldownDays] - Overrides CONTACT_COOLDOWN_DAYS (null: no cooldown)
+ * @param {Map<string, Object>} [options.lastContacts] - Last contact per username (defaults to loading the
+ *   store's history and the outcome journal when a cooldown is set)
+ * @param {Array<Object>} [options.followUps] - Overrides the FOLLOW_UP_* sequence steps (empty: no follow-ups)
  * @returns {Promise<Object>} Object with:
- *   - rows: Array of filtered and deduplicated row objects (up to MAX_DRAFT)
- *   - stats: Object with counts (primaryEligible, fallbackEligible, selectedPrimary, selectedFallback, totalSelected)
+ *   - rows: Array of filtered and deduplicated row objects (up to MAX_DRAFT), due follow-ups first
+ *   - followUps: Map of row -> follow-up step due ({ step, days, message }) for the follow-up rows
+ *   - fallbackRows: Map of row -> fallback tier ({ tier, status, filter, max, draftMessage }) for rows
+ *     selected from the fallback chain
+ *   - stats: Object with counts (followUpsDue, selectedFollowUps, primaryEligible, fallbackEligible, selectedPrimary,
+ *     selectedFallback, totalSelected, recentlyContacted; fallback counts are totals over every tier) and
+ *     tiers: Array of { name, filter, max, eligible, selected } for the primary pool and each fallback tier
+ *     (eligible is null for tiers never reached because MAX_DRAFT was already met)
+ *   - filters: { primary, fallback, fallbacks } - expression text of the filters applied (fallback is the first
+ *     tier's, null when unused; fallbacks lists every tier's)
+ *   - excluded: Array of { row, reason } for every row left out, in row order
+ *   - scores: Map of row -> { score, parts } (null when no scoring weights are set)
+ *   - suppressed: Array of { row, entry } for rows of suppressed usernames that matched a filter
+ *     (they should be marked "Suppressed" so they stop matching)
+ *   - invalid: Array of { row, reason } for rows with an invalid username that matched a filter
+ *     (they should be marked "Invalid Username" so they stop matching)
  * @throws {Error} If environment variables are invalid or data loading fails
  */
-async function loadFilteredDatabase() {
-  // Validate environment variables upfront
-  const activateStatus = validateActivateStatus();
-  const sourceMode = validateSourceMode();
-  const maxProcess = validateMaxProcess();
-  const enableFallback = parseEnableFallback();
-  const fallbackStatus = validateFallbackStatus();
-  const maxDraft = parseInt(process.env.MAX_DRAFT, 10);
-
-  // --- STAGE 1: Load all rows from Google Sheets ---
-  let allRows;
+async function loadFilteredDatabase(options = {}) {
+  // Validate environment variables upfront (only those not overridden by options)
+  const filterText = options.filter !== undefined ? options.filter : readFilterExpression('LEAD_FILTER');
+  const maxProcess = options.maxProcess || validateMaxProcess();
+  const enableFallback = options.enableFallback !== undefined ? options.enableFallback : parseEnableFallback();
+  const maxDraft = options.maxDraft || parseInt(process.env.MAX_DRAFT, 10);
+  const excludeUsernames = options.excludeUsernames || new Set();
+  const scoring = options.scoring || loadScoringConfig();
+  const cooldownDays = options.cooldownDays !== undefined ? options.cooldownDays : parseContactCooldown();
+  const followUpSteps = options.followUps || loadFollowUpSteps();
+
+  // Fallback chain: explicit tiers, the single fallbackStatus/fallbackFilter override, or the environment
+  let fallbackTiers = [];
+  if (enableFallback) {
+    if (options.fallbacks) {
+      fallbackTiers = options.fallbacks;
+    } else if (options.enableFallback !== undefined) {
+      fallbackTiers = options.fallbackFilter || options.fallbackStatus
+        ? [{ tier: 1, status: options.fallbackFilter ? null : options.fallbackStatus, filter: options.fallbackFilter || null, max: null, draftMessage: null }]
+        : [];
+    } else {
+      fallbackTiers = loadFallbackTiers();
+    }
+    if (fallbackTiers.length === 0) {
+      throw new Error('FALLBACK_STATUS or FALLBACK_FILTER is required when ENABLE_FALLBACK=true');
+    }
+  }
+
+  // The status/source pair only matters for whichever pool has no filter expression
+  const needsSourceMode = !filterText || fallbackTiers.some(tier => !tier.filter);
+  const sourceConfig = needsSourceMode ? (options.sources || loadSourceConfig()) : null;
+  const sourceMode = options.sourceMode ||
+    (needsSourceMode && (!filterText || process.env.SOURCE_MODE) ? validateSourceMode(sourceConfig) : ALL_SOURCES);
+
+  const primaryFilter = filterText
+    ? compileLeadFilter(filterText)
+    : buildSourceModeFilter(options.activateStatus || validateActivateStatus(), sourceMode, sourceConfig);
+
+  const fallbackFilters = fallbackTiers.map(tier => (tier.filter
+    ? compileLeadFilter(tier.filter)
+    : buildSourceModeFilter(tier.status, sourceMode, sourceConfig)));
+
+  // --- STAGE 1: Load all rows from the lead store ---
+  let allRows = options.rows;
+  let store = options.store || null;
   try {
-    allRows = await loadDatabaseRows();
+    if (!allRows) {
+      store = store || getLeadStore();
+      allRows = await store.loadRows();
+    }
   } catch (error) {
     throw new Error(
       `Failed to load database rows: ${error.message}`
@@ -233,58 +327,182 @@ async function loadFilteredDatabase() {
 
   if (!Array.isArray(allRows)) {
     throw new Error(
-      'loadDatabaseRows() did not return an array. ' +
+      'Lead store did not return an array of rows. ' +
       'Received: ' + typeof allRows
     );
   }
 
-  // --- STAGE 2: Build primary candidate list ---
-  const primaryEligible = getEligibleRowsByStatus(allRows, activateStatus, sourceMode, maxProcess);
+  // --- STAGE 2: Drop invalid and suppressed usernames, set aside due follow-ups, drop recently contacted usernames ---
+  const suppressedUsernames = options.suppressed || await createSuppressionList().load();
+  const lastContacts = options.lastContacts ||
+    (cooldownDays ? await loadLastContacts(store ? [store] : [], createOutcomeJournal()) : new Map());
+  const primaryReasons = new Map();
+  const suppressed = [];
+  const invalid = [];
+  const dueFollowUps = [];
+  let recentlyContacted = 0;
+  const now = Date.now();
+  const candidateRows = allRows.filter(row => {
+    if (!row || typeof row !== 'object') {
+      return true;
+    }
+    const matchesAnyFilter = () => primaryFilter.test(row).matched || fallbackFilters.some(filter => filter.test(row).matched);
+    // Never worth a browser round trip: the profile cannot exist
+    if (row.usernameError) {
+      primaryReasons.set(row, `invalid username: ${row.usernameError}`);
+      if (matchesAnyFilter()) {
+        invalid.push({ row, reason: row.usernameError });
+      }
+      return false;
+    }
+    const entry = suppressedUsernames.get(normalizeUsername(row.username).username);
+    if (entry) {
+      primaryReasons.set(row, `suppressed: ${entry.reason}`);
+      if (matchesAnyFilter()) {
+        suppressed.push({ row, entry });
+      }
+      return false;
+    }
+    // Follow-ups continue an existing conversation, so CONTACT_COOLDOWN_DAYS does not apply to them
+    const followUp = followUpSteps.length > 0 ? findDueFollowUp(row, followUpSteps, now) : null;
+    if (followUp) {
+      dueFollowUps.push({ row, followUp });
+      return false;
+    }
+    const contact = cooldownDays ? findRecentContact(lastContacts, row.username, cooldownDays, now) : null;
+    if (contact) {
+      primaryReasons.set(row, formatRecentContact(contact, cooldownDays));
+      recentlyContacted++;
+      return false;
+    }
+    return true;
+  });
+
+  // --- STAGE 3: Select due follow-ups first (oldest due first, one per username) ---
+  const followUps = new Map();
+  const followUpUsernames = new Set(excludeUsernames);
+  dueFollowUps
+    .sort((a, b) => Date.parse(a.row.nextFollowUp) - Date.parse(b.row.nextFollowUp))
+    .forEach(({ row, followUp }) => {
+      const username = row.username.toLowerCase().trim();
+      if (followUpUsernames.has(username)) {
+        primaryReasons.set(row, excludeUsernames.has(username) ? 'username already selected' : 'duplicate username');
+      } else if (followUps.size >= Math.min(maxDraft, maxProcess)) {
+        primaryReasons.set(row, `follow-up ${followUp.step} over MAX_DRAFT (${maxDraft})`);
+      } else {
+        followUps.set(row, followUp);
+        followUpUsernames.add(username);
+      }
+    });
+  const selectedFollowUps = [...followUps.keys()];
+  const newLeadSlots = maxDraft - selectedFollowUps.length;
+
+  // --- STAGE 4: Score rows and build primary candidate list ---
+  let scores = null;
+  if (scoring.enabled) {
+    // Source weights apply to the canonical source, so aliased Source cells score like their source
+    const scoringSources = sourceConfig || options.sources || loadSourceConfig();
+    scores = new Map();
+    allRows
+      .filter(row => row && typeof row === 'object')
+      .forEach(row => scores.set(row, scoreLead(row, scoring, now, scoringSources)));
+  }
+
+  const primaryEligible = getEligibleRows(candidateRows, primaryFilter, maxProcess, followUpUsernames, primaryReasons, scores);
   
-  // --- STAGE 3: Select up to MAX_DRAFT from primary ---
-  const selectedPrimary = primaryEligible.slice(0, maxDraft);
-  const selectedPrimaryUsernames = new Set(
-    selectedPrimary.map(row => row.username.toLowerCase().trim())
-  );
+  // --- STAGE 5: Fill the remaining MAX_DRAFT slots from primary ---
+  const selectedPrimary = primaryEligible.slice(0, newLeadSlots);
+  primaryEligible.slice(newLeadSlots).forEach(row => primaryReasons.set(row, `over MAX_DRAFT (${maxDraft})`));
+  const selectedUsernames = new Set([
+    ...followUpUsernames,
+    ...selectedPrimary.map(row => row.username.toLowerCase().trim()),
+  ]);
   
-  // --- STAGE 4: Build fallback candidate list if needed ---
-  let fallbackEligible = [];
-  let selectedFallback = [];
+  // --- STAGE 6: Walk the fallback chain in order while slots remain ---
+  const selectedFallback = [];
+  const fallbackRows = new Map();
+  const tierStats = [{
+    name: 'primary',
+    filter: primaryFilter.text,
+    max: null,
+    eligible: primaryEligible.length,
+    selected: selectedPrimary.length,
+  }];
+  const tierReasons = [];
   
-  if (enableFallback && selectedPrimary.length < maxDraft) {
-    const remaining = maxDraft - selectedPrimary.length;
+  fallbackTiers.forEach((tier, index) => {
+    const label = formatFallbackTier(tier, fallbackTiers.length);
+    const stats = { name: label, filter: fallbackFilters[index].text, max: tier.max, eligible: null, selected: 0 };
+    tierStats.push(stats);
     
-    // Get fallback candidates (excluding primary usernames)
-    fallbackEligible = getEligibleRowsByStatus(
-      allRows, 
-      fallbackStatus, 
-      sourceMode, 
-      maxProcess, 
-      selectedPrimaryUsernames
-    );
+    const remaining = newLeadSlots - selectedPrimary.length - selectedFallback.length;
+    if (remaining <= 0) {
+      return;
+    }
     
-    // Select up to remaining slots from fallback
-    selectedFallback = fallbackEligible.slice(0, remaining);
-  }
+    // Tier candidates, excluding usernames selected by follow-ups, primary and earlier tiers
+    const reasons = new Map();
+    tierReasons.push({ label, reasons });
+    const eligible = getEligibleRows(candidateRows, fallbackFilters[index], maxProcess, selectedUsernames, reasons, scores);
+    const take = tier.max ? Math.min(remaining, tier.max) : remaining;
+    
+    eligible.slice(0, take).forEach(row => {
+      selectedFallback.push(row);
+      fallbackRows.set(row, tier);
+      selectedUsernames.add(row.username.toLowerCase().trim());
+    });
+    eligible.slice(take).forEach(row => reasons.set(row, take < remaining ? `over tier cap (${tier.max})` : `over MAX_DRAFT (${maxDraft})`));
+    
+    stats.eligible = eligible.length;
+    stats.selected = Math.min(eligible.length, take);
+  });
   
-  // --- STAGE 5: Combine primary and fallback ---
-  const finalRows = [...selectedPrimary, ...selectedFallback];
+  // --- STAGE 7: Combine follow-ups, primary and fallback ---
+  const finalRows = [...selectedFollowUps, ...selectedPrimary, ...selectedFallback];
+
+  // Explain every row left out (a row the primary filter rejected may still be picked up by a fallback tier)
+  const selected = new Set(finalRows);
+  const excluded = allRows
+    .filter(row => row && typeof row === 'object' && !selected.has(row))
+    .map(row => {
+      const reason = primaryReasons.get(row) || 'not evaluated';
+      const fallbackReasons = tierReasons
+        .filter(({ reasons }) => reasons.has(row) && reasons.get(row) !== reason)
+        .map(({ label, reasons }) => `${label} ${reasons.get(row)}`);
+      return { row, reason: [reason, ...fallbackReasons].join('; ') };
+    });
   
   // Return rows and statistics
   return {
     rows: finalRows,
     stats: {
+      followUpsDue: dueFollowUps.length,
+      selectedFollowUps: selectedFollowUps.length,
       primaryEligible: primaryEligible.length,
-      fallbackEligible: fallbackEligible.length,
+      fallbackEligible: tierStats.slice(1).reduce((sum, tier) => sum + (tier.eligible || 0), 0),
       selectedPrimary: selectedPrimary.length,
       selectedFallback: selectedFallback.length,
       totalSelected: finalRows.length,
+      recentlyContacted,
+      tiers: tierStats,
+    },
+    filters: {
+      primary: primaryFilter.text,
+      fallback: fallbackFilters.length > 0 ? fallbackFilters[0].text : null,
+      fallbacks: fallbackFilters.map(filter => filter.text),
     },
+    excluded,
+    followUps,
+    fallbackRows,
+    scores,
+    suppressed,
+    invalid,
   };
 }
 
 module.exports = {
   loadFilteredDatabase,
+  getEligibleRows,
   getEligibleRowsByStatus, // Exported for testing
   parseEnableFallback, // Exported for testing
 };
@@ -1,10 +1,15 @@
 // envValidator.js
 const fs = require('fs');
-
-/**
- * Valid source mode values
- */
-const VALID_SOURCE_MODES = ['likes', 'comments', 'comment_free', 'followers', 'pod_guest', 'all'];
+const { VALID_LEAD_STORES } = require('./leadStore');
+const { parseColumnAliases } = require('./sheetsManager');
+const { compileLeadFilter } = require('./leadFilter');
+const { loadScoringConfig } = require('./leadScoring');
+const { parseContactCooldown } = require('./contactHistory');
+const { loadFollowUpSteps } = require('./followUps');
+const { loadSourceConfig } = require('./sourceConfig');
+const { loadFallbackTiers } = require('./fallbackTiers');
+const { compileTemplate, isBurstTemplate } = require('./templateEngine');
+const { loadTemplateLibrary } = require('./templateLibrary');
 
 /**
  * Parses a boolean value from environment variable.
@@ -41,17 +46,29 @@ function parseBoolean(value, defaultValue = false) {
  * 
  * @returns {Object} Sanitized configuration object with:
  *   - instagramUsername: string
- *   - sheetId: string
- *   - sheetName: string
+ *   - leadStore: string (normalized lowercase, defaults to "sheets")
+ *   - sheetId: string | null (required when leadStore="sheets")
+ *   - sheetName: string | null (required when leadStore="sheets", unless campaignsPath is set)
+ *   - leadStorePath: string | null (required when leadStore is "csv" or "sqlite", unless campaignsPath is set)
+ *   - campaignsPath: string | null (CAMPAIGNS_PATH - campaign file for multi-worksheet runs)
+ *   - columnAliases: Object (parsed COLUMN_ALIASES, normalized alias -> field key)
  *   - draftMessage: string
- *   - activateStatus: string
- *   - sourceMode: string (normalized lowercase)
+ *   - leadFilter: string | null (LEAD_FILTER - replaces ACTIVATE_STATUS/SOURCE_MODE when set)
+ *   - activateStatus: string | null (required unless leadFilter is set)
+ *   - sourceMode: string | null (normalized lowercase source, alias, group or list; required unless leadFilter is set)
+ *   - sources: Object (LEAD_SOURCES / SOURCE_ALIASES / SOURCE_GROUPS, see sourceConfig.loadSourceConfig)
  *   - maxDraft: number (parsed integer)
  *   - maxProcess: number (parsed integer)
  *   - detectConversation: boolean (parsed from DETECT_CONVERSATION)
  *   - sendMessage: boolean (parsed from SEND_MESSAGE, defaults to false)
  *   - enableFallback: boolean (parsed from ENABLE_FALLBACK, defaults to false)
- *   - fallbackStatus: string | null (required when enableFallback=true, null otherwise)
+ *   - fallbackStatus: string | null (tier 1 status when enableFallback=true, null otherwise)
+ *   - fallbackFilter: string | null (tier 1 filter - FALLBACK_FILTER replaces FALLBACK_STATUS when set)
+ *   - fallbacks: Array<Object> (fallback chain when enableFallback=true, empty otherwise - see fallbackTiers.loadFallbackTiers)
+ *   - scoring: Object (parsed SCORE_* weights, see leadScoring.loadScoringConfig)
+ *   - contactCooldownDays: number | null (CONTACT_COOLDOWN_DAYS - minimum days between contacts with a username)
+ *   - followUps: Array<Object> (FOLLOW_UP_<n>_DAYS / FOLLOW_UP_<n>_MESSAGE steps, see followUps.loadFollowUpSteps)
+ *   - templates: Object | null (TEMPLATES_PATH template library, see templateLibrary.loadTemplateLibrary)
  * @throws {Error} If any required variable is missing or invalid
  */
 function validateEnv() {
@@ -63,75 +80,147 @@ function validateEnv() {
     errors.push('INSTAGRAM_USERNAME is required and must be a non-empty string');
   }
 
-  // --- Validate GOOGLE_SHEET_ID ---
-  const sheetId = process.env.GOOGLE_SHEET_ID;
-  if (!sheetId || typeof sheetId !== 'string' || sheetId.trim() === '') {
-    errors.push('GOOGLE_SHEET_ID is required and must be a non-empty string');
+  // --- Validate LEAD_STORE (optional, defaults to "sheets") ---
+  const leadStoreRaw = process.env.LEAD_STORE;
+  let leadStore = 'sheets';
+  if (leadStoreRaw !== undefined && leadStoreRaw !== null && leadStoreRaw.trim() !== '') {
+    const normalizedLeadStore = leadStoreRaw.trim().toLowerCase();
+    if (VALID_LEAD_STORES.includes(normalizedLeadStore)) {
+      leadStore = normalizedLeadStore;
+    } else {
+      errors.push(`LEAD_STORE must be one of: ${VALID_LEAD_STORES.join(', ')}. Received: "${leadStoreRaw}"`);
+    }
   }
 
-  // --- Validate GOOGLE_SHEET_NAME ---
+  // --- Validate backend-specific settings ---
+  // Google Sheets variables are only required when the sheets backend is selected
+  const sheetId = process.env.GOOGLE_SHEET_ID;
   const sheetName = process.env.GOOGLE_SHEET_NAME;
-  if (!sheetName || typeof sheetName !== 'string' || sheetName.trim() === '') {
-    errors.push('GOOGLE_SHEET_NAME is required and must be a non-empty string');
+  const leadStorePath = process.env.LEAD_STORE_PATH;
+
+  // --- Validate CAMPAIGNS_PATH (optional - each campaign names its own worksheet or lead file) ---
+  const campaignsPathRaw = process.env.CAMPAIGNS_PATH;
+  const campaignsPath = campaignsPathRaw && campaignsPathRaw.trim() !== '' ? campaignsPathRaw.trim() : null;
+  if (campaignsPath && !fs.existsSync(campaignsPath)) {
+    errors.push(`CAMPAIGNS_PATH file not found: ${campaignsPath}`);
   }
 
-  // --- Validate GOOGLE_CREDENTIALS or GOOGLE_CREDENTIALS_PATH ---
-  const googleCredentials = process.env.GOOGLE_CREDENTIALS;
-  const googleCredentialsPath = process.env.GOOGLE_CREDENTIALS_PATH;
+  if (leadStore === 'sheets') {
+    // --- Validate GOOGLE_SHEET_ID ---
+    if (!sheetId || typeof sheetId !== 'string' || sheetId.trim() === '') {
+      errors.push('GOOGLE_SHEET_ID is required and must be a non-empty string');
+    }
+
+    // --- Validate GOOGLE_SHEET_NAME (campaigns name their own tabs) ---
+    if (!campaignsPath && (!sheetName || typeof sheetName !== 'string' || sheetName.trim() === '')) {
+      errors.push('GOOGLE_SHEET_NAME is required and must be a non-empty string');
+    }
+
+    // --- Validate GOOGLE_CREDENTIALS or GOOGLE_CREDENTIALS_PATH ---
+    const googleCredentials = process.env.GOOGLE_CREDENTIALS;
+    const googleCredentialsPath = process.env.GOOGLE_CREDENTIALS_PATH;
   
-  if (!googleCredentials && !googleCredentialsPath) {
-    errors.push('Either GOOGLE_CREDENTIALS or GOOGLE_CREDENTIALS_PATH must be provided');
-  } else {
-    // If GOOGLE_CREDENTIALS is provided, validate it's valid JSON
-    if (googleCredentials) {
-      if (typeof googleCredentials !== 'string' || googleCredentials.trim() === '') {
-        errors.push('GOOGLE_CREDENTIALS must be a non-empty JSON string');
-      } else {
-        try {
-          JSON.parse(googleCredentials);
-        } catch (parseError) {
-          errors.push(`GOOGLE_CREDENTIALS is not valid JSON: ${parseError.message}`);
+    if (!googleCredentials && !googleCredentialsPath) {
+      errors.push('Either GOOGLE_CREDENTIALS or GOOGLE_CREDENTIALS_PATH must be provided');
+    } else {
+      // If GOOGLE_CREDENTIALS is provided, validate it's valid JSON
+      if (googleCredentials) {
+        if (typeof googleCredentials !== 'string' || googleCredentials.trim() === '') {
+          errors.push('GOOGLE_CREDENTIALS must be a non-empty JSON string');
+        } else {
+          try {
+            JSON.parse(googleCredentials);
+          } catch (parseError) {
+            errors.push(`GOOGLE_CREDENTIALS is not valid JSON: ${parseError.message}`);
+          }
         }
       }
-    }
     
-    // If GOOGLE_CREDENTIALS_PATH is provided, validate file exists and is readable
-    if (googleCredentialsPath) {
-      if (typeof googleCredentialsPath !== 'string' || googleCredentialsPath.trim() === '') {
-        errors.push('GOOGLE_CREDENTIALS_PATH must be a non-empty string');
-      } else if (!fs.existsSync(googleCredentialsPath)) {
-        errors.push(`GOOGLE_CREDENTIALS_PATH file not found: ${googleCredentialsPath}`);
-      } else {
-        try {
-          const fileContent = fs.readFileSync(googleCredentialsPath, 'utf8');
-          JSON.parse(fileContent);
-        } catch (fileError) {
-          errors.push(`GOOGLE_CREDENTIALS_PATH file is not readable or contains invalid JSON: ${fileError.message}`);
+      // If GOOGLE_CREDENTIALS_PATH is provided, validate file exists and is readable
+      if (googleCredentialsPath) {
+        if (typeof googleCredentialsPath !== 'string' || googleCredentialsPath.trim() === '') {
+          errors.push('GOOGLE_CREDENTIALS_PATH must be a non-empty string');
+        } else if (!fs.existsSync(googleCredentialsPath)) {
+          errors.push(`GOOGLE_CREDENTIALS_PATH file not found: ${googleCredentialsPath}`);
+        } else {
+          try {
+            const fileContent = fs.readFileSync(googleCredentialsPath, 'utf8');
+            JSON.parse(fileContent);
+          } catch (fileError) {
+            errors.push(`GOOGLE_CREDENTIALS_PATH file is not readable or contains invalid JSON: ${fileError.message}`);
+          }
         }
       }
     }
+  } else {
+    // --- Validate LEAD_STORE_PATH (csv file must exist; sqlite database is created on first use) ---
+    if (!leadStorePath || typeof leadStorePath !== 'string' || leadStorePath.trim() === '') {
+      if (!campaignsPath) {
+        errors.push(`LEAD_STORE_PATH is required when LEAD_STORE=${leadStore}`);
+      }
+    } else if (leadStore === 'csv' && !fs.existsSync(leadStorePath.trim())) {
+      errors.push(`LEAD_STORE_PATH file not found: ${leadStorePath}`);
+    }
+  }
+
+  // --- Validate COLUMN_ALIASES (optional) ---
+  let columnAliases = {};
+  try {
+    columnAliases = parseColumnAliases(process.env.COLUMN_ALIASES);
+  } catch (aliasError) {
+    errors.push(aliasError.message);
   }
 
   // --- Validate DRAFT_MESSAGE ---
   const draftMessage = process.env.DRAFT_MESSAGE;
   if (!draftMessage || typeof draftMessage !== 'string' || draftMessage.trim() === '') {
     errors.push('DRAFT_MESSAGE is required and must be a non-empty string');
+  } else {
+    try {
+      compileTemplate(draftMessage);
+    } catch (templateError) {
+      errors.push(`DRAFT_MESSAGE: ${templateError.message}`);
+    }
   }
 
-  // --- Validate ACTIVATE_STATUS ---
+  // --- Validate LEAD_FILTER (optional, replaces ACTIVATE_STATUS / SOURCE_MODE) ---
+  const leadFilter = process.env.LEAD_FILTER && process.env.LEAD_FILTER.trim() !== '' ? process.env.LEAD_FILTER.trim() : null;
+  if (leadFilter) {
+    try {
+      compileLeadFilter(leadFilter);
+    } catch (filterError) {
+      errors.push(`LEAD_FILTER: ${filterError.message}`);
+    }
+  }
+
+  // --- Validate ACTIVATE_STATUS (required unless LEAD_FILTER is set) ---
   const activateStatus = process.env.ACTIVATE_STATUS;
-  if (!activateStatus || typeof activateStatus !== 'string' || activateStatus.trim() === '') {
-    errors.push('ACTIVATE_STATUS is required and must be a non-empty string');
+  const hasActivateStatus = Boolean(activateStatus && typeof activateStatus === 'string' && activateStatus.trim() !== '');
+  if (!hasActivateStatus && !leadFilter) {
+    errors.push('ACTIVATE_STATUS is required and must be a non-empty string (or set LEAD_FILTER)');
   }
 
-  // --- Validate SOURCE_MODE ---
+  // --- Validate LEAD_SOURCES / SOURCE_ALIASES / SOURCE_GROUPS (optional, default source list) ---
+  let sources = null;
+  try {
+    sources = loadSourceConfig(process.env);
+  } catch (sourcesError) {
+    errors.push(sourcesError.message);
+  }
+
+  // --- Validate SOURCE_MODE (required unless LEAD_FILTER is set) ---
   const sourceMode = process.env.SOURCE_MODE;
-  if (!sourceMode || typeof sourceMode !== 'string' || sourceMode.trim() === '') {
-    errors.push(`SOURCE_MODE is required and must be one of: ${VALID_SOURCE_MODES.join(', ')}`);
-  } else {
-    const normalizedSourceMode = sourceMode.trim().toLowerCase();
-    if (!VALID_SOURCE_MODES.includes(normalizedSourceMode)) {
-      errors.push(`SOURCE_MODE must be one of: ${VALID_SOURCE_MODES.join(', ')}. Received: "${sourceMode}"`);
+  const hasSourceMode = Boolean(sourceMode && typeof sourceMode === 'string' && sourceMode.trim() !== '');
+  if (!hasSourceMode) {
+    if (!leadFilter) {
+      const validModes = sources ? `one of: ${sources.modeValues().join(', ')} (or a comma-separated list)` : 'a source, group or list';
+      errors.push(`SOURCE_MODE is required and must be ${validModes} (or set LEAD_FILTER)`);
+    }
+  } else if (sources) {
+    try {
+      sources.resolveSourceMode(sourceMode);
+    } catch (sourceModeError) {
+      errors.push(`SOURCE_MODE: ${sourceModeError.message}`);
     }
   }
 
@@ -188,11 +277,70 @@ function validateEnv() {
     }
   }
 
-  // --- Validate FALLBACK_STATUS (required only when ENABLE_FALLBACK=true) ---
-  const fallbackStatus = process.env.FALLBACK_STATUS;
-  if (enableFallback) {
-    if (!fallbackStatus || typeof fallbackStatus !== 'string' || fallbackStatus.trim() === '') {
-      errors.push('FALLBACK_STATUS is required when ENABLE_FALLBACK=true');
+  // --- Validate the fallback chain: FALLBACK_STATUS / FALLBACK_FILTER (tier 1) and FALLBACK_<n>_* ---
+  let fallbacks = [];
+  try {
+    fallbacks = loadFallbackTiers(process.env);
+    if (enableFallback && fallbacks.length === 0) {
+      errors.push('FALLBACK_STATUS (or FALLBACK_FILTER) is required when ENABLE_FALLBACK=true');
+    }
+  } catch (fallbackError) {
+    errors.push(fallbackError.message);
+  }
+
+  // --- Validate SCORE_* lead scoring weights (optional) ---
+  let scoring = null;
+  try {
+    scoring = loadScoringConfig(process.env);
+    const unknownSources = sources ? Object.keys(scoring.sourceWeights).filter(source => !sources.normalizeSource(source)) : [];
+    if (unknownSources.length > 0) {
+      errors.push(`SCORE_SOURCE_WEIGHTS has unknown source(s): ${unknownSources.join(', ')}. Valid sources are: ${sources.sources.join(', ')}`);
+    }
+  } catch (scoringError) {
+    errors.push(scoringError.message);
+  }
+
+  // --- Validate CONTACT_COOLDOWN_DAYS (optional - enforced from recorded history) ---
+  let contactCooldownDays = null;
+  try {
+    contactCooldownDays = parseContactCooldown(process.env);
+  } catch (cooldownError) {
+    errors.push(cooldownError.message);
+  }
+  const historySheetName = process.env.GOOGLE_HISTORY_SHEET_NAME;
+  if (contactCooldownDays && leadStore === 'sheets' && (!historySheetName || historySheetName.trim() === '')) {
+    errors.push('GOOGLE_HISTORY_SHEET_NAME is required when CONTACT_COOLDOWN_DAYS is set (contacts are read from the history worksheet)');
+  }
+
+  // --- Validate FOLLOW_UP_* sequence steps (optional) ---
+  let followUps = [];
+  try {
+    followUps = loadFollowUpSteps(process.env);
+  } catch (followUpError) {
+    errors.push(followUpError.message);
+  }
+
+  // --- Validate TEMPLATES_PATH template library (optional, needs the source list to map sources) ---
+  let templates = null;
+  if (sources) {
+    try {
+      templates = loadTemplateLibrary(process.env, sources);
+    } catch (libraryError) {
+      errors.push(libraryError.message);
+    }
+  }
+
+  // --- Multi-message templates ({{break}}) need SEND_MESSAGE=true (only one message can wait in the composer) ---
+  if (!sendMessage) {
+    const burstTemplates = [
+      ['DRAFT_MESSAGE', draftMessage],
+      ...followUps.map(step => [`FOLLOW_UP_${step.step}_MESSAGE`, step.message]),
+      ...(enableFallback ? fallbacks : []).map(tier => [`FALLBACK_${tier.tier}_MESSAGE`, tier.draftMessage]),
+      ...(templates ? [...templates.templates].flatMap(([id, variants]) =>
+        variants.map(variant => [`template "${variant.name ? `${id}:${variant.name}` : id}"`, variant.text])) : []),
+    ].filter(([, text]) => isBurstTemplate(text)).map(([label]) => label);
+    if (burstTemplates.length > 0) {
+      errors.push(`SEND_MESSAGE=true is required for multi-message templates ({{break}}): ${burstTemplates.join(', ')}`);
     }
   }
 
@@ -205,17 +353,29 @@ function validateEnv() {
   // --- Return sanitized configuration object ---
   return {
     instagramUsername: instagramUsername.trim(),
-    sheetId: sheetId.trim(),
-    sheetName: sheetName.trim(),
+    leadStore: leadStore,
+    sheetId: sheetId ? sheetId.trim() : null,
+    sheetName: sheetName ? sheetName.trim() : null,
+    leadStorePath: leadStorePath ? leadStorePath.trim() : null,
+    columnAliases: columnAliases,
+    campaignsPath: campaignsPath,
     draftMessage: draftMessage.trim(),
-    activateStatus: activateStatus.trim(),
-    sourceMode: process.env.SOURCE_MODE.trim().toLowerCase(),
+    leadFilter: leadFilter,
+    activateStatus: hasActivateStatus ? activateStatus.trim() : null,
+    sourceMode: hasSourceMode ? sourceMode.trim().toLowerCase() : null,
+    sources: sources,
     maxDraft: parseInt(process.env.MAX_DRAFT, 10),
     maxProcess: parseInt(process.env.MAX_PROCCESS, 10),
     detectConversation: detectConversation,
     sendMessage: sendMessage,
     enableFallback: enableFallback,
-    fallbackStatus: enableFallback && fallbackStatus ? fallbackStatus.trim() : null,
+    fallbackStatus: enableFallback && fallbacks.length > 0 ? fallbacks[0].status : null,
+    fallbackFilter: enableFallback && fallbacks.length > 0 ? fallbacks[0].filter : null,
+    fallbacks: enableFallback ? fallbacks : [],
+    scoring: scoring,
+    contactCooldownDays: contactCooldownDays,
+    followUps: followUps,
+    templates: templates,
   };
 }
 
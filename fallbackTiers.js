@@ -0,0 +1,165 @@
+// fallbackTiers.js
+// Fallback chain - ordered pools of leads used when the primary pool cannot fill MAX_DRAFT
+
+require('dotenv').config();
+const { compileLeadFilter } = require('./leadFilter');
+const { compileTemplate } = require('./templateEngine');
+
+/**
+ * Highest tier number looked up in the environment
+ */
+const MAX_FALLBACK_TIER = 20;
+
+/**
+ * Validates fallback tiers given as a list of { status | filter, max, draftMessage } (tier 1 first).
+ *
+ * @param {Array<Object>} list - Raw tiers, e.g. from a campaign's "fallbacks" setting
+ * @returns {Array<Object>} Tiers of { tier, status, filter, max, draftMessage }, numbered from 1
+ *   (status or filter is null; max and draftMessage are null when not set)
+ * @throws {Error} If the list or any tier is invalid
+ */
+function parseFallbackTierList(list) {
+  if (!Array.isArray(list)) {
+    throw new Error('fallbacks must be an array of { "status" or "filter", "max", "draftMessage" }');
+  }
+
+  const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+
+  return list.map((entry, index) => {
+    const tier = index + 1;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`fallback ${tier} must be an object with status or filter`);
+    }
+
+    const unknownKeys = Object.keys(entry).filter(key => !['status', 'filter', 'max', 'draftMessage'].includes(key));
+    if (unknownKeys.length > 0) {
+      throw new Error(`fallback ${tier} has unknown setting(s): ${unknownKeys.join(', ')}. Valid settings: status, filter, max, draftMessage`);
+    }
+    if (isNonEmptyString(entry.status) === isNonEmptyString(entry.filter)) {
+      throw new Error(`fallback ${tier} needs exactly one of status or filter`);
+    }
+    if (isNonEmptyString(entry.filter)) {
+      try {
+        compileLeadFilter(entry.filter);
+      } catch (filterError) {
+        throw new Error(`fallback ${tier} filter: ${filterError.message}`);
+      }
+    }
+    if (entry.max !== undefined && entry.max !== null && (!Number.isInteger(entry.max) || entry.max < 1)) {
+      throw new Error(`fallback ${tier}: max must be a positive integer. Received: ${JSON.stringify(entry.max)}`);
+    }
+    if (entry.draftMessage !== undefined && entry.draftMessage !== null && !isNonEmptyString(entry.draftMessage)) {
+      throw new Error(`fallback ${tier}: draftMessage must be a non-empty string`);
+    }
+    if (isNonEmptyString(entry.draftMessage)) {
+      try {
+        compileTemplate(entry.draftMessage);
+      } catch (templateError) {
+        throw new Error(`fallback ${tier} draftMessage: ${templateError.message}`);
+      }
+    }
+
+    return {
+      tier,
+      status: isNonEmptyString(entry.status) ? entry.status.trim() : null,
+      filter: isNonEmptyString(entry.filter) ? entry.filter.trim() : null,
+      max: entry.max || null,
+      draftMessage: isNonEmptyString(entry.draftMessage) ? entry.draftMessage.trim() : null,
+    };
+  });
+}
+
+/**
+ * Loads the fallback chain from the environment:
+ *   FALLBACK_1_STATUS or FALLBACK_1_FILTER - tier 1 pool (FALLBACK_STATUS / FALLBACK_FILTER are the same setting)
+ *   FALLBACK_1_MAX                         - optional cap on rows taken from tier 1
+ *   FALLBACK_1_MESSAGE                     - optional template for tier 1 leads (default: DRAFT_MESSAGE)
+ *   FALLBACK_2_*, FALLBACK_3_*, ...        - later tiers, used in order while MAX_DRAFT is not reached
+ * Tiers must be numbered without gaps, starting at 1. ENABLE_FALLBACK decides whether the chain is used.
+ *
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {Array<Object>} Tiers of { tier, status, filter, max, draftMessage } (empty when none are configured)
+ * @throws {Error} If a tier is incomplete, invalid or out of sequence
+ */
+function loadFallbackTiers(env = process.env) {
+  const read = name => (env[name] !== undefined && env[name] !== null && String(env[name]).trim() !== ''
+    ? String(env[name]).trim()
+    : null);
+  const list = [];
+  let gapAt = null;
+
+  for (let tier = 1; tier <= MAX_FALLBACK_TIER; tier++) {
+    const prefix = `FALLBACK_${tier}_`;
+    const settings = {
+      status: read(`${prefix}STATUS`),
+      filter: read(`${prefix}FILTER`),
+      max: read(`${prefix}MAX`),
+      draftMessage: read(`${prefix}MESSAGE`),
+    };
+
+    if (tier === 1) {
+      // FALLBACK_STATUS / FALLBACK_FILTER are the tier 1 settings; FALLBACK_FILTER replaces FALLBACK_STATUS
+      settings.filter = settings.filter || read('FALLBACK_FILTER');
+      settings.status = settings.status || (settings.filter ? null : read('FALLBACK_STATUS'));
+    }
+
+    if (Object.values(settings).every(value => value === null)) {
+      gapAt = gapAt || tier;
+      continue;
+    }
+    if (gapAt) {
+      throw new Error(`FALLBACK_${tier}_* is set but FALLBACK_${gapAt}_* is not - tiers must be numbered 1, 2, ... without gaps`);
+    }
+    if (!settings.status && !settings.filter) {
+      throw new Error(`${prefix}STATUS or ${prefix}FILTER is required when other ${prefix}* settings are set`);
+    }
+    if (settings.status && settings.filter) {
+      throw new Error(`${prefix}STATUS and ${prefix}FILTER cannot both be set`);
+    }
+    if (settings.filter) {
+      try {
+        compileLeadFilter(settings.filter);
+      } catch (filterError) {
+        throw new Error(`${tier === 1 && !read(`${prefix}FILTER`) ? 'FALLBACK_FILTER' : `${prefix}FILTER`}: ${filterError.message}`);
+      }
+    }
+
+    if (settings.draftMessage) {
+      try {
+        compileTemplate(settings.draftMessage);
+      } catch (templateError) {
+        throw new Error(`${prefix}MESSAGE: ${templateError.message}`);
+      }
+    }
+
+    let max = null;
+    if (settings.max !== null) {
+      max = Number(settings.max);
+      if (!Number.isInteger(max) || max < 1) {
+        throw new Error(`${prefix}MAX must be a positive integer. Received: "${settings.max}"`);
+      }
+    }
+
+    list.push({ tier, ...settings, max });
+  }
+
+  return list;
+}
+
+/**
+ * Describes a tier for logs and exclusion reasons, e.g. "fallback 2 (Retry)".
+ *
+ * @param {Object} tier - Fallback tier
+ * @param {number} [tierCount] - Number of tiers in the chain ("fallback" alone when there is one)
+ * @returns {string} Label
+ */
+function formatFallbackTier(tier, tierCount = 2) {
+  const name = tierCount > 1 ? `fallback ${tier.tier}` : 'fallback';
+  return `${name} (${tier.status || tier.filter})`;
+}
+
+module.exports = {
+  loadFallbackTiers,
+  parseFallbackTierList,
+  formatFallbackTier,
+};
@@ -0,0 +1,174 @@
+// followUps.js
+// Follow-up sequences - later messages to leads that were contacted but never replied
+
+require('dotenv').config();
+const { compileTemplate } = require('./templateEngine');
+const { buildDraftMessages } = require('./messageBuilder');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Statuses of leads that are in a sequence (contacted, or a follow-up that failed and is retried)
+ */
+const SEQUENCE_STATUSES = ['Drafted', 'Sent', 'Follow-up Failed'];
+
+/**
+ * Highest step number looked up in the environment
+ */
+const MAX_FOLLOW_UP_STEP = 20;
+
+/**
+ * Validates follow-up steps given as a list of { days, message } (step 2 first).
+ *
+ * @param {Array<Object>} list - Raw steps, e.g. from a campaign's "followUps" setting
+ * @returns {Array<Object>} Steps of { step, days, message }, numbered from 2
+ * @throws {Error} If the list or any step is invalid
+ */
+function parseFollowUpList(list) {
+  if (!Array.isArray(list)) {
+    throw new Error('followUps must be an array of { "days": number, "message": string }');
+  }
+
+  return list.map((entry, index) => {
+    const step = index + 2;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`follow-up step ${step} must be an object with days and message`);
+    }
+    if (typeof entry.days !== 'number' || !Number.isFinite(entry.days) || entry.days <= 0) {
+      throw new Error(`follow-up step ${step}: days must be a positive number. Received: ${JSON.stringify(entry.days)}`);
+    }
+    if (typeof entry.message !== 'string' || entry.message.trim() === '') {
+      throw new Error(`follow-up step ${step}: message must be a non-empty string`);
+    }
+    try {
+      compileTemplate(entry.message);
+    } catch (templateError) {
+      throw new Error(`follow-up step ${step} message: ${templateError.message}`);
+    }
+    return { step, days: entry.days, message: entry.message.trim() };
+  });
+}
+
+/**
+ * Loads follow-up steps from the environment:
+ *   FOLLOW_UP_2_DAYS / FOLLOW_UP_2_MESSAGE - step 2, sent N days after the first message
+ *   FOLLOW_UP_3_DAYS / FOLLOW_UP_3_MESSAGE - step 3, sent N days after step 2, and so on
+ * Steps must be numbered without gaps, starting at 2.
+ *
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {Array<Object>} Steps of { step, days, message } (empty when no sequence is configured)
+ * @throws {Error} If a step is incomplete, invalid or out of sequence
+ */
+function loadFollowUpSteps(env = process.env) {
+  const isSet = name => env[name] !== undefined && env[name] !== null && String(env[name]).trim() !== '';
+  const list = [];
+  let gapAt = null;
+
+  for (let step = 2; step <= MAX_FOLLOW_UP_STEP; step++) {
+    const daysName = `FOLLOW_UP_${step}_DAYS`;
+    const messageName = `FOLLOW_UP_${step}_MESSAGE`;
+
+    if (!isSet(daysName) && !isSet(messageName)) {
+      gapAt = gapAt || step;
+      continue;
+    }
+    if (gapAt) {
+      throw new Error(`FOLLOW_UP_${step}_* is set but FOLLOW_UP_${gapAt}_* is not - steps must be numbered 2, 3, ... without gaps`);
+    }
+    if (!isSet(daysName) || !isSet(messageName)) {
+      throw new Error(`${daysName} and ${messageName} must both be set`);
+    }
+
+    const days = Number(String(env[daysName]).trim());
+    if (!Number.isFinite(days) || days <= 0) {
+      throw new Error(`${daysName} must be a positive number of days. Received: "${env[daysName]}"`);
+    }
+    list.push({ days, message: String(env[messageName]) });
+  }
+
+  return parseFollowUpList(list);
+}
+
+/**
+ * Reads the step a lead has reached from its Follow-up Step cell.
+ *
+ * @param {Object} row - Row object
+ * @returns {number} Last step sent (0 when the lead is not in a sequence)
+ */
+function getFollowUpStep(row) {
+  const step = parseInt(String(row.followUpStep || '').trim(), 10);
+  return Number.isInteger(step) && step > 0 ? step : 0;
+}
+
+/**
+ * Returns the follow-up due for a lead, if any: the lead is in a sequence (Drafted, Sent or
+ * Follow-up Failed with a step number), has a next step, and its Next Follow-up date has passed.
+ *
+ * @param {Object} row - Row object
+ * @param {Array<Object>} steps - Follow-up steps from loadFollowUpSteps()
+ * @param {number} [now] - Reference time
+ * @returns {Object|null} The due step { step, days, message }, or null
+ */
+function findDueFollowUp(row, steps, now = Date.now()) {
+  if (!row || !SEQUENCE_STATUSES.includes(row.status)) {
+    return null;
+  }
+
+  const currentStep = getFollowUpStep(row);
+  const nextStep = steps.find(step => step.step === currentStep + 1);
+  if (currentStep === 0 || !nextStep) {
+    return null;
+  }
+
+  const dueAt = Date.parse(String(row.nextFollowUp || '').trim());
+  return !isNaN(dueAt) && dueAt <= now ? nextStep : null;
+}
+
+/**
+ * Works out the sequence fields to write after a step has gone out.
+ *
+ * @param {number} step - Step just sent (1 for the first message)
+ * @param {Array<Object>} steps - Follow-up steps from loadFollowUpSteps()
+ * @param {number} [from] - Time the step went out
+ * @returns {Object} { step, nextDue } - nextDue is an ISO timestamp, or '' when the sequence is finished
+ */
+function scheduleNextFollowUp(step, steps, from = Date.now()) {
+  const nextStep = steps.find(candidate => candidate.step === step + 1);
+  return {
+    step: step,
+    nextDue: nextStep ? new Date(from + nextStep.days * DAY_MS).toISOString() : '',
+  };
+}
+
+/**
+ * Lists every message a lead may have received from us before a follow-up step, so reply
+ * detection can tell our bubbles from theirs: the message recorded on the row plus the first
+ * message and earlier follow-ups, each with and without the name inserted (a burst message by message).
+ * @param {Object} row - Row object
+ * @param {string} firstName - First name used when building messages
+ * @param {Array<string>} firstTemplates - Templates the first message may have been built from
+ *   (see templateLibrary.listFirstContactTemplates)
+ * @param {Array<Object>} steps - Follow-up steps from loadFollowUpSteps()
+ * @param {Object} followUp - Step about to be sent
+ * @returns {Array<string>} Messages
+ */
+function listSentMessages(row, firstName, firstTemplates, steps, followUp) {
+  const templates = [
+    ...firstTemplates,
+    ...steps.filter(step => step.step < followUp.step).map(step => step.message),
+  ];
+  // A burst's messages are separate bubbles, so each is listed on its own
+  const built = templates.flatMap(messageTemplate =>
+    buildDraftMessages({ firstName, messageTemplate, separator: '!', lead: row }).map(message => message.text));
+  return [row.message, ...templates, ...built].filter(Boolean);
+}
+
+module.exports = {
+  loadFollowUpSteps,
+  parseFollowUpList,
+  getFollowUpStep,
+  findDueFollowUp,
+  scheduleNextFollowUp,
+  listSentMessages,
+  SEQUENCE_STATUSES,
+};
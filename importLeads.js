@@ -0,0 +1,278 @@
+// importLeads.js
+// Lead import command - normalizes usernames from text/CSV files or profile URL lists and appends new leads
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createLeadStore, resolveLeadStoreType } = require('./leadStore');
+const { parseDelimited, resolveDelimiter } = require('./csvLeadStore');
+const { normalizeHeader, parseColumnAliases, COLUMN_FIELDS } = require('./sheetsManager');
+const { loadSourceConfig } = require('./sourceConfig');
+const { normalizeUsername } = require('./usernames');
+const logger = require('./logger');
+
+/**
+ * Lead Import
+ *
+ * Reads usernames from one or more files, normalizes them (see usernames.normalizeUsername),
+ * skips anything already in the lead store or repeated in the input, stamps Date Added, Source
+ * and Status, and appends the new leads to the lead store in one write.
+ *
+ * Input formats:
+ *   - .csv / .tsv with a header row: the Username column (or a COLUMN_ALIASES alias) is used;
+ *     Source, Name and Bio columns are imported too when present
+ *   - anything else: one username or profile URL per line (commas/whitespace also separate entries)
+ *
+ * Usage: npm run import -- <file> [file...] --source <source> [--status <status>]
+ *                          [--sheet <tab> | --path <lead file>] [--dry-run]
+ */
+
+/**
+ * Parses command line arguments.
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { files, source, status, sheetName, path, dryRun }
+ * @throws {Error} If an option is missing its value or unknown
+ */
+function parseArgs(argv) {
+  const options = { files: [], source: null, status: null, sheetName: null, path: null, dryRun: false };
+  const valueOptions = { '--source': 'source', '--status': 'status', '--sheet': 'sheetName', '--path': 'path' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (valueOptions[arg]) {
+      const value = argv[i + 1];
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`${arg} requires a value`);
+      }
+      options[valueOptions[arg]] = value;
+      i++;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Extracts raw entries from an input file.
+ *
+ * @param {string} filePath - Input file path
+ * @returns {Array<Object>} Entries of { raw, line, source, name, bio } in file order
+ */
+function readImportEntries(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.csv' || extension === '.tsv') {
+    const rows = parseDelimited(content, resolveDelimiter(filePath));
+    const headerRow = rows[0] || [];
+    const aliases = parseColumnAliases();
+    const findColumn = key => headerRow.findIndex(header => {
+      const normalized = normalizeHeader(header);
+      const field = COLUMN_FIELDS.find(candidate => candidate.key === key);
+      return normalized === normalizeHeader(field.header) || aliases[normalized] === key;
+    });
+
+    const usernameColumn = findColumn('USERNAME');
+
+    // No recognizable header: first column holds the usernames, starting at row 1
+    if (usernameColumn === -1) {
+      return rows
+        .map((row, index) => ({ raw: row[0] || '', line: index + 1 }))
+        .filter(entry => entry.raw.trim() !== '');
+    }
+
+    const sourceColumn = findColumn('SOURCE');
+    const nameColumn = findColumn('NAME');
+    const bioColumn = findColumn('BIO');
+    const cell = (row, column) => (column === -1 ? '' : String(row[column] || '').trim());
+
+    return rows.slice(1)
+      .map((row, index) => ({
+        raw: row[usernameColumn] || '',
+        line: index + 2,
+        source: cell(row, sourceColumn),
+        name: cell(row, nameColumn),
+        bio: cell(row, bioColumn),
+      }))
+      .filter(entry => entry.raw.trim() !== '');
+  }
+
+  const entries = [];
+  content.split(/\r?\n/).forEach((line, index) => {
+    line.split(/[\s,;]+/).filter(Boolean).forEach(raw => entries.push({ raw, line: index + 1 }));
+  });
+  return entries;
+}
+
+/**
+ * Sorts raw entries into new leads, duplicates and invalid values.
+ *
+ * @param {Array<Object>} entries - Entries with { raw, line, file, source, name, bio }
+ * @param {Array<Object>} existingRows - Rows already in the lead store (from loadRows())
+ * @param {Object} defaults - { source, status, dateAdded } stamped on every new lead
+ * @param {Object} [sourceConfig] - Sources a lead can be stamped with (defaults to loadSourceConfig());
+ *   aliases are stored as their source
+ * @returns {Object} { leads, existing, repeated, invalid }
+ *   - leads: new leads to append
+ *   - existing: entries already in the store ({ entry, username, rowIndex })
+ *   - repeated: entries repeated within the input ({ entry, username })
+ *   - invalid: entries with no usable username or source ({ entry, error })
+ */
+function planImport(entries, existingRows, defaults, sourceConfig = loadSourceConfig()) {
+  const existingByUsername = new Map();
+  for (const row of existingRows) {
+    const { username } = normalizeUsername(row.username);
+    if (username && !existingByUsername.has(username)) {
+      existingByUsername.set(username, row.rowIndex);
+    }
+  }
+
+  const result = { leads: [], existing: [], repeated: [], invalid: [] };
+  const seen = new Set();
+
+  for (const entry of entries) {
+    const { username, error } = normalizeUsername(entry.raw);
+
+    if (!username) {
+      result.invalid.push({ entry, error });
+      continue;
+    }
+
+    if (existingByUsername.has(username)) {
+      result.existing.push({ entry, username, rowIndex: existingByUsername.get(username) });
+      continue;
+    }
+
+    if (seen.has(username)) {
+      result.repeated.push({ entry, username });
+      continue;
+    }
+
+    const rawSource = (entry.source || defaults.source || '').trim().toLowerCase();
+    const source = sourceConfig.normalizeSource(rawSource);
+    if (!source) {
+      result.invalid.push({
+        entry,
+        error: rawSource
+          ? `unknown source "${rawSource}" (valid: ${sourceConfig.sources.join(', ')})`
+          : 'no source - pass --source or add a Source column',
+      });
+      continue;
+    }
+
+    seen.add(username);
+    result.leads.push({
+      username,
+      dateAdded: defaults.dateAdded,
+      source,
+      status: defaults.status,
+      name: entry.name || '',
+      bio: entry.bio || '',
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Main entry point for the import command.
+ */
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.files.length === 0) {
+    throw new Error('No input files given. Usage: npm run import -- <file> [file...] --source <source>');
+  }
+
+  const sourceConfig = loadSourceConfig();
+  if (options.source && !sourceConfig.normalizeSource(options.source)) {
+    throw new Error(`Invalid --source "${options.source}". Valid values are: ${sourceConfig.sources.join(', ')}`);
+  }
+
+  const storeType = resolveLeadStoreType();
+  const storeOptions = {};
+  if (options.sheetName) {
+    storeOptions.sheetName = options.sheetName;
+  }
+  if (options.path) {
+    storeOptions.path = options.path;
+  }
+  const store = createLeadStore(storeType, storeOptions);
+
+  if (typeof store.appendLeads !== 'function') {
+    throw new Error(`Lead store "${store.name}" does not support importing leads`);
+  }
+
+  logger.section(`Lead Import${options.dryRun ? ' (Dry Run)' : ''}`);
+  logger.info(`Lead store: ${store.name} (${store.target})`);
+
+  const entries = [];
+  for (const file of options.files) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Input file not found: ${file}`);
+    }
+    const fileEntries = readImportEntries(file).map(entry => ({ ...entry, file }));
+    logger.info(`Read ${fileEntries.length} entr${fileEntries.length === 1 ? 'y' : 'ies'} from ${file}`);
+    entries.push(...fileEntries);
+  }
+
+  const existingRows = await store.loadRows();
+  const plan = planImport(entries, existingRows, {
+    source: options.source,
+    status: (options.status || process.env.ACTIVATE_STATUS || 'Pending').trim(),
+    dateAdded: new Date().toISOString(),
+  }, sourceConfig);
+
+  const where = ({ entry }) => `${entry.file}:${entry.line}`;
+
+  if (plan.existing.length > 0) {
+    logger.warn(`Already in lead store (skipped): ${plan.existing.length}`);
+    plan.existing.forEach(item => logger.warn(`  ${item.username} - row ${item.rowIndex} (${where(item)})`));
+  }
+  if (plan.repeated.length > 0) {
+    logger.warn(`Repeated in input (skipped): ${plan.repeated.length}`);
+    plan.repeated.forEach(item => logger.warn(`  ${item.username} (${where(item)})`));
+  }
+  if (plan.invalid.length > 0) {
+    logger.error(`Invalid entries (skipped): ${plan.invalid.length}`);
+    plan.invalid.forEach(item => logger.error(`  "${item.entry.raw}" - ${item.error} (${where(item)})`));
+  }
+
+  if (options.dryRun) {
+    plan.leads.forEach(lead => logger.info(`  would add ${lead.username} (${lead.source})`));
+    logger.success(`Dry run - ${plan.leads.length} new lead(s) would be added`);
+    return 0;
+  }
+
+  if (plan.leads.length > 0) {
+    await store.appendLeads(plan.leads);
+  }
+  if (typeof store.close === 'function') {
+    await store.close();
+  }
+
+  logger.success(`Imported ${plan.leads.length} new lead(s)`);
+  return plan.invalid.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  run()
+    .then(exitCode => process.exit(exitCode))
+    .catch(error => {
+      logger.error(`Import failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  readImportEntries,
+  planImport, // Exported for testing
+};
@@ -0,0 +1,443 @@
+// leadFilter.js
+// Lead filter expressions - decide which rows are eligible for a run (LEAD_FILTER)
+
+/**
+ * Lead Filter Language
+ *
+ * A filter is a boolean expression over a row's fields:
+ *
+ *   status in ("Pending", "Secondary") and source != followers
+ *   and date_added within 14 days and bio is not empty
+ *   and not bio contains ("agency", "reseller")
+ *
+ * Fields: status, source, username, name, bio, date_added
+ *
+ * Clauses:
+ *   field = value              field != value
+ *   field in (v1, v2, ...)     field not in (v1, v2, ...)
+ *   field contains value       field contains (v1, v2, ...)   (substring, any of the values)
+ *   field is empty             field is not empty
+ *   date_added within N days   date_added older than N days
+ *   date_added before YYYY-MM-DD   date_added after YYYY-MM-DD
+ *
+ * Combine clauses with and / or / not and parentheses (not binds tightest, then and, then or).
+ * Values are quoted ("..." or '...') or bare words. Status comparisons are exact (as with
+ * ACTIVATE_STATUS); every other text comparison ignores case. Rows with a missing or unreadable
+ * Date Added never match a date clause.
+ */
+
+/**
+ * Filterable fields: expression name -> row object property
+ */
+const FILTER_FIELDS = {
+  status: 'status',
+  source: 'source',
+  username: 'username',
+  name: 'name',
+  bio: 'bio',
+  date_added: 'dateAdded',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Splits an expression into tokens.
+ *
+ * @param {string} text - Filter expression
+ * @returns {Array<Object>} Tokens of { type: 'word'|'string'|'op'|'punct', value, position }
+ * @throws {Error} On an unterminated string or unexpected character
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '"' || char === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < text.length && text[j] !== char) {
+        if (text[j] === '\\' && j + 1 < text.length) {
+          j++;
+        }
+        value += text[j];
+        j++;
+      }
+      if (j >= text.length) {
+        throw new Error(`Invalid lead filter: unterminated string starting at position ${i + 1}`);
+      }
+      tokens.push({ type: 'string', value, position: i + 1 });
+      i = j + 1;
+    } else if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: 'punct', value: char, position: i + 1 });
+      i++;
+    } else if (char === '=' || (char === '!' && text[i + 1] === '=')) {
+      const value = char === '=' ? '=' : '!=';
+      tokens.push({ type: 'op', value, position: i + 1 });
+      i += value.length;
+    } else {
+      const match = text.slice(i).match(/^[^\s(),="'!]+/);
+      if (!match) {
+        throw new Error(`Invalid lead filter: unexpected "${char}" at position ${i + 1}`);
+      }
+      tokens.push({ type: 'word', value: match[0], position: i + 1 });
+      i += match[0].length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Quotes a value for display in a clause.
+ */
+function formatValue(value) {
+  return /^[\w.@-]+$/.test(value) ? value : `"${value.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Formats a parsed node back into expression text (used in exclusion reasons).
+ *
+ * @param {Object} node - Parsed node
+ * @returns {string} Canonical clause text
+ */
+function formatNode(node) {
+  const list = values => `(${values.map(formatValue).join(', ')})`;
+
+  switch (node.type) {
+    case 'and':
+    case 'or':
+      return node.children
+        .map(child => (child.type === 'and' || child.type === 'or' ? `(${formatNode(child)})` : formatNode(child)))
+        .join(` ${node.type} `);
+    case 'not': {
+      const inner = formatNode(node.child);
+      return node.child.type === 'and' || node.child.type === 'or' ? `not (${inner})` : `not ${inner}`;
+    }
+    case 'equals':
+      return `${node.field} ${node.negated ? '!=' : '='} ${formatValue(node.values[0])}`;
+    case 'in':
+      return `${node.field} ${node.negated ? 'not in' : 'in'} ${list(node.values)}`;
+    case 'contains':
+      return `${node.field} contains ${node.values.length === 1 ? formatValue(node.values[0]) : list(node.values)}`;
+    case 'empty':
+      return `${node.field} is ${node.negated ? 'not empty' : 'empty'}`;
+    case 'within':
+      return `${node.field} within ${node.days} days`;
+    case 'olderThan':
+      return `${node.field} older than ${node.days} days`;
+    case 'before':
+    case 'after':
+      return `${node.field} ${node.type} ${node.dateText}`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Parses a YYYY-MM-DD date in local time.
+ *
+ * @param {string} text - Date text
+ * @returns {number|null} Timestamp, or null if not a valid date
+ */
+function parseLocalDate(text) {
+  const match = String(text).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return date.getMonth() === Number(match[2]) - 1 ? date.getTime() : null;
+}
+
+/**
+ * Reads a row's Date Added as a timestamp. Plain YYYY-MM-DD dates are local midnight;
+ * anything else (ISO timestamps, sheet-formatted dates) goes through Date.parse.
+ *
+ * @param {*} value - Date Added cell value
+ * @returns {number|null} Timestamp, or null if missing or unreadable
+ */
+function parseDateAdded(value) {
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  if (text === '') {
+    return null;
+  }
+  const local = parseLocalDate(text);
+  if (local !== null) {
+    return local;
+  }
+  const parsed = Date.parse(text);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Recursive-descent parser over the token list.
+ */
+function parseTokens(tokens, text) {
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isWord = (token, word) => token && token.type === 'word' && token.value.toLowerCase() === word;
+  const fail = (expected) => {
+    const token = peek();
+    const found = token ? `"${token.value}" at position ${token.position}` : 'end of filter';
+    return new Error(`Invalid lead filter: expected ${expected} but found ${found} in "${text}"`);
+  };
+  const expectWord = (word) => {
+    if (!isWord(peek(), word)) {
+      throw fail(`"${word}"`);
+    }
+    position++;
+  };
+  const expectPunct = (value) => {
+    const token = peek();
+    if (!token || token.type !== 'punct' || token.value !== value) {
+      throw fail(`"${value}"`);
+    }
+    position++;
+  };
+
+  const parseValue = () => {
+    const token = peek();
+    if (!token || (token.type !== 'string' && token.type !== 'word')) {
+      throw fail('a value');
+    }
+    position++;
+    return token.value;
+  };
+
+  const parseValueList = () => {
+    expectPunct('(');
+    const values = [parseValue()];
+    while (peek() && peek().type === 'punct' && peek().value === ',') {
+      position++;
+      values.push(parseValue());
+    }
+    expectPunct(')');
+    return values;
+  };
+
+  const parseDays = () => {
+    const token = peek();
+    const days = token && token.type === 'word' ? Number(token.value) : NaN;
+    if (!Number.isInteger(days) || days < 0) {
+      throw fail('a whole number of days');
+    }
+    position++;
+    if (isWord(peek(), 'days') || isWord(peek(), 'day')) {
+      position++;
+    } else {
+      throw fail('"days"');
+    }
+    return days;
+  };
+
+  const parseComparison = () => {
+    const fieldToken = peek();
+    if (!fieldToken || fieldToken.type !== 'word') {
+      throw fail('a field name');
+    }
+    const field = fieldToken.value.toLowerCase().replace(/[\s-]/g, '_').replace(/^dateadded$/, 'date_added');
+    if (!Object.prototype.hasOwnProperty.call(FILTER_FIELDS, field)) {
+      throw new Error(
+        `Invalid lead filter: unknown field "${fieldToken.value}" at position ${fieldToken.position}. ` +
+        `Valid fields are: ${Object.keys(FILTER_FIELDS).join(', ')}`
+      );
+    }
+    position++;
+
+    const token = peek();
+    if (token && token.type === 'op') {
+      position++;
+      return { type: 'equals', field, negated: token.value === '!=', values: [parseValue()] };
+    }
+    if (isWord(token, 'in')) {
+      position++;
+      return { type: 'in', field, negated: false, values: parseValueList() };
+    }
+    if (isWord(token, 'not')) {
+      position++;
+      expectWord('in');
+      return { type: 'in', field, negated: true, values: parseValueList() };
+    }
+    if (isWord(token, 'contains')) {
+      position++;
+      const next = peek();
+      const values = next && next.type === 'punct' && next.value === '(' ? parseValueList() : [parseValue()];
+      return { type: 'contains', field, values };
+    }
+    if (isWord(token, 'is')) {
+      position++;
+      let negated = false;
+      if (isWord(peek(), 'not')) {
+        negated = true;
+        position++;
+      }
+      expectWord('empty');
+      return { type: 'empty', field, negated };
+    }
+
+    const isDateClause = ['within', 'older', 'before', 'after'].some(word => isWord(token, word));
+    if (isDateClause && field !== 'date_added') {
+      throw new Error(`Invalid lead filter: "${token.value}" only applies to date_added (position ${token.position})`);
+    }
+    if (isWord(token, 'within')) {
+      position++;
+      return { type: 'within', field, days: parseDays() };
+    }
+    if (isWord(token, 'older')) {
+      position++;
+      expectWord('than');
+      return { type: 'olderThan', field, days: parseDays() };
+    }
+    if (isWord(token, 'before') || isWord(token, 'after')) {
+      position++;
+      const dateText = parseValue();
+      const date = parseLocalDate(dateText);
+      if (date === null) {
+        throw new Error(`Invalid lead filter: "${dateText}" is not a YYYY-MM-DD date`);
+      }
+      return { type: token.value.toLowerCase(), field, dateText, date };
+    }
+
+    throw fail('=, !=, in, not in, contains, is, within, older than, before or after');
+  };
+
+  const parseUnary = () => {
+    if (isWord(peek(), 'not')) {
+      position++;
+      return { type: 'not', child: parseUnary() };
+    }
+    const token = peek();
+    if (token && token.type === 'punct' && token.value === '(') {
+      position++;
+      const node = parseOr();
+      expectPunct(')');
+      return node;
+    }
+    return parseComparison();
+  };
+
+  const parseBinary = (type, parseOperand) => () => {
+    const children = [parseOperand()];
+    while (isWord(peek(), type)) {
+      position++;
+      children.push(parseOperand());
+    }
+    return children.length === 1 ? children[0] : { type, children };
+  };
+
+  const parseAnd = parseBinary('and', parseUnary);
+  const parseOr = parseBinary('or', parseAnd);
+
+  if (tokens.length === 0) {
+    throw new Error('Invalid lead filter: expression is empty');
+  }
+
+  const root = parseOr();
+  if (position < tokens.length) {
+    throw fail('"and", "or" or the end of the filter');
+  }
+  return root;
+}
+
+/**
+ * Evaluates a node against a row.
+ *
+ * @param {Object} node - Parsed node
+ * @param {Object} row - Row object
+ * @param {number} now - Reference time for relative date clauses
+ * @returns {Object} { matched, clause } - clause is the text of the clause that failed (null when matched)
+ */
+function evaluate(node, row, now) {
+  const result = matched => ({ matched, clause: matched ? null : formatNode(node) });
+  const text = () => String(row[FILTER_FIELDS[node.field]] || '').trim();
+  const equals = value => (node.field === 'status' ? text() === value.trim() : text().toLowerCase() === value.trim().toLowerCase());
+
+  switch (node.type) {
+    case 'and':
+      for (const child of node.children) {
+        const childResult = evaluate(child, row, now);
+        if (!childResult.matched) {
+          return childResult;
+        }
+      }
+      return { matched: true, clause: null };
+    case 'or':
+      return result(node.children.some(child => evaluate(child, row, now).matched));
+    case 'not':
+      return result(!evaluate(node.child, row, now).matched);
+    case 'equals':
+      return result(equals(node.values[0]) !== node.negated);
+    case 'in':
+      return result(node.values.some(equals) !== node.negated);
+    case 'contains':
+      return result(node.values.some(value => text().toLowerCase().includes(value.toLowerCase())));
+    case 'empty':
+      return result((text() === '') !== node.negated);
+    default: {
+      const added = parseDateAdded(row[FILTER_FIELDS[node.field]]);
+      if (added === null) {
+        return { matched: false, clause: `${formatNode(node)} (Date Added missing or unreadable)` };
+      }
+      if (node.type === 'within') {
+        return result(added >= now - node.days * DAY_MS);
+      }
+      if (node.type === 'olderThan') {
+        return result(added < now - node.days * DAY_MS);
+      }
+      if (node.type === 'before') {
+        return result(added < node.date);
+      }
+      // after: any time on a later day
+      return result(added >= node.date + DAY_MS);
+    }
+  }
+}
+
+/**
+ * Compiles a filter expression.
+ *
+ * @param {string} text - Filter expression (see the language description above)
+ * @returns {Object} Compiled filter with:
+ *   - text: canonical expression text
+ *   - test(row, [now]): { matched, clause } - clause names what excluded the row
+ * @throws {Error} If the expression is invalid (message includes the position)
+ */
+function compileLeadFilter(text) {
+  const source = String(text === undefined || text === null ? '' : text).trim();
+  const root = parseTokens(tokenize(source), source);
+
+  return {
+    text: formatNode(root),
+    test: (row, now = Date.now()) => evaluate(root, row, now),
+  };
+}
+
+/**
+ * Builds the filter equivalent to the ACTIVATE_STATUS / SOURCE_MODE pair.
+ *
+ * @param {string} status - Status to match (exact)
+ * @param {string|Array<string>} sourceMode - Source value, or list of source values ('all' matches every source)
+ * @returns {Object} Compiled filter (see compileLeadFilter)
+ */
+function buildStatusFilter(status, sourceMode = 'all') {
+  const quote = value => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+  const sources = sourceMode && sourceMode !== 'all' ? [].concat(sourceMode) : [];
+  let sourceClause = '';
+  if (sources.length === 1) {
+    sourceClause = ` and source = ${quote(sources[0])}`;
+  } else if (sources.length > 1) {
+    sourceClause = ` and source in (${sources.map(quote).join(', ')})`;
+  }
+  return compileLeadFilter(`status = ${quote(status)}${sourceClause}`);
+}
+
+module.exports = {
+  compileLeadFilter,
+  buildStatusFilter,
+  parseDateAdded,
+  FILTER_FIELDS,
+};
@@ -0,0 +1,162 @@
+// leadScoring.js
+// Lead prioritization - scores eligible rows so MAX_DRAFT is spent on the best leads first
+
+require('dotenv').config();
+const { parseDateAdded } = require('./leadFilter');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Default window over which the recency bonus fades to zero
+ */
+const DEFAULT_RECENCY_DAYS = 30;
+
+/**
+ * Parses a comma-separated list of "key:weight" pairs (e.g. "comments:3,likes:1").
+ * Keys are trimmed and lowercased; weights may be negative to push leads down.
+ *
+ * @param {string} value - Raw value
+ * @param {string} name - Variable name (for error messages)
+ * @returns {Object} key -> weight
+ * @throws {Error} If a pair is malformed or a weight is not a number
+ */
+function parseWeightList(value, name) {
+  const weights = {};
+  if (!value || value.trim() === '') {
+    return weights;
+  }
+
+  value.split(',').forEach(pair => {
+    const separator = pair.lastIndexOf(':');
+    const key = separator === -1 ? '' : pair.slice(0, separator).trim().toLowerCase();
+    const weight = separator === -1 ? NaN : Number(pair.slice(separator + 1).trim());
+
+    if (!key || pair.slice(separator + 1).trim() === '' || !Number.isFinite(weight)) {
+      throw new Error(`${name} entries must be "name:weight" pairs with a numeric weight. Received: "${pair.trim()}"`);
+    }
+    weights[key] = weight;
+  });
+
+  return weights;
+}
+
+/**
+ * Parses a single numeric weight.
+ *
+ * @param {string} value - Raw value
+ * @param {string} name - Variable name (for error messages)
+ * @param {number} defaultValue - Value when unset
+ * @returns {number} Weight
+ * @throws {Error} If the value is not a number
+ */
+function parseWeight(value, name, defaultValue) {
+  if (value === undefined || value === null || value.trim() === '') {
+    return defaultValue;
+  }
+  const weight = Number(value.trim());
+  if (!Number.isFinite(weight)) {
+    throw new Error(`${name} must be a number. Received: "${value}"`);
+  }
+  return weight;
+}
+
+/**
+ * Loads the scoring weights from the environment:
+ *   - SCORE_SOURCE_WEIGHTS: "source:weight" pairs, e.g. "comments:3,likes:1"
+ *   - SCORE_RECENCY_WEIGHT: points for a lead added today, fading to 0 over SCORE_RECENCY_DAYS (default 30)
+ *   - SCORE_BIO_KEYWORDS: "keyword:weight" pairs matched in the bio (case-insensitive), e.g. "coach:2"
+ *   - SCORE_NAME_WEIGHT: points when the lead's Name is known
+ *
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {Object} { sourceWeights, recencyWeight, recencyDays, bioKeywords, nameWeight, enabled }
+ * @throws {Error} If any value is invalid
+ */
+function loadScoringConfig(env = process.env) {
+  const config = {
+    sourceWeights: parseWeightList(env.SCORE_SOURCE_WEIGHTS, 'SCORE_SOURCE_WEIGHTS'),
+    recencyWeight: parseWeight(env.SCORE_RECENCY_WEIGHT, 'SCORE_RECENCY_WEIGHT', 0),
+    recencyDays: parseWeight(env.SCORE_RECENCY_DAYS, 'SCORE_RECENCY_DAYS', DEFAULT_RECENCY_DAYS),
+    bioKeywords: parseWeightList(env.SCORE_BIO_KEYWORDS, 'SCORE_BIO_KEYWORDS'),
+    nameWeight: parseWeight(env.SCORE_NAME_WEIGHT, 'SCORE_NAME_WEIGHT', 0),
+  };
+
+  if (config.recencyDays <= 0) {
+    throw new Error(`SCORE_RECENCY_DAYS must be a positive number. Received: "${env.SCORE_RECENCY_DAYS}"`);
+  }
+
+  config.enabled = Object.keys(config.sourceWeights).length > 0 ||
+    Object.keys(config.bioKeywords).length > 0 ||
+    config.recencyWeight !== 0 ||
+    config.nameWeight !== 0;
+
+  return config;
+}
+
+/**
+ * Scores one row.
+ *
+ * @param {Object} row - Row object
+ * @param {Object} config - Scoring config from loadScoringConfig()
+ * @param {number} [now] - Reference time for recency
+ * @param {Object} [sources] - Source configuration (see sourceConfig.loadSourceConfig); when given, an alias
+ *   in the Source cell or in SCORE_SOURCE_WEIGHTS is weighted as the source it stands for
+ * @returns {Object} { score, parts } - parts lists each contribution as { label, points }
+ */
+function scoreLead(row, config, now = Date.now(), sources = null) {
+  const parts = [];
+  const add = (label, points) => {
+    if (points !== 0) {
+      parts.push({ label, points });
+    }
+  };
+
+  const canonical = name => (sources && sources.normalizeSource(name)) || name;
+  const source = canonical(String(row.source || '').trim().toLowerCase());
+  const weightKey = Object.keys(config.sourceWeights).find(key => canonical(key) === source);
+  if (source && weightKey !== undefined) {
+    add(`source ${source}`, config.sourceWeights[weightKey]);
+  }
+
+  if (config.recencyWeight !== 0) {
+    const added = parseDateAdded(row.dateAdded);
+    if (added !== null) {
+      const ageDays = Math.max(0, (now - added) / DAY_MS);
+      add('recency', config.recencyWeight * Math.max(0, 1 - ageDays / config.recencyDays));
+    }
+  }
+
+  const bio = String(row.bio || '').toLowerCase();
+  Object.entries(config.bioKeywords).forEach(([keyword, weight]) => {
+    if (bio.includes(keyword)) {
+      add(`bio "${keyword}"`, weight);
+    }
+  });
+
+  if (config.nameWeight !== 0 && String(row.name || '').trim() !== '') {
+    add('name', config.nameWeight);
+  }
+
+  const score = parts.reduce((sum, part) => sum + part.points, 0);
+  return { score, parts };
+}
+
+/**
+ * Formats a score for logs, e.g. "4.5 (source comments +3, recency +1.5)".
+ *
+ * @param {Object} result - Result of scoreLead()
+ * @returns {string} Score with its breakdown
+ */
+function formatScore(result) {
+  const round = value => String(Math.round(value * 100) / 100);
+  const breakdown = result.parts
+    .map(part => `${part.label} ${part.points >= 0 ? '+' : ''}${round(part.points)}`)
+    .join(', ');
+  return breakdown ? `${round(result.score)} (${breakdown})` : round(result.score);
+}
+
+module.exports = {
+  loadScoringConfig,
+  scoreLead,
+  formatScore,
+  parseWeightList, // Exported for testing
+};
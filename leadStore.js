@@ -0,0 +1,174 @@
+// leadStore.js
+// Lead store adapter layer - the orchestrator talks to a LeadStore, never to a backend directly
+
+require('dotenv').config();
+const { loadDatabaseRows, appendLeadRows, loadHistoryRows } = require('./sheetsManager');
+const { createSheetsWriteQueue } = require('./sheetsWriteQueue');
+const { createCsvLeadStore } = require('./csvLeadStore');
+const { createSqliteLeadStore } = require('./sqliteLeadStore');
+
+/**
+ * LeadStore interface
+ *
+ * Every backend factory returns an object with:
+ *   - name: string identifying the backend (e.g. "sheets")
+ *   - target: string identifying where it reads and writes (worksheet name or file path);
+ *       passed back to the factory as options.sheetName / options.path to reopen the same store
+ *   - loadRows(): Promise<Array<Object>> - rows in the shape returned by sheetsManager.loadDatabaseRows()
+ *   - updateRowOutcome(row, outcome): Promise<number> - writes the outcome of processing one row,
+ *       resolving with the row index written once the write is durable (backends that write in the
+ *       background resolve on flush)
+ *       row: row object previously returned by loadRows()
+ *       outcome: { sessionId, dateSent, message, status, [reason], [followUp: { step, nextDue }] }
+ *       Backends must preserve Date Sent and Message for the statuses in sheetsManager.preservesDateAndMessage,
+ *       store reason as the Status Reason (cleared when absent) where they have that field, and
+ *       store followUp as Follow-up Step / Next Follow-up (left unchanged when absent) where they have those fields
+ *       Backends must check that the target row still holds row.username before writing: a lead whose
+ *       row moved is written to its new row, otherwise the write is rejected with a ROW_CONFLICT error
+ *       (see sheetsManager.locateLeadRow)
+ *   - appendHistory(entry): Promise<void> - records one outcome in the backend's history (if any)
+ *       entry: { timestamp, sessionId, username, rowIndex, status, flow, error }
+ *
+ * Backends may also provide:
+ *   - loadHistory(filter): Promise<Array<Object>> - recorded history entries, oldest first
+ *       filter: { [username], [sessionId] }
+ *   - appendLeads(leads): Promise<number> - adds new lead rows at the end
+ *       leads: Array<{ username, dateAdded, source, status, name, bio }>
+ *   - flush(): Promise<void> - pushes any queued writes now
+ *   - close(): Promise<Object|void> - drains queued writes and releases open handles;
+ *       background writers resolve with { failed: Array<Object> } listing writes that never landed
+ */
+
+/**
+ * Creates the Google Sheets lead store (default backend).
+ * Reads GOOGLE_SHEET_ID / GOOGLE_SHEET_NAME from the environment via sheetsManager.
+ * Writes go through a background queue (see sheetsWriteQueue.js) and are batched per flush.
+ * History is read from and written to GOOGLE_HISTORY_SHEET_NAME when it is set.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.sheetName] - Worksheet name (defaults to GOOGLE_SHEET_NAME)
+ * @returns {Object} LeadStore implementation backed by Google Sheets
+ */
+function createSheetsLeadStore(options = {}) {
+  const sheetName = options.sheetName || process.env.GOOGLE_SHEET_NAME;
+  const writeQueue = createSheetsWriteQueue({ sheetName });
+
+  return {
+    name: 'sheets',
+    target: sheetName,
+
+    async loadRows() {
+      return loadDatabaseRows(sheetName);
+    },
+
+    updateRowOutcome(row, outcome) {
+      return writeQueue.enqueueRowUpdate(row, outcome);
+    },
+
+    appendHistory(entry) {
+      return writeQueue.enqueueHistory(entry);
+    },
+
+    async loadHistory(filter) {
+      return loadHistoryRows(filter);
+    },
+
+    appendLeads(leads) {
+      return appendLeadRows(sheetName, leads);
+    },
+
+    flush() {
+      return writeQueue.flush();
+    },
+
+    close() {
+      return writeQueue.close();
+    },
+  };
+}
+
+/**
+ * Registered lead store factories, keyed by LEAD_STORE value
+ */
+const LEAD_STORE_FACTORIES = {
+  sheets: createSheetsLeadStore,
+  csv: createCsvLeadStore,
+  sqlite: createSqliteLeadStore,
+};
+
+/**
+ * Valid LEAD_STORE values
+ */
+const VALID_LEAD_STORES = Object.keys(LEAD_STORE_FACTORIES);
+
+/**
+ * Resolves the configured lead store type from LEAD_STORE.
+ * Defaults to "sheets" when not provided (for backward compatibility).
+ *
+ * @returns {string} Normalized lead store type (lowercase)
+ * @throws {Error} If LEAD_STORE names an unknown backend
+ */
+function resolveLeadStoreType() {
+  const leadStore = process.env.LEAD_STORE;
+
+  if (!leadStore || typeof leadStore !== 'string' || leadStore.trim() === '') {
+    return 'sheets';
+  }
+
+  const normalized = leadStore.trim().toLowerCase();
+
+  if (!VALID_LEAD_STORES.includes(normalized)) {
+    throw new Error(
+      `Invalid LEAD_STORE value: "${leadStore}". ` +
+      `Valid values are: ${VALID_LEAD_STORES.join(', ')}`
+    );
+  }
+
+  return normalized;
+}
+
+/**
+ * Creates a lead store of the given type.
+ *
+ * @param {string} [type] - Backend type (defaults to LEAD_STORE)
+ * @param {Object} [options] - Backend-specific options passed to the factory
+ * @returns {Object} LeadStore implementation
+ * @throws {Error} If the type is unknown
+ */
+function createLeadStore(type = resolveLeadStoreType(), options = {}) {
+  const factory = LEAD_STORE_FACTORIES[type];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown lead store: "${type}". ` +
+      `Valid values are: ${VALID_LEAD_STORES.join(', ')}`
+    );
+  }
+
+  return factory(options);
+}
+
+/**
+ * Shared lead store instance for this process
+ */
+let defaultLeadStore = null;
+
+/**
+ * Returns the lead store selected by LEAD_STORE, creating it on first use.
+ *
+ * @returns {Object} LeadStore implementation
+ */
+function getLeadStore() {
+  if (!defaultLeadStore) {
+    defaultLeadStore = createLeadStore();
+  }
+
+  return defaultLeadStore;
+}
+
+module.exports = {
+  createLeadStore,
+  getLeadStore,
+  resolveLeadStoreType,
+  VALID_LEAD_STORES,
+};
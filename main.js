@@ -5,13 +5,22 @@ require('dotenv').config();
 const { chromium } = require('playwright');
 const { performance } = require('perf_hooks');
 const { validateEnv } = require('./envValidator');
-const { loadDatabaseRows } = require('./sheetsManager');
+const { createLeadStore } = require('./leadStore');
+const { loadCampaigns } = require('./campaigns');
+const { createOutcomeJournal } = require('./outcomeJournal');
+const { createSuppressionList } = require('./suppressionList');
+const { loadLastContacts } = require('./contactHistory');
+const { getFollowUpStep, scheduleNextFollowUp, listSentMessages } = require('./followUps');
+const { formatFallbackTier } = require('./fallbackTiers');
+const { chooseTemplate, listFirstContactTemplates } = require('./templateLibrary');
+const { compileTemplate, isBurstTemplate } = require('./templateEngine');
+const { isRowConflictError } = require('./sheetsManager');
 const { loadFilteredDatabase } = require('./databaseLoader');
-const { updateDraftData } = require('./sheetsManager');
+const { formatScore } = require('./leadScoring');
 const { openDMController } = require('./dmFlowController');
-const { detectExistingConversation } = require('./conversationDetector');
+const { detectExistingConversation, detectReply } = require('./conversationDetector');
 const { draftMessage } = require('./messageDrafter');
-const { extractFirstName, buildDraftMessage } = require('./messageBuilder');
+const { extractFirstName, buildDraftMessages } = require('./messageBuilder');
 const { humanDelay } = require('./utils');
 const logger = require('./logger');
 
@@ -58,6 +67,134 @@ function formatRunDuration(ms) {
   }
 }
 
+/**
+ * Records the outcome of processing a row: updates the lead store row and appends a history entry.
+ * The outcome is journaled locally first; each part is acknowledged in the journal once the store
+ * has it, so anything that never lands can be pushed later with `npm run replay`.
+ * Does not wait for the write - background stores (sheets) only land it on their next flush,
+ * so the browser keeps working meanwhile. Success and failure are logged when the write settles.
+ * History failures are logged but never count as a failed row update.
+ * Writes refused because the row no longer holds this lead (ROW_CONFLICT) are reported as conflicts.
+ * 
+ * @param {Object} store - LeadStore implementation
+ * @param {Object} journal - Outcome journal (see outcomeJournal.js)
+ * @param {Object} row - Row object from the lead store
+ * @param {Object} outcome - { sessionId, dateSent, message, status, [reason], [followUp], [templateId], [variant] }
+ * @param {Object} [details] - Extra history details
+ * @param {string} [details.flow] - DM flow used (flow1, flow2, none)
+ * @param {string} [details.error] - Failure reason, if any
+ * @returns {Promise<string>} Resolves "written", "conflict" or "failed" once the row update settles (never rejects)
+ */
+function recordOutcome(store, journal, row, outcome, details = {}) {
+  const historyEntry = {
+    timestamp: new Date().toISOString(),
+    sessionId: outcome.sessionId,
+    username: row.username,
+    rowIndex: row.rowIndex,
+    status: outcome.status,
+    flow: details.flow || '',
+    error: details.error || '',
+  };
+  
+  let journalId = null;
+  try {
+    journalId = journal.record({ store: store.name, target: store.target, row, outcome, history: historyEntry });
+  } catch (journalError) {
+    logger.error(`Failed to journal outcome for ${row.username} - writing to lead store only: ${journalError.message}`);
+  }
+  
+  const acknowledge = (part, ackDetails) => {
+    if (!journalId) {
+      return;
+    }
+    try {
+      journal.acknowledge(journalId, part, ackDetails);
+    } catch (ackError) {
+      logger.warn(`Failed to acknowledge journaled ${part} for ${row.username}: ${ackError.message}`);
+    }
+  };
+  
+  const rowWrite = Promise.resolve()
+    .then(() => store.updateRowOutcome(row, outcome))
+    .then((writtenRowIndex) => {
+      const rowIndex = Number.isInteger(writtenRowIndex) ? writtenRowIndex : row.rowIndex;
+      acknowledge('row', { rowIndex });
+      logger.success(`Updated lead store for ${row.username} (row ${rowIndex}) - Status: ${outcome.status}, Session ID: ${outcome.sessionId}`);
+      return 'written';
+    }, (updateError) => {
+      if (isRowConflictError(updateError)) {
+        logger.error(`Row conflict - outcome not written for ${row.username} (${outcome.status}): ${updateError.message}`);
+        return 'conflict';
+      }
+      logger.error(`Failed to update lead store for ${row.username}: ${updateError.message}`);
+      return 'failed';
+    });
+  
+  const historyWrite = Promise.resolve()
+    .then(() => store.appendHistory(historyEntry))
+    .then(() => acknowledge('history'))
+    .catch((historyError) => {
+      logger.warn(`Failed to append history for ${row.username}: ${historyError.message}`);
+    });
+  
+  return Promise.all([rowWrite, historyWrite]).then(([result]) => result);
+}
+
+/**
+ * Drains the lead stores' queued writes and waits for every recorded outcome to settle.
+ * When every row update was written, the outcome journal is compacted so it does not grow forever
+ * (outcomes with a part still unacknowledged, e.g. a failed history row, are kept for replay).
+ * 
+ * @param {Array<Object>} stores - LeadStore implementations used in this run
+ * @param {Array<Promise<string>>} outcomeWrites - Promises returned by recordOutcome()
+ * @param {Object} journal - Outcome journal the outcomes were recorded in (see outcomeJournal.js)
+ * @returns {Promise<Object>} { failed, conflicts } - row updates that failed / were refused as row conflicts
+ */
+async function flushOutcomeWrites(stores, outcomeWrites, journal) {
+  for (const store of stores) {
+    if (typeof store.close === 'function') {
+      try {
+        await store.close();
+      } catch (closeError) {
+        logger.error(`Failed to flush lead store (${store.target || store.name}): ${closeError.message}`);
+      }
+    }
+  }
+  
+  const results = await Promise.all(outcomeWrites);
+  const writeResults = {
+    failed: results.filter(result => result === 'failed').length,
+    conflicts: results.filter(result => result === 'conflict').length,
+  };
+  
+  if (writeResults.failed === 0 && writeResults.conflicts === 0) {
+    try {
+      journal.compact();
+    } catch (compactError) {
+      logger.warn(`Failed to compact the outcome journal (${journal.path}): ${compactError.message}`);
+    }
+  }
+  
+  return writeResults;
+}
+
+/**
+ * Logs the outcome of flushOutcomeWrites().
+ * 
+ * @param {Object} writeResults - { failed, conflicts } from flushOutcomeWrites()
+ */
+function logWriteFailures(writeResults) {
+  if (writeResults.failed > 0) {
+    logger.error(`${writeResults.failed} lead store write(s) failed - see errors above`);
+  }
+  if (writeResults.conflicts > 0) {
+    logger.error(`${writeResults.conflicts} outcome(s) not written because their row changed mid-run (see row conflicts above)`);
+  }
+  if (writeResults.failed > 0 || writeResults.conflicts > 0) {
+    logger.info('Unwritten outcomes are kept in the outcome journal - run "npm run replay" to push them once resolved');
+  }
+}
+
 /**
  * Initializes browser with persistent context
  * @returns {Promise<Object>} { browser } - Browser context (no page created)
@@ -104,10 +241,16 @@ async function navigateToProfile(page, username) {
  * Processes a single user: opens DM, checks conversation, drafts message, optionally sends
  * @param {Object} page - Playwright page object
  * @param {Object} row - User row data from database (must include username and message)
- * @param {Object} config - Configuration object with detectConversation, sendMessage
- * @returns {Promise<Object>} Result object with success status and details
+ * @param {Object} config - Configuration object with detectConversation, sendMessage, suppression, followUps
+ *   (and firstContactTemplates for a follow-up, see templateLibrary.listFirstContactTemplates)
+ * @param {Object} [followUp] - Follow-up step due for this lead ({ step, days, message }); the thread is
+ *   checked for a reply instead of an existing conversation, and the step's message is drafted
+ * @returns {Promise<Object>} Result object with success status and details (result.suppressed holds
+ *   the registry entry when the username is on the do-not-contact list; result.replied is true when
+ *   the lead answered and the sequence should stop; result.partial is true when only some messages
+ *   of a multi-message template were sent)
  */
-async function processUser(page, row, config) {
+async function processUser(page, row, config, followUp = null) {
   const { username, rowIndex } = row;
   const result = {
     username,
@@ -116,6 +259,7 @@ async function processUser(page, row, config) {
     skipped: false,
     error: null,
     message: null,
+    flow: null,
   };
   
   try {
@@ -126,6 +270,16 @@ async function processUser(page, row, config) {
       return result;
     }
     
+    // Re-check the do-not-contact registry right before contacting (it may have changed mid-run)
+    if (config.suppression) {
+      const suppressedEntry = await config.suppression.check(username);
+      if (suppressedEntry) {
+        result.suppressed = suppressedEntry;
+        logger.warn(`Not contacting ${username}: suppressed (${suppressedEntry.reason})`);
+        return result;
+      }
+    }
+    
     // Validate DRAFT_MESSAGE template
     if (!config.draftMessage || typeof config.draftMessage !== 'string' || config.draftMessage.trim() === '') {
       result.error = 'DRAFT_MESSAGE is required and must be non-empty';
@@ -139,6 +293,7 @@ async function processUser(page, row, config) {
     // Open DM interface
     logger.info(`Opening DM for ${username}...`);
     const dmResult = await openDMController(page);
+    result.flow = dmResult.used;
     
     if (!dmResult.success) {
       result.error = `Failed to open DM: ${dmResult.error || 'Unknown error'}`;
@@ -151,8 +306,29 @@ async function processUser(page, row, config) {
     // Wait a bit for DM to fully load
     await humanDelay(1000, 2000);
     
-    // Check for existing conversation (if enabled)
-    if (config.detectConversation) {
+    // Follow-up: stop the sequence if the lead has written back since the last step
+    let firstName;
+    if (followUp) {
+      logger.info(`Checking ${username} for a reply before follow-up step ${followUp.step}...`);
+      firstName = await extractFirstName({ page, username });
+      const sentMessages = listSentMessages(row, firstName, config.firstContactTemplates || [config.draftMessage], config.followUps, followUp);
+      const replyResult = await detectReply(page, sentMessages);
+      
+      if (replyResult.replied === null) {
+        result.error = `Reply detection failed: ${replyResult.error || 'Unknown error'}`;
+        logger.error(`Not sending follow-up to ${username}: ${result.error}`);
+        return result;
+      }
+      if (replyResult.replied) {
+        result.replied = true;
+        result.error = `Reply detected (${replyResult.messageCount} message(s) not sent by us)`;
+        logger.warn(`Stopping sequence for ${username}: ${result.error}`);
+        return result;
+      }
+      
+      logger.info(`No reply from ${username} - sending follow-up step ${followUp.step}`);
+    } else if (config.detectConversation) {
+      // Check for existing conversation (if enabled)
       logger.info(`Checking for existing conversation with ${username}...`);
       const conversationResult = await detectExistingConversation(page);
       
@@ -169,22 +345,26 @@ async function processUser(page, row, config) {
     }
     
     // Extract first name and build message with name insertion
-    logger.info(`Extracting first name for ${username}...`);
-    const firstName = await extractFirstName({ page, username });
+    if (firstName === undefined) {
+      logger.info(`Extracting first name for ${username}...`);
+      firstName = await extractFirstName({ page, username });
+    }
     
-    // Build message using DRAFT_MESSAGE template with name insertion
-    const messageText = buildDraftMessage({
+    // Build message using DRAFT_MESSAGE (or the follow-up step's) template with name insertion
+    // (a template split with {{break}} gives several messages, sent one after another)
+    const messages = buildDraftMessages({
       firstName: firstName,
-      messageTemplate: config.draftMessage,
+      messageTemplate: followUp ? followUp.message : config.draftMessage,
       separator: '!', // Default separator as per existing logic
+      lead: row, // name, username and source for {{ }} placeholders
     });
     
-    logger.info(`Built message for ${username}${firstName ? ` (with name: ${firstName})` : ''}`);
+    logger.info(`Built ${messages.length > 1 ? `${messages.length} messages` : 'message'} for ${username}${firstName ? ` (with name: ${firstName})` : ''}`);
     
     // Draft the message (and optionally send it)
     logger.info(`Drafting message for ${username}...`);
     const draftResult = await draftMessage(page, {
-      messageText: messageText, // Use DRAFT_MESSAGE template with name insertion
+      messages: messages, // Use DRAFT_MESSAGE template with name insertion
       sendMessage: config.sendMessage,
     });
     
@@ -202,9 +382,14 @@ async function processUser(page, row, config) {
       result.sent = draftResult.sent || false;
       if (result.sent) {
         logger.success(`Message drafted and sent successfully for ${username}`);
+      } else if (draftResult.partial) {
+        // Some messages of the burst reached the lead - recorded apart from a send that never happened
+        result.partial = true;
+        result.error = `Sent ${draftResult.sentParts} of ${draftResult.parts} messages - ${draftResult.error}`;
+        logger.error(`Burst only partially sent for ${username}: ${result.error}`);
       } else {
         logger.error(`Message drafted but sending failed for ${username}`);
-        result.error = 'Message send failed - bubble not detected after retry';
+        result.error = draftResult.error || 'Message send failed - bubble not detected after retry';
       }
     } else {
       logger.success(`Message drafted successfully for ${username} (not sent)`);
@@ -248,17 +433,45 @@ async function run() {
       config = validateEnv();
       logger.success('Environment validation passed');
       logger.info(`Instagram username: ${config.instagramUsername}`);
-      logger.info(`Sheet: ${config.sheetName} (ID: ${config.sheetId})`);
-      logger.info(`Source mode: ${config.sourceMode}`);
-      logger.info(`Activate status: ${config.activateStatus}`);
+      logger.info(`Lead store: ${config.leadStore}`);
+      if (config.campaignsPath) {
+        logger.info(`Campaigns: ${config.campaignsPath}`);
+      } else if (config.leadStore === 'sheets') {
+        logger.info(`Sheet: ${config.sheetName} (ID: ${config.sheetId})`);
+      } else {
+        logger.info(`Lead file: ${config.leadStorePath}`);
+      }
+      if (config.leadFilter) {
+        logger.info(`Lead filter: ${config.leadFilter}`);
+      } else {
+        const selectedSources = config.sources.resolveSourceMode(config.sourceMode);
+        const expanded = Array.isArray(selectedSources) && selectedSources.join(',') !== config.sourceMode ? ` (${selectedSources.join(', ')})` : '';
+        logger.info(`Source mode: ${config.sourceMode}${expanded}`);
+        logger.info(`Activate status: ${config.activateStatus}`);
+      }
       if (config.enableFallback) {
         logger.info(`Fallback enabled: true`);
-        logger.info(`Fallback status: ${config.fallbackStatus}`);
+        config.fallbacks.forEach(tier => {
+          const extras = [tier.max ? `max ${tier.max}` : null, tier.draftMessage ? 'own template' : null].filter(Boolean);
+          logger.info(`  ${formatFallbackTier(tier, config.fallbacks.length)}${extras.length > 0 ? ` - ${extras.join(', ')}` : ''}`);
+        });
       } else {
         logger.info(`Fallback enabled: false`);
       }
       logger.info(`Max draft: ${config.maxDraft}`);
       logger.info(`Max process: ${config.maxProcess}`);
+      logger.info(`Lead scoring: ${config.scoring.enabled ? 'on (rows ordered by score)' : 'off (sheet order)'}`);
+      logger.info(`Contact cooldown: ${config.contactCooldownDays ? `${config.contactCooldownDays} days (from recorded history)` : 'off'}`);
+      logger.info(`Follow-ups: ${config.followUps.length > 0 ? `${config.followUps.length} step(s) after the first message` : 'off'}`);
+      if (config.templates) {
+        const mapped = [...config.templates.sources].map(([source, id]) => `${source} -> ${id}`);
+        const experiments = [...config.templates.templates].filter(([, variants]) => variants.length > 1)
+          .map(([id, variants]) => `${id} (${variants.length} variants)`);
+        logger.info(`Template library: ${config.templates.path} (${config.templates.templates.size} template(s)${mapped.length > 0 ? `; ${mapped.join(', ')}` : ''})`);
+        if (experiments.length > 0) {
+          logger.info(`Message experiments: ${experiments.join(', ')}`);
+        }
+      }
       logger.info(`Detect conversation: ${config.detectConversation}`);
       logger.info(`Send message: ${config.sendMessage}`);
     } catch (error) {
@@ -266,66 +479,224 @@ async function run() {
       throw error;
     }
     
-    // --- STEP 2: Load All Rows ---
-    logger.section('Loading Database Rows');
-    let allRows;
+    // --- STEP 2: Load Campaigns ---
+    logger.section('Loading Campaigns');
+    let campaigns;
     try {
-      allRows = await loadDatabaseRows();
-      logger.info(`Loaded ${allRows.length} total rows from Google Sheets`);
+      campaigns = loadCampaigns(config);
+      logger.info(`Campaigns this run: ${campaigns.map(campaign => campaign.name).join(', ')}`);
     } catch (error) {
-      logger.error(`Failed to load database rows: ${error.message}`);
+      logger.error(`Failed to load campaigns: ${error.message}`);
       throw error;
     }
     
-    // --- STEP 3: Filter + Dedupe ---
-    logger.section('Filtering and Deduplication');
-    let filteredRows;
-    let filterStats;
+    // --- Load the do-not-contact registry (a run never starts without it) ---
+    const suppression = createSuppressionList();
+    let suppressedUsernames;
     try {
-      const filterResult = await loadFilteredDatabase();
-      filteredRows = filterResult.rows;
-      filterStats = filterResult.stats;
+      suppressedUsernames = await suppression.load();
+      logger.info(`Suppression list: ${suppressedUsernames.size} username(s) (${suppression.path}` +
+        `${suppression.sheetName ? ` + sheet "${suppression.sheetName}"` : ''})`);
+    } catch (error) {
+      logger.error(`Failed to load suppression list: ${error.message}`);
+      throw error;
+    }
+    
+    const stores = [];
+    const journal = createOutcomeJournal();
+    const outcomeWrites = [];
+    
+    // Ctrl+C mid-run: push queued outcomes before exiting so nothing sent goes unrecorded
+    process.once('SIGINT', async () => {
+      logger.warn('Received SIGINT - flushing pending lead store writes before exit...');
+      logWriteFailures(await flushOutcomeWrites(stores, outcomeWrites, journal));
+      process.exit(130);
+    });
+    
+    campaigns.forEach(campaign => stores.push(createLeadStore(config.leadStore, campaign.storeOptions)));
+    
+    // --- Load the last contact with each username from every campaign's history (CONTACT_COOLDOWN_DAYS) ---
+    let lastContacts = new Map();
+    if (config.contactCooldownDays) {
+      try {
+        lastContacts = await loadLastContacts(stores, journal);
+        logger.info(`Contact history: ${lastContacts.size} username(s) contacted before`);
+      } catch (error) {
+        logger.error(`Failed to load contact history: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    // --- STEP 3: Load, Filter + Dedupe Each Campaign ---
+    // Campaigns are selected in order; a username selected by an earlier campaign is excluded
+    // from later ones, so nobody is messaged twice in the same run
+    const campaignRuns = [];
+    const selectedUsernames = new Set();
+    let suppressedCount = 0;
+    let invalidCount = 0;
+    
+    for (const [campaignIndex, campaign] of campaigns.entries()) {
+      logger.section(`Loading and Filtering - ${campaign.name}`);
+      const store = stores[campaignIndex];
       
-      logger.info(`Primary eligible: ${filterStats.primaryEligible} rows`);
-      if (config.enableFallback) {
-        logger.info(`Fallback eligible: ${filterStats.fallbackEligible} rows`);
-        logger.info(`Selected from primary: ${filterStats.selectedPrimary} rows`);
-        logger.info(`Selected from fallback: ${filterStats.selectedFallback} rows`);
+      let allRows;
+      try {
+        allRows = await store.loadRows();
+        logger.info(`Loaded ${allRows.length} total rows from lead store (${store.name})`);
+      } catch (error) {
+        logger.error(`Failed to load database rows for ${campaign.name}: ${error.message}`);
+        throw error;
       }
-      logger.info(`Total selected: ${filterStats.totalSelected} rows ready for processing`);
       
-      if (filteredRows.length === 0) {
-        logger.warn('No rows match the filter criteria. Exiting.');
-        // Capture end time and show summary even on early exit
-        const runEndTime = performance.now();
-        const runDurationMs = runEndTime - runStartTime;
-        logger.section('Final Summary');
-        logger.info(`Session ID: ${sessionId}`);
-        logger.info(`Total users processed: 0`);
-        logger.info(`Run Duration: ${formatRunDuration(runDurationMs)}`);
-        return;
+      // A sequence needs somewhere to keep each lead's step and due date
+      if (campaign.followUps.length > 0 && allRows.length > 0 && allRows[0].followUpStep === null) {
+        throw new Error(`${campaign.name} has follow-up steps but no "Follow-up Step" / "Next Follow-up" columns. ` +
+          'Add both headers (npm run bootstrap -- --follow-ups adds them) or remove the follow-up configuration.');
       }
-    } catch (error) {
-      logger.error(`Failed to filter database: ${error.message}`);
-      throw error;
+      
+      try {
+        const filterResult = await loadFilteredDatabase({
+          rows: allRows,
+          filter: campaign.filter,
+          activateStatus: campaign.activateStatus,
+          sourceMode: campaign.sourceMode,
+          sources: config.sources,
+          maxProcess: campaign.maxProcess,
+          maxDraft: campaign.maxDraft,
+          enableFallback: campaign.enableFallback,
+          fallbacks: campaign.fallbacks,
+          excludeUsernames: selectedUsernames,
+          scoring: config.scoring,
+          suppressed: suppressedUsernames,
+          cooldownDays: config.contactCooldownDays,
+          lastContacts: lastContacts,
+          followUps: campaign.followUps,
+        });
+        const filterStats = filterResult.stats;
+        
+        logger.info(`Filter: ${filterResult.filters.primary} | Max draft: ${campaign.maxDraft}`);
+        if (campaign.followUps.length > 0) {
+          logger.info(`Follow-ups due: ${filterStats.followUpsDue} | selected: ${filterStats.selectedFollowUps} (before new leads)`);
+        }
+        if (!campaign.enableFallback) {
+          logger.info(`Primary eligible: ${filterStats.primaryEligible} rows`);
+        } else {
+          filterStats.tiers.forEach(tier => {
+            const counts = tier.eligible === null
+              ? 'not needed'
+              : `${tier.eligible} eligible, ${tier.selected} selected${tier.max ? ` (max ${tier.max})` : ''}`;
+            logger.info(`  ${tier.name}: ${counts} - ${tier.filter}`);
+          });
+        }
+        if (filterStats.recentlyContacted > 0) {
+          logger.info(`Contacted within ${config.contactCooldownDays} days (skipped): ${filterStats.recentlyContacted} rows`);
+        }
+        logger.info(`Total selected: ${filterStats.totalSelected} rows ready for processing`);
+        
+        // Dry run: show why each remaining row was left out
+        if (dryRun && filterResult.excluded.length > 0) {
+          logger.info(`Excluded rows (${filterResult.excluded.length}):`);
+          filterResult.excluded.forEach(({ row, reason }) => {
+            logger.info(`  ${row.username || '(no username)'} (row ${row.rowIndex}) - ${reason}`);
+          });
+        }
+        
+        // Suppressed rows that matched the filter are marked so they stop coming back as candidates
+        if (filterResult.suppressed.length > 0) {
+          logger.warn(`Suppressed (do not contact): ${filterResult.suppressed.length} row(s)${dryRun ? ' - would be marked Suppressed' : ' - marking Suppressed'}`);
+          filterResult.suppressed.forEach(({ row, entry }) => {
+            logger.warn(`  ${row.username} (row ${row.rowIndex}) - ${entry.reason}`);
+            if (!dryRun) {
+              outcomeWrites.push(recordOutcome(store, journal, row, { sessionId, status: 'Suppressed', reason: entry.reason }, { error: `Suppressed: ${entry.reason}` }));
+            }
+          });
+          suppressedCount += filterResult.suppressed.length;
+        }
+        
+        // Rows whose username cannot be fixed are quarantined without ever opening a tab
+        if (filterResult.invalid.length > 0) {
+          logger.warn(`Invalid usernames: ${filterResult.invalid.length} row(s)${dryRun ? ' - would be marked Invalid Username' : ' - marking Invalid Username'}`);
+          filterResult.invalid.forEach(({ row, reason }) => {
+            logger.warn(`  row ${row.rowIndex} - ${reason}`);
+            if (!dryRun) {
+              outcomeWrites.push(recordOutcome(store, journal, row, { sessionId, status: 'Invalid Username', reason }, { error: `Invalid username: ${reason}` }));
+            }
+          });
+          invalidCount += filterResult.invalid.length;
+        }
+        
+        filterResult.rows.forEach(row => selectedUsernames.add(row.username.toLowerCase().trim()));
+        campaignRuns.push({
+          campaign,
+          store,
+          rows: filterResult.rows,
+          stats: filterStats,
+          scores: filterResult.scores,
+          followUps: filterResult.followUps,
+          fallbackRows: filterResult.fallbackRows,
+        });
+      } catch (error) {
+        logger.error(`Failed to filter database for ${campaign.name}: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    const totalSelected = campaignRuns.reduce((sum, campaignRun) => sum + campaignRun.rows.length, 0);
+    if (totalSelected === 0) {
+      logger.warn('No rows match the filter criteria. Exiting.');
+      if (outcomeWrites.length > 0) {
+        logWriteFailures(await flushOutcomeWrites(stores, outcomeWrites, journal));
+      }
+      // Capture end time and show summary even on early exit
+      const runEndTime = performance.now();
+      const runDurationMs = runEndTime - runStartTime;
+      logger.section('Final Summary');
+      logger.info(`Session ID: ${sessionId}`);
+      logger.info(`Total users processed: 0`);
+      logger.info(`Run Duration: ${formatRunDuration(runDurationMs)}`);
+      return;
     }
     
     // --- STEP 4: Initialize Browser (skip in dry-run) ---
     if (dryRun) {
       logger.section('Dry Run - Skipping Browser Initialization');
-      logger.info('Would process the following users:');
-      const wouldProcess = filteredRows.slice(0, config.maxDraft);
-      wouldProcess.forEach((row, index) => {
-        logger.info(`  ${index + 1}. ${row.username} (row ${row.rowIndex})`);
-      });
+      let wouldProcessCount = 0;
+      for (const { campaign, rows, scores, followUps, fallbackRows } of campaignRuns) {
+        logger.info(`Would process the following users (${campaign.name}):`);
+        const wouldProcess = rows.slice(0, campaign.maxDraft);
+        wouldProcess.forEach((row, index) => {
+          const followUp = followUps.get(row);
+          const tier = fallbackRows.get(row);
+          let label = followUp ? ` - follow-up step ${followUp.step}` : '';
+          if (tier) {
+            label = ` - ${formatFallbackTier(tier, campaign.fallbacks.length)}`;
+          }
+          if (!followUp) {
+            try {
+              const template = chooseTemplate(config, campaign, row, tier);
+              label += ` - template ${template.variant || template.id}`;
+              if (isBurstTemplate(template.text)) {
+                label += ` (${compileTemplate(template.text).messageCount} messages)`;
+              }
+            } catch (templateError) {
+              label += ` - would be marked Invalid Template: ${templateError.message}`;
+            }
+          }
+          if (!followUp && scores) {
+            label += ` - score ${formatScore(scores.get(row))}`;
+          }
+          logger.info(`  ${index + 1}. ${row.username} (row ${row.rowIndex})${label}`);
+        });
+        wouldProcessCount += wouldProcess.length;
+      }
       
       // Capture end time and show summary for dry-run
       const runEndTime = performance.now();
       const runDurationMs = runEndTime - runStartTime;
       logger.section('Final Summary (Dry Run)');
       logger.info(`Session ID: ${sessionId}`);
-      logger.info(`Total users that would be processed: ${wouldProcess.length}`);
-      logger.info(`Total users available: ${filteredRows.length}`);
+      logger.info(`Total users that would be processed: ${wouldProcessCount}`);
+      logger.info(`Total users available: ${totalSelected}`);
       logger.info(`Run Duration: ${formatRunDuration(runDurationMs)}`);
       logger.success('Dry run completed successfully');
       return;
@@ -359,87 +730,172 @@ async function run() {
       let skippedCount = 0;
       let errorCount = 0;
       let sendFailedCount = 0;
+      let partialCount = 0;
+      let repliedCount = 0;
+      let followUpCount = 0;
+      let processedCount = 0;
+      let invalidTemplateCount = 0;
+      const campaignSummaries = [];
       
       // Determine which counter to use for limit checking
       const shouldCheckSentCount = config.sendMessage;
       
-      for (let i = 0; i < filteredRows.length; i++) {
-        // Check limit based on mode
-        if (shouldCheckSentCount && sentCount >= config.maxDraft) {
-          break;
-        } else if (!shouldCheckSentCount && draftedCount >= config.maxDraft) {
-          break;
+      for (const { campaign, store, rows: filteredRows, followUps, fallbackRows } of campaignRuns) {
+        if (campaignRuns.length > 1) {
+          logger.section(`Campaign: ${campaign.name}`);
         }
-        const row = filteredRows[i];
-        logger.info(`Processing user ${i + 1}/${filteredRows.length}: ${row.username}`);
         
-        // Create a new tab for this user
-        logger.info(`Creating new tab for ${row.username}...`);
-        const userPage = await browser.newPage();
-        logger.success(`New tab created for ${row.username} (tab ${i + 1})`);
+        // Per-campaign template and draft cap; everything else comes from the environment
+        const campaignConfig = {
+          ...config,
+          suppression,
+          draftMessage: campaign.draftMessage,
+          maxDraft: campaign.maxDraft,
+          followUps: campaign.followUps,
+        };
+        const campaignStartDrafted = draftedCount;
+        const campaignStartSent = sentCount;
+        const campaignStartPartial = partialCount;
+        // In send mode a Partially Sent lead did receive messages, so it counts toward MAX_DRAFT like a sent one
+        const contactedInCampaign = () => (sentCount - campaignStartSent) + (partialCount - campaignStartPartial);
         
-        // Track whether drafting succeeded for this user
-        let draftingSucceeded = false;
-        let messageSent = false; // Track if message was sent (only relevant if SEND_MESSAGE=true)
-        
-        // Small delay before starting work on the new tab
-        await humanDelay(500, 1000);
+        for (let i = 0; i < filteredRows.length; i++) {
+          // Check limit based on mode
+          if (shouldCheckSentCount && contactedInCampaign() >= campaign.maxDraft) {
+            break;
+          } else if (!shouldCheckSentCount && draftedCount - campaignStartDrafted >= campaign.maxDraft) {
+            break;
+          }
+          processedCount++; // Only rows actually handled - the loop can stop early at MAX_DRAFT
+          const row = filteredRows[i];
+          const followUp = followUps.get(row) || null;
+          logger.info(`Processing user ${i + 1}/${filteredRows.length}: ${row.username}${followUp ? ` (follow-up step ${followUp.step})` : ''}`);
         
-        try {
-          const result = await processUser(userPage, row, config);
-          
-          if (result.skipped) {
-            // Update sheet with "Skipped" status
-            // Do NOT update Date Sent or Message - preserve existing values
+          // The row, its fallback tier or its source may pick the template; follow-ups use their step's message,
+          // so a Template column naming a template that has since left the library cannot fail them.
+          // It is resolved before a tab is opened: an unknown template marks the row Invalid Template with the error
+          let template = null;
+          if (!followUp) {
             try {
-              await updateDraftData(result.rowIndex, sessionId, '', '', 'Skipped');
-              logger.success(`Updated sheet for ${result.username} (row ${result.rowIndex}) - Status: Skipped, Session ID: ${sessionId}`);
-            } catch (updateError) {
-              logger.error(`Failed to update sheet for ${result.username}: ${updateError.message}`);
+              template = chooseTemplate(config, campaign, row, fallbackRows.get(row));
+            } catch (templateError) {
+              outcomeWrites.push(recordOutcome(store, journal, row, { sessionId, status: 'Invalid Template', reason: templateError.message }, { error: `Invalid template: ${templateError.message}` }));
+              logger.error(`Not contacting ${row.username}: ${templateError.message}`);
+              invalidTemplateCount++;
+              continue;
             }
-            skippedCount++;
-            // Drafting did not succeed - tab will be closed immediately
-            logger.info(`Skipping ${row.username}: existing conversation detected - closing tab immediately`);
-            draftingSucceeded = false;
-            // Close tab immediately for skipped conversations
-            try {
-              await userPage.close();
-              logger.success(`Tab closed immediately for ${row.username} (skipped due to existing conversation)`);
-            } catch (closeError) {
-              logger.error(`Error closing tab for ${row.username}: ${closeError.message}`);
-            }
-            // Continue to next user (skip the tab closing logic at the end)
-            await humanDelay(2000, 4000);
-            continue;
-          } else if (result.success) {
-            // Determine status based on SEND_MESSAGE and send result
-            let status = 'Drafted';
-            if (config.sendMessage) {
-              if (result.sent) {
-                status = 'Sent';
-                sentCount++;
+          }
+        
+          // Create a new tab for this user
+          logger.info(`Creating new tab for ${row.username}...`);
+          const userPage = await browser.newPage();
+          logger.success(`New tab created for ${row.username} (tab ${i + 1})`);
+        
+          // Track whether drafting succeeded for this user
+          let draftingSucceeded = false;
+          let messageSent = false; // Track if message was sent (only relevant if SEND_MESSAGE=true)
+        
+          // Small delay before starting work on the new tab
+          await humanDelay(500, 1000);
+        
+          try {
+            const templateId = followUp ? `follow-up-${followUp.step}` : template.id;
+            // The experiment variant belongs to the first message, so follow-ups leave it in place
+            const variant = followUp ? null : template.variant;
+            // A follow-up tells our first message from replies by the templates it may have been built from
+            const rowConfig = followUp
+              ? { ...campaignConfig, firstContactTemplates: listFirstContactTemplates(config, campaign, row) }
+              : { ...campaignConfig, draftMessage: template.text };
+            const result = await processUser(userPage, row, rowConfig, followUp);
+          
+            if (result.suppressed) {
+              // Added to the do-not-contact registry since the run started - nothing was opened or typed
+              outcomeWrites.push(recordOutcome(store, journal, row, { sessionId, status: 'Suppressed', reason: result.suppressed.reason }, { error: `Suppressed: ${result.suppressed.reason}` }));
+              suppressedCount++;
+              try {
+                await userPage.close();
+              } catch (closeError) {
+                logger.error(`Error closing tab for ${row.username}: ${closeError.message}`);
+              }
+              continue;
+            } else if (result.replied) {
+              // The lead answered - end the sequence (step kept, nothing more due); Date Sent and Message preserved
+              const stopped = { step: getFollowUpStep(row), nextDue: '' };
+              outcomeWrites.push(recordOutcome(store, journal, row, { sessionId, status: 'Replied', reason: result.error, followUp: stopped }, { flow: result.flow, error: result.error }));
+              repliedCount++;
+              try {
+                await userPage.close();
+              } catch (closeError) {
+                logger.error(`Error closing tab for ${row.username}: ${closeError.message}`);
+              }
+              await humanDelay(2000, 4000);
+              continue;
+            } else if (result.skipped) {
+              // Update lead store with "Skipped" status
+              // Do NOT update Date Sent or Message - preserve existing values
+              outcomeWrites.push(recordOutcome(store, journal, row, { sessionId, status: 'Skipped' }, { flow: result.flow, error: result.error }));
+              skippedCount++;
+              // Drafting did not succeed - tab will be closed immediately
+              logger.info(`Skipping ${row.username}: existing conversation detected - closing tab immediately`);
+              draftingSucceeded = false;
+              // Close tab immediately for skipped conversations
+              try {
+                await userPage.close();
+                logger.success(`Tab closed immediately for ${row.username} (skipped due to existing conversation)`);
+              } catch (closeError) {
+                logger.error(`Error closing tab for ${row.username}: ${closeError.message}`);
+              }
+              // Continue to next user (skip the tab closing logic at the end)
+              await humanDelay(2000, 4000);
+              continue;
+            } else if (result.success) {
+              // Determine status based on SEND_MESSAGE and send result
+              let status = 'Drafted';
+              if (config.sendMessage) {
+                if (result.sent) {
+                  status = 'Sent';
+                  sentCount++;
+                } else if (result.partial) {
+                  status = 'Partially Sent';
+                  partialCount++;
+                } else {
+                  status = 'Send Failed';
+                  sendFailedCount++;
+                }
               } else {
-                status = 'Send Failed';
-                sendFailedCount++;
+                draftedCount++;
               }
-            } else {
-              draftedCount++;
-            }
             
-            // Update Google Sheet with appropriate status
-            try {
+              // Update lead store with appropriate status
               const timestamp = new Date().toISOString();
-              
+            
               // For "Send Failed" status, preserve existing Date Sent and Message
+              // (a follow-up that did not go out is marked "Follow-up Failed" so it is retried next run)
               if (status === 'Send Failed') {
-                await updateDraftData(result.rowIndex, sessionId, '', '', status);
+                const failedStatus = followUp ? 'Follow-up Failed' : status;
+                const reason = followUp ? result.error : undefined;
+                outcomeWrites.push(recordOutcome(store, journal, row, { sessionId, status: failedStatus, reason }, { flow: result.flow, error: result.error }));
+              } else if (status === 'Partially Sent') {
+                // Part of a burst reached the lead: record what was sent and stop the sequence there,
+                // so the lead is neither retried from the first message nor sent the next step
+                const step = followUp ? followUp.step : 1;
+                const outcome = { sessionId, dateSent: timestamp, message: result.message, status, reason: result.error, templateId, variant };
+                if (campaign.followUps.length > 0) {
+                  outcome.followUp = { step, nextDue: '' };
+                }
+                outcomeWrites.push(recordOutcome(store, journal, row, outcome, { flow: result.flow, error: result.error }));
               } else {
-                // For "Drafted" or "Sent", update Date Sent and Message
-                await updateDraftData(result.rowIndex, sessionId, timestamp, result.message, status);
+                // For "Drafted" or "Sent", update Date Sent and Message, and schedule the next step of the sequence
+                const outcome = { sessionId, dateSent: timestamp, message: result.message, status, templateId, variant };
+                if (campaign.followUps.length > 0) {
+                  outcome.followUp = scheduleNextFollowUp(followUp ? followUp.step : 1, campaign.followUps);
+                }
+                if (followUp) {
+                  followUpCount++;
+                }
+                outcomeWrites.push(recordOutcome(store, journal, row, outcome, { flow: result.flow }));
               }
-              
-              logger.success(`Updated sheet for ${result.username} (row ${result.rowIndex}) - Status: ${status}, Session ID: ${sessionId}`);
-              
+            
               // Track success for tab management
               if (config.sendMessage) {
                 messageSent = result.sent || false; // Store send status
@@ -457,123 +913,152 @@ async function run() {
                 draftingSucceeded = true;
                 logger.success(`Drafting succeeded for ${row.username} - tab will remain open`);
               }
-              
-            } catch (updateError) {
-              logger.error(`Failed to update sheet for ${result.username}: ${updateError.message}`);
-              errorCount++;
-              // Sheet update failed, but drafting succeeded
-              draftingSucceeded = true;
-            }
-          } else {
-            // Update sheet with "Failed" status
-            // Do NOT update Date Sent or Message for failed rows
-            try {
+            } else {
+              // Update lead store with "Failed" status
+              // Do NOT update Date Sent or Message for failed rows
+              // A failed follow-up keeps the lead's step and due date so it is retried next run
               const errorMessage = result.error || 'Unknown error';
-              await updateDraftData(result.rowIndex, sessionId, '', '', 'Failed');
-              logger.success(`Updated sheet for ${result.username} (row ${result.rowIndex}) - Status: Failed, Session ID: ${sessionId}`);
+              const failedOutcome = followUp
+                ? { sessionId, status: 'Follow-up Failed', reason: errorMessage }
+                : { sessionId, status: 'Failed' };
+              outcomeWrites.push(recordOutcome(store, journal, row, failedOutcome, { flow: result.flow, error: errorMessage }));
               logger.error(`Failure reason: ${errorMessage}`);
-            } catch (updateError) {
-              logger.error(`Failed to update sheet for ${result.username}: ${updateError.message}`);
+              errorCount++;
+              // Drafting did not succeed - tab will be closed
+              logger.info(`Drafting failed for ${result.username}: ${result.error || 'Unknown error'}`);
+              draftingSucceeded = false;
             }
-            errorCount++;
-            // Drafting did not succeed - tab will be closed
-            logger.info(`Drafting failed for ${result.username}: ${result.error || 'Unknown error'}`);
-            draftingSucceeded = false;
-          }
           
-        } catch (userError) {
-          // Update sheet with "Failed" status for unexpected errors
-          // Do NOT update Date Sent or Message for failed rows
-          try {
+          } catch (userError) {
+            // Update lead store with "Failed" status for unexpected errors
+            // Do NOT update Date Sent or Message for failed rows
             const errorMessage = userError.message || 'Unexpected error';
-            await updateDraftData(row.rowIndex, sessionId, '', '', 'Failed');
-            logger.success(`Updated sheet for ${row.username} (row ${row.rowIndex}) - Status: Failed, Session ID: ${sessionId}`);
+            const failedOutcome = followUp
+              ? { sessionId, status: 'Follow-up Failed', reason: errorMessage }
+              : { sessionId, status: 'Failed' };
+            outcomeWrites.push(recordOutcome(store, journal, row, failedOutcome, { error: errorMessage }));
             logger.error(`Failure reason: ${errorMessage}`);
-          } catch (updateError) {
-            logger.error(`Failed to update sheet for ${row.username}: ${updateError.message}`);
+            errorCount++;
+            logger.error(`Unexpected error processing ${row.username}: ${userError.message}`);
+            // Drafting did not succeed - tab will be closed
+            draftingSucceeded = false;
           }
-          errorCount++;
-          logger.error(`Unexpected error processing ${row.username}: ${userError.message}`);
-          // Drafting did not succeed - tab will be closed
-          draftingSucceeded = false;
-        }
         
-        // Conditionally close tab based on SEND_MESSAGE mode and success
-        // Note: Skipped conversations already had their tabs closed above
-        if (config.sendMessage) {
-          // SEND_MESSAGE=true mode
-          if (draftingSucceeded && messageSent) {
-            // Message sent successfully - close tab
-            logger.info(`Closing tab for ${row.username} - message sent successfully`);
-            try {
-              await userPage.close();
-              logger.success(`Tab closed for ${row.username}`);
-            } catch (closeError) {
-              logger.error(`Error closing tab for ${row.username}: ${closeError.message}`);
+          // Conditionally close tab based on SEND_MESSAGE mode and success
+          // Note: Skipped conversations already had their tabs closed above
+          if (config.sendMessage) {
+            // SEND_MESSAGE=true mode
+            if (draftingSucceeded && messageSent) {
+              // Message sent successfully - close tab
+              logger.info(`Closing tab for ${row.username} - message sent successfully`);
+              try {
+                await userPage.close();
+                logger.success(`Tab closed for ${row.username}`);
+              } catch (closeError) {
+                logger.error(`Error closing tab for ${row.username}: ${closeError.message}`);
+              }
+            } else if (!draftingSucceeded || !messageSent) {
+              // Send failed - keep tab open for debugging
+              logger.info(`Keeping tab open for ${row.username} - send failed, tab available for debugging`);
             }
-          } else if (!draftingSucceeded || !messageSent) {
-            // Send failed - keep tab open for debugging
-            logger.info(`Keeping tab open for ${row.username} - send failed, tab available for debugging`);
-          }
-        } else {
-          // SEND_MESSAGE=false mode (draft only)
-          if (draftingSucceeded) {
-            logger.info(`Keeping tab open for ${row.username} - message successfully drafted`);
           } else {
-            logger.info(`Closing tab for ${row.username} - drafting failed`);
-            try {
-              await userPage.close();
-              logger.success(`Tab closed for ${row.username}`);
-            } catch (closeError) {
-              logger.error(`Error closing tab for ${row.username}: ${closeError.message}`);
+            // SEND_MESSAGE=false mode (draft only)
+            if (draftingSucceeded) {
+              logger.info(`Keeping tab open for ${row.username} - message successfully drafted`);
+            } else {
+              logger.info(`Closing tab for ${row.username} - drafting failed`);
+              try {
+                await userPage.close();
+                logger.success(`Tab closed for ${row.username}`);
+              } catch (closeError) {
+                logger.error(`Error closing tab for ${row.username}: ${closeError.message}`);
+              }
             }
           }
-        }
         
-        // Human-like delay before creating next tab
-        await humanDelay(2000, 4000);
+          // Human-like delay before creating next tab
+          await humanDelay(2000, 4000);
         
-        // Check if we've reached the draft limit
-        if (config.sendMessage) {
-          // In send mode, count sent messages
-          if (sentCount >= config.maxDraft) {
-            logger.warn(`Reached MAX_DRAFT limit (${config.maxDraft}). Stopping.`);
-            break;
-          }
-        } else {
-          // In draft mode, count drafted messages
-          if (draftedCount >= config.maxDraft) {
-            logger.warn(`Reached MAX_DRAFT limit (${config.maxDraft}). Stopping.`);
-            logger.info(`All ${draftedCount} successfully drafted tabs remain open for manual sending.`);
-            break;
+          // Check if we've reached the draft limit
+          if (config.sendMessage) {
+            // In send mode, count leads messages were sent to (Sent and Partially Sent)
+            if (contactedInCampaign() >= campaign.maxDraft) {
+              logger.warn(`Reached MAX_DRAFT limit (${campaign.maxDraft}) for ${campaign.name}. Stopping.`);
+              break;
+            }
+          } else {
+            // In draft mode, count drafted messages
+            if (draftedCount - campaignStartDrafted >= campaign.maxDraft) {
+              logger.warn(`Reached MAX_DRAFT limit (${campaign.maxDraft}) for ${campaign.name}. Stopping.`);
+              logger.info(`All ${draftedCount - campaignStartDrafted} successfully drafted tabs for ${campaign.name} remain open for manual sending.`);
+              break;
+            }
           }
         }
+        
+        campaignSummaries.push({
+          name: campaign.name,
+          drafted: draftedCount - campaignStartDrafted,
+          sent: sentCount - campaignStartSent,
+        });
+      }
+      
+      // --- STEP 6: Flush Lead Store Writes ---
+      logger.section('Flushing Lead Store Writes');
+      const writeResults = await flushOutcomeWrites(stores, outcomeWrites, journal);
+      if (writeResults.failed > 0 || writeResults.conflicts > 0) {
+        logWriteFailures(writeResults);
+      } else {
+        logger.success(`All ${outcomeWrites.length} lead store write(s) completed`);
       }
       
-      // --- STEP 6: Final Summary ---
+      // --- STEP 7: Final Summary ---
       // Capture end time before generating summary
       const runEndTime = performance.now();
       const runDurationMs = runEndTime - runStartTime;
       
       logger.section('Final Summary');
       logger.info(`Session ID: ${sessionId}`);
-      logger.info(`Processed: ${filteredRows.length}`);
+      logger.info(`Processed: ${processedCount}`);
+      if (campaignSummaries.length > 1) {
+        campaignSummaries.forEach(summary => {
+          const count = config.sendMessage ? `Sent: ${summary.sent}` : `Drafted: ${summary.drafted}`;
+          logger.info(`  ${summary.name} - ${count}`);
+        });
+      }
       
       if (config.sendMessage) {
         logger.success(`Sent: ${sentCount}`);
         logger.error(`Send Failed: ${sendFailedCount}`);
+        logger.error(`Partially Sent: ${partialCount}`);
         logger.warn(`Skipped: ${skippedCount}`);
+        logger.warn(`Suppressed: ${suppressedCount}`);
+        logger.warn(`Invalid Username: ${invalidCount}`);
+        logger.warn(`Invalid Template: ${invalidTemplateCount}`);
+        logger.info(`Follow-ups sent: ${followUpCount}`);
+        logger.info(`Replied (sequence stopped): ${repliedCount}`);
         logger.error(`Errors: ${errorCount}`);
-        if (sendFailedCount > 0) {
-          logger.info(`Browser contains ${sendFailedCount} open tabs with failed sends for debugging.`);
+        if (sendFailedCount + partialCount > 0) {
+          logger.info(`Browser contains ${sendFailedCount + partialCount} open tabs with failed sends for debugging.`);
         }
       } else {
         logger.success(`Drafted: ${draftedCount}`);
         logger.warn(`Skipped: ${skippedCount}`);
+        logger.warn(`Suppressed: ${suppressedCount}`);
+        logger.warn(`Invalid Username: ${invalidCount}`);
+        logger.warn(`Invalid Template: ${invalidTemplateCount}`);
+        logger.info(`Follow-ups drafted: ${followUpCount}`);
+        logger.info(`Replied (sequence stopped): ${repliedCount}`);
         logger.error(`Errors: ${errorCount}`);
         logger.info(`Browser contains ${draftedCount} open tabs with successfully drafted messages.`);
         logger.info(`Each open tab contains a drafted message ready for manual sending.`);
       }
+      if (writeResults.failed > 0) {
+        logger.error(`Lead Store Write Failures: ${writeResults.failed}`);
+      }
+      if (writeResults.conflicts > 0) {
+        logger.error(`Row Conflicts: ${writeResults.conflicts}`);
+      }
       logger.info(`Run Duration: ${formatRunDuration(runDurationMs)}`);
       logger.info(`All processed rows have been updated with Session ID: ${sessionId}`);
       
@@ -583,12 +1068,16 @@ async function run() {
       const runDurationMs = runEndTime - runStartTime;
       
       logger.error(`Browser error: ${browserError.message}`);
+      
+      // Still push whatever outcomes were recorded before the error
+      logWriteFailures(await flushOutcomeWrites(stores, outcomeWrites, journal));
+      
       logger.section('Error Summary');
       logger.info(`Session ID: ${sessionId}`);
       logger.info(`Run Duration: ${formatRunDuration(runDurationMs)}`);
       throw browserError;
     } finally {
-      // --- STEP 7: Keep Browser Open for Inspection ---
+      // --- STEP 8: Keep Browser Open for Inspection ---
       if (browser) {
         logger.section('Script Completed');
         logger.info('Browser will remain open for inspection.');
@@ -2,6 +2,7 @@
 // Message building utilities for first name extraction and message construction
 
 const { getFirstName } = require('./conversationTools');
+const { hasPlaceholders, renderTemplate, compileTemplate } = require('./templateEngine');
 const logger = require('./logger');
 
 /**
@@ -104,23 +105,36 @@ function deriveFirstNameFromUsername(username) {
 
 /**
  * Builds a personalized draft message with optional first name.
- * Inserts first name (with leading space) before the first occurrence of the separator character in the message template.
- * If firstName is empty, returns messageTemplate as-is.
+ * Templates with {{ }} placeholders are rendered by the template engine (see templateEngine.js) with
+ * first_name, name, username and source. Templates without placeholders keep the original behavior:
+ * the first name (with leading space) is inserted before the first occurrence of the separator character,
+ * and the template is returned as-is when firstName is empty.
  * 
  * @param {Object} options
  * @param {string} [options.firstName] - First name to insert (optional)
  * @param {string} options.messageTemplate - Base message template
  * @param {string} [options.separator] - Separator character to find in message (default: "!")
+ * @param {Object} [options.lead] - Lead row supplying name, username and source to placeholders
  * @returns {string} Formatted message
+ * @throws {Error} If a template with placeholders is invalid (templates are validated at startup)
  */
 function buildDraftMessage(options = {}) {
-  const { firstName = '', messageTemplate = '', separator = '!' } = options;
+  const { firstName = '', messageTemplate = '', separator = '!', lead = {} } = options;
   
   if (!messageTemplate || typeof messageTemplate !== 'string') {
     logger.warn('No message template provided to buildDraftMessage');
     return messageTemplate || '';
   }
   
+  if (hasPlaceholders(messageTemplate)) {
+    return renderTemplate(messageTemplate, {
+      first_name: firstName,
+      name: lead.name,
+      username: lead.username,
+      source: lead.source,
+    });
+  }
+  
   const trimmedFirstName = firstName ? firstName.trim() : '';
   const trimmedTemplate = messageTemplate.trim();
   
@@ -145,9 +159,37 @@ function buildDraftMessage(options = {}) {
   return finalMessage;
 }
 
+/**
+ * Builds the messages to send a lead. A template split with {{break}} gives one message per part
+ * (see templateEngine.js); any other template gives the single message from buildDraftMessage().
+ * 
+ * @param {Object} options - See buildDraftMessage
+ * @returns {Array<Object>} Messages of { text, delaySeconds } in sending order (delaySeconds is the wait
+ *   before sending the message, 0 for the first)
+ * @throws {Error} If a template with placeholders is invalid (templates are validated at startup)
+ */
+function buildDraftMessages(options = {}) {
+  const { firstName = '', messageTemplate = '', lead = {} } = options;
+  
+  if (typeof messageTemplate === 'string' && hasPlaceholders(messageTemplate)) {
+    const template = compileTemplate(messageTemplate);
+    if (template.messageCount > 1) {
+      return template.renderMessages({
+        first_name: firstName,
+        name: lead.name,
+        username: lead.username,
+        source: lead.source,
+      });
+    }
+  }
+  
+  return [{ text: buildDraftMessage(options), delaySeconds: 0 }];
+}
+
 module.exports = {
   extractFirstName,
   buildDraftMessage,
+  buildDraftMessages,
   deriveFirstNameFromUsername, // Exported for testing/debugging
 };
 
@@ -1,6 +1,7 @@
 // messageDrafter.js
 require('dotenv').config();
 const { humanDelay, ts } = require('./utils');
+const { typeIntoComposer, readComposerText, composerTextMatches } = require('./composerInput');
 const logger = require('./logger');
 
 /**
@@ -135,21 +136,209 @@ async function sendMessage(page, inputElement) {
   }
 }
 
+/**
+ * Locates the DM composer, clears it and enters a message, then checks the composer holds it.
+ * @param {object} dmPage - Playwright Page object (DM thread already open)
+ * @param {string} message - Message text
+ * @returns {Promise<{ success: boolean, input?: object, typedText?: string, error?: string }>}
+ */
+async function enterMessage(dmPage, message) {
+  // --- Locate Instagram DM input field ---
+  const selectors = [
+    'p[contenteditable="true"]',
+    'div[contenteditable="true"]',
+    'p[dir="auto"][contenteditable]',
+    'textarea',
+    'div[role="textbox"]',
+  ];
+
+  let input = null;
+  for (const sel of selectors) {
+    input = await dmPage.$(sel);
+    if (input) {
+      logger.success(`Found input field: ${sel}`);
+      break;
+    }
+  }
+
+  if (!input) {
+    logger.error('No DM input field found');
+    return { success: false, error: 'No DM input field found' };
+  }
+
+  // --- Focus & clear existing text ---
+  await humanDelay(250, 500, 'before focusing DM input');
+  await input.click({ delay: 100 });
+  await humanDelay(250, 500, 'after focusing DM input');
+  await dmPage.keyboard.down('Control');
+  await dmPage.keyboard.press('A');
+  await dmPage.keyboard.up('Control');
+  await dmPage.keyboard.press('Backspace');
+  logger.info('Cleared existing text');
+
+  // --- Type message (simulate human typing) ---
+  // Line breaks go in as Shift+Enter (Enter would send) and emoji are never split (see composerInput.js)
+  await typeIntoComposer(dmPage, message);
+
+  // Dispatch input/change so IG recognizes text
+  await dmPage.evaluate(el => {
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+  }, input);
+
+  // --- Verify message appears ---
+  await humanDelay(500, 1000, 'after text entry');
+  const typedText = await readComposerText(dmPage, input);
+
+  // Compared NFC-normalized with line breaks and whitespace runs folded, since the composer
+  // renders each line as a paragraph and may hand back a different Unicode form
+  if (!composerTextMatches(typedText, message)) {
+    logger.error('Verification failed');
+    logger.info(`Expected: ${message}`);
+    logger.info(`Got: ${typedText}`);
+    return { success: false, error: 'Message verification failed', typedText };
+  }
+
+  logger.success('Message populated successfully');
+  return { success: true, input, typedText };
+}
+
+/**
+ * Sends the message in the composer and confirms it went out, retrying ENTER once.
+ * @param {object} dmPage - Playwright Page object (DM thread with message drafted)
+ * @param {object} input - The input element where message is typed
+ * @returns {Promise<boolean>} True if the message bubble was confirmed
+ */
+async function sendAndConfirm(dmPage, input) {
+  const sendSuccess = await sendMessage(dmPage, input);
+  if (!sendSuccess) {
+    logger.error('Failed to press ENTER to send message');
+    return false;
+  }
+
+  // Wait a bit for the message to process
+  await humanDelay(1000, 2000, 'after pressing ENTER');
+
+  if (await confirmMessageSent(dmPage)) {
+    logger.success('Message sent and confirmed successfully');
+    return true;
+  }
+
+  // Retry once
+  logger.warn('Message send confirmation failed - retrying once...');
+  await humanDelay(500, 1000);
+
+  const retrySuccess = await sendMessage(dmPage, input);
+  if (!retrySuccess) {
+    logger.error('Failed to retry sending message');
+    return false;
+  }
+
+  await humanDelay(1000, 2000, 'after retry ENTER');
+  if (await confirmMessageSent(dmPage)) {
+    logger.success('Message sent and confirmed after retry');
+    return true;
+  }
+
+  logger.error('Message send failed after retry - bubble not detected');
+  return false;
+}
+
+/**
+ * Sends several messages in a row (a template split with {{break}}), waiting each message's delay
+ * before entering it. Every message is confirmed before the next one is typed, and the burst stops
+ * at the first message that cannot be entered or confirmed.
+ * @param {object} dmPage - Playwright Page object (DM thread already open)
+ * @param {Array<{ text: string, delaySeconds: number }>} messages - Messages in sending order
+ * @returns {Promise<Object>} Result with parts (messages in the burst) and sentParts (messages confirmed):
+ *   - every message sent: { success: true, sent: true, message } (message: the texts joined by a blank line)
+ *   - none sent: { success: false, error } when the first message could not be entered, otherwise
+ *     { success: true, sent: false, error }
+ *   - some sent: { success: true, sent: false, partial: true, message, error } (message: the texts sent)
+ */
+async function sendBurst(dmPage, messages) {
+  const sentTexts = [];
+  let entered = false;
+  let error = null;
+
+  for (let index = 0; index < messages.length; index++) {
+    const { text, delaySeconds } = messages[index];
+    const label = `message ${index + 1} of ${messages.length}`;
+
+    try {
+      if (index > 0 && delaySeconds > 0) {
+        await humanDelay(delaySeconds * 1000, Math.round(delaySeconds * 1250), label);
+      }
+
+      logger.info(`Drafting ${label}: "${text}"`);
+      const result = await enterMessage(dmPage, text);
+      if (!result.success) {
+        error = `${label}: ${result.error}`;
+        break;
+      }
+      entered = true;
+
+      if (!(await sendAndConfirm(dmPage, result.input))) {
+        error = `${label}: Message send failed - bubble not detected after retry`;
+        break;
+      }
+    } catch (err) {
+      error = `${label}: ${err.message}`;
+      break;
+    }
+
+    sentTexts.push(text);
+    logger.success(`Sent ${label}`);
+  }
+
+  const result = { parts: messages.length, sentParts: sentTexts.length };
+  if (sentTexts.length === messages.length) {
+    return { ...result, success: true, sent: true, message: sentTexts.join('\n\n') };
+  }
+
+  logger.error(`Burst stopped after ${sentTexts.length} of ${messages.length} messages - ${error}`);
+  if (sentTexts.length > 0) {
+    return { ...result, success: true, sent: false, partial: true, message: sentTexts.join('\n\n'), error };
+  }
+  return entered ? { ...result, success: true, sent: false, error } : { ...result, success: false, error };
+}
+
 /**
  * Drafts a message in an Instagram DM, optionally sending it.
  * Message text is used verbatim from the sheet (no templating or personalization).
  * @param {object} dmPage - Playwright Page object (DM thread already open)
  * @param {object} options
- * @param {string} options.messageText - Message text to draft (verbatim from sheet)
+ * @param {string} [options.messageText] - Message text to draft (verbatim from sheet)
+ * @param {Array<{ text: string, delaySeconds: number }>} [options.messages] - Messages to send one after
+ *   another instead of messageText (see buildDraftMessages); more than one needs sendMessage
  * @param {boolean} [options.sendMessage] - Whether to send the message after drafting (default: false)
- * @returns {Promise<{ success: boolean, sent?: boolean, message?: string, typedText?: string }>}
+ * @returns {Promise<{ success: boolean, sent?: boolean, message?: string, typedText?: string, partial?: boolean }>}
+ *   A burst of several messages also returns parts and sentParts (see sendBurst)
  */
 async function draftMessage(dmPage, options = {}) {
   logger.info('Starting message drafting process...');
 
   try {
+    const shouldSend = options.sendMessage ?? parseBoolean(process.env.SEND_MESSAGE, false);
+
+    if (Array.isArray(options.messages) && options.messages.length > 1) {
+      if (options.messages.some(part => !part || typeof part.text !== 'string' || part.text.trim() === '')) {
+        logger.error('Every message of a burst must be a non-empty string');
+        return { success: false, error: 'Missing or empty message text' };
+      }
+      if (!shouldSend) {
+        // Only one message can wait in the composer, so a burst cannot be left for manual sending
+        logger.error('A multi-message template needs SEND_MESSAGE=true');
+        return { success: false, error: 'A multi-message template needs SEND_MESSAGE=true' };
+      }
+      logger.info(`Sending a burst of ${options.messages.length} messages...`);
+      return await sendBurst(dmPage, options.messages);
+    }
+
     // Get message text from options (required)
-    const messageText = options.messageText;
+    const messageText = Array.isArray(options.messages) && options.messages.length === 1
+      ? options.messages[0].text
+      : options.messageText;
     
     if (!messageText || typeof messageText !== 'string' || messageText.trim() === '') {
       logger.error('Message text is required and must be a non-empty string');
@@ -161,117 +350,18 @@ async function draftMessage(dmPage, options = {}) {
 
     logger.info(`Drafting message (verbatim from sheet): "${message}"`);
 
-    // --- STEP 3: Locate Instagram DM input field ---
-    const selectors = [
-      'p[contenteditable="true"]',
-      'div[contenteditable="true"]',
-      'p[dir="auto"][contenteditable]',
-      'textarea',
-      'div[role="textbox"]',
-    ];
-
-    let input = null;
-    for (const sel of selectors) {
-      input = await dmPage.$(sel);
-      if (input) {
-        logger.success(`Found input field: ${sel}`);
-        break;
-      }
-    }
-
-    if (!input) {
-      logger.error('No DM input field found');
-      return { success: false, error: 'No DM input field found', message };
-    }
-
-    // --- STEP 4: Focus & clear existing text ---
-    await humanDelay(250, 500, 'before focusing DM input');
-    await input.click({ delay: 100 });
-    await humanDelay(250, 500, 'after focusing DM input');
-    await dmPage.keyboard.down('Control');
-    await dmPage.keyboard.press('A');
-    await dmPage.keyboard.up('Control');
-    await dmPage.keyboard.press('Backspace');
-    logger.info('Cleared existing text');
-
-    // --- STEP 5: Type message (simulate human typing) ---
-    const firstTen = message.slice(0, 10);
-    const remainder = message.slice(10);
-
-    for (const ch of firstTen.split('')) {
-      await humanDelay(40, 100, 'between keystrokes');
-      await dmPage.keyboard.type(ch);
-    }
-    if (remainder.length > 0) {
-      await humanDelay(250, 500, 'before bulk insert');
-      await dmPage.keyboard.insertText(remainder);
-    }
-
-    // Dispatch input/change so IG recognizes text
-    await dmPage.evaluate(el => {
-      el.dispatchEvent(new Event('input', { bubbles: true }));
-      el.dispatchEvent(new Event('change', { bubbles: true }));
-    }, input);
-
-    // --- STEP 6: Verify message appears ---
-    await humanDelay(500, 1000, 'after text entry');
-    const typedText = await dmPage.evaluate(el => el.innerText || el.textContent, input);
-
-    if (typedText && typedText.trim() === message.trim()) {
-      logger.success('Message populated successfully');
-    } else {
-      logger.error('Verification failed');
-      logger.info(`Expected: ${message}`);
-      logger.info(`Got: ${typedText}`);
-      return { success: false, error: 'Message verification failed', message, typedText };
+    const entered = await enterMessage(dmPage, message);
+    if (!entered.success) {
+      return { success: false, error: entered.error, message, typedText: entered.typedText };
     }
+    const typedText = entered.typedText;
     
-    // --- STEP 7: Send message if SEND_MESSAGE is enabled ---
-    const shouldSend = options.sendMessage ?? parseBoolean(process.env.SEND_MESSAGE, false);
+    // --- Send message if SEND_MESSAGE is enabled ---
     let sent = false;
     
     if (shouldSend) {
       logger.info('SEND_MESSAGE is enabled - attempting to send message...');
-      
-      // Send the message
-      const sendSuccess = await sendMessage(dmPage, input);
-      
-      if (sendSuccess) {
-        // Wait a bit for the message to process
-        await humanDelay(1000, 2000, 'after pressing ENTER');
-        
-        // Confirm message was sent
-        const confirmed = await confirmMessageSent(dmPage);
-        
-        if (confirmed) {
-          logger.success('Message sent and confirmed successfully');
-          sent = true;
-        } else {
-          // Retry once
-          logger.warn('Message send confirmation failed - retrying once...');
-          await humanDelay(500, 1000);
-          
-          const retrySuccess = await sendMessage(dmPage, input);
-          if (retrySuccess) {
-            await humanDelay(1000, 2000, 'after retry ENTER');
-            const retryConfirmed = await confirmMessageSent(dmPage);
-            
-            if (retryConfirmed) {
-              logger.success('Message sent and confirmed after retry');
-              sent = true;
-            } else {
-              logger.error('Message send failed after retry - bubble not detected');
-              sent = false;
-            }
-          } else {
-            logger.error('Failed to retry sending message');
-            sent = false;
-          }
-        }
-      } else {
-        logger.error('Failed to press ENTER to send message');
-        sent = false;
-      }
+      sent = await sendAndConfirm(dmPage, entered.input);
     } else {
       logger.info('SEND_MESSAGE is disabled - message drafted but not sent');
     }
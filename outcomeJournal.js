@@ -0,0 +1,226 @@
+// outcomeJournal.js
+// Durable local journal of outcomes - written before the lead store, acknowledged once the store has them
+// Anything left unacknowledged (crash, quota exhaustion, network outage) is pushed later by replayJournal.js
+
+require('dotenv').config();
+const fs = require('fs');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./utils');
+
+/**
+ * Parts of an outcome that are written (and acknowledged) separately
+ */
+const JOURNAL_PARTS = ['row', 'history'];
+
+/**
+ * Default journal location when OUTCOME_JOURNAL_PATH is not set
+ */
+const DEFAULT_JOURNAL_PATH = './outcome-journal.jsonl';
+
+/**
+ * Appends records to a file and fsyncs before returning, so an acknowledged call survives a crash.
+ * A torn last line is cut off first, so the new records do not land on the same line and get ignored with it.
+ *
+ * @param {string} filePath - Journal file path
+ * @param {Array<Object>} records - Records to append (one JSON line each)
+ */
+function appendRecordsDurably(filePath, records) {
+  if (fs.existsSync(filePath)) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (content !== '' && !content.endsWith('\n')) {
+      fs.truncateSync(filePath, Buffer.byteLength(content.slice(0, content.lastIndexOf('\n') + 1)));
+    }
+  }
+
+  const fd = fs.openSync(filePath, 'a');
+  try {
+    fs.writeSync(fd, records.map(record => JSON.stringify(record) + '\n').join(''));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Reads every record from a journal file.
+ * A torn last line (crash mid-append) is ignored; corruption anywhere else is an error.
+ *
+ * @param {string} filePath - Journal file path
+ * @returns {Array<Object>} Records in file order
+ * @throws {Error} If a line other than the last cannot be parsed
+ */
+function readRecords(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  const records = [];
+
+  lines.forEach((line, index) => {
+    if (line.trim() === '') {
+      return;
+    }
+
+    try {
+      records.push(JSON.parse(line));
+    } catch (parseError) {
+      const isLastLine = lines.slice(index + 1).every(rest => rest.trim() === '');
+      if (!isLastLine) {
+        throw new Error(`Outcome journal ${filePath} is corrupt at line ${index + 1}: ${parseError.message}`);
+      }
+    }
+  });
+
+  return records;
+}
+
+/**
+ * Works out which parts of each journaled outcome still need to be written.
+ *
+ * A row part is superseded (and no longer pending) when a later outcome for the same lead in the
+ * same store has already been written - replaying the older one would roll the row back.
+ *
+ * @param {Array<Object>} records - Journal records in file order
+ * @returns {Array<Object>} Outcome entries with a non-empty `pending` list of parts, oldest first
+ */
+function collectPending(records) {
+  const entries = [];
+  const entriesById = new Map();
+
+  for (const record of records) {
+    if (record.type === 'outcome') {
+      const entry = { ...record, pending: new Set(record.parts || JOURNAL_PARTS) };
+      entries.push(entry);
+      entriesById.set(record.id, entry);
+    } else if (record.type === 'ack') {
+      const entry = entriesById.get(record.id);
+      if (entry) {
+        entry.pending.delete(record.part);
+      }
+    }
+  }
+
+  const leadKey = entry => `${entry.store}\u0000${entry.target || ''}\u0000${entry.row.username}`;
+  const writtenLater = new Set();
+
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const entry = entries[i];
+    const key = leadKey(entry);
+
+    if (writtenLater.has(key)) {
+      entry.pending.delete('row');
+    } else if (!entry.pending.has('row')) {
+      writtenLater.add(key);
+    }
+  }
+
+  return entries
+    .filter(entry => entry.pending.size > 0)
+    .map(entry => ({ ...entry, pending: JOURNAL_PARTS.filter(part => entry.pending.has(part)) }));
+}
+
+/**
+ * Creates an outcome journal backed by a JSON Lines file.
+ *
+ * Each outcome is one "outcome" record; each part (row update, history row) that reaches the
+ * lead store adds an "ack" record. Appends are fsynced, so an outcome recorded before the
+ * Instagram tab is closed is never lost, even if the process dies before the store write lands.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.path] - Journal file path (defaults to OUTCOME_JOURNAL_PATH or ./outcome-journal.jsonl)
+ * @returns {Object} Journal with record, acknowledge, loadPending, loadOutcomes, compact
+ */
+function createOutcomeJournal(options = {}) {
+  const filePath = options.path || (process.env.OUTCOME_JOURNAL_PATH || '').trim() || DEFAULT_JOURNAL_PATH;
+
+  return {
+    path: filePath,
+
+    /**
+     * Journals an outcome before it is written to the lead store.
+     *
+     * @param {Object} entry
+     * @param {string} entry.store - Lead store name (e.g. "sheets")
+     * @param {string} [entry.target] - Store target (worksheet name or file path)
+     * @param {Object} entry.row - { rowIndex, username }
+     * @param {Object} entry.outcome - { sessionId, dateSent, message, status }
+     * @param {Object} entry.history - History entry (see LeadStore.appendHistory)
+     * @returns {string} Journal entry ID
+     * @throws {Error} If the journal cannot be written
+     */
+    record(entry) {
+      const id = crypto.randomUUID();
+
+      appendRecordsDurably(filePath, [{
+        type: 'outcome',
+        id: id,
+        recordedAt: new Date().toISOString(),
+        store: entry.store,
+        target: entry.target || '',
+        row: { rowIndex: entry.row.rowIndex, username: entry.row.username },
+        outcome: entry.outcome,
+        history: entry.history,
+        parts: JOURNAL_PARTS,
+      }]);
+
+      return id;
+    },
+
+    /**
+     * Marks one part of a journaled outcome as written to the lead store.
+     *
+     * @param {string} id - Journal entry ID returned by record()
+     * @param {string} part - "row" or "history"
+     * @param {Object} [details] - Extra details kept with the ack (e.g. { rowIndex } actually written)
+     */
+    acknowledge(id, part, details = {}) {
+      appendRecordsDurably(filePath, [{
+        type: 'ack',
+        id: id,
+        part: part,
+        ackedAt: new Date().toISOString(),
+        ...details,
+      }]);
+    },
+
+    /**
+     * @returns {Array<Object>} Outcomes with parts not yet written, oldest first (see collectPending)
+     */
+    loadPending() {
+      return collectPending(readRecords(filePath));
+    },
+
+    /**
+     * @returns {Array<Object>} History entries of every journaled outcome (acknowledged or not), in file order.
+     *   Compaction drops acknowledged outcomes, so this complements the lead stores' own history.
+     */
+    loadOutcomes() {
+      return readRecords(filePath)
+        .filter(record => record.type === 'outcome' && record.history)
+        .map(record => record.history);
+    },
+
+    /**
+     * Rewrites the journal keeping only outcomes that still have pending parts.
+     *
+     * @returns {number} Number of outcomes kept
+     */
+    compact() {
+      const pending = collectPending(readRecords(filePath));
+
+      const content = pending
+        .map(({ pending: parts, ...entry }) => JSON.stringify({ ...entry, parts }) + '\n')
+        .join('');
+
+      writeFileAtomic(filePath, content);
+      return pending.length;
+    },
+  };
+}
+
+module.exports = {
+  createOutcomeJournal,
+  collectPending, // Exported for testing
+  JOURNAL_PARTS,
+};
@@ -0,0 +1,176 @@
+// replayJournal.js
+// Pushes outcomes left unacknowledged in the outcome journal to their lead store
+
+require('dotenv').config();
+const { createLeadStore, VALID_LEAD_STORES } = require('./leadStore');
+const { createOutcomeJournal } = require('./outcomeJournal');
+const { isRowConflictError } = require('./sheetsManager');
+const logger = require('./logger');
+
+/**
+ * Outcome Journal Replay
+ *
+ * Reads the outcome journal (OUTCOME_JOURNAL_PATH), writes every row update and history row that
+ * never reached its lead store, acknowledges what lands and compacts the journal.
+ * Rows are verified by username before writing (see sheetsManager.locateLeadRow), and outcomes
+ * superseded by a later written outcome for the same lead are not replayed.
+ *
+ * Usage: npm run replay [-- --dry-run]
+ */
+
+/**
+ * Opens the lead store an entry was journaled against.
+ *
+ * @param {string} name - Lead store name recorded in the journal
+ * @param {string} target - Store target recorded in the journal (worksheet name or file path)
+ * @returns {Object} LeadStore implementation
+ * @throws {Error} If the store is unknown or cannot be opened
+ */
+function openStoreFor(name, target) {
+  if (!VALID_LEAD_STORES.includes(name)) {
+    throw new Error(`Unknown lead store "${name}" in journal`);
+  }
+
+  const options = name === 'sheets' ? { sheetName: target } : { path: target };
+  return createLeadStore(name, options);
+}
+
+/**
+ * Groups pending entries by the store they were journaled against, keeping journal order.
+ *
+ * @param {Array<Object>} pending - Entries from journal.loadPending()
+ * @returns {Array<Object>} Groups of { name, target, entries }
+ */
+function groupByStore(pending) {
+  const groups = new Map();
+
+  for (const entry of pending) {
+    const key = `${entry.store}\u0000${entry.target}`;
+    if (!groups.has(key)) {
+      groups.set(key, { name: entry.store, target: entry.target, entries: [] });
+    }
+    groups.get(key).entries.push(entry);
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Replays one store's entries. Writes are started together so background stores batch them,
+ * then the store is closed to drain its queue.
+ *
+ * @param {Object} journal - Outcome journal
+ * @param {Object} group - { name, target, entries }
+ * @returns {Promise<Object>} { written, conflicts, failed } counts of row and history parts
+ */
+async function replayGroup(journal, group) {
+  const counts = { written: 0, conflicts: 0, failed: 0 };
+  const store = openStoreFor(group.name, group.target);
+  const writes = [];
+
+  const track = (entry, part, write) => {
+    writes.push(write.then((writtenRowIndex) => {
+      journal.acknowledge(entry.id, part, part === 'row' && Number.isInteger(writtenRowIndex) ? { rowIndex: writtenRowIndex } : {});
+      counts.written++;
+    }, (writeError) => {
+      if (isRowConflictError(writeError)) {
+        counts.conflicts++;
+        logger.error(`Row conflict replaying ${entry.row.username} (${entry.outcome.status}): ${writeError.message}`);
+      } else {
+        counts.failed++;
+        logger.error(`Failed to replay ${part} for ${entry.row.username}: ${writeError.message}`);
+      }
+    }));
+  };
+
+  for (const entry of group.entries) {
+    if (entry.pending.includes('row')) {
+      track(entry, 'row', Promise.resolve().then(() => store.updateRowOutcome(entry.row, entry.outcome)));
+    }
+    if (entry.pending.includes('history')) {
+      track(entry, 'history', Promise.resolve().then(() => store.appendHistory(entry.history)));
+    }
+  }
+
+  if (typeof store.close === 'function') {
+    await store.close();
+  }
+  await Promise.all(writes);
+
+  return counts;
+}
+
+/**
+ * Main entry point for the replay command.
+ */
+async function replay() {
+  const dryRun = process.argv.includes('--dry-run');
+  const journal = createOutcomeJournal();
+
+  logger.section('Outcome Journal Replay');
+  logger.info(`Journal: ${journal.path}`);
+
+  const pending = journal.loadPending();
+  if (pending.length === 0) {
+    logger.success('Nothing to replay - every journaled outcome has been written');
+    journal.compact();
+    return 0;
+  }
+
+  const groups = groupByStore(pending);
+  logger.info(`Pending outcomes: ${pending.length}`);
+
+  if (dryRun) {
+    for (const group of groups) {
+      logger.info(`${group.name} (${group.target || 'default'}):`);
+      for (const entry of group.entries) {
+        logger.info(`  ${entry.row.username} (row ${entry.row.rowIndex}) - ${entry.outcome.status} ` +
+          `[${entry.pending.join(', ')}] recorded ${entry.recordedAt}`);
+      }
+    }
+    logger.info('Dry run - nothing written');
+    return 0;
+  }
+
+  const totals = { written: 0, conflicts: 0, failed: 0 };
+  for (const group of groups) {
+    logger.info(`Replaying ${group.entries.length} outcome(s) to ${group.name} (${group.target || 'default'})...`);
+    try {
+      const counts = await replayGroup(journal, group);
+      totals.written += counts.written;
+      totals.conflicts += counts.conflicts;
+      totals.failed += counts.failed;
+    } catch (storeError) {
+      logger.error(`Could not replay to ${group.name} (${group.target || 'default'}): ${storeError.message}`);
+      totals.failed += group.entries.reduce((sum, entry) => sum + entry.pending.length, 0);
+    }
+  }
+
+  const remaining = journal.compact();
+
+  logger.section('Replay Summary');
+  logger.success(`Written: ${totals.written}`);
+  if (totals.conflicts > 0) {
+    logger.error(`Row Conflicts: ${totals.conflicts} (fix the rows in the lead store, then replay again)`);
+  }
+  if (totals.failed > 0) {
+    logger.error(`Failed: ${totals.failed}`);
+  }
+  logger.info(`Outcomes still pending in journal: ${remaining}`);
+
+  return remaining > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  replay()
+    .then(exitCode => process.exit(exitCode))
+    .catch(error => {
+      logger.error(`Replay failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  groupByStore, // Exported for testing
+  replayGroup, // Exported for testing
+};
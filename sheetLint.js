@@ -0,0 +1,233 @@
+// sheetLint.js
+// Read-only data quality check for a lead store - finds problems before a live run instead of during one
+
+require('dotenv').config();
+const { createLeadStore, resolveLeadStoreType } = require('./leadStore');
+const { createOutcomeJournal } = require('./outcomeJournal');
+const { loadSourceConfig } = require('./sourceConfig');
+const { getStatusValues } = require('./bootstrapSheet');
+const { parseDateAdded } = require('./leadFilter');
+const { writeFileAtomic } = require('./utils');
+const logger = require('./logger');
+
+/**
+ * Sheet Lint
+ *
+ * Loads the lead store the same way a run does (header validation included) and reports:
+ *   - duplicate usernames (every row after the first, which is the one a run would use)
+ *   - usernames Instagram would reject (see usernames.validateUsername)
+ *   - Status values the bot neither reads nor writes
+ *   - Source values that are not in LEAD_SOURCES or an alias
+ *   - Date Added / Date Sent values that cannot be read as dates
+ *   - Sent rows with an empty Message
+ *   - Session IDs that do not appear in the recorded history or the outcome journal
+ * Nothing is written to the lead store. --plan writes the suggested fixes to a JSON file for review.
+ *
+ * Usage: npm run lint-sheet [-- --sheet <tab> | --path <lead file>] [--status <status> ...] [--plan <file>]
+ */
+
+/**
+ * Checks in report order, with the heading each is listed under
+ */
+const LINT_CHECKS = {
+  'duplicate-username': 'Duplicate usernames',
+  'invalid-username': 'Invalid usernames',
+  'unknown-status': 'Unknown Status values',
+  'unknown-source': 'Unknown Source values',
+  'malformed-date': 'Malformed dates',
+  'sent-without-message': 'Sent rows with an empty Message',
+  'unknown-session': 'Unknown Session IDs',
+};
+
+/**
+ * Parses command line arguments.
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { sheetName, path, statuses, plan }
+ * @throws {Error} If an option is missing its value or unknown
+ */
+function parseArgs(argv) {
+  const options = { sheetName: null, path: null, statuses: [], plan: null };
+  const valueOptions = { '--sheet': 'sheetName', '--path': 'path', '--plan': 'plan' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+
+    if (arg !== '--status' && !valueOptions[arg]) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`${arg} requires a value`);
+    }
+    if (arg === '--status') {
+      options.statuses.push(value.trim());
+    } else {
+      options[valueOptions[arg]] = value;
+    }
+    i++;
+  }
+
+  return options;
+}
+
+/**
+ * Checks loaded rows for data quality problems.
+ *
+ * @param {Array<Object>} rows - Rows from LeadStore.loadRows()
+ * @param {Object} context
+ * @param {Array<string>} context.statuses - Known Status values
+ * @param {Object} context.sources - Source configuration (see sourceConfig.loadSourceConfig)
+ * @param {Set<string>|null} context.sessions - Known session IDs (null: no history to check against)
+ * @returns {Array<Object>} Issues of { check, rowIndex, username, message, fix }, in check then row order
+ *   - fix: { action, field, from, to } - action is "set" (change field from -> to), "remove-row" or "review"
+ */
+function lintRows(rows, context) {
+  const issues = [];
+  const add = (check, row, message, fix) => issues.push({ check, rowIndex: row.rowIndex, username: row.username, message, fix });
+  const knownStatuses = new Set(context.statuses);
+  const firstRowByUsername = new Map();
+
+  for (const row of rows) {
+    if (row.username && !row.usernameError) {
+      if (firstRowByUsername.has(row.username)) {
+        const first = firstRowByUsername.get(row.username);
+        // A duplicate that was already processed holds outcome data, so it is left for a person to merge
+        add('duplicate-username', row, `${row.username} is also in row ${first.rowIndex} (that row is the one a run uses)`,
+          { action: row.sessionId ? 'review' : 'remove-row', field: null, from: null, to: null });
+      } else {
+        firstRowByUsername.set(row.username, row);
+      }
+    }
+
+    if (row.usernameError) {
+      add('invalid-username', row, row.usernameError, { action: 'review', field: 'Username', from: row.username, to: null });
+    }
+
+    if (!knownStatuses.has(row.status)) {
+      // A different case or stray spaces is the usual typo
+      const match = context.statuses.find(status => status.toLowerCase() === row.status.trim().toLowerCase());
+      add('unknown-status', row, `Status "${row.status}"${match ? ` (did you mean "${match}"?)` : ''}`,
+        match ? { action: 'set', field: 'Status', from: row.status, to: match } : { action: 'review', field: 'Status', from: row.status, to: null });
+    }
+
+    if (!context.sources.normalizeSource(row.source)) {
+      add('unknown-source', row, row.source ? `Source "${row.source}"` : 'empty Source',
+        { action: 'review', field: 'Source', from: row.source, to: null });
+    }
+
+    [['Date Added', row.dateAdded], ['Date Sent', row.dateSent]].forEach(([field, value]) => {
+      if (value && parseDateAdded(value) === null) {
+        add('malformed-date', row, `${field} "${value}" is not a date`, { action: 'review', field, from: value, to: null });
+      }
+    });
+
+    if (row.status === 'Sent' && !row.message) {
+      add('sent-without-message', row, 'Status is Sent but Message is empty', { action: 'review', field: 'Message', from: '', to: null });
+    }
+
+    if (context.sessions && row.sessionId && !context.sessions.has(row.sessionId)) {
+      add('unknown-session', row, `Session ID ${row.sessionId} is not in the recorded history`,
+        { action: 'review', field: 'Session ID', from: row.sessionId, to: null });
+    }
+  }
+
+  const order = Object.keys(LINT_CHECKS);
+  return issues.sort((a, b) => order.indexOf(a.check) - order.indexOf(b.check) || a.rowIndex - b.rowIndex);
+}
+
+/**
+ * Collects the session IDs recorded in the store's history and the outcome journal.
+ *
+ * @param {Object} store - LeadStore implementation
+ * @param {Object} journal - Outcome journal (see outcomeJournal.js)
+ * @returns {Promise<Set<string>|null>} Session IDs, or null when there is no history at all
+ */
+async function loadKnownSessions(store, journal) {
+  const entries = [
+    ...(typeof store.loadHistory === 'function' ? await store.loadHistory({}) : []),
+    ...journal.loadOutcomes(),
+  ];
+
+  if (entries.length === 0) {
+    return null;
+  }
+  return new Set(entries.map(entry => String(entry.sessionId || '').trim()).filter(Boolean));
+}
+
+/**
+ * Main entry point for the lint command.
+ */
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const storeOptions = {};
+  if (options.sheetName) {
+    storeOptions.sheetName = options.sheetName;
+  }
+  if (options.path) {
+    storeOptions.path = options.path;
+  }
+  const store = createLeadStore(resolveLeadStoreType(), storeOptions);
+
+  logger.section('Sheet Lint');
+  logger.info(`Lead store: ${store.name} (${store.target})`);
+
+  const rows = await store.loadRows();
+  const sessions = await loadKnownSessions(store, createOutcomeJournal());
+  logger.info(`Checked ${rows.length} row(s)`);
+  if (!sessions) {
+    logger.warn('No recorded history - Session IDs were not checked');
+  }
+
+  const issues = lintRows(rows, {
+    statuses: [...getStatusValues(), ...options.statuses],
+    sources: loadSourceConfig(),
+    sessions,
+  });
+
+  Object.entries(LINT_CHECKS).forEach(([check, heading]) => {
+    const found = issues.filter(issue => issue.check === check);
+    if (found.length === 0) {
+      return;
+    }
+    logger.warn(`${heading}: ${found.length}`);
+    found.forEach(issue => logger.warn(`  row ${issue.rowIndex}${issue.username ? ` (${issue.username})` : ''} - ${issue.message}`));
+  });
+
+  if (options.plan) {
+    const plan = {
+      generatedAt: new Date().toISOString(),
+      store: store.name,
+      target: store.target,
+      fixes: issues.map(({ check, rowIndex, username, message, fix }) => ({ rowIndex, username, check, message, ...fix })),
+    };
+    writeFileAtomic(options.plan, JSON.stringify(plan, null, 2) + '\n');
+    logger.info(`Fix-up plan written to ${options.plan} (${issues.length} fix(es); nothing was changed)`);
+  }
+
+  if (typeof store.close === 'function') {
+    await store.close();
+  }
+
+  if (issues.length > 0) {
+    logger.error(`${issues.length} problem(s) found`);
+    return 1;
+  }
+  logger.success('No problems found');
+  return 0;
+}
+
+if (require.main === module) {
+  run()
+    .then(exitCode => process.exit(exitCode))
+    .catch(error => {
+      logger.error(`Lint failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  lintRows, // Exported for testing
+  LINT_CHECKS,
+};
@@ -2,25 +2,48 @@
 require('dotenv').config();
 const fs = require('fs');
 const { google } = require('googleapis');
+const { parseRowUsername } = require('./usernames');
 
 /**
- * Expected sheet column structure (in order)
- * 9 columns total: Session ID, Date Added, Username, Source, Date Sent, Message, Status, Name, Bio
- * Note: Name and Bio are optional (populated upstream) and not used by bot logic
+ * Lead fields and the sheet header each one is read from.
+ * Columns are located by header name (case-insensitive), so their order does not matter
+ * and extra columns are allowed anywhere. Optional fields are used when their column exists.
+ * Note: Name and Bio are optional (populated upstream); Status Reason is optional and receives the
+ * reason for statuses such as "Suppressed" when the column exists; Follow-up Step and Next Follow-up
+ * are optional and hold each lead's place in a follow-up sequence (see followUps.js); Template, Template ID
+ * and Variant are optional: Template picks a template library entry for that row, Template ID receives the
+ * template each Drafted/Sent message was built from and Variant the A/B variant of the first message
+ * (see templateLibrary.js)
  */
-const REQUIRED_HEADERS = [
-  'Session ID',
-  'Date Added',
-  'Username',
-  'Source',
-  'Date Sent',
-  'Message',
-  'Status'
+const COLUMN_FIELDS = [
+  { key: 'SESSION_ID', header: 'Session ID', required: true },
+  { key: 'DATE_ADDED', header: 'Date Added', required: true },
+  { key: 'USERNAME', header: 'Username', required: true },
+  { key: 'SOURCE', header: 'Source', required: true },
+  { key: 'DATE_SENT', header: 'Date Sent', required: true },
+  { key: 'MESSAGE', header: 'Message', required: true },
+  { key: 'STATUS', header: 'Status', required: true },
+  { key: 'NAME', header: 'Name', required: false },
+  { key: 'BIO', header: 'Bio', required: false },
+  { key: 'STATUS_REASON', header: 'Status Reason', required: false },
+  { key: 'FOLLOW_UP_STEP', header: 'Follow-up Step', required: false },
+  { key: 'NEXT_FOLLOW_UP', header: 'Next Follow-up', required: false },
+  { key: 'TEMPLATE', header: 'Template', required: false },
+  { key: 'TEMPLATE_ID', header: 'Template ID', required: false },
+  { key: 'VARIANT', header: 'Variant', required: false },
 ];
 
 /**
- * Column indices for easy reference (0-based)
- * Column order: Session ID (0), Date Added (1), Username (2), Source (3), Date Sent (4), Message (5), Status (6), Name (7), Bio (8)
+ * Headers every lead sheet must contain (in any order)
+ */
+const REQUIRED_HEADERS = COLUMN_FIELDS.filter(field => field.required).map(field => field.header);
+
+/**
+ * Default column indices (0-based), used when creating new sheets/files and by backends without a header row.
+ * Existing sheets are read through the column map built from their header row instead.
+ * Default order: Session ID (0), Date Added (1), Username (2), Source (3), Date Sent (4), Message (5), Status (6), Name (7), Bio (8),
+ * Status Reason (9), Follow-up Step (10), Next Follow-up (11), Template (12), Template ID (13),
+ * Variant (14)
  */
 const COLUMN_INDICES = {
   SESSION_ID: 0,
@@ -31,9 +54,29 @@ const COLUMN_INDICES = {
   MESSAGE: 5,
   STATUS: 6,
   NAME: 7,
-  BIO: 8
+  BIO: 8,
+  STATUS_REASON: 9,
+  FOLLOW_UP_STEP: 10,
+  NEXT_FOLLOW_UP: 11,
+  TEMPLATE: 12,
+  TEMPLATE_ID: 13,
+  VARIANT: 14
 };
 
+/**
+ * Column structure for the optional outcome history worksheet (GOOGLE_HISTORY_SHEET_NAME).
+ * One row is appended per processed lead; rows are never updated.
+ */
+const HISTORY_HEADERS = [
+  'Timestamp',
+  'Session ID',
+  'Username',
+  'Row',
+  'Status',
+  'Flow',
+  'Error'
+];
+
 /**
  * Loads and validates Google service account credentials from environment variables.
  * Prefers GOOGLE_CREDENTIALS (inline JSON string) over GOOGLE_CREDENTIALS_PATH (file path).
@@ -106,7 +149,8 @@ function validateEnvironment() {
     throw new Error('Missing required environment variable: GOOGLE_SHEET_ID');
   }
 
-  if (!process.env.GOOGLE_SHEET_NAME) {
+  // Campaign runs (CAMPAIGNS_PATH) name their worksheets per campaign
+  if (!process.env.GOOGLE_SHEET_NAME && !process.env.CAMPAIGNS_PATH) {
     throw new Error('Missing required environment variable: GOOGLE_SHEET_NAME');
   }
 }
@@ -133,63 +177,311 @@ async function buildSheetsClient() {
 }
 
 /**
- * Validates that the sheet header row matches the expected structure.
+ * Column maps by worksheet name, captured when a sheet is loaded
+ */
+const columnMapCache = new Map();
+
+/**
+ * Shared Sheets client promise for this process (built on first use)
+ */
+let sharedSheetsClient = null;
+
+/**
+ * Returns the process-wide Sheets API client, building it once.
+ * Reusing one client avoids re-creating GoogleAuth (and re-fetching tokens) on every request.
+ * A failed build is not cached, so the next call retries.
+ * 
+ * @returns {Promise<Object>} Authenticated Google Sheets API client
+ * @throws {Error} If authentication fails or environment is invalid
+ */
+async function getSheetsClient() {
+  if (!sharedSheetsClient) {
+    sharedSheetsClient = buildSheetsClient().catch(error => {
+      sharedSheetsClient = null;
+      throw error;
+    });
+  }
+
+  return sharedSheetsClient;
+}
+
+/**
+ * Replaces the process-wide Sheets API client, e.g. with a stub in tests.
+ * Cached column maps belong to the previous client's spreadsheet and are dropped.
+ * 
+ * @param {Object} client - Object with the spreadsheets.values methods used here
+ */
+function setSheetsClient(client) {
+  sharedSheetsClient = Promise.resolve(client);
+  columnMapCache.clear();
+}
+
+/**
+ * Converts a 0-based column index into an A1 column letter (0 -> A, 26 -> AA).
+ * 
+ * @param {number} index - 0-based column index
+ * @returns {string} Column letter(s)
+ */
+function columnLetter(index) {
+  let letters = '';
+  let remaining = index + 1;
+
+  while (remaining > 0) {
+    const mod = (remaining - 1) % 26;
+    letters = String.fromCharCode(65 + mod) + letters;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+
+  return letters;
+}
+
+/**
+ * Checks whether a Sheets API error is transient (quota, server error, or network failure)
+ * and the request is worth retrying.
+ * 
+ * @param {Error} error - Error thrown by the googleapis client
+ * @returns {boolean} True if the request should be retried
+ */
+function isRetryableSheetsError(error) {
+  if (!error) {
+    return false;
+  }
+
+  const status = Number(error.code || (error.response && error.response.status));
+  if (status === 429 || (status >= 500 && status < 600)) {
+    return true;
+  }
+
+  const networkCodes = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+  return networkCodes.includes(error.code);
+}
+
+/**
+ * Quotes a worksheet name for use in an A1 range ("Client A" -> "'Client A'").
+ * Quoting is always safe and required for names with spaces or punctuation.
+ * 
+ * @param {string} sheetName - Worksheet name
+ * @returns {string} Quoted worksheet name
+ */
+function quoteSheetName(sheetName) {
+  return `'${String(sheetName).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Normalizes a header cell for comparison (trimmed, lowercase, single spaces).
+ * 
+ * @param {string} header - Raw header value
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+  return String(header || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Parses COLUMN_ALIASES into a lookup of alternative header names.
+ * Format: comma-separated "Alias:Column" pairs, e.g. "Handle:Username,Lead Source:Source".
+ * 
+ * @param {string} [value] - Raw alias configuration (defaults to COLUMN_ALIASES)
+ * @returns {Object} Map of normalized alias header -> field key (e.g. { handle: 'USERNAME' })
+ * @throws {Error} If an entry is malformed or targets an unknown column
+ */
+function parseColumnAliases(value = process.env.COLUMN_ALIASES) {
+  const aliases = {};
+
+  if (!value || typeof value !== 'string' || value.trim() === '') {
+    return aliases;
+  }
+
+  for (const entry of value.split(',')) {
+    if (entry.trim() === '') {
+      continue;
+    }
+
+    const separatorIndex = entry.indexOf(':');
+    const alias = separatorIndex === -1 ? '' : entry.slice(0, separatorIndex).trim();
+    const target = separatorIndex === -1 ? '' : entry.slice(separatorIndex + 1).trim();
+
+    if (!alias || !target) {
+      throw new Error(
+        `Invalid COLUMN_ALIASES entry "${entry.trim()}": expected "Alias:Column" (e.g. "Handle:Username")`
+      );
+    }
+
+    const field = COLUMN_FIELDS.find(candidate => normalizeHeader(candidate.header) === normalizeHeader(target));
+    if (!field) {
+      throw new Error(
+        `Invalid COLUMN_ALIASES entry "${entry.trim()}": "${target}" is not a known column. ` +
+        `Known columns: ${COLUMN_FIELDS.map(candidate => candidate.header).join(', ')}`
+      );
+    }
+
+    aliases[normalizeHeader(alias)] = field.key;
+  }
+
+  return aliases;
+}
+
+/**
+ * Builds the column map for a sheet from its header row.
+ * Each header is matched against the field headers, then against COLUMN_ALIASES;
+ * unrecognized headers are extra columns and are ignored.
  * 
  * @param {Array<string>} headerRow - Array of header values from the sheet
- * @throws {Error} If headers are missing, misordered, or mistyped
+ * @param {Object} [aliases] - Alias lookup (defaults to parseColumnAliases())
+ * @returns {Object} Map of field key -> 0-based column index (e.g. { USERNAME: 3, ... })
+ * @throws {Error} If a required column is missing or two columns map to the same field
  */
-function validateHeaders(headerRow) {
+function buildColumnMap(headerRow, aliases = parseColumnAliases()) {
   if (!Array.isArray(headerRow)) {
     throw new Error('Header row must be an array');
   }
 
-  if (headerRow.length < REQUIRED_HEADERS.length) {
-    throw new Error(
-      `Invalid sheet structure: expected ${REQUIRED_HEADERS.length} columns, ` +
-      `found ${headerRow.length}. Required columns: ${REQUIRED_HEADERS.join(', ')}`
-    );
-  }
+  const columnMap = {};
 
-  for (let i = 0; i < REQUIRED_HEADERS.length; i++) {
-    const expected = REQUIRED_HEADERS[i].trim();
-    const actual = (headerRow[i] || '').trim();
+  headerRow.forEach((header, index) => {
+    const normalized = normalizeHeader(header);
+    if (!normalized) {
+      return;
+    }
 
-    if (actual !== expected) {
+    const field = COLUMN_FIELDS.find(candidate => normalizeHeader(candidate.header) === normalized);
+    const key = field ? field.key : aliases[normalized];
+    if (!key) {
+      return;
+    }
+
+    if (columnMap[key] !== undefined) {
+      const fieldHeader = COLUMN_FIELDS.find(candidate => candidate.key === key).header;
       throw new Error(
-        `Invalid sheet structure: column ${i + 1} (index ${i}) should be "${expected}", ` +
-        `but found "${actual}". Ensure headers match exactly: ${REQUIRED_HEADERS.join(', ')}`
+        `Invalid sheet structure: columns ${columnLetter(columnMap[key])} and ${columnLetter(index)} ` +
+        `both map to "${fieldHeader}". Rename or remove one of them.`
       );
     }
+
+    columnMap[key] = index;
+  });
+
+  const missing = COLUMN_FIELDS
+    .filter(field => field.required && columnMap[field.key] === undefined)
+    .map(field => field.header);
+
+  if (missing.length > 0) {
+    throw new Error(
+      `Invalid sheet structure: missing required column(s): ${missing.join(', ')}. ` +
+      `Found headers: ${headerRow.filter(header => normalizeHeader(header)).join(', ') || '(none)'}. ` +
+      `Add the missing headers (npm run bootstrap adds them for you) or map existing ones with ` +
+      `COLUMN_ALIASES (e.g. "Handle:Username").`
+    );
   }
+
+  return columnMap;
+}
+
+/**
+ * Validates that the sheet header row contains every required column.
+ * Column order does not matter and extra columns are allowed.
+ * 
+ * @param {Array<string>} headerRow - Array of header values from the sheet
+ * @returns {Object} Column map for the sheet (see buildColumnMap)
+ * @throws {Error} If required headers are missing or duplicated
+ */
+function validateHeaders(headerRow) {
+  return buildColumnMap(headerRow);
+}
+
+/**
+ * Converts raw values (header row first) into structured row objects.
+ * Shared by every lead store backend so rows look the same regardless of where they came from.
+ * Blank rows are skipped but still counted, so rowIndex always matches the 1-based sheet/file row.
+ * 
+ * @param {Array<Array<string>>} allRows - Raw rows including the header row at index 0
+ * @param {Object} [columnMap] - Column map (defaults to one built from the header row)
+ * @returns {Array<Object>} Structured row objects (see loadDatabaseRows)
+ */
+function buildRowObjects(allRows, columnMap = buildColumnMap(allRows[0])) {
+  // Process data rows (skip header row)
+  const dataRows = allRows.slice(1);
+  const structuredRows = [];
+
+  dataRows.forEach((row, index) => {
+    // Skip completely blank rows
+    if (!row || row.length === 0 || row.every(cell => !cell || String(cell).trim() === '')) {
+      return;
+    }
+
+    // Read a field through the column map (missing optional columns and short rows read as '')
+    const cell = key => {
+      const columnIndex = columnMap[key];
+      return columnIndex === undefined ? '' : String(row[columnIndex] || '').trim();
+    };
+
+    // Extract values with safe defaults
+    const sessionId = cell('SESSION_ID');
+    const dateAdded = cell('DATE_ADDED');
+    const username = cell('USERNAME');
+    const source = cell('SOURCE');
+    const status = cell('STATUS');
+    const dateSent = cell('DATE_SENT');
+    const message = cell('MESSAGE');
+    const name = cell('NAME'); // Optional, for reference only
+    const bio = cell('BIO'); // Optional, for reference only
+    const statusReason = cell('STATUS_REASON'); // Optional, why the row has its status
+    // Optional sequence columns - null when the sheet does not have them
+    const followUpStep = columnMap.FOLLOW_UP_STEP === undefined ? null : cell('FOLLOW_UP_STEP');
+    const nextFollowUp = columnMap.NEXT_FOLLOW_UP === undefined ? null : cell('NEXT_FOLLOW_UP');
+    const template = cell('TEMPLATE'); // Optional, template library ID to use for this row
+    const templateId = cell('TEMPLATE_ID'); // Optional, template the last message was built from
+    const variant = cell('VARIANT'); // Optional, A/B variant of the first message
+
+    // Normalize the username (handles, profile URLs, case); invalid ones are flagged, not dropped
+    const { username: normalizedUsername, error: usernameError } = parseRowUsername(username);
+
+    // Create structured object
+    structuredRows.push({
+      rowIndex: index + 2, // +2 because: 0-based index + 1 for header row + 1 for 1-based sheet indexing
+      username: normalizedUsername,
+      usernameError: usernameError, // Why the username breaks Instagram's rules (null when valid)
+      source: source,
+      status: status,
+      sessionId: sessionId, // Include session ID in structured data
+      dateAdded: dateAdded, // Date Added as shown in the sheet (used by date filters)
+      dateSent: dateSent, // Date Sent as shown in the sheet
+      message: message, // Message text from sheet
+      name: name, // Name (optional, for reference only)
+      bio: bio, // Bio (optional, for reference only)
+      statusReason: statusReason, // Status Reason (optional)
+      followUpStep: followUpStep, // Last follow-up step sent (optional)
+      nextFollowUp: nextFollowUp, // When the next follow-up is due (optional)
+      template: template, // Template override (optional)
+      templateId: templateId, // Template last used (optional)
+      variant: variant, // Experiment variant (optional)
+      rawRow: row, // Preserve full raw row array
+    });
+  });
+
+  return structuredRows;
 }
 
 /**
  * Loads all database rows from the configured Google Sheet.
  * Validates headers, converts rows to structured objects, and normalizes usernames.
  * 
+ * @param {string} [sheetName] - Worksheet name (defaults to GOOGLE_SHEET_NAME)
  * @returns {Promise<Array<Object>>} Array of row objects with:
  *   - rowIndex: 1-based sheet row index
- *   - username: normalized lowercase username
+ *   - username: normalized lowercase username (see usernames.parseRowUsername)
+ *   - usernameError: why the Username cell cannot be used, or null
  *   - source: source value from sheet
  *   - status: status value from sheet
  *   - rawRow: complete raw row array
  * @throws {Error} If sheet cannot be loaded or headers are invalid
  */
-async function loadDatabaseRows() {
-  validateEnvironment();
-  const credentials = loadCredentials();
+async function loadDatabaseRows(sheetName = process.env.GOOGLE_SHEET_NAME) {
+  const sheets = await getSheetsClient();
   const sheetId = process.env.GOOGLE_SHEET_ID;
-  const sheetName = process.env.GOOGLE_SHEET_NAME;
-
-  const auth = new google.auth.GoogleAuth({
-    credentials,
-    scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
-  });
-
-  const sheets = google.sheets({ version: 'v4', auth });
 
-  // Fetch all values from the sheet (9 columns: A through I)
-  const range = `${sheetName}!A:I`;
+  // Fetch all values from the sheet (every column - fields are located by header)
+  const range = quoteSheetName(sheetName);
   let response;
   try {
     response = await sheets.spreadsheets.values.get({
@@ -209,69 +501,330 @@ async function loadDatabaseRows() {
     return [];
   }
 
-  // Validate header row (first row)
+  // Validate header row (first row) and remember where each field lives for later writes
   const headerRow = allRows[0];
-  validateHeaders(headerRow);
+  const columnMap = validateHeaders(headerRow);
+  columnMapCache.set(sheetName, columnMap);
 
-  // Process data rows (skip header row)
-  const dataRows = allRows.slice(1);
-  const structuredRows = [];
+  return buildRowObjects(allRows, columnMap);
+}
 
-  dataRows.forEach((row, index) => {
-    // Skip completely blank rows
-    if (!row || row.length === 0 || row.every(cell => !cell || cell.trim() === '')) {
-      return;
-    }
+/**
+ * Returns the column map for a worksheet.
+ * Uses the map captured by the last loadDatabaseRows() call, or reads the header row once.
+ * 
+ * @param {string} [sheetName] - Worksheet name (defaults to GOOGLE_SHEET_NAME)
+ * @returns {Promise<Object>} Column map (see buildColumnMap)
+ * @throws {Error} If the header row cannot be read or is invalid
+ */
+async function getColumnMap(sheetName = process.env.GOOGLE_SHEET_NAME) {
+  if (columnMapCache.has(sheetName)) {
+    return columnMapCache.get(sheetName);
+  }
+
+  const sheets = await getSheetsClient();
+  const response = await sheets.spreadsheets.values.get({
+    spreadsheetId: process.env.GOOGLE_SHEET_ID,
+    range: `${quoteSheetName(sheetName)}!1:1`,
+  });
 
-    // Ensure row has at least 7 columns (pad with empty strings if needed)
-    // Name and Bio (columns 8-9) are optional
-    while (row.length < 7) {
-      row.push('');
+  const headerRow = (response.data.values && response.data.values[0]) || [];
+  const columnMap = validateHeaders(headerRow);
+  columnMapCache.set(sheetName, columnMap);
+
+  return columnMap;
+}
+
+/**
+ * Statuses the bot writes to the Status column
+ */
+const OUTCOME_STATUSES = [
+  'Drafted', 'Sent', 'Partially Sent', 'Send Failed', 'Skipped', 'Failed', 'Suppressed', 'Replied', 'Follow-up Failed', 'Invalid Username',
+  'Invalid Template',
+];
+
+/**
+ * Checks whether a status keeps the row's existing Date Sent and Message values.
+ * 
+ * @param {string} status - Status being written
+ * @returns {boolean} True for "Send Failed", "Skipped", "Suppressed", "Replied", "Follow-up Failed",
+ *   "Invalid Username" and "Invalid Template"
+ */
+function preservesDateAndMessage(status) {
+  return status === 'Send Failed' || status === 'Skipped' || status === 'Suppressed' ||
+    status === 'Replied' || status === 'Follow-up Failed' || status === 'Invalid Username' ||
+    status === 'Invalid Template';
+}
+
+/**
+ * Builds the cell-level value ranges that write an outcome to one sheet row.
+ * Only the outcome cells are addressed, so no read is needed to preserve the other columns:
+ * Session ID and Status always, Date Sent and Message unless the status preserves them,
+ * Status Reason (outcome.reason, cleared when absent) when the sheet has that column, and
+ * Follow-up Step / Next Follow-up when outcome.followUp is given and the sheet has those columns, and
+ * Template ID / Variant when outcome.templateId / outcome.variant is given and the sheet has that column.
+ * 
+ * @param {string} sheetName - Worksheet name
+ * @param {number} rowIndex - 1-based row index
+ * @param {Object} outcome - { sessionId, dateSent, message, status, [reason], [followUp: { step, nextDue }], [templateId], [variant] }
+ *   - outcome.preserveDateAndMessage (optional) overrides the status-based decision
+ * @param {Object} [columnMap] - Column map for the sheet (defaults to COLUMN_INDICES)
+ * @returns {Array<Object>} ValueRange objects for spreadsheets.values.batchUpdate
+ */
+function buildOutcomeValueRanges(sheetName, rowIndex, outcome, columnMap = COLUMN_INDICES) {
+  const cell = key => `${quoteSheetName(sheetName)}!${columnLetter(columnMap[key])}${rowIndex}`;
+  const valueRanges = [
+    { range: cell('SESSION_ID'), values: [[String(outcome.sessionId)]] },
+    { range: cell('STATUS'), values: [[outcome.status]] },
+  ];
+
+  const preserve = outcome.preserveDateAndMessage !== undefined
+    ? outcome.preserveDateAndMessage
+    : preservesDateAndMessage(outcome.status);
+
+  if (!preserve) {
+    valueRanges.push(
+      { range: cell('DATE_SENT'), values: [[outcome.dateSent || '']] },
+      { range: cell('MESSAGE'), values: [[outcome.message || '']] }
+    );
+  }
+
+  if (columnMap.STATUS_REASON !== undefined) {
+    valueRanges.push({ range: cell('STATUS_REASON'), values: [[outcome.reason || '']] });
+  }
+
+  if (outcome.followUp && columnMap.FOLLOW_UP_STEP !== undefined) {
+    valueRanges.push({ range: cell('FOLLOW_UP_STEP'), values: [[String(outcome.followUp.step)]] });
+  }
+  if (outcome.followUp && columnMap.NEXT_FOLLOW_UP !== undefined) {
+    valueRanges.push({ range: cell('NEXT_FOLLOW_UP'), values: [[outcome.followUp.nextDue || '']] });
+  }
+  if (outcome.templateId && columnMap.TEMPLATE_ID !== undefined) {
+    valueRanges.push({ range: cell('TEMPLATE_ID'), values: [[outcome.templateId]] });
+  }
+  if (outcome.variant && columnMap.VARIANT !== undefined) {
+    valueRanges.push({ range: cell('VARIANT'), values: [[outcome.variant]] });
+  }
+
+  return valueRanges;
+}
+
+/**
+ * Applies a processing outcome to a raw row array without touching unrelated columns.
+ * Updates Session ID and Status always; Date Sent and Message only when the status
+ * is not "Send Failed", "Skipped", "Suppressed", "Replied" or "Follow-up Failed" (those preserve the
+ * existing values); Status Reason when the column map has one; Follow-up Step and Next Follow-up only
+ * when followUp is given and the column map has them; Template ID and Variant only when attribution
+ * holds them and the column map has them.
+ * 
+ * @param {Array<string>} currentRow - Current raw row values
+ * @param {string|number} sessionId - Session ID for this run
+ * @param {string} dateSent - ISO timestamp string for Date Sent (can be empty)
+ * @param {string} message - Message text to save (can be empty)
+ * @param {string} status - Status to set
+ * @param {Object} [columnMap] - Column map for the row (defaults to COLUMN_INDICES)
+ * @param {string} [reason] - Status Reason to set (cleared when empty)
+ * @param {Object} [followUp] - { step, nextDue } sequence fields to set (left unchanged when absent)
+ * @param {Object} [attribution] - { templateId, variant } to set (each left unchanged when absent)
+ * @returns {Array<string>} New row array with the outcome applied
+ */
+function applyOutcomeToRow(currentRow, sessionId, dateSent, message, status, columnMap = COLUMN_INDICES, reason = '', followUp = null, attribution = {}) {
+  const updatedRow = [...currentRow];
+  const hasReasonColumn = columnMap.STATUS_REASON !== undefined;
+  const followUpKeys = followUp ? ['FOLLOW_UP_STEP', 'NEXT_FOLLOW_UP'].filter(key => columnMap[key] !== undefined) : [];
+  const attributionKeys = [['TEMPLATE_ID', attribution.templateId], ['VARIANT', attribution.variant]]
+    .filter(([key, value]) => value && columnMap[key] !== undefined);
+  const lastWrittenIndex = Math.max(
+    columnMap.SESSION_ID,
+    columnMap.DATE_SENT,
+    columnMap.MESSAGE,
+    columnMap.STATUS,
+    hasReasonColumn ? columnMap.STATUS_REASON : -1,
+    ...followUpKeys.map(key => columnMap[key]),
+    ...attributionKeys.map(([key]) => columnMap[key])
+  );
+  while (updatedRow.length <= lastWrittenIndex) {
+    updatedRow.push('');
+  }
+
+  updatedRow[columnMap.SESSION_ID] = String(sessionId); // Session ID - always update
+  
+  // For certain statuses, preserve existing Date Sent and Message values
+  if (!preservesDateAndMessage(status)) {
+    // Update Date Sent and Message with provided values
+    updatedRow[columnMap.DATE_SENT] = dateSent;
+    updatedRow[columnMap.MESSAGE] = message;
+  }
+  
+  updatedRow[columnMap.STATUS] = status; // Status - always update
+  if (hasReasonColumn) {
+    updatedRow[columnMap.STATUS_REASON] = reason || '';
+  }
+  if (followUpKeys.includes('FOLLOW_UP_STEP')) {
+    updatedRow[columnMap.FOLLOW_UP_STEP] = String(followUp.step);
+  }
+  if (followUpKeys.includes('NEXT_FOLLOW_UP')) {
+    updatedRow[columnMap.NEXT_FOLLOW_UP] = followUp.nextDue || '';
+  }
+  attributionKeys.forEach(([key, value]) => {
+    updatedRow[columnMap[key]] = value;
+  });
+  // All other columns (Date Added, Username, Source, Name, Bio, extra columns) remain unchanged
+
+  return updatedRow;
+}
+
+/**
+ * Error code set on errors for writes whose target row no longer holds the lead that was processed
+ */
+const ROW_CONFLICT = 'ROW_CONFLICT';
+
+/**
+ * Creates a row conflict error (see ROW_CONFLICT).
+ * 
+ * @param {string} message - Error message
+ * @returns {Error} Error with code ROW_CONFLICT
+ */
+function createRowConflictError(message) {
+  const error = new Error(message);
+  error.code = ROW_CONFLICT;
+  return error;
+}
+
+/**
+ * Checks whether an error is a row conflict (see ROW_CONFLICT).
+ * 
+ * @param {Error} error - Error to check
+ * @returns {boolean} True for row conflicts
+ */
+function isRowConflictError(error) {
+  return Boolean(error) && error.code === ROW_CONFLICT;
+}
+
+/**
+ * Finds the row a lead currently lives in, given the current Username column.
+ * The row it was loaded from wins if it still holds the same username; otherwise the lead
+ * is relocated to the only row with that username. Missing or duplicated usernames are conflicts.
+ * 
+ * @param {Array<string>} usernameCells - Username column values (index 0 is sheet row 1, the header)
+ * @param {number} rowIndex - 1-based row the lead was loaded from
+ * @param {string} username - Username the lead was loaded with
+ * @returns {Object} { rowIndex, relocated } - Row to write to
+ * @throws {Error} ROW_CONFLICT error if the lead cannot be located unambiguously
+ */
+function locateLeadRow(usernameCells, rowIndex, username) {
+  // Cells are compared the way they were loaded, so "@Jane" or a profile URL still matches "jane"
+  const expected = parseRowUsername(username).username;
+  const cellAt = index => parseRowUsername(usernameCells[index]).username;
+
+  if (!expected) {
+    throw createRowConflictError(`Cannot verify row ${rowIndex}: the processed row has no username`);
+  }
+
+  if (cellAt(rowIndex - 1) === expected) {
+    return { rowIndex, relocated: false };
+  }
+
+  const matches = [];
+  for (let index = 1; index < usernameCells.length; index++) {
+    if (cellAt(index) === expected) {
+      matches.push(index + 1);
     }
+  }
 
-    // Extract values with safe defaults (using updated column indices)
-    const sessionId = (row[COLUMN_INDICES.SESSION_ID] || '').trim();
-    const username = (row[COLUMN_INDICES.USERNAME] || '').trim();
-    const source = (row[COLUMN_INDICES.SOURCE] || '').trim();
-    const status = (row[COLUMN_INDICES.STATUS] || '').trim();
-    const message = (row[COLUMN_INDICES.MESSAGE] || '').trim();
-    const name = (row[COLUMN_INDICES.NAME] || '').trim(); // Optional, for reference only
-    const bio = (row[COLUMN_INDICES.BIO] || '').trim(); // Optional, for reference only
+  const found = cellAt(rowIndex - 1) || '(empty)';
 
-    // Normalize username to lowercase
-    const normalizedUsername = username.toLowerCase();
+  if (matches.length === 0) {
+    throw createRowConflictError(
+      `Row conflict for ${expected}: row ${rowIndex} now holds ${found} and ${expected} is no longer in the sheet`
+    );
+  }
 
-    // Create structured object
-    structuredRows.push({
-      rowIndex: index + 2, // +2 because: 0-based index + 1 for header row + 1 for 1-based sheet indexing
-      username: normalizedUsername,
-      source: source,
-      status: status,
-      sessionId: sessionId, // Include session ID in structured data
-      message: message, // Message text from sheet
-      name: name, // Name (optional, for reference only)
-      bio: bio, // Bio (optional, for reference only)
-      rawRow: row, // Preserve full raw row array
+  if (matches.length > 1) {
+    throw createRowConflictError(
+      `Row conflict for ${expected}: row ${rowIndex} now holds ${found} and ${expected} appears in ` +
+      `rows ${matches.join(', ')} - refusing to guess`
+    );
+  }
+
+  return { rowIndex: matches[0], relocated: true };
+}
+
+/**
+ * Checks whether two column maps put every field in the same column.
+ * 
+ * @param {Object} a - Column map
+ * @param {Object} b - Column map
+ * @returns {boolean} True if both maps have the same fields at the same indices
+ */
+function sameColumnMap(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+/**
+ * Reads a worksheet's header row and Username column and locates each lead before writing to it.
+ * Both are read in one request; if the header row no longer matches the cached column map
+ * (columns inserted, deleted or moved since the sheet was loaded), the map is rebuilt from it.
+ * 
+ * @param {string} sheetName - Worksheet name
+ * @param {Array<Object>} targets - Leads to locate, each { rowIndex, username }
+ * @returns {Promise<Object>} { columnMap, locations } - locations[i] is
+ *   { rowIndex, relocated } or { error } (ROW_CONFLICT) for targets[i]
+ * @throws {Error} If the sheet cannot be read or its header row is invalid
+ */
+async function resolveLeadRows(sheetName, targets) {
+  const sheets = await getSheetsClient();
+
+  const readHeaderAndUsernames = async (columnMap) => {
+    const letter = columnLetter(columnMap.USERNAME);
+    const response = await sheets.spreadsheets.values.batchGet({
+      spreadsheetId: process.env.GOOGLE_SHEET_ID,
+      ranges: [`${quoteSheetName(sheetName)}!1:1`, `${quoteSheetName(sheetName)}!${letter}:${letter}`],
     });
+    const [header, usernames] = response.data.valueRanges.map(valueRange => valueRange.values || []);
+    return {
+      headerRow: header[0] || [],
+      usernameCells: usernames.map(row => (row && row[0] !== undefined ? row[0] : '')),
+    };
+  };
+
+  let columnMap = await getColumnMap(sheetName);
+  let { headerRow, usernameCells } = await readHeaderAndUsernames(columnMap);
+
+  // The columns were rearranged since the map was cached - write through the current header row
+  const currentMap = validateHeaders(headerRow);
+  if (!sameColumnMap(currentMap, columnMap)) {
+    columnMapCache.set(sheetName, currentMap);
+    if (currentMap.USERNAME !== columnMap.USERNAME) {
+      ({ usernameCells } = await readHeaderAndUsernames(currentMap));
+    }
+    columnMap = currentMap;
+  }
+
+  const locations = targets.map(target => {
+    try {
+      return locateLeadRow(usernameCells, target.rowIndex, target.username);
+    } catch (conflictError) {
+      return { error: conflictError };
+    }
   });
 
-  return structuredRows;
+  return { columnMap, locations };
 }
 
 /**
  * Updates a single sheet row with draft metadata.
  * Updates Session ID, Date Sent, Message, and Status columns together.
  * 
- * Column order (9 columns total):
- *   A: Session ID (always updated)
- *   B: Date Added (preserved - never updated by this function)
- *   C: Username (preserved - never updated by this function)
- *   D: Source (preserved - never updated by this function)
- *   E: Date Sent (updated unless status is "Send Failed" or "Skipped")
- *   F: Message (updated unless status is "Send Failed" or "Skipped")
- *   G: Status (always updated)
- *   H: Name (preserved - never updated by this function, optional)
- *   I: Bio (preserved - never updated by this function, optional)
+ * Columns are located through the sheet's header row (see getColumnMap), so writes land
+ * in the actual column for each field:
+ *   Session ID (always updated)
+ *   Date Sent (updated unless the status preserves it, see preservesDateAndMessage)
+ *   Message (updated unless the status preserves it, see preservesDateAndMessage)
+ *   Status (always updated)
+ *   Template ID / Variant (updated when templateId / variant is given and the sheet has the column)
+ *   Date Added, Username, Source, Name, Bio and extra columns are never updated by this function
  * 
  * Special behavior:
  *   - For "Send Failed" and "Skipped" statuses:
@@ -284,9 +837,14 @@ async function loadDatabaseRows() {
  * @param {string} dateSent - ISO timestamp string for Date Sent column (can be empty string if not applicable)
  * @param {string} message - Message text to save (can be empty string)
  * @param {string} [status] - Status to set (defaults to "Drafted")
- * @throws {Error} If update fails or rowIndex is invalid
+ * @param {string} [expectedUsername] - Username the row was loaded with; when given, the row is
+ *   verified (and relocated if it moved) before writing (see locateLeadRow)
+ * @param {string} [templateId] - ID of the template the message was built from (see templateLibrary.js)
+ * @param {string} [variant] - A/B variant of the message, as "<template>:<variant>"
+ * @returns {Promise<number>} Row index that was written
+ * @throws {Error} If update fails or rowIndex is invalid (ROW_CONFLICT if the row no longer matches)
  */
-async function updateDraftData(rowIndex, sessionId, dateSent, message, status = 'Drafted') {
+async function updateDraftData(rowIndex, sessionId, dateSent, message, status = 'Drafted', expectedUsername, templateId, variant) {
   if (!Number.isInteger(rowIndex) || rowIndex < 2) {
     throw new Error(`Invalid rowIndex: ${rowIndex}. Must be an integer >= 2 (row 1 is header)`);
   }
@@ -307,86 +865,293 @@ async function updateDraftData(rowIndex, sessionId, dateSent, message, status =
     throw new Error('status must be a non-empty string');
   }
 
-  validateEnvironment();
-  const credentials = loadCredentials();
+  if (templateId !== undefined && typeof templateId !== 'string') {
+    throw new Error('templateId must be a string when given');
+  }
+
+  if (variant !== undefined && typeof variant !== 'string') {
+    throw new Error('variant must be a string when given');
+  }
+
+  const sheets = await getSheetsClient();
   const sheetId = process.env.GOOGLE_SHEET_ID;
   const sheetName = process.env.GOOGLE_SHEET_NAME;
+  if (!sheetName) {
+    throw new Error('Missing required environment variable: GOOGLE_SHEET_NAME');
+  }
 
-  const auth = new google.auth.GoogleAuth({
-    credentials,
-    scopes: ['https://www.googleapis.com/auth/spreadsheets'],
-  });
+  // Write only the outcome cells, wherever their columns live in this sheet:
+  // Session ID and Status always, Date Sent and Message unless the status preserves them.
+  // Other columns (Date Added, Username, Source, Name, Bio, extra columns) are never addressed,
+  // so no read of the row is needed to preserve them.
+  let columnMap = await getColumnMap(sheetName);
+  let targetRowIndex = rowIndex;
 
-  const sheets = google.sheets({ version: 'v4', auth });
+  if (expectedUsername !== undefined) {
+    const resolved = await resolveLeadRows(sheetName, [{ rowIndex, username: expectedUsername }]);
+    const location = resolved.locations[0];
+    if (location.error) {
+      throw location.error;
+    }
+    columnMap = resolved.columnMap;
+    targetRowIndex = location.rowIndex;
+  }
+
+  const data = buildOutcomeValueRanges(sheetName, targetRowIndex, { sessionId, dateSent, message, status, templateId, variant }, columnMap);
 
-  // Update Session ID (column A), Date Sent (column E), Message (column F), Status (column G)
-  // Range format: SheetName!A{row}:I{row} (9 columns total including optional Name/Bio)
-  // We need to update: Session ID (A), Date Sent (E), Message (F), Status (G)
-  // Columns B, C, D, H, I (Date Added, Username, Source, Name, Bio) are preserved
-  
-  // First, read the current row to preserve existing values
-  const readRange = `${sheetName}!A${rowIndex}:I${rowIndex}`;
-  let currentRow;
   try {
-    const readResponse = await sheets.spreadsheets.values.get({
+    await sheets.spreadsheets.values.batchUpdate({
       spreadsheetId: sheetId,
-      range: readRange,
+      requestBody: {
+        valueInputOption: 'RAW',
+        data: data,
+      },
     });
-    currentRow = (readResponse.data.values && readResponse.data.values[0]) || [];
-    // Pad to at least 7 columns if needed (Name/Bio are optional)
-    while (currentRow.length < 7) {
-      currentRow.push('');
-    }
-  } catch (readError) {
-    // If row doesn't exist or can't be read, create a new row with empty values
-    currentRow = ['', '', '', '', '', '', '', '', ''];
+  } catch (apiError) {
+    throw new Error(
+      `Failed to update row ${targetRowIndex} in sheet: ${apiError.message}. ` +
+      `Verify rowIndex is valid and the service account has write access.`
+    );
   }
 
-  // Update only the columns we need to change:
-  // Column A (Session ID), Column E (Date Sent), Column F (Message), Column G (Status)
-  const updatedRow = [...currentRow];
-  updatedRow[COLUMN_INDICES.SESSION_ID] = String(sessionId); // Column A: Session ID - always update
-  
-  // For certain statuses, preserve existing Date Sent and Message values
-  const preserveDateAndMessage = status === 'Send Failed' || status === 'Skipped';
-  
-  if (preserveDateAndMessage) {
-    // Preserve existing Date Sent and Message values
-    // Only update Session ID and Status
-    updatedRow[COLUMN_INDICES.DATE_SENT] = currentRow[COLUMN_INDICES.DATE_SENT] || ''; // Column E: Preserve existing Date Sent
-    updatedRow[COLUMN_INDICES.MESSAGE] = currentRow[COLUMN_INDICES.MESSAGE] || ''; // Column F: Preserve existing Message
-  } else {
-    // Update Date Sent and Message with provided values
-    updatedRow[COLUMN_INDICES.DATE_SENT] = dateSent; // Column E: Date Sent
-    updatedRow[COLUMN_INDICES.MESSAGE] = message; // Column F: Message
+  return targetRowIndex;
+}
+
+/**
+ * Converts a history entry into a row of values in HISTORY_HEADERS order.
+ * 
+ * @param {Object} entry - History entry (see appendHistoryRow)
+ * @returns {Array<string>} Row values
+ */
+function buildHistoryValues(entry) {
+  return [
+    entry.timestamp || new Date().toISOString(),
+    String(entry.sessionId),
+    entry.username || '',
+    entry.rowIndex !== undefined && entry.rowIndex !== null ? String(entry.rowIndex) : '',
+    entry.status || '',
+    entry.flow || '',
+    entry.error || '',
+  ];
+}
+
+/**
+ * Appends one outcome entry to the history worksheet named by GOOGLE_HISTORY_SHEET_NAME.
+ * History is optional for the Sheets backend: when the variable is not set this is a no-op.
+ * 
+ * @param {Object} entry - History entry
+ * @param {string} entry.timestamp - ISO timestamp of the outcome
+ * @param {string|number} entry.sessionId - Session ID for this run
+ * @param {string} entry.username - Normalized username
+ * @param {number} entry.rowIndex - 1-based row index of the lead in the main worksheet
+ * @param {string} entry.status - Status written for the lead
+ * @param {string} [entry.flow] - DM flow used (flow1, flow2, none)
+ * @param {string} [entry.error] - Error message, if any
+ * @returns {Promise<boolean>} True if a row was appended, false if history is disabled
+ * @throws {Error} If the append request fails
+ */
+async function appendHistoryRow(entry) {
+  const historySheetName = process.env.GOOGLE_HISTORY_SHEET_NAME;
+  if (!historySheetName || historySheetName.trim() === '') {
+    return false;
   }
-  
-  updatedRow[COLUMN_INDICES.STATUS] = status; // Column G: Status - always update
-  // Columns B, C, D, H, I (Date Added, Username, Source, Name, Bio) remain unchanged from currentRow
 
-  // Update the entire row (all columns, preserving Name/Bio if present)
-  const range = `${sheetName}!A${rowIndex}:I${rowIndex}`;
-  const values = [updatedRow];
+  const sheets = await getSheetsClient();
+  const values = [buildHistoryValues(entry)];
 
   try {
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: sheetId,
-      range: range,
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: process.env.GOOGLE_SHEET_ID,
+      range: `${quoteSheetName(historySheetName.trim())}!A:${columnLetter(HISTORY_HEADERS.length - 1)}`,
       valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
       requestBody: {
         values: values,
       },
     });
   } catch (apiError) {
     throw new Error(
-      `Failed to update row ${rowIndex} in sheet: ${apiError.message}. ` +
-      `Verify rowIndex is valid and the service account has write access.`
+      `Failed to append history row to "${historySheetName}": ${apiError.message}. ` +
+      `Verify the worksheet exists and the service account has write access.`
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Converts a history row (HISTORY_HEADERS order) back into a history entry.
+ * 
+ * @param {Array<string>} cells - Row values
+ * @returns {Object} History entry { timestamp, sessionId, username, rowIndex, status, flow, error }
+ */
+function parseHistoryValues(cells) {
+  const cell = index => String(cells[index] === undefined || cells[index] === null ? '' : cells[index]).trim();
+  const rowIndex = parseInt(cell(3), 10);
+
+  return {
+    timestamp: cell(0),
+    sessionId: cell(1),
+    username: cell(2).toLowerCase(),
+    rowIndex: isNaN(rowIndex) ? null : rowIndex,
+    status: cell(4),
+    flow: cell(5),
+    error: cell(6),
+  };
+}
+
+/**
+ * Parses history rows (with or without the header row) into entries matching a filter, oldest first.
+ * 
+ * @param {Array<Array<string>>} rows - History rows in HISTORY_HEADERS order
+ * @param {Object} [filter]
+ * @param {string} [filter.username] - Only entries for this username (case-insensitive)
+ * @param {string|number} [filter.sessionId] - Only entries from this session
+ * @returns {Array<Object>} History entries
+ */
+function parseHistoryRows(rows, filter = {}) {
+  const hasHeader = rows.length > 0 && normalizeHeader(rows[0][0]) === normalizeHeader(HISTORY_HEADERS[0]);
+  const username = filter.username ? filter.username.toLowerCase().trim() : null;
+  const sessionId = filter.sessionId !== undefined && filter.sessionId !== null ? String(filter.sessionId) : null;
+
+  return rows
+    .slice(hasHeader ? 1 : 0)
+    .map(parseHistoryValues)
+    .filter(entry => entry.username !== '' &&
+      (!username || entry.username === username) &&
+      (!sessionId || entry.sessionId === sessionId))
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) => (Date.parse(a.entry.timestamp) || 0) - (Date.parse(b.entry.timestamp) || 0) || a.index - b.index)
+    .map(({ entry }) => entry);
+}
+
+/**
+ * Reads outcome history from the worksheet named by GOOGLE_HISTORY_SHEET_NAME.
+ * History is optional for the Sheets backend: when the variable is not set there is none.
+ * 
+ * @param {Object} [filter] - { username, sessionId } (see parseHistoryRows)
+ * @returns {Promise<Array<Object>>} History entries, oldest first
+ * @throws {Error} If the history worksheet cannot be read
+ */
+async function loadHistoryRows(filter = {}) {
+  const historySheetName = process.env.GOOGLE_HISTORY_SHEET_NAME;
+  if (!historySheetName || historySheetName.trim() === '') {
+    return [];
+  }
+
+  const sheets = await getSheetsClient();
+
+  let response;
+  try {
+    response = await sheets.spreadsheets.values.get({
+      spreadsheetId: process.env.GOOGLE_SHEET_ID,
+      range: `${quoteSheetName(historySheetName.trim())}!A:${columnLetter(HISTORY_HEADERS.length - 1)}`,
+    });
+  } catch (apiError) {
+    throw new Error(
+      `Failed to read history from "${historySheetName}": ${apiError.message}. ` +
+      `Verify the worksheet exists and the service account has access.`
     );
   }
+
+  return parseHistoryRows(response.data.values || [], filter);
+}
+
+/**
+ * Converts a new lead into a row of values laid out by a column map.
+ * Outcome columns (Session ID, Date Sent, Message) start empty; extra columns are left blank.
+ * 
+ * @param {Object} lead - { username, dateAdded, source, status, name, bio }
+ * @param {Object} [columnMap] - Column map for the sheet/file (defaults to COLUMN_INDICES)
+ * @returns {Array<string>} Row values
+ */
+function buildLeadValues(lead, columnMap = COLUMN_INDICES) {
+  const width = Math.max(...Object.values(columnMap)) + 1;
+  const values = new Array(width).fill('');
+  const set = (key, value) => {
+    if (columnMap[key] !== undefined) {
+      values[columnMap[key]] = value || '';
+    }
+  };
+
+  set('DATE_ADDED', lead.dateAdded);
+  set('USERNAME', lead.username);
+  set('SOURCE', lead.source);
+  set('STATUS', lead.status);
+  set('NAME', lead.name);
+  set('BIO', lead.bio);
+
+  return values;
+}
+
+/**
+ * Appends new lead rows to the bottom of a worksheet in one request.
+ * Values are placed by the worksheet's header row, so column order and extra columns are respected.
+ * 
+ * @param {string} sheetName - Worksheet name
+ * @param {Array<Object>} leads - Leads to append (see buildLeadValues)
+ * @returns {Promise<number>} Number of rows appended
+ * @throws {Error} If the header row is invalid or the append fails
+ */
+async function appendLeadRows(sheetName, leads) {
+  if (leads.length === 0) {
+    return 0;
+  }
+
+  const sheets = await getSheetsClient();
+  const columnMap = await getColumnMap(sheetName);
+
+  try {
+    await sheets.spreadsheets.values.append({
+      spreadsheetId: process.env.GOOGLE_SHEET_ID,
+      range: `${quoteSheetName(sheetName)}!A1`,
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      requestBody: {
+        values: leads.map(lead => buildLeadValues(lead, columnMap)),
+      },
+    });
+  } catch (apiError) {
+    throw new Error(
+      `Failed to append leads to "${sheetName}": ${apiError.message}. ` +
+      `Verify the service account has write access.`
+    );
+  }
+
+  return leads.length;
 }
 
 module.exports = {
   buildSheetsClient,
+  getSheetsClient,
+  setSheetsClient, // Exported for testing
+  columnLetter,
+  quoteSheetName,
+  isRetryableSheetsError,
+  preservesDateAndMessage,
+  buildOutcomeValueRanges,
+  normalizeHeader,
+  parseColumnAliases,
+  buildColumnMap,
+  validateHeaders,
+  getColumnMap,
+  createRowConflictError,
+  isRowConflictError,
+  locateLeadRow,
+  resolveLeadRows,
+  buildRowObjects,
+  applyOutcomeToRow,
   loadDatabaseRows,
   updateDraftData,
+  buildHistoryValues,
+  appendHistoryRow,
+  parseHistoryRows,
+  loadHistoryRows,
+  buildLeadValues,
+  appendLeadRows,
+  COLUMN_FIELDS,
+  OUTCOME_STATUSES,
+  REQUIRED_HEADERS,
+  COLUMN_INDICES,
+  HISTORY_HEADERS,
 };
@@ -0,0 +1,462 @@
+// sheetsWriteQueue.js
+// Background write queue for the Google Sheets lead store
+// Coalesces row updates and history appends into batched requests to stay under the per-minute quota
+
+require('dotenv').config();
+const {
+  getSheetsClient,
+  resolveLeadRows,
+  createRowConflictError,
+  columnLetter,
+  quoteSheetName,
+  isRetryableSheetsError,
+  preservesDateAndMessage,
+  buildOutcomeValueRanges,
+  buildHistoryValues,
+  HISTORY_HEADERS,
+} = require('./sheetsManager');
+const logger = require('./logger');
+
+/**
+ * Maximum number of rows sent in one spreadsheets.values.batchUpdate request
+ */
+const MAX_ROWS_PER_BATCH = 100;
+
+/**
+ * Upper bound for the retry backoff after consecutive failures
+ */
+const MAX_BACKOFF_MS = 60000;
+
+/**
+ * Parses a positive integer from an environment variable value.
+ *
+ * @param {string} value - Raw environment variable value
+ * @param {number} defaultValue - Value used when missing or invalid
+ * @returns {number} Parsed positive integer
+ */
+function parsePositiveInt(value, defaultValue) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : defaultValue;
+}
+
+/**
+ * Merges a newer outcome for a row into an older queued one.
+ * The newer Session ID and Status win; Date Sent and Message come from the newest outcome
+ * that writes them, so a later "Skipped" never drops an earlier "Sent" message; likewise the
+ * follow-up fields come from the newest outcome that sets them.
+ *
+ * @param {Object} previous - Older queued outcome
+ * @param {Object} next - Newer outcome
+ * @returns {Object} Merged outcome
+ */
+function mergeOutcomes(previous, next) {
+  const followUp = next.followUp || previous.followUp || null;
+
+  if (!next.preserveDateAndMessage) {
+    return { ...next, followUp };
+  }
+
+  return {
+    ...next,
+    followUp,
+    dateSent: previous.dateSent,
+    message: previous.message,
+    preserveDateAndMessage: previous.preserveDateAndMessage,
+  };
+}
+
+/**
+ * Creates a background write queue for one worksheet.
+ *
+ * Row updates are keyed by row index, so several updates to the same row before a flush
+ * become a single write. Each flush sends at most one batchUpdate per MAX_ROWS_PER_BATCH rows,
+ * plus one append for all queued history rows.
+ *
+ * Before writing, each row's Username is checked against the current sheet; leads whose rows moved
+ * are written to their new row, and rows that can no longer be matched are refused as conflicts.
+ *
+ * Transient failures (quota, 5xx, network) are re-queued with exponential backoff up to
+ * maxAttempts; anything else, or anything that exhausts its attempts, is recorded as failed
+ * and its promise rejects.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.spreadsheetId] - Spreadsheet ID (defaults to GOOGLE_SHEET_ID)
+ * @param {string} [options.sheetName] - Worksheet name (defaults to GOOGLE_SHEET_NAME)
+ * @param {string} [options.historySheetName] - History worksheet (defaults to GOOGLE_HISTORY_SHEET_NAME)
+ * @param {number} [options.flushIntervalMs] - Flush interval (defaults to SHEETS_FLUSH_INTERVAL_MS or 5000)
+ * @param {number} [options.maxAttempts] - Attempts per write (defaults to SHEETS_WRITE_MAX_ATTEMPTS or 5)
+ * @param {number} [options.retryBaseDelayMs] - First retry delay, doubled per consecutive failure (default 2000)
+ * @returns {Object} Queue with enqueueRowUpdate, enqueueHistory, flush, close, getFailedWrites
+ */
+function createSheetsWriteQueue(options = {}) {
+  const spreadsheetId = options.spreadsheetId || process.env.GOOGLE_SHEET_ID;
+  const sheetName = options.sheetName || process.env.GOOGLE_SHEET_NAME;
+  const historySheetName = options.historySheetName !== undefined
+    ? options.historySheetName
+    : (process.env.GOOGLE_HISTORY_SHEET_NAME || '').trim();
+  const flushIntervalMs = options.flushIntervalMs || parsePositiveInt(process.env.SHEETS_FLUSH_INTERVAL_MS, 5000);
+  const maxAttempts = options.maxAttempts || parsePositiveInt(process.env.SHEETS_WRITE_MAX_ATTEMPTS, 5);
+  const retryBaseDelayMs = options.retryBaseDelayMs || 2000;
+
+  const pendingRows = new Map();
+  let pendingHistory = [];
+  const failedWrites = [];
+  let timer = null;
+  let activeFlush = null;
+  let nextAttemptAt = 0;
+  let consecutiveFailures = 0;
+
+  /**
+   * Resolves or rejects every promise waiting on a queued item.
+   */
+  function settle(item, error) {
+    for (const waiter of item.waiters) {
+      if (error) {
+        waiter.reject(error);
+      } else {
+        waiter.resolve(item.rowIndex);
+      }
+    }
+  }
+
+  /**
+   * Adds a new row item to the queue, merging it on top of any update already queued for the row.
+   */
+  function queueRow(item) {
+    const older = pendingRows.get(item.rowIndex);
+
+    if (!older) {
+      pendingRows.set(item.rowIndex, item);
+      return;
+    }
+
+    pendingRows.set(item.rowIndex, {
+      ...item,
+      outcome: mergeOutcomes(older.outcome, item.outcome),
+      waiters: [...older.waiters, ...item.waiters],
+      attempts: older.attempts,
+    });
+  }
+
+  /**
+   * Puts a failed row item back in the queue, merging it under any newer update for the same row.
+   */
+  function requeueRow(item) {
+    const newer = pendingRows.get(item.rowIndex);
+
+    if (!newer) {
+      pendingRows.set(item.rowIndex, item);
+      return;
+    }
+
+    pendingRows.set(item.rowIndex, {
+      ...newer,
+      outcome: mergeOutcomes(item.outcome, newer.outcome),
+      waiters: [...item.waiters, ...newer.waiters],
+      attempts: Math.max(item.attempts, newer.attempts),
+    });
+  }
+
+  /**
+   * Puts a failed history item back in the queue.
+   */
+  function requeueHistory(item) {
+    pendingHistory.push(item);
+  }
+
+  /**
+   * Describes a failed row write for the failure report.
+   */
+  function describeRowItem(item) {
+    return {
+      target: `row ${item.rowIndex} (${item.username})`,
+      rowIndex: item.rowIndex,
+      username: item.username,
+      status: item.outcome.status,
+    };
+  }
+
+  /**
+   * Describes a failed history append for the failure report.
+   */
+  function describeHistoryItem(item) {
+    return {
+      target: `history (${item.entry.username})`,
+      entry: item.entry,
+    };
+  }
+
+  /**
+   * Records and rejects a row write whose target row no longer holds the processed lead.
+   * Conflicts are never retried - writing anyway could overwrite someone else's row.
+   */
+  function rejectConflict(item, conflictError) {
+    const failure = {
+      ...describeRowItem(item),
+      attempts: item.attempts + 1,
+      error: conflictError.message,
+      conflict: true,
+    };
+    failedWrites.push(failure);
+    logger.error(`Refused sheet write for ${failure.target}: ${conflictError.message}`);
+    settle(item, conflictError);
+  }
+
+  /**
+   * Handles a failed request: re-queues transient failures, records and rejects the rest.
+   */
+  function handleFailure(items, error, requeue, describe) {
+    const retryable = isRetryableSheetsError(error);
+
+    if (retryable) {
+      const backoff = Math.min(retryBaseDelayMs * Math.pow(2, consecutiveFailures), MAX_BACKOFF_MS);
+      consecutiveFailures++;
+      nextAttemptAt = Date.now() + backoff;
+      logger.warn(`Sheets write failed (${error.message}) - retrying ${items.length} item(s) in ${backoff}ms`);
+    }
+
+    for (const item of items) {
+      item.attempts++;
+
+      if (retryable && item.attempts < maxAttempts) {
+        requeue(item);
+        continue;
+      }
+
+      const failure = {
+        ...describe(item),
+        attempts: item.attempts,
+        error: error.message,
+      };
+      failedWrites.push(failure);
+      logger.error(`Sheets write failed permanently for ${failure.target}: ${error.message}`);
+      settle(item, new Error(`Sheets write failed after ${item.attempts} attempt(s): ${error.message}`));
+    }
+  }
+
+  /**
+   * Sends everything currently queued. Skips the round if still inside a retry backoff.
+   */
+  async function runFlush() {
+    if (pendingRows.size === 0 && pendingHistory.length === 0) {
+      return;
+    }
+
+    if (Date.now() < nextAttemptAt) {
+      return;
+    }
+
+    const rowItems = [...pendingRows.values()];
+    const historyItems = pendingHistory;
+    pendingRows.clear();
+    pendingHistory = [];
+
+    let sheets;
+    let resolved = { columnMap: null, locations: [] };
+    try {
+      sheets = await getSheetsClient();
+      if (rowItems.length > 0) {
+        // Re-read the Username column so rows sorted, inserted or deleted mid-run are caught
+        resolved = await resolveLeadRows(sheetName, rowItems);
+      }
+    } catch (clientError) {
+      // Configuration and header problems are not retryable - fail everything queued
+      // (quota/network errors while reading the sheet are retried like any other write)
+      handleFailure(rowItems, clientError, requeueRow, describeRowItem);
+      handleFailure(historyItems, clientError, requeueHistory, describeHistoryItem);
+      return;
+    }
+
+    const { columnMap, locations } = resolved;
+    const writableItems = [];
+    const claimedRows = new Set();
+
+    rowItems.forEach((item, index) => {
+      const location = locations[index];
+
+      if (location.error) {
+        rejectConflict(item, location.error);
+        return;
+      }
+
+      if (claimedRows.has(location.rowIndex)) {
+        rejectConflict(item, createRowConflictError(
+          `Row conflict for ${item.username}: row ${location.rowIndex} is already being written for another lead`
+        ));
+        return;
+      }
+
+      if (location.relocated) {
+        logger.warn(`Row for ${item.username} moved from ${item.rowIndex} to ${location.rowIndex} - writing to the new row`);
+        item.rowIndex = location.rowIndex;
+      }
+
+      claimedRows.add(location.rowIndex);
+      writableItems.push(item);
+    });
+
+    for (let i = 0; i < writableItems.length; i += MAX_ROWS_PER_BATCH) {
+      const batch = writableItems.slice(i, i + MAX_ROWS_PER_BATCH);
+      const data = [];
+      for (const item of batch) {
+        data.push(...buildOutcomeValueRanges(sheetName, item.rowIndex, item.outcome, columnMap));
+      }
+
+      try {
+        await sheets.spreadsheets.values.batchUpdate({
+          spreadsheetId: spreadsheetId,
+          requestBody: {
+            valueInputOption: 'RAW',
+            data: data,
+          },
+        });
+        consecutiveFailures = 0;
+        batch.forEach(item => settle(item));
+      } catch (apiError) {
+        handleFailure(batch, apiError, requeueRow, describeRowItem);
+      }
+    }
+
+    if (historyItems.length > 0) {
+      try {
+        await sheets.spreadsheets.values.append({
+          spreadsheetId: spreadsheetId,
+          range: `${quoteSheetName(historySheetName)}!A:${columnLetter(HISTORY_HEADERS.length - 1)}`,
+          valueInputOption: 'RAW',
+          insertDataOption: 'INSERT_ROWS',
+          requestBody: {
+            values: historyItems.map(item => buildHistoryValues(item.entry)),
+          },
+        });
+        consecutiveFailures = 0;
+        historyItems.forEach(item => settle(item));
+      } catch (apiError) {
+        handleFailure(historyItems, apiError, requeueHistory, describeHistoryItem);
+      }
+    }
+  }
+
+  /**
+   * Flushes the queue now. Concurrent calls share the same in-flight flush.
+   *
+   * @returns {Promise<void>}
+   */
+  function flush() {
+    if (!activeFlush) {
+      activeFlush = runFlush().finally(() => {
+        activeFlush = null;
+      });
+    }
+
+    return activeFlush;
+  }
+
+  /**
+   * Starts the interval timer on first use. The timer is unref'd so it never keeps the process alive.
+   */
+  function ensureTimer() {
+    if (!timer) {
+      timer = setInterval(() => {
+        flush().catch(flushError => logger.error(`Background sheet flush failed: ${flushError.message}`));
+      }, flushIntervalMs);
+      if (typeof timer.unref === 'function') {
+        timer.unref();
+      }
+    }
+  }
+
+  return {
+    /**
+     * Queues an outcome write for one row.
+     *
+     * @param {Object} row - Row object (rowIndex, username)
+     * @param {Object} outcome - { sessionId, dateSent, message, status }
+     * @returns {Promise<number>} Resolves with the row index written (which differs from row.rowIndex
+     *   if the lead moved), rejects if it failed permanently or the row no longer matches (ROW_CONFLICT)
+     */
+    enqueueRowUpdate(row, outcome) {
+      ensureTimer();
+
+      return new Promise((resolve, reject) => {
+        const item = {
+          rowIndex: row.rowIndex,
+          username: row.username,
+          outcome: {
+            sessionId: outcome.sessionId,
+            dateSent: outcome.dateSent || '',
+            message: outcome.message || '',
+            status: outcome.status,
+            reason: outcome.reason || '',
+            followUp: outcome.followUp || null,
+            preserveDateAndMessage: preservesDateAndMessage(outcome.status),
+          },
+          waiters: [{ resolve, reject }],
+          attempts: 0,
+        };
+
+        queueRow(item);
+      });
+    },
+
+    /**
+     * Queues a history row. Resolves immediately when no history worksheet is configured.
+     *
+     * @param {Object} entry - History entry (see sheetsManager.appendHistoryRow)
+     * @returns {Promise<void>} Resolves when the row has been appended
+     */
+    enqueueHistory(entry) {
+      if (!historySheetName) {
+        return Promise.resolve();
+      }
+
+      ensureTimer();
+
+      return new Promise((resolve, reject) => {
+        pendingHistory.push({ entry, waiters: [{ resolve, reject }], attempts: 0 });
+      });
+    },
+
+    flush,
+
+    /**
+     * Stops the timer and drains the queue, waiting out retry backoffs.
+     *
+     * @returns {Promise<Object>} { failed: Array<Object> } - every write that failed permanently
+     */
+    async close() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+
+      while (pendingRows.size > 0 || pendingHistory.length > 0 || activeFlush) {
+        const wait = nextAttemptAt - Date.now();
+        if (wait > 0) {
+          await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        await flush();
+      }
+
+      return { failed: failedWrites.slice() };
+    },
+
+    /**
+     * @returns {Array<Object>} Writes that failed permanently so far
+     */
+    getFailedWrites() {
+      return failedWrites.slice();
+    },
+
+    /**
+     * @returns {number} Row updates plus history rows waiting to be written
+     */
+    size() {
+      return pendingRows.size + pendingHistory.length;
+    },
+  };
+}
+
+module.exports = {
+  createSheetsWriteQueue,
+  mergeOutcomes, // Exported for testing
+};
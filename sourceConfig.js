@@ -0,0 +1,157 @@
+// sourceConfig.js
+// Lead sources - where leads come from, with aliases and groups, declared in configuration
+
+require('dotenv').config();
+
+/**
+ * Sources used when LEAD_SOURCES is not set
+ */
+const DEFAULT_SOURCES = ['likes', 'comments', 'comment_free', 'followers', 'pod_guest'];
+
+/**
+ * Source mode that matches every source
+ */
+const ALL_SOURCES = 'all';
+
+const NAME_PATTERN = /^[a-z0-9_-]+$/;
+
+/**
+ * Normalizes a source, alias or group name for comparison.
+ */
+function normalizeSourceName(value) {
+  return String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+}
+
+/**
+ * Splits a comma-separated setting into trimmed, non-empty entries.
+ */
+function splitList(value) {
+  return String(value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Loads the lead source configuration:
+ *   LEAD_SOURCES   - comma-separated source names (default: likes, comments, comment_free, followers, pod_guest)
+ *   SOURCE_ALIASES - "alias:source" pairs, e.g. "like:likes,comment:comments" (also accepted in Source cells)
+ *   SOURCE_GROUPS  - "group:source+source" pairs, e.g. "engaged:likes+comments,warm:followers+pod_guest"
+ * Names are case-insensitive and may use letters, digits, "_" and "-"; "all" is reserved.
+ *
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {Object} Source configuration with:
+ *   - sources: Array<string> - canonical source names
+ *   - aliases: Map of alias -> source
+ *   - groups: Map of group -> Array<string> sources
+ *   - normalizeSource(value): canonical source for a source or alias, or null if unknown
+ *   - resolveSourceMode(value): 'all' or the Array<string> of sources a SOURCE_MODE selects
+ *   - expandSources(sources): the given sources plus their aliases (values a Source cell may hold)
+ *   - modeValues(): every value SOURCE_MODE accepts (sources, aliases, groups, "all")
+ * @throws {Error} If a name is invalid, declared twice, or an alias/group refers to an unknown source
+ */
+function loadSourceConfig(env = process.env) {
+  const declared = splitList(env.LEAD_SOURCES).map(normalizeSourceName);
+  const sources = declared.length > 0 ? declared : DEFAULT_SOURCES.slice();
+  const aliases = new Map();
+  const groups = new Map();
+  const taken = new Map();
+
+  const claim = (name, kind, setting) => {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`${setting}: invalid ${kind} name "${name}" (use letters, digits, "_" or "-")`);
+    }
+    if (name === ALL_SOURCES) {
+      throw new Error(`${setting}: "${ALL_SOURCES}" is reserved and cannot be used as a ${kind} name`);
+    }
+    if (taken.has(name)) {
+      throw new Error(`${setting}: "${name}" is already declared as a ${taken.get(name)}`);
+    }
+    taken.set(name, kind);
+  };
+
+  sources.forEach(source => claim(source, 'source', 'LEAD_SOURCES'));
+
+  const parsePairs = (setting, example) => splitList(env[setting]).map(entry => {
+    const separatorIndex = entry.indexOf(':');
+    const name = separatorIndex === -1 ? '' : normalizeSourceName(entry.slice(0, separatorIndex));
+    const target = separatorIndex === -1 ? '' : entry.slice(separatorIndex + 1).trim();
+    if (!name || !target) {
+      throw new Error(`Invalid ${setting} entry "${entry}": expected ${example}`);
+    }
+    return { name, target };
+  });
+
+  parsePairs('SOURCE_ALIASES', '"alias:source" (e.g. "like:likes")').forEach(({ name, target }) => {
+    const source = normalizeSourceName(target);
+    if (!sources.includes(source)) {
+      throw new Error(`Invalid SOURCE_ALIASES entry "${name}:${target}": "${target}" is not a source. Sources: ${sources.join(', ')}`);
+    }
+    claim(name, 'alias', 'SOURCE_ALIASES');
+    aliases.set(name, source);
+  });
+
+  parsePairs('SOURCE_GROUPS', '"group:source+source" (e.g. "engaged:likes+comments")').forEach(({ name, target }) => {
+    const members = [];
+    target.split('+').map(normalizeSourceName).forEach(member => {
+      const source = sources.includes(member) ? member : aliases.get(member);
+      if (!source) {
+        throw new Error(`Invalid SOURCE_GROUPS entry "${name}:${target}": "${member}" is not a source or alias. Sources: ${sources.join(', ')}`);
+      }
+      if (!members.includes(source)) {
+        members.push(source);
+      }
+    });
+    claim(name, 'group', 'SOURCE_GROUPS');
+    groups.set(name, members);
+  });
+
+  const normalizeSource = (value) => {
+    const name = normalizeSourceName(value);
+    return sources.includes(name) ? name : (aliases.get(name) || null);
+  };
+
+  const modeValues = () => [...sources, ...aliases.keys(), ...groups.keys(), ALL_SOURCES];
+
+  const resolveSourceMode = (value) => {
+    const names = splitList(value).map(normalizeSourceName);
+    if (names.length === 0) {
+      throw new Error(`Source mode is empty. Valid values: ${modeValues().join(', ')} (or a comma-separated list)`);
+    }
+    if (names.includes(ALL_SOURCES)) {
+      if (names.length > 1) {
+        throw new Error(`Source mode "${value}": "${ALL_SOURCES}" cannot be combined with other sources`);
+      }
+      return ALL_SOURCES;
+    }
+
+    const selected = [];
+    names.forEach(name => {
+      const members = groups.get(name) || [normalizeSource(name)];
+      if (!members[0]) {
+        throw new Error(`Unknown source "${name}" in source mode "${value}". Valid values: ${modeValues().join(', ')}`);
+      }
+      members.filter(source => !selected.includes(source)).forEach(source => selected.push(source));
+    });
+    return selected;
+  };
+
+  const expandSources = (selected) => selected.flatMap(source => [
+    source,
+    ...[...aliases.entries()].filter(([, target]) => target === source).map(([alias]) => alias),
+  ]);
+
+  return {
+    sources,
+    aliases,
+    groups,
+    normalizeSource,
+    resolveSourceMode,
+    expandSources,
+    modeValues,
+  };
+}
+
+module.exports = {
+  loadSourceConfig,
+  normalizeSourceName,
+  DEFAULT_SOURCES,
+  ALL_SOURCES,
+};
@@ -0,0 +1,347 @@
+// sqliteLeadStore.js
+// SQLite lead store - lead table plus a per-attempt outcomes table, with versioned migrations
+
+require('dotenv').config();
+const { applyOutcomeToRow, createRowConflictError, COLUMN_INDICES } = require('./sheetsManager');
+const { parseRowUsername } = require('./usernames');
+
+/**
+ * Schema migrations, applied in order.
+ * The current schema version is tracked in PRAGMA user_version; never edit a released
+ * migration - append a new one instead.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create leads and outcomes tables',
+    up: `
+      CREATE TABLE leads (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL DEFAULT '',
+        date_added TEXT NOT NULL DEFAULT '',
+        username TEXT NOT NULL,
+        source TEXT NOT NULL DEFAULT '',
+        date_sent TEXT NOT NULL DEFAULT '',
+        message TEXT NOT NULL DEFAULT '',
+        status TEXT NOT NULL DEFAULT '',
+        name TEXT NOT NULL DEFAULT '',
+        bio TEXT NOT NULL DEFAULT ''
+      );
+
+      CREATE INDEX idx_leads_username ON leads (username COLLATE NOCASE);
+      CREATE INDEX idx_leads_status ON leads (status);
+
+      CREATE TABLE outcomes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lead_id INTEGER REFERENCES leads (id) ON DELETE SET NULL,
+        session_id TEXT NOT NULL,
+        username TEXT NOT NULL,
+        status TEXT NOT NULL,
+        flow TEXT NOT NULL DEFAULT '',
+        error TEXT NOT NULL DEFAULT '',
+        occurred_at TEXT NOT NULL,
+        recorded_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_outcomes_username ON outcomes (username COLLATE NOCASE);
+      CREATE INDEX idx_outcomes_session ON outcomes (session_id);
+    `,
+  },
+  {
+    version: 2,
+    description: 'Add leads.status_reason',
+    up: `
+      ALTER TABLE leads ADD COLUMN status_reason TEXT NOT NULL DEFAULT '';
+    `,
+  },
+  {
+    version: 3,
+    description: 'Add leads.follow_up_step and leads.next_follow_up',
+    up: `
+      ALTER TABLE leads ADD COLUMN follow_up_step TEXT NOT NULL DEFAULT '';
+      ALTER TABLE leads ADD COLUMN next_follow_up TEXT NOT NULL DEFAULT '';
+    `,
+  },
+  {
+    version: 4,
+    description: 'Add leads.template and leads.template_id',
+    up: `
+      ALTER TABLE leads ADD COLUMN template TEXT NOT NULL DEFAULT '';
+      ALTER TABLE leads ADD COLUMN template_id TEXT NOT NULL DEFAULT '';
+    `,
+  },
+  {
+    version: 5,
+    description: 'Add leads.variant',
+    up: `
+      ALTER TABLE leads ADD COLUMN variant TEXT NOT NULL DEFAULT '';
+    `,
+  },
+];
+
+/**
+ * Brings a database up to the latest schema version.
+ * Each pending migration runs in its own transaction together with the version bump,
+ * so a failed migration leaves the database at the previous version.
+ *
+ * @param {Object} db - better-sqlite3 Database
+ * @returns {number} Schema version after migrating
+ * @throws {Error} If the database is newer than this code or a migration fails
+ */
+function migrate(db) {
+  const currentVersion = db.pragma('user_version', { simple: true });
+  const latestVersion = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+  if (currentVersion > latestVersion) {
+    throw new Error(
+      `Lead database schema version ${currentVersion} is newer than supported version ${latestVersion}. ` +
+      'Update the bot before using this database.'
+    );
+  }
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= currentVersion) {
+      continue;
+    }
+
+    const apply = db.transaction(() => {
+      db.exec(migration.up);
+      db.pragma(`user_version = ${migration.version}`);
+    });
+
+    try {
+      apply();
+    } catch (migrationError) {
+      throw new Error(
+        `Lead database migration ${migration.version} (${migration.description}) failed: ${migrationError.message}`
+      );
+    }
+  }
+
+  return db.pragma('user_version', { simple: true });
+}
+
+/**
+ * Converts a leads table record into a row object (same shape as sheetsManager.loadDatabaseRows()).
+ * rowIndex is the lead id, which is stable for the life of the database.
+ *
+ * @param {Object} record - Leads table record
+ * @returns {Object} Structured row object
+ */
+function recordToRow(record) {
+  const { username, error: usernameError } = parseRowUsername(record.username);
+  const rawRow = [];
+  rawRow[COLUMN_INDICES.SESSION_ID] = record.session_id;
+  rawRow[COLUMN_INDICES.DATE_ADDED] = record.date_added;
+  rawRow[COLUMN_INDICES.USERNAME] = record.username;
+  rawRow[COLUMN_INDICES.SOURCE] = record.source;
+  rawRow[COLUMN_INDICES.DATE_SENT] = record.date_sent;
+  rawRow[COLUMN_INDICES.MESSAGE] = record.message;
+  rawRow[COLUMN_INDICES.STATUS] = record.status;
+  rawRow[COLUMN_INDICES.NAME] = record.name;
+  rawRow[COLUMN_INDICES.BIO] = record.bio;
+  rawRow[COLUMN_INDICES.STATUS_REASON] = record.status_reason;
+  rawRow[COLUMN_INDICES.FOLLOW_UP_STEP] = record.follow_up_step;
+  rawRow[COLUMN_INDICES.NEXT_FOLLOW_UP] = record.next_follow_up;
+  rawRow[COLUMN_INDICES.TEMPLATE] = record.template;
+  rawRow[COLUMN_INDICES.TEMPLATE_ID] = record.template_id;
+  rawRow[COLUMN_INDICES.VARIANT] = record.variant;
+
+  return {
+    rowIndex: record.id,
+    username: username,
+    usernameError: usernameError,
+    source: record.source.trim(),
+    status: record.status.trim(),
+    sessionId: record.session_id.trim(),
+    dateAdded: record.date_added.trim(),
+    dateSent: record.date_sent.trim(),
+    message: record.message.trim(),
+    name: record.name.trim(),
+    bio: record.bio.trim(),
+    statusReason: record.status_reason.trim(),
+    followUpStep: record.follow_up_step.trim(),
+    nextFollowUp: record.next_follow_up.trim(),
+    template: record.template.trim(),
+    templateId: record.template_id.trim(),
+    variant: record.variant.trim(),
+    rawRow: rawRow,
+  };
+}
+
+/**
+ * Creates a lead store backed by a SQLite database file.
+ * The database is created and migrated on first use.
+ *
+ * Beyond the LeadStore interface it provides:
+ *   - loadHistory({ username, sessionId }): every recorded attempt, oldest first
+ *   - close(): closes the database handle
+ *
+ * @param {Object} [options]
+ * @param {string} [options.path] - Database file path (defaults to LEAD_STORE_PATH)
+ * @returns {Object} LeadStore implementation
+ * @throws {Error} If no path is configured or the database cannot be opened/migrated
+ */
+function createSqliteLeadStore(options = {}) {
+  const dbPath = options.path || process.env.LEAD_STORE_PATH;
+
+  if (!dbPath || dbPath.trim() === '') {
+    throw new Error('Missing lead database path: set LEAD_STORE_PATH when LEAD_STORE=sqlite');
+  }
+
+  // Required lazily so the native module is only needed when this backend is selected
+  const Database = require('better-sqlite3');
+
+  let db;
+  try {
+    db = new Database(dbPath.trim());
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+  } catch (openError) {
+    throw new Error(`Failed to open lead database at ${dbPath}: ${openError.message}`);
+  }
+
+  migrate(db);
+
+  const selectLeads = db.prepare('SELECT * FROM leads ORDER BY id');
+  const selectLead = db.prepare('SELECT * FROM leads WHERE id = ?');
+  const updateLead = db.prepare(`
+    UPDATE leads
+    SET session_id = @sessionId, date_sent = @dateSent, message = @message, status = @status,
+      status_reason = @statusReason, follow_up_step = @followUpStep, next_follow_up = @nextFollowUp,
+      template_id = @templateId, variant = @variant
+    WHERE id = @id
+  `);
+  const insertLead = db.prepare(`
+    INSERT INTO leads (date_added, username, source, status, name, bio)
+    VALUES (@dateAdded, @username, @source, @status, @name, @bio)
+  `);
+  const insertOutcome = db.prepare(`
+    INSERT INTO outcomes (lead_id, session_id, username, status, flow, error, occurred_at, recorded_at)
+    VALUES (@leadId, @sessionId, @username, @status, @flow, @error, @occurredAt, @recordedAt)
+  `);
+
+  return {
+    name: 'sqlite',
+    target: dbPath.trim(),
+
+    async loadRows() {
+      return selectLeads.all().map(recordToRow);
+    },
+
+    async updateRowOutcome(row, outcome) {
+      const record = selectLead.get(row.rowIndex);
+
+      if (!record) {
+        throw createRowConflictError(`Row conflict for ${row.username}: lead ${row.rowIndex} no longer exists in ${dbPath}`);
+      }
+
+      // Lead ids never move, but the record may have been edited to a different person since loadRows()
+      const currentUsername = parseRowUsername(record.username).username;
+      if (currentUsername !== parseRowUsername(row.username).username) {
+        throw createRowConflictError(
+          `Row conflict for ${row.username}: lead ${row.rowIndex} now holds ${currentUsername || '(empty)'}`
+        );
+      }
+
+      // Same preserve rules as the sheet (e.g. "Send Failed"/"Skipped"/"Suppressed" keep Date Sent and Message)
+      const updatedRow = applyOutcomeToRow(
+        recordToRow(record).rawRow,
+        outcome.sessionId,
+        outcome.dateSent || '',
+        outcome.message || '',
+        outcome.status,
+        COLUMN_INDICES,
+        outcome.reason,
+        outcome.followUp,
+        outcome
+      );
+
+      updateLead.run({
+        id: record.id,
+        sessionId: updatedRow[COLUMN_INDICES.SESSION_ID],
+        dateSent: updatedRow[COLUMN_INDICES.DATE_SENT] || '',
+        message: updatedRow[COLUMN_INDICES.MESSAGE] || '',
+        status: updatedRow[COLUMN_INDICES.STATUS],
+        statusReason: updatedRow[COLUMN_INDICES.STATUS_REASON] || '',
+        followUpStep: updatedRow[COLUMN_INDICES.FOLLOW_UP_STEP] || '',
+        nextFollowUp: updatedRow[COLUMN_INDICES.NEXT_FOLLOW_UP] || '',
+        templateId: updatedRow[COLUMN_INDICES.TEMPLATE_ID] || '',
+        variant: updatedRow[COLUMN_INDICES.VARIANT] || '',
+      });
+
+      return record.id;
+    },
+
+    async appendLeads(leads) {
+      const insertAll = db.transaction(() => {
+        for (const lead of leads) {
+          insertLead.run({
+            dateAdded: lead.dateAdded || '',
+            username: lead.username,
+            source: lead.source || '',
+            status: lead.status || '',
+            name: lead.name || '',
+            bio: lead.bio || '',
+          });
+        }
+      });
+
+      insertAll();
+      return leads.length;
+    },
+
+    async appendHistory(entry) {
+      const leadExists = Number.isInteger(entry.rowIndex) && selectLead.get(entry.rowIndex);
+
+      insertOutcome.run({
+        leadId: leadExists ? entry.rowIndex : null,
+        sessionId: String(entry.sessionId),
+        username: entry.username || '',
+        status: entry.status || '',
+        flow: entry.flow || '',
+        error: entry.error || '',
+        occurredAt: entry.timestamp || new Date().toISOString(),
+        recordedAt: new Date().toISOString(),
+      });
+    },
+
+    async loadHistory(filter = {}) {
+      const clauses = [];
+      const params = {};
+
+      if (filter.username) {
+        clauses.push('username = @username COLLATE NOCASE');
+        params.username = filter.username.trim();
+      }
+
+      if (filter.sessionId !== undefined && filter.sessionId !== null) {
+        clauses.push('session_id = @sessionId');
+        params.sessionId = String(filter.sessionId);
+      }
+
+      const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+      const records = db.prepare(`SELECT * FROM outcomes ${where} ORDER BY occurred_at, id`).all(params);
+
+      return records.map(record => ({
+        timestamp: record.occurred_at,
+        sessionId: record.session_id,
+        username: record.username,
+        rowIndex: record.lead_id,
+        status: record.status,
+        flow: record.flow,
+        error: record.error,
+      }));
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
+
+module.exports = {
+  createSqliteLeadStore,
+  migrate,
+  MIGRATIONS,
+};
@@ -0,0 +1,117 @@
+// suppress.js
+// Command line for the do-not-contact registry: add, remove, list and audit suppressed usernames
+
+require('dotenv').config();
+const { createSuppressionList } = require('./suppressionList');
+const logger = require('./logger');
+
+/**
+ * Suppression Commands
+ *
+ *   npm run suppress -- add <username|profile URL> [...] --reason "<why>" [--by <name>]
+ *   npm run suppress -- remove <username> [...] --reason "<why>" [--by <name>]
+ *   npm run suppress -- list
+ *   npm run suppress -- history [username]
+ *
+ * Every add/remove is recorded with its time, reason and author (--by, SUPPRESSION_ACTOR or the
+ * OS user), in the local registry and in SUPPRESSION_SHEET_NAME when set.
+ */
+
+const COMMANDS = ['add', 'remove', 'list', 'history'];
+
+/**
+ * Parses command line arguments.
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { command, usernames, reason, by }
+ * @throws {Error} If the command is unknown or an option is missing its value
+ */
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Usage: npm run suppress -- <${COMMANDS.join('|')}> ... (received: ${command || 'nothing'})`);
+  }
+
+  const options = { command, usernames: [], reason: null, by: null };
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === '--reason' || arg === '--by') {
+      const value = rest[i + 1];
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`${arg} requires a value`);
+      }
+      options[arg.slice(2)] = value;
+      i++;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.usernames.push(arg);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Main entry point for the suppression commands.
+ */
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+  const suppression = createSuppressionList();
+  const where = suppression.sheetName ? `${suppression.path} + sheet "${suppression.sheetName}"` : suppression.path;
+
+  if (options.command === 'list') {
+    const suppressed = await suppression.load();
+    logger.section(`Suppressed Usernames (${suppressed.size})`);
+    logger.info(`Registry: ${where}`);
+    [...suppressed.values()]
+      .sort((a, b) => a.username.localeCompare(b.username))
+      .forEach(entry => logger.info(`  ${entry.username} - ${entry.reason} (by ${entry.by}, ${entry.at})`));
+    return 0;
+  }
+
+  if (options.command === 'history') {
+    const events = await suppression.history(options.usernames[0]);
+    logger.section(`Suppression Audit Trail${options.usernames[0] ? ` - ${options.usernames[0]}` : ''}`);
+    logger.info(`Registry: ${where}`);
+    events.forEach(event => logger.info(`  ${event.at}  ${event.action.padEnd(6)}  ${event.username} - ${event.reason} (by ${event.by})`));
+    if (events.length === 0) {
+      logger.info('No events recorded');
+    }
+    return 0;
+  }
+
+  if (options.usernames.length === 0) {
+    throw new Error(`No usernames given to ${options.command}`);
+  }
+  if (!options.reason) {
+    throw new Error(`--reason is required for ${options.command} (it is kept in the audit trail)`);
+  }
+
+  logger.section(options.command === 'add' ? 'Suppress Usernames' : 'Unsuppress Usernames');
+  logger.info(`Registry: ${where}`);
+
+  let failures = 0;
+  for (const username of options.usernames) {
+    try {
+      const event = options.command === 'add'
+        ? await suppression.add(username, options.reason, options.by)
+        : await suppression.remove(username, options.reason, options.by);
+      logger.success(`${event.action === 'add' ? 'Suppressed' : 'Unsuppressed'} ${event.username} (by ${event.by})`);
+    } catch (error) {
+      failures++;
+      logger.error(error.message);
+    }
+  }
+
+  return failures > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  run()
+    .then(exitCode => process.exit(exitCode))
+    .catch(error => {
+      logger.error(`Suppression command failed: ${error.message}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,313 @@
+// suppressionList.js
+// Global do-not-contact registry - usernames that must never be messaged again, across every tab and run
+
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const { getSheetsClient, quoteSheetName, columnLetter, normalizeHeader } = require('./sheetsManager');
+const { normalizeUsername } = require('./usernames');
+
+/**
+ * Registry entries are stored as an append-only event log - the log is the audit trail.
+ * The current list is the result of replaying every "add" / "remove" event in time order.
+ *
+ * Storage:
+ *   - local JSON Lines file (SUPPRESSION_PATH, default ./suppression-list.jsonl) - always used
+ *   - worksheet (SUPPRESSION_SHEET_NAME, optional) in the GOOGLE_SHEET_ID spreadsheet, so a team
+ *     shares one list; events are read from both and written to both (an event found in both,
+ *     same time, action and username, counts once)
+ */
+
+/**
+ * Default local registry file when SUPPRESSION_PATH is not set
+ */
+const DEFAULT_SUPPRESSION_PATH = './suppression-list.jsonl';
+
+/**
+ * Header row of the suppression worksheet (one row per event)
+ */
+const SUPPRESSION_HEADERS = ['Timestamp', 'Action', 'Username', 'Reason', 'By'];
+
+/**
+ * Event actions
+ */
+const SUPPRESSION_ACTIONS = ['add', 'remove'];
+
+/**
+ * Works out who is making a change, for the audit trail.
+ *
+ * @returns {string} SUPPRESSION_ACTOR, or the OS user name
+ */
+function defaultActor() {
+  if (process.env.SUPPRESSION_ACTOR && process.env.SUPPRESSION_ACTOR.trim() !== '') {
+    return process.env.SUPPRESSION_ACTOR.trim();
+  }
+  try {
+    return os.userInfo().username;
+  } catch (userError) {
+    return 'unknown';
+  }
+}
+
+/**
+ * Replays events into the current list.
+ *
+ * @param {Array<Object>} events - Events of { at, action, username, reason, by }
+ * @returns {Map<string, Object>} username -> { username, reason, by, at } for every suppressed username
+ */
+function buildSuppressionMap(events) {
+  const ordered = events
+    .map((event, index) => ({ event, index }))
+    .sort((a, b) => (Date.parse(a.event.at) || 0) - (Date.parse(b.event.at) || 0) || a.index - b.index)
+    .map(({ event }) => event);
+
+  const suppressed = new Map();
+  for (const event of ordered) {
+    if (event.action === 'add') {
+      suppressed.set(event.username, { username: event.username, reason: event.reason, by: event.by, at: event.at });
+    } else if (event.action === 'remove') {
+      suppressed.delete(event.username);
+    }
+  }
+  return suppressed;
+}
+
+/**
+ * Reads the events from the local registry file.
+ * A torn last line (crash mid-append) is ignored; corruption anywhere else is an error.
+ *
+ * @param {string} filePath - Registry file path
+ * @returns {Array<Object>} Events in file order
+ * @throws {Error} If a line other than the last cannot be parsed
+ */
+function readLocalEvents(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  const events = [];
+
+  lines.forEach((line, index) => {
+    if (line.trim() === '') {
+      return;
+    }
+    try {
+      events.push(JSON.parse(line));
+    } catch (parseError) {
+      const isLastLine = lines.slice(index + 1).every(rest => rest.trim() === '');
+      if (!isLastLine) {
+        throw new Error(`Suppression list ${filePath} is corrupt at line ${index + 1}: ${parseError.message}`);
+      }
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Appends one event to the local registry file and fsyncs it.
+ * A torn last line is cut off first, so the new event does not land on the same line and get ignored with it.
+ *
+ * @param {string} filePath - Registry file path
+ * @param {Object} event - Event to append
+ */
+function appendLocalEvent(filePath, event) {
+  if (fs.existsSync(filePath)) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (content !== '' && !content.endsWith('\n')) {
+      fs.truncateSync(filePath, Buffer.byteLength(content.slice(0, content.lastIndexOf('\n') + 1)));
+    }
+  }
+
+  const fd = fs.openSync(filePath, 'a');
+  try {
+    fs.writeSync(fd, JSON.stringify(event) + '\n');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Reads the events from the suppression worksheet.
+ *
+ * @param {string} sheetName - Worksheet name
+ * @returns {Promise<Array<Object>>} Events in sheet order
+ * @throws {Error} If the worksheet cannot be read
+ */
+async function readSheetEvents(sheetName) {
+  const sheets = await getSheetsClient();
+
+  let response;
+  try {
+    response = await sheets.spreadsheets.values.get({
+      spreadsheetId: process.env.GOOGLE_SHEET_ID,
+      range: `${quoteSheetName(sheetName)}!A:${columnLetter(SUPPRESSION_HEADERS.length - 1)}`,
+    });
+  } catch (apiError) {
+    throw new Error(
+      `Failed to read suppression list from "${sheetName}": ${apiError.message}. ` +
+      'Verify the worksheet exists and the service account has access.'
+    );
+  }
+
+  const rows = response.data.values || [];
+  const hasHeader = rows.length > 0 && normalizeHeader(rows[0][0]) === normalizeHeader(SUPPRESSION_HEADERS[0]);
+
+  return rows
+    .slice(hasHeader ? 1 : 0)
+    .map(cells => ({
+      at: String(cells[0] || '').trim(),
+      action: String(cells[1] || '').trim().toLowerCase(),
+      username: normalizeUsername(cells[2]).username,
+      reason: String(cells[3] || '').trim(),
+      by: String(cells[4] || '').trim(),
+    }))
+    .filter(event => event.username && SUPPRESSION_ACTIONS.includes(event.action));
+}
+
+/**
+ * Appends one event to the suppression worksheet, writing the header row first on an empty tab.
+ *
+ * @param {string} sheetName - Worksheet name
+ * @param {Object} event - Event to append
+ * @throws {Error} If the append fails
+ */
+async function appendSheetEvent(sheetName, event) {
+  const sheets = await getSheetsClient();
+  const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+  const range = `${quoteSheetName(sheetName)}!A:${columnLetter(SUPPRESSION_HEADERS.length - 1)}`;
+
+  try {
+    const existing = await sheets.spreadsheets.values.get({ spreadsheetId, range: `${quoteSheetName(sheetName)}!A1:A1` });
+    const values = [[event.at, event.action, event.username, event.reason, event.by]];
+    if (!existing.data.values || existing.data.values.length === 0) {
+      values.unshift(SUPPRESSION_HEADERS);
+    }
+
+    await sheets.spreadsheets.values.append({
+      spreadsheetId,
+      range,
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      requestBody: { values },
+    });
+  } catch (apiError) {
+    throw new Error(
+      `Failed to write to suppression list "${sheetName}": ${apiError.message}. ` +
+      'Verify the worksheet exists and the service account has write access.'
+    );
+  }
+}
+
+/**
+ * Creates the suppression list.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.path] - Local registry file (defaults to SUPPRESSION_PATH or ./suppression-list.jsonl)
+ * @param {string|null} [options.sheetName] - Suppression worksheet (defaults to SUPPRESSION_SHEET_NAME; null disables)
+ * @returns {Object} Suppression list with:
+ *   - path, sheetName
+ *   - load(): Promise<Map> - username -> { username, reason, by, at } for every suppressed username
+ *   - check(username): Promise<Object|null> - re-reads the list and returns the entry, if suppressed
+ *   - history([username]): Promise<Array<Object>> - every event, oldest first (optionally one username)
+ *   - add(username, reason, [by]): Promise<Object> - suppresses a username, returns the event
+ *       (rejects if it is already suppressed)
+ *   - remove(username, reason, [by]): Promise<Object> - lifts a suppression, returns the event
+ *       (rejects if it is not suppressed)
+ */
+function createSuppressionList(options = {}) {
+  const filePath = options.path || (process.env.SUPPRESSION_PATH || '').trim() || DEFAULT_SUPPRESSION_PATH;
+  const sheetName = options.sheetName !== undefined
+    ? options.sheetName
+    : ((process.env.SUPPRESSION_SHEET_NAME || '').trim() || null);
+
+  const readEvents = async () => {
+    const events = readLocalEvents(filePath);
+    if (!sheetName) {
+      return events;
+    }
+
+    // Events made on this machine are in both the file and the worksheet - keep one copy of each
+    const eventKey = event => `${event.at}\u0000${event.action}\u0000${event.username}`;
+    const seen = new Set(events.map(eventKey));
+    for (const event of await readSheetEvents(sheetName)) {
+      if (!seen.has(eventKey(event))) {
+        seen.add(eventKey(event));
+        events.push(event);
+      }
+    }
+    return events;
+  };
+
+  const record = async (action, rawUsername, reason, by) => {
+    const { username, error } = normalizeUsername(rawUsername);
+    if (!username) {
+      throw new Error(`Invalid username "${rawUsername}": ${error}`);
+    }
+    if (!reason || String(reason).trim() === '') {
+      throw new Error(`A reason is required to ${action === 'add' ? 'suppress' : 'unsuppress'} ${username}`);
+    }
+
+    const current = buildSuppressionMap(await readEvents()).get(username);
+    if (action === 'add' && current) {
+      throw new Error(`${username} is already suppressed (${current.reason}, by ${current.by} at ${current.at})`);
+    }
+    if (action === 'remove' && !current) {
+      throw new Error(`${username} is not on the suppression list`);
+    }
+
+    const event = {
+      at: new Date().toISOString(),
+      action,
+      username,
+      reason: String(reason).trim(),
+      by: by || defaultActor(),
+    };
+
+    // Local first: the local file alone is enough to enforce the list on this machine
+    appendLocalEvent(filePath, event);
+    if (sheetName) {
+      await appendSheetEvent(sheetName, event);
+    }
+    return event;
+  };
+
+  return {
+    path: filePath,
+    sheetName,
+
+    async load() {
+      return buildSuppressionMap(await readEvents());
+    },
+
+    async check(rawUsername) {
+      const { username } = normalizeUsername(rawUsername);
+      const suppressed = buildSuppressionMap(await readEvents());
+      return suppressed.get(username) || null;
+    },
+
+    async history(rawUsername) {
+      const events = await readEvents();
+      const username = rawUsername ? normalizeUsername(rawUsername).username : null;
+      return events
+        .filter(event => !username || event.username === username)
+        .sort((a, b) => (Date.parse(a.at) || 0) - (Date.parse(b.at) || 0));
+    },
+
+    async add(username, reason, by) {
+      return record('add', username, reason, by);
+    },
+
+    async remove(username, reason, by) {
+      return record('remove', username, reason, by);
+    },
+  };
+}
+
+module.exports = {
+  createSuppressionList,
+  buildSuppressionMap, // Exported for testing
+  SUPPRESSION_HEADERS,
+};
@@ -0,0 +1,274 @@
+// templateEngine.js
+// Message templates - named placeholders and simple conditionals for DRAFT_MESSAGE and friends
+
+/**
+ * Template Language
+ *
+ *   Hey {{first_name|fallback:"there"}}! Saw you in the {{source}} of my last post.
+ *   {{#if name}}Great to meet you, {{name}}.{{else}}Great to meet you.{{/if}}
+ *
+ * Placeholders:
+ *   {{variable}}                       the value, or nothing when it is empty
+ *   {{variable|fallback:"text"}}       the value, or "text" when it is empty ('...' quotes work too)
+ *
+ * Conditionals (may be nested):
+ *   {{#if variable}} ... {{/if}}                 kept when the variable is not empty
+ *   {{#if variable}} ... {{else}} ... {{/if}}
+ *   {{#unless variable}} ... {{/unless}}         kept when the variable is empty
+ *
+ * Message breaks (top level only, outside any block):
+ *   {{break}}                          ends one message and starts the next, sent after DEFAULT_BREAK_DELAY_SECONDS
+ *   {{break|delay:"20"}}               the same, sent 20 seconds after the previous message
+ *
+ * Variables: first_name (from the profile, or derived from the username), name (Name column),
+ * username, source. Whitespace inside {{ }} is ignored. An unknown variable or a broken tag is an
+ * error when the template is compiled, so typos stop the run at startup instead of producing an odd
+ * message. When an empty placeholder leaves a space before punctuation or a double space ("Hey !"),
+ * the space is dropped ("Hey!").
+ */
+
+/**
+ * Template variables: name -> description
+ */
+const TEMPLATE_VARIABLES = {
+  first_name: 'first name from the profile (or derived from the username)',
+  name: 'Name column',
+  username: 'Instagram username',
+  source: 'Source column',
+};
+
+const TAG_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+const VARIABLE_PATTERN = /^([a-z_]+)\s*(?:\|\s*fallback\s*:\s*(?:"([^"]*)"|'([^']*)'))?$/;
+const BLOCK_PATTERN = /^#(if|unless)\s+([a-z_]+)$/;
+const BREAK_PATTERN = /^break\s*(?:\|\s*delay\s*:\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+)))?$/;
+
+/**
+ * Seconds between two messages of a burst when {{break}} has no delay
+ */
+const DEFAULT_BREAK_DELAY_SECONDS = 5;
+
+/**
+ * Longest delay a {{break}} may ask for, in seconds (the tab stays open while waiting)
+ */
+const MAX_BREAK_DELAY_SECONDS = 600;
+
+/**
+ * Checks whether a template uses {{ }} tags (templates without them use the legacy name insertion).
+ * An unclosed "{{" counts, so it is reported by compileTemplate instead of being sent as is.
+ *
+ * @param {string} text - Template text
+ * @returns {boolean} True if the template has placeholders or conditionals
+ */
+function hasPlaceholders(text) {
+  return String(text || '').includes('{{');
+}
+
+/**
+ * Compiles a template, checking every tag and variable.
+ *
+ * @param {string} text - Template text
+ * @returns {Object} Compiled template with:
+ *   - text: string - the template
+ *   - variables: Array<string> - variables the template uses
+ *   - messageCount: number - messages the template sends (1 + the number of {{break}} tags)
+ *   - render(values): string - the message for { first_name, name, username, source } (the messages of
+ *     a burst joined by a blank line)
+ *   - renderMessages(values): Array<Object> - the messages as { text, delaySeconds }, empty ones left out;
+ *     delaySeconds is the wait before sending the message (0 for the first)
+ * @throws {Error} If a tag is malformed, a block is not closed, a variable is unknown or a {{break}}
+ *   is inside a block
+ */
+function compileTemplate(text) {
+  const source = String(text === undefined || text === null ? '' : text);
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const variables = new Set();
+  let lastIndex = 0;
+
+  const current = () => stack[stack.length - 1];
+  // Nodes go to the open block's {{else}} branch once it has started
+  const target = () => current().otherwise || current().children;
+  const checkVariable = (name, position) => {
+    if (!Object.prototype.hasOwnProperty.call(TEMPLATE_VARIABLES, name)) {
+      throw new Error(
+        `Invalid template: unknown variable "${name}" at position ${position}. ` +
+        `Available: ${Object.keys(TEMPLATE_VARIABLES).join(', ')}`
+      );
+    }
+    variables.add(name);
+  };
+  const addText = value => {
+    if (value.includes('{{')) {
+      throw new Error(`Invalid template: "{{" at position ${lastIndex + value.indexOf('{{') + 1} is never closed with "}}"`);
+    }
+    if (value) {
+      target().push({ type: 'text', value });
+    }
+  };
+
+  let match;
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    addText(source.slice(lastIndex, match.index));
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    const tag = match[1].trim();
+    const position = match.index + 1;
+    const block = tag.match(BLOCK_PATTERN);
+    const variable = tag.match(VARIABLE_PATTERN);
+    const messageBreak = tag.match(BREAK_PATTERN);
+
+    if (messageBreak) {
+      if (stack.length > 1) {
+        throw new Error(`Invalid template: {{break}} at position ${position} is inside {{#${current().type} ${current().name}}} (breaks must be at the top level)`);
+      }
+      const delay = [messageBreak[1], messageBreak[2], messageBreak[3]].find(value => value !== undefined);
+      const delaySeconds = delay === undefined ? DEFAULT_BREAK_DELAY_SECONDS : Number(delay.trim());
+      if (delay !== undefined && (delay.trim() === '' || !Number.isFinite(delaySeconds) || delaySeconds < 0 || delaySeconds > MAX_BREAK_DELAY_SECONDS)) {
+        throw new Error(`Invalid template: {{break}} at position ${position} needs a delay between 0 and ${MAX_BREAK_DELAY_SECONDS} seconds. Received: "${delay}"`);
+      }
+      root.children.push({ type: 'break', delaySeconds });
+    } else if (block) {
+      checkVariable(block[2], position);
+      const node = { type: block[1], name: block[2], children: [], otherwise: null, position };
+      target().push(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      const node = current();
+      if (node.type !== 'if' || node.otherwise) {
+        throw new Error(`Invalid template: {{else}} at position ${position} is not inside an {{#if}} block`);
+      }
+      node.otherwise = [];
+    } else if (tag === '/if' || tag === '/unless') {
+      const node = current();
+      if (node.type !== tag.slice(1)) {
+        throw new Error(`Invalid template: {{${tag}}} at position ${position} has no matching {{#${tag.slice(1)}}}`);
+      }
+      stack.pop();
+    } else if (variable) {
+      checkVariable(variable[1], position);
+      const fallback = variable[2] !== undefined ? variable[2] : variable[3];
+      target().push({ type: 'variable', name: variable[1], fallback: fallback === undefined ? null : fallback });
+    } else {
+      throw new Error(`Invalid template: cannot read {{${match[1]}}} at position ${position}`);
+    }
+  }
+  addText(source.slice(lastIndex));
+
+  if (stack.length > 1) {
+    const open = current();
+    throw new Error(`Invalid template: {{#${open.type} ${open.name}}} at position ${open.position} is never closed with {{/${open.type}}}`);
+  }
+
+  // Each {{break}} starts a new message
+  const parts = [{ delaySeconds: 0, nodes: [] }];
+  root.children.forEach(node => {
+    if (node.type === 'break') {
+      parts.push({ delaySeconds: node.delaySeconds, nodes: [] });
+    } else {
+      parts[parts.length - 1].nodes.push(node);
+    }
+  });
+
+  const renderMessages = (values = {}) => {
+    const messages = [];
+    parts.forEach(part => {
+      const text = renderNodes(part.nodes, values).trim();
+      if (text) {
+        messages.push({ text, delaySeconds: messages.length === 0 ? 0 : part.delaySeconds });
+      }
+    });
+    return messages;
+  };
+
+  return {
+    text: source,
+    variables: [...variables],
+    messageCount: parts.length,
+    render(values = {}) {
+      return renderMessages(values).map(message => message.text).join('\n\n');
+    },
+    renderMessages,
+  };
+}
+
+/**
+ * Renders compiled nodes.
+ */
+function renderNodes(nodes, values) {
+  const valueOf = name => String(values[name] === undefined || values[name] === null ? '' : values[name]).trim();
+  let output = '';
+  let afterEmpty = false;
+
+  const append = (piece) => {
+    // Drop the space an empty placeholder left before punctuation or another space
+    if (afterEmpty && /\s$/.test(output) && /^[\s!?.,;:]/.test(piece)) {
+      output = output.replace(/\s+$/, '');
+    }
+    output += piece;
+    afterEmpty = false;
+  };
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      append(node.value);
+    } else if (node.type === 'variable') {
+      const value = valueOf(node.name) || node.fallback || '';
+      if (value) {
+        append(value);
+      } else {
+        afterEmpty = true;
+      }
+    } else {
+      const isSet = valueOf(node.name) !== '';
+      const keep = node.type === 'if' ? isSet : !isSet;
+      const rendered = renderNodes(keep ? node.children : (node.otherwise || []), values);
+      if (rendered) {
+        append(rendered);
+      } else {
+        afterEmpty = true;
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Renders a template once.
+ *
+ * @param {string} text - Template text
+ * @param {Object} values - { first_name, name, username, source }
+ * @returns {string} Message
+ * @throws {Error} If the template is invalid (see compileTemplate)
+ */
+function renderTemplate(text, values) {
+  return compileTemplate(text).render(values);
+}
+
+/**
+ * Checks whether a template is split into several messages with {{break}}.
+ * Invalid templates count as single messages (compileTemplate reports them).
+ *
+ * @param {string} text - Template text
+ * @returns {boolean} True if the template sends more than one message
+ */
+function isBurstTemplate(text) {
+  if (!hasPlaceholders(text)) {
+    return false;
+  }
+  try {
+    return compileTemplate(text).messageCount > 1;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  compileTemplate,
+  renderTemplate,
+  hasPlaceholders,
+  isBurstTemplate,
+  TEMPLATE_VARIABLES,
+  DEFAULT_BREAK_DELAY_SECONDS,
+};
@@ -0,0 +1,400 @@
+// templateLibrary.js
+// Template library - named message templates chosen per source, or per row through the Template column,
+// with weighted A/B variants
+
+require('dotenv').config();
+const fs = require('fs');
+const { compileTemplate } = require('./templateEngine');
+const { loadSourceConfig } = require('./sourceConfig');
+
+/**
+ * Template Library File (TEMPLATES_PATH)
+ *
+ *   {
+ *     "templates": {
+ *       "likes-intro": "Hey {{first_name|fallback:\"there\"}}! Thanks for the like on my last post.",
+ *       "pod-intro": "Hey {{first_name}}! Great having you on the pod.",
+ *       "comments-intro": {
+ *         "variants": [
+ *           { "name": "short", "message": "Hey {{first_name}}! Loved your comment.", "weight": 2 },
+ *           { "name": "question", "message": "Hey {{first_name}}! Quick question about your comment?" }
+ *         ]
+ *       }
+ *     },
+ *     "sources": { "likes": "likes-intro", "pod_guest": "pod-intro" }
+ *   }
+ *
+ * The message for a first contact is chosen in this order:
+ *   1. the row's Template column (a template ID from the library)
+ *   2. the fallback tier's own draftMessage, when the row came from such a tier
+ *   3. the template the library maps to the row's source
+ *   4. the campaign's draftMessage (DRAFT_MESSAGE), recorded as "default"
+ * Follow-up steps always use their own message (recorded as "follow-up-<step>").
+ *
+ * A template with variants is an experiment: each lead gets one variant, picked by weight (default 1)
+ * from a hash of the template ID and username, so the same lead always gets the same variant on
+ * every run. The variant is recorded as "<template>:<variant>" (see formatVariant).
+ */
+
+/**
+ * Template ID recorded for the campaign's draftMessage (reserved in the library)
+ */
+const DEFAULT_TEMPLATE_ID = 'default';
+
+const TEMPLATE_ID_PATTERN = /^[a-z0-9_-]+$/;
+
+/**
+ * Keys accepted in a variant entry
+ */
+const VARIANT_KEYS = ['name', 'message', 'weight'];
+
+/**
+ * Normalizes a template ID for comparison (IDs are case-insensitive).
+ */
+function normalizeTemplateId(value) {
+  return String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+}
+
+/**
+ * Validates one template entry: a message, or { variants: [{ name, message, weight }, ...] }.
+ *
+ * @param {string} id - Template ID (for error messages)
+ * @param {*} entry - Raw entry
+ * @returns {Array<Object>} Variants of { name, text, weight } (one unnamed variant for a plain message)
+ * @throws {Error} Listing every problem with the entry
+ */
+function parseTemplateEntry(id, entry) {
+  const checkMessage = (text, label) => {
+    if (typeof text !== 'string' || text.trim() === '') {
+      throw new Error(`${label} must be a non-empty string`);
+    }
+    try {
+      compileTemplate(text);
+    } catch (templateError) {
+      throw new Error(`${label}: ${templateError.message}`);
+    }
+    return text.trim();
+  };
+
+  if (typeof entry === 'string') {
+    return [{ name: null, text: checkMessage(entry, `template "${id}"`), weight: 1 }];
+  }
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry) || !Array.isArray(entry.variants) ||
+    Object.keys(entry).some(key => key !== 'variants')) {
+    throw new Error(`template "${id}" must be a message or { "variants": [...] }`);
+  }
+  if (entry.variants.length < 2) {
+    throw new Error(`template "${id}" needs at least 2 variants`);
+  }
+
+  const problems = [];
+  const variants = [];
+  entry.variants.forEach((variant, index) => {
+    const label = `template "${id}" variant ${index + 1}`;
+    if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+      problems.push(`${label} must be an object with name and message`);
+      return;
+    }
+    const unknownKeys = Object.keys(variant).filter(key => !VARIANT_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      problems.push(`${label} has unknown setting(s): ${unknownKeys.join(', ')}. Valid settings: ${VARIANT_KEYS.join(', ')}`);
+      return;
+    }
+    const name = normalizeTemplateId(variant.name);
+    if (!TEMPLATE_ID_PATTERN.test(name)) {
+      problems.push(`${label}: invalid name "${variant.name === undefined ? '' : variant.name}" (use letters, digits, "_" or "-")`);
+      return;
+    }
+    if (variants.some(existing => existing.name === name)) {
+      problems.push(`${label}: name "${name}" is used twice`);
+      return;
+    }
+    const weight = variant.weight === undefined ? 1 : variant.weight;
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0) {
+      problems.push(`${label}: weight must be a positive number. Received: ${JSON.stringify(variant.weight)}`);
+      return;
+    }
+    try {
+      variants.push({ name, text: checkMessage(variant.message, `${label} message`), weight });
+    } catch (messageError) {
+      problems.push(messageError.message);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(problems.join('; '));
+  }
+  return variants;
+}
+
+/**
+ * Validates a parsed template library.
+ *
+ * @param {Object} parsed - Parsed library file ({ templates, sources })
+ * @param {Object} sources - Source configuration (see sourceConfig.loadSourceConfig)
+ * @returns {Object} { templates: Map of id -> variants (see parseTemplateEntry), sources: Map of source -> id }
+ * @throws {Error} Listing every problem at once
+ */
+function parseTemplateLibrary(parsed, sources) {
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('must contain an object with "templates" and "sources"');
+  }
+  if (!parsed.templates || typeof parsed.templates !== 'object' || Array.isArray(parsed.templates) ||
+    Object.keys(parsed.templates).length === 0) {
+    throw new Error('"templates" must be a non-empty object of template ID -> message');
+  }
+
+  const errors = [];
+  const unknownKeys = Object.keys(parsed).filter(key => key !== 'templates' && key !== 'sources');
+  if (unknownKeys.length > 0) {
+    errors.push(`unknown setting(s): ${unknownKeys.join(', ')}. Valid settings: templates, sources`);
+  }
+
+  const templates = new Map();
+  Object.entries(parsed.templates).forEach(([rawId, entry]) => {
+    const id = normalizeTemplateId(rawId);
+    if (!TEMPLATE_ID_PATTERN.test(id)) {
+      errors.push(`invalid template ID "${rawId}" (use letters, digits, "_" or "-")`);
+      return;
+    }
+    if (id === DEFAULT_TEMPLATE_ID) {
+      errors.push(`template ID "${DEFAULT_TEMPLATE_ID}" is reserved for DRAFT_MESSAGE`);
+      return;
+    }
+    if (templates.has(id)) {
+      errors.push(`template "${id}" is declared twice`);
+      return;
+    }
+    try {
+      templates.set(id, parseTemplateEntry(id, entry));
+    } catch (entryError) {
+      errors.push(entryError.message);
+    }
+  });
+
+  // Templates that were rejected above are already reported, so they are not "unknown" here
+  const declaredIds = new Set(Object.keys(parsed.templates).map(normalizeTemplateId));
+  const sourceTemplates = new Map();
+  const mapping = parsed.sources === undefined ? {} : parsed.sources;
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    errors.push('"sources" must be an object of source -> template ID');
+  } else {
+    Object.entries(mapping).forEach(([rawSource, rawId]) => {
+      const source = sources.normalizeSource(rawSource);
+      const id = normalizeTemplateId(rawId);
+      if (!source) {
+        errors.push(`unknown source "${rawSource}". Valid sources are: ${sources.sources.join(', ')}`);
+      } else if (sourceTemplates.has(source)) {
+        errors.push(`source "${source}" is mapped twice`);
+      } else if (!declaredIds.has(id)) {
+        errors.push(`source "${source}" uses unknown template "${rawId}"`);
+      } else {
+        sourceTemplates.set(source, id);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  return { templates, sources: sourceTemplates };
+}
+
+/**
+ * Loads the template library from TEMPLATES_PATH.
+ *
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @param {Object} [sources] - Source configuration (defaults to loadSourceConfig(env))
+ * @returns {Object|null} Library with:
+ *   - path: string - the library file
+ *   - templates: Map of template ID -> variants of { name, text, weight } (name is null for a plain message)
+ *   - sources: Map of canonical source -> template ID
+ *   null when TEMPLATES_PATH is not set
+ * @throws {Error} If the file cannot be read or anything in it is invalid
+ */
+function loadTemplateLibrary(env = process.env, sources = loadSourceConfig(env)) {
+  const libraryPath = (env.TEMPLATES_PATH || '').trim();
+  if (!libraryPath) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(libraryPath, 'utf8'));
+  } catch (readError) {
+    throw new Error(`Failed to read templates from ${libraryPath}: ${readError.message}`);
+  }
+
+  try {
+    return { path: libraryPath, ...parseTemplateLibrary(parsed, sources) };
+  } catch (libraryError) {
+    throw new Error(`Invalid template library ${libraryPath}: ${libraryError.message}`);
+  }
+}
+
+/**
+ * 32-bit FNV-1a hash of a string, finished with the MurmurHash3 mixer so that similar usernames
+ * ("lead_1", "lead_2") spread evenly over the whole range.
+ *
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (const byte of Buffer.from(String(text), 'utf8')) {
+    hash ^= byte;
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+/**
+ * Picks a template's variant for a username, in proportion to the weights.
+ * The pick depends only on the template ID, the variant list and the username, so reruns agree.
+ *
+ * @param {string} id - Template ID
+ * @param {Array<Object>} variants - Variants of { name, text, weight }
+ * @param {string} username - Normalized username
+ * @returns {Object} The chosen variant
+ */
+function assignVariant(id, variants, username) {
+  if (variants.length === 1) {
+    return variants[0];
+  }
+
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let point = (hashString(`${id}:${username}`) / 0x100000000) * totalWeight;
+  for (const variant of variants) {
+    point -= variant.weight;
+    if (point < 0) {
+      return variant;
+    }
+  }
+  return variants[variants.length - 1];
+}
+
+/**
+ * Formats the value recorded for an experiment variant.
+ *
+ * @param {string} id - Template ID
+ * @param {string} name - Variant name
+ * @returns {string} "<template>:<variant>"
+ */
+function formatVariant(id, name) {
+  return `${id}:${name}`;
+}
+
+/**
+ * Chooses the first-contact template for a row (see the order above).
+ *
+ * @param {Object|null} library - Template library (see loadTemplateLibrary), or null
+ * @param {Object} row - Row object (template, source and username are read)
+ * @param {Object} options
+ * @param {string} options.draftMessage - The campaign's template
+ * @param {Object} [options.sources] - Source configuration, so Source aliases find their template
+ * @param {Object} [options.override] - { id, text } used before the source mapping (a fallback tier's template)
+ * @returns {Object} { id, text, variant } - template ID to record, the template to build the message from,
+ *   and the experiment variant ("<template>:<variant>", null when the template has no variants)
+ * @throws {Error} If the Template column names a template the library does not have
+ */
+function selectTemplate(library, row, options) {
+  const fromLibrary = id => {
+    const variant = assignVariant(id, library.templates.get(id), row.username);
+    return { id, text: variant.text, variant: variant.name ? formatVariant(id, variant.name) : null };
+  };
+
+  const requested = normalizeTemplateId(row.template);
+  if (requested) {
+    if (!library) {
+      throw new Error(`Template column is "${row.template}" but TEMPLATES_PATH is not set`);
+    }
+    if (!library.templates.has(requested)) {
+      throw new Error(
+        `Template column is "${row.template}", which is not in ${library.path}. ` +
+        `Known templates: ${[...library.templates.keys()].join(', ')}`
+      );
+    }
+    return fromLibrary(requested);
+  }
+
+  if (options.override) {
+    return { variant: null, ...options.override };
+  }
+
+  if (library) {
+    const source = options.sources ? options.sources.normalizeSource(row.source) : normalizeTemplateId(row.source);
+    const id = source ? library.sources.get(source) : undefined;
+    if (id) {
+      return fromLibrary(id);
+    }
+  }
+
+  return { id: DEFAULT_TEMPLATE_ID, text: options.draftMessage, variant: null };
+}
+
+/**
+ * Chooses the first-contact template for a row of a campaign, with the fallback tier it was
+ * selected from (if any) supplying its own template (see selectTemplate).
+ *
+ * @param {Object} config - Configuration from validateEnv() (templates, sources)
+ * @param {Object} campaign - Campaign the row belongs to (see campaigns.js)
+ * @param {Object} row - Row object
+ * @param {Object} [tier] - Fallback tier the row was selected from
+ * @returns {Object} { id, text, variant } (see selectTemplate)
+ * @throws {Error} If the Template column names a template the library does not have
+ */
+function chooseTemplate(config, campaign, row, tier) {
+  return selectTemplate(config.templates, row, {
+    draftMessage: campaign.draftMessage,
+    sources: config.sources,
+    override: tier && tier.draftMessage ? { id: `fallback-${tier.tier}`, text: tier.draftMessage } : null,
+  });
+}
+
+/**
+ * Lists the templates a lead's first message may have been built from, so a follow-up can tell it apart
+ * from the lead's replies once later steps have replaced the Message and Template ID cells: the template
+ * the row would get now, the template recorded in Template ID or Variant (every variant of it), each
+ * fallback tier's own template and the campaign's draftMessage.
+ *
+ * @param {Object} config - Configuration from validateEnv() (templates, sources)
+ * @param {Object} campaign - Campaign the row belongs to (draftMessage, fallbacks)
+ * @param {Object} row - Row object (template, templateId, variant, source and username are read)
+ * @returns {Array<string>} Templates, without repeats
+ */
+function listFirstContactTemplates(config, campaign, row) {
+  const templates = [campaign.draftMessage];
+  (campaign.fallbacks || []).forEach(tier => templates.push(tier.draftMessage));
+
+  try {
+    templates.push(chooseTemplate(config, campaign, row).text);
+  } catch (error) {
+    // The Template column names an unknown template, which cannot have been sent
+  }
+
+  const library = config.templates;
+  if (library) {
+    const recordedIds = [String(row.variant || '').split(':')[0], row.templateId].map(normalizeTemplateId);
+    recordedIds.filter(id => library.templates.has(id))
+      .forEach(id => library.templates.get(id).forEach(variant => templates.push(variant.text)));
+  }
+
+  return [...new Set(templates.filter(Boolean))];
+}
+
+module.exports = {
+  loadTemplateLibrary,
+  parseTemplateLibrary,
+  selectTemplate,
+  chooseTemplate,
+  listFirstContactTemplates,
+  assignVariant,
+  formatVariant,
+  DEFAULT_TEMPLATE_ID,
+};
@@ -0,0 +1,301 @@
+// templatePreview.js
+// Template preview - renders the message every selected lead would get, without opening a browser
+
+require('dotenv').config();
+const { validateEnv } = require('./envValidator');
+const { createLeadStore } = require('./leadStore');
+const { loadCampaigns } = require('./campaigns');
+const { createOutcomeJournal } = require('./outcomeJournal');
+const { createSuppressionList } = require('./suppressionList');
+const { loadLastContacts } = require('./contactHistory');
+const { loadFilteredDatabase } = require('./databaseLoader');
+const { chooseTemplate } = require('./templateLibrary');
+const { buildDraftMessages, deriveFirstNameFromUsername } = require('./messageBuilder');
+const { sanitizeFirstName } = require('./conversationTools');
+const { splitGraphemes } = require('./composerInput');
+const { formatDelimited } = require('./csvLeadStore');
+const { writeFileAtomic } = require('./utils');
+const logger = require('./logger');
+
+/**
+ * Template Preview
+ *
+ * Selects leads exactly like a run (campaigns, filters, fallback tiers, follow-ups due, scoring,
+ * cooldown, do-not-contact list - see loadFilteredDatabase) and renders each one's message with the
+ * template the run would pick. The first name comes from, in order:
+ *   1. the Name column (cleaned like the display name a run reads from the DM header)
+ *   2. the Bio, when it introduces the lead ("I'm Sarah", "my name is Sarah", ...)
+ *   3. the username (see deriveFirstNameFromUsername)
+ * A run reads the name from the DM header instead of the Name column, so a lead whose Instagram
+ * display name differs from its Name cell may still get a different greeting.
+ * Nothing is written to the lead store; --csv writes the preview to a file.
+ *
+ * Usage: npm run preview [-- --csv <file>]
+ */
+
+/**
+ * Where a preview's first name came from, with the label shown for it
+ */
+const NAME_SOURCES = {
+  name: 'Name column',
+  bio: 'Bio',
+  username: 'username',
+  none: 'none',
+};
+
+/**
+ * Instagram's limit on the length of one direct message, in characters
+ */
+const MAX_MESSAGE_LENGTH = 1000;
+
+const BIO_NAME_PATTERN = /\b(?:i['’]?m|i am|my name is|name['’]?s|this is|call me)\s+([A-Za-zÀ-ÿ'’-]{2,})/gi;
+
+/**
+ * Parses command line arguments.
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { csv }
+ * @throws {Error} If an option is missing its value or unknown
+ */
+function parseArgs(argv) {
+  const options = { csv: null };
+  const valueOptions = { '--csv': 'csv' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+
+    if (!valueOptions[arg]) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`${arg} requires a value`);
+    }
+    options[valueOptions[arg]] = value;
+    i++;
+  }
+
+  return options;
+}
+
+/**
+ * Finds the first name a lead introduces itself with in its bio ("Hi, I'm Sarah").
+ * Only a capitalized word counts, so "I'm a coach" gives nothing.
+ *
+ * @param {string} bio - Bio text
+ * @returns {string} First name, or empty string
+ */
+function findBioName(bio) {
+  for (const match of String(bio || '').matchAll(BIO_NAME_PATTERN)) {
+    if (/^[A-ZÀ-Þ]/.test(match[1])) {
+      const firstName = sanitizeFirstName(match[1]);
+      if (firstName.length >= 2) {
+        return firstName;
+      }
+    }
+  }
+  return '';
+}
+
+/**
+ * Resolves the first name used for a lead without a browser (see "Template Preview" above).
+ *
+ * @param {Object} row - Row object
+ * @returns {Object} { firstName, source } - source is a key of NAME_SOURCES
+ */
+function resolveFirstName(row) {
+  const fromName = sanitizeFirstName(row.name || '');
+  if (fromName) {
+    return { firstName: fromName, source: 'name' };
+  }
+
+  const fromBio = findBioName(row.bio);
+  if (fromBio) {
+    return { firstName: fromBio, source: 'bio' };
+  }
+
+  const fromUsername = deriveFirstNameFromUsername(row.username);
+  if (fromUsername) {
+    return { firstName: fromUsername, source: 'username' };
+  }
+
+  return { firstName: '', source: 'none' };
+}
+
+/**
+ * Renders the message one selected lead would get.
+ *
+ * @param {Object} row - Row object
+ * @param {Object} options
+ * @param {Function} options.chooseTemplate - (row) => { id, text, variant } for a first contact
+ * @param {Object} [options.followUp] - Follow-up step due for the lead ({ step, message })
+ * @returns {Object} Preview with:
+ *   - rowIndex, username
+ *   - firstName: string - the name used ('' when none was found)
+ *   - nameSource: string - key of NAME_SOURCES
+ *   - template: string - template ID, variant or follow-up step
+ *   - messages: number - messages sent (more than one for a {{break}} template)
+ *   - text: string - final message (the messages of a burst joined by a blank line)
+ *   - length: number - characters in text (emoji count as one)
+ *   - error: string|null - why the lead would fail (the template cannot be chosen)
+ */
+function previewLead(row, options) {
+  const { firstName, source } = resolveFirstName(row);
+  const preview = {
+    rowIndex: row.rowIndex,
+    username: row.username,
+    firstName,
+    nameSource: source,
+    template: '',
+    messages: 0,
+    text: '',
+    length: 0,
+    error: null,
+  };
+
+  let template;
+  try {
+    template = options.followUp
+      ? { id: `follow-up-${options.followUp.step}`, text: options.followUp.message, variant: null }
+      : options.chooseTemplate(row);
+  } catch (error) {
+    preview.error = error.message;
+    return preview;
+  }
+
+  preview.template = template.variant || template.id;
+  const messages = buildDraftMessages({ firstName, messageTemplate: template.text, separator: '!', lead: row });
+  preview.messages = messages.length;
+  preview.text = messages.map(message => message.text).join('\n\n');
+  preview.length = splitGraphemes(preview.text).length;
+  return preview;
+}
+
+/**
+ * Formats previews as CSV (one row per lead, header first).
+ *
+ * @param {Array<Object>} previews - Previews from previewLead(), each with a campaign name
+ * @returns {string} CSV text
+ */
+function formatPreviewCsv(previews) {
+  const header = ['Campaign', 'Row', 'Username', 'First Name', 'Name Source', 'Template', 'Messages', 'Length', 'Message', 'Error'];
+  return formatDelimited([
+    header,
+    ...previews.map(preview => [
+      preview.campaign,
+      preview.rowIndex,
+      preview.username,
+      preview.firstName,
+      NAME_SOURCES[preview.nameSource],
+      preview.template,
+      preview.messages,
+      preview.length,
+      preview.text,
+      preview.error,
+    ]),
+  ]);
+}
+
+/**
+ * Main entry point for the preview command.
+ */
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+  const config = validateEnv();
+  const campaigns = loadCampaigns(config);
+
+  logger.section('Template Preview');
+
+  const suppressedUsernames = await createSuppressionList().load();
+  const stores = campaigns.map(campaign => createLeadStore(config.leadStore, campaign.storeOptions));
+  const lastContacts = config.contactCooldownDays
+    ? await loadLastContacts(stores, createOutcomeJournal())
+    : new Map();
+
+  // Selected the same way as a run: a username selected by an earlier campaign is left out of later ones
+  const selectedUsernames = new Set();
+  const previews = [];
+
+  for (const [campaignIndex, campaign] of campaigns.entries()) {
+    const store = stores[campaignIndex];
+    const filterResult = await loadFilteredDatabase({
+      rows: await store.loadRows(),
+      filter: campaign.filter,
+      activateStatus: campaign.activateStatus,
+      sourceMode: campaign.sourceMode,
+      sources: config.sources,
+      maxProcess: campaign.maxProcess,
+      maxDraft: campaign.maxDraft,
+      enableFallback: campaign.enableFallback,
+      fallbacks: campaign.fallbacks,
+      excludeUsernames: selectedUsernames,
+      scoring: config.scoring,
+      suppressed: suppressedUsernames,
+      cooldownDays: config.contactCooldownDays,
+      lastContacts: lastContacts,
+      followUps: campaign.followUps,
+    });
+    filterResult.rows.forEach(row => selectedUsernames.add(row.username.toLowerCase().trim()));
+
+    const chooseRowTemplate = row => chooseTemplate(config, campaign, row, filterResult.fallbackRows.get(row));
+
+    logger.info(`${campaign.name}: ${filterResult.rows.length} lead(s) selected (${filterResult.filters.primary})`);
+    filterResult.rows.forEach(row => {
+      const preview = previewLead(row, { chooseTemplate: chooseRowTemplate, followUp: filterResult.followUps.get(row) });
+      previews.push({ campaign: campaign.name, ...preview });
+
+      const name = preview.firstName ? `${preview.firstName} (${NAME_SOURCES[preview.nameSource]})` : 'no name';
+      if (preview.error) {
+        logger.error(`  row ${preview.rowIndex} ${preview.username} - would fail: ${preview.error}`);
+        return;
+      }
+      const burst = preview.messages > 1 ? `, ${preview.messages} messages` : '';
+      const log = preview.length > MAX_MESSAGE_LENGTH || preview.nameSource === 'none' ? logger.warn : logger.info;
+      log(`  row ${preview.rowIndex} ${preview.username} - ${name} - ${preview.template} - ${preview.length} chars${burst}`);
+      preview.text.split(/\r?\n/).forEach(line => log(`    ${line}`));
+    });
+
+    if (typeof store.close === 'function') {
+      await store.close();
+    }
+  }
+
+  const counts = Object.keys(NAME_SOURCES)
+    .map(source => [NAME_SOURCES[source], previews.filter(preview => !preview.error && preview.nameSource === source).length])
+    .filter(([, count]) => count > 0)
+    .map(([label, count]) => `${label} ${count}`);
+  const failing = previews.filter(preview => preview.error).length;
+  const tooLong = previews.filter(preview => preview.length > MAX_MESSAGE_LENGTH).length;
+
+  logger.section('Preview Summary');
+  logger.info(`Leads: ${previews.length}${counts.length > 0 ? ` (first name from: ${counts.join(', ')})` : ''}`);
+  if (tooLong > 0) {
+    logger.warn(`Longer than ${MAX_MESSAGE_LENGTH} characters: ${tooLong}`);
+  }
+  if (failing > 0) {
+    logger.error(`Would fail: ${failing}`);
+  }
+
+  if (options.csv) {
+    writeFileAtomic(options.csv, formatPreviewCsv(previews));
+    logger.info(`Preview written to ${options.csv}`);
+  }
+
+  return failing > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  run()
+    .then(exitCode => process.exit(exitCode))
+    .catch(error => {
+      logger.error(`Preview failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  resolveFirstName, // Exported for testing
+  previewLead,
+  formatPreviewCsv,
+  NAME_SOURCES,
+};
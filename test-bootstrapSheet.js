@@ -0,0 +1,185 @@
+// test-bootstrapSheet.js
+// Test harness for the sheet bootstrap (header planning and status formatting)
+
+const { planHeaders, buildStatusFormattingRequests, STATUS_COLORS } = require('./bootstrapSheet');
+const { COLUMN_FIELDS } = require('./sheetsManager');
+
+/**
+ * Test helper: Runs a function with COLUMN_ALIASES set, restoring the previous value afterwards
+ */
+function withColumnAliases(value, fn) {
+  const previous = process.env.COLUMN_ALIASES;
+  process.env.COLUMN_ALIASES = value;
+  try {
+    return fn();
+  } finally {
+    if (previous === undefined) {
+      delete process.env.COLUMN_ALIASES;
+    } else {
+      process.env.COLUMN_ALIASES = previous;
+    }
+  }
+}
+
+/**
+ * Test helper: Applies conditional format requests to a rule list the way the Sheets API does
+ */
+function applyFormattingRequests(rules, requests) {
+  const result = rules.slice();
+  requests.forEach(request => {
+    if (request.deleteConditionalFormatRule) {
+      result.splice(request.deleteConditionalFormatRule.index, 1);
+    } else if (request.addConditionalFormatRule) {
+      result.splice(request.addConditionalFormatRule.index, 0, request.addConditionalFormatRule.rule);
+    }
+  });
+  return result;
+}
+
+/**
+ * Test helper: Creates a conditional format rule someone added by hand
+ */
+function createUserRule(formula) {
+  return {
+    ranges: [{ sheetId: 7, startRowIndex: 1 }],
+    booleanRule: {
+      condition: { type: 'CUSTOM_FORMULA', values: [{ userEnteredValue: formula }] },
+      format: { textFormat: { bold: true } },
+    },
+  };
+}
+
+/**
+ * Test 1: An empty tab gets every column in the default order
+ */
+function test1_EmptyTab() {
+  console.log('\n=== Test 1: Empty tab ===');
+
+  const fromNothing = planHeaders([]);
+  const fromBlanks = planHeaders(['', '  ']);
+  console.log(`Headers: ${fromNothing.headers.join(', ')}`);
+
+  const allHeaders = COLUMN_FIELDS.map(field => field.header).join('|');
+  const passed = fromNothing.headers.join('|') === allHeaders && fromNothing.added.join('|') === allHeaders &&
+    fromNothing.columnMap.SESSION_ID === 0 && fromNothing.columnMap.USERNAME === 2 && fromNothing.columnMap.STATUS === 6 &&
+    fromBlanks.headers.join('|') === allHeaders;
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 2: An existing header row keeps its columns in place; missing headers are appended after the last one
+ */
+function test2_RepairExistingHeader() {
+  console.log('\n=== Test 2: Repair existing header ===');
+
+  const repaired = withColumnAliases('Handle:Username', () =>
+    planHeaders(['Handle', '', 'status', 'Notes', '', ''], ['FOLLOW_UP_STEP', 'NEXT_FOLLOW_UP']));
+  const complete = planHeaders(COLUMN_FIELDS.filter(field => field.required).map(field => field.header));
+
+  console.log(`Repaired: ${repaired.headers.join(', ')}`);
+  console.log(`Added: ${repaired.added.join(', ')}`);
+
+  const passed = repaired.headers.join('|') ===
+      'Handle||status|Notes|Session ID|Date Added|Source|Date Sent|Message|Follow-up Step|Next Follow-up' &&
+    repaired.added.length === 7 &&
+    repaired.columnMap.USERNAME === 0 && repaired.columnMap.STATUS === 2 && repaired.columnMap.SESSION_ID === 4 &&
+    repaired.columnMap.NEXT_FOLLOW_UP === 10 && repaired.columnMap.TEMPLATE_ID === undefined &&
+    complete.added.length === 0;
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 3: Two columns mapping to one field cannot be fixed by appending and are reported
+ */
+function test3_DuplicateMapping() {
+  console.log('\n=== Test 3: Duplicate mapping ===');
+
+  let error = null;
+  try {
+    withColumnAliases('Handle:Username', () => planHeaders(['Username', 'Handle', 'Status']));
+  } catch (planError) {
+    error = planError;
+  }
+  console.log(error ? error.message : 'no error');
+
+  const passed = error !== null && error.message.includes('columns A and B both map to "Username"');
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 4: Re-running replaces the bot's status colors instead of adding them again, and keeps other rules
+ */
+function test4_StatusFormattingRerun() {
+  console.log('\n=== Test 4: Status formatting re-run ===');
+
+  const statusCount = Object.keys(STATUS_COLORS).length;
+  const userRule = createUserRule('=$C2="vip"');
+
+  const firstRun = applyFormattingRequests([userRule], buildStatusFormattingRequests(7, 6, [userRule]));
+  const secondRequests = buildStatusFormattingRequests(7, 6, firstRun);
+  const secondRun = applyFormattingRequests(firstRun, secondRequests);
+  // The Status column moved from G to H: the old rules are still recognized and replaced
+  const moved = applyFormattingRequests(secondRun, buildStatusFormattingRequests(7, 7, secondRun));
+
+  const formulas = rules => rules.map(rule => rule.booleanRule.condition.values[0].userEnteredValue);
+  const deletes = secondRequests.filter(request => request.deleteConditionalFormatRule);
+  console.log(`First run: ${firstRun.length} rules, second run: ${secondRun.length} rules (${deletes.length} deleted)`);
+  console.log(`After move: ${formulas(moved).slice(0, 3).join(', ')}, ...`);
+
+  const deletedIndexes = deletes.map(request => request.deleteConditionalFormatRule.index);
+  const passed = firstRun.length === statusCount + 1 && secondRun.length === statusCount + 1 &&
+    deletes.length === statusCount && deletedIndexes.join(',') === [...deletedIndexes].sort((a, b) => b - a).join(',') &&
+    JSON.stringify(secondRun) === JSON.stringify(firstRun) &&
+    formulas(secondRun)[0] === '=$G2="Drafted"' && formulas(secondRun).includes('=$G2="Partially Sent"') &&
+    formulas(secondRun)[statusCount] === '=$C2="vip"' &&
+    moved.length === statusCount + 1 && formulas(moved).filter(formula => formula.startsWith('=$H2=')).length === statusCount;
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Main test runner
+ */
+function runAllTests() {
+  console.log('='.repeat(60));
+  console.log('SHEET BOOTSTRAP - TEST HARNESS');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push({ name: 'Test 1: Empty Tab', passed: test1_EmptyTab() });
+  results.push({ name: 'Test 2: Repair Existing Header', passed: test2_RepairExistingHeader() });
+  results.push({ name: 'Test 3: Duplicate Mapping', passed: test3_DuplicateMapping() });
+  results.push({ name: 'Test 4: Status Formatting Re-run', passed: test4_StatusFormattingRerun() });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Total: ${passedCount}/${totalCount} tests passed`);
+  console.log('='.repeat(60));
+
+  if (passedCount === totalCount) {
+    console.log('🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Review the output above.');
+    process.exit(1);
+  }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
@@ -0,0 +1,249 @@
+// test-campaigns.js
+// Test harness for campaign configuration (defaults, overrides, validation and cross-tab deduplication)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadCampaigns } = require('./campaigns');
+const { loadFilteredDatabase } = require('./databaseLoader');
+const { loadScoringConfig } = require('./leadScoring');
+const { loadSourceConfig } = require('./sourceConfig');
+
+/**
+ * Test helper: Creates the configuration validateEnv() would return for a sheets run
+ */
+function createConfig(overrides = {}) {
+  return {
+    leadStore: 'sheets',
+    sheetName: 'Leads',
+    leadStorePath: null,
+    campaignsPath: null,
+    draftMessage: 'Hey {{first_name}}!',
+    leadFilter: 'status = Pending',
+    activateStatus: 'Pending',
+    sourceMode: 'all',
+    sources: loadSourceConfig({}),
+    maxDraft: 10,
+    maxProcess: 50,
+    enableFallback: false,
+    fallbacks: [],
+    followUps: [],
+    sendMessage: false,
+    ...overrides,
+  };
+}
+
+/**
+ * Test helper: Writes a campaigns file into a fresh temp directory and returns its path
+ */
+function createCampaignsFile(content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'campaigns-'));
+  const filePath = path.join(dir, 'campaigns.json');
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content), 'utf8');
+  return filePath;
+}
+
+/**
+ * Test helper: Creates mock row objects
+ */
+function createMockRow(rowIndex, username, status = 'Pending') {
+  return {
+    rowIndex: rowIndex + 2,
+    username: username,
+    source: 'likes',
+    status: status,
+    dateAdded: '',
+    name: '',
+    bio: '',
+  };
+}
+
+/**
+ * Test 1: Without CAMPAIGNS_PATH the run has one campaign built from the environment
+ */
+function test1_DefaultCampaign() {
+  console.log('\n=== Test 1: Default campaign ===');
+
+  const campaigns = loadCampaigns(createConfig());
+  console.log(`Campaigns: ${JSON.stringify(campaigns)}`);
+
+  const campaign = campaigns[0];
+  const passed = campaigns.length === 1 && campaign.name === 'Leads' &&
+    campaign.storeOptions.sheetName === 'Leads' && campaign.draftMessage === 'Hey {{first_name}}!' &&
+    campaign.filter === 'status = Pending' && campaign.maxDraft === 10 && campaign.enableFallback === false;
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 2: Campaign settings override the environment; unset ones are inherited
+ */
+function test2_Overrides() {
+  console.log('\n=== Test 2: Campaign overrides ===');
+
+  const campaignsPath = createCampaignsFile({
+    campaigns: [
+      { name: 'Coaches', sheetName: 'Coaches', draftMessage: 'Hi coach {{first_name}}!', maxDraft: 3 },
+      { sheetName: ' Retry ', activateStatus: 'Retry', sourceMode: 'comments', fallbackStatus: 'Skipped', enableFallback: true },
+    ],
+  });
+  const [coaches, retry] = loadCampaigns(createConfig(), campaignsPath);
+  console.log(`Coaches: ${JSON.stringify(coaches)}`);
+  console.log(`Retry: ${JSON.stringify(retry)}`);
+
+  const passed = coaches.name === 'Coaches' && coaches.draftMessage === 'Hi coach {{first_name}}!' &&
+    coaches.maxDraft === 3 && coaches.maxProcess === 50 && coaches.filter === 'status = Pending' &&
+    // activateStatus/sourceMode without a filter opts out of LEAD_FILTER
+    retry.name === 'Retry' && retry.storeOptions.sheetName === 'Retry' && retry.filter === null &&
+    retry.activateStatus === 'Retry' && retry.sourceMode === 'comments' && retry.draftMessage === 'Hey {{first_name}}!' &&
+    retry.enableFallback === true && retry.fallbacks.length === 1 && retry.fallbacks[0].status === 'Skipped';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 3: Every invalid campaign is reported at once, each error labelled with its campaign
+ */
+function test3_ValidationErrors() {
+  console.log('\n=== Test 3: Validation errors ===');
+
+  const campaignsPath = createCampaignsFile([
+    { name: 'Valid', sheetName: 'A' },
+    { name: 'Typo', sheetName: 'T', maxDrafts: 5 },
+    { name: 'No tab' },
+    { name: 'Bad values', sheetName: 'B', maxDraft: 0, filter: 'status ==', enableFallback: 'yes' },
+    { name: 'Same tab', sheetName: 'A' },
+    { name: 'No fallback', sheetName: 'C', enableFallback: true },
+    { name: 'Burst', sheetName: 'D', draftMessage: 'Hi!{{break}}Are you there?' },
+    'not an object',
+  ]);
+
+  let error = null;
+  try {
+    loadCampaigns(createConfig(), campaignsPath);
+  } catch (loadError) {
+    error = loadError;
+  }
+
+  const emptyFileError = (() => {
+    try {
+      loadCampaigns(createConfig(), createCampaignsFile({ campaigns: [] }));
+      return null;
+    } catch (loadError) {
+      return loadError;
+    }
+  })();
+
+  console.log(error ? error.message : 'no error');
+  console.log(emptyFileError ? emptyFileError.message : 'no error');
+
+  const message = error ? error.message : '';
+  const passed = message.startsWith(`Invalid campaigns in ${campaignsPath}:`) &&
+    message.includes('Campaign "Typo" has unknown setting(s): maxDrafts') &&
+    message.includes('Campaign "No tab": sheetName is required when LEAD_STORE=sheets') &&
+    message.includes('Campaign "Bad values": maxDraft must be a positive integer. Received: 0') &&
+    message.includes('Campaign "Bad values": filter:') &&
+    message.includes('Campaign "Bad values": enableFallback must be true or false') &&
+    message.includes('Campaigns "Valid" and "Same tab" both use A') &&
+    message.includes('Campaign "No fallback": fallbacks, fallbackStatus or fallbackFilter is required') &&
+    message.includes('Campaign "Burst": SEND_MESSAGE=true is required for multi-message templates ({{break}}): draftMessage') &&
+    message.includes('Campaign #8 must be an object') &&
+    emptyFileError && emptyFileError.message.includes('must contain a non-empty array of campaigns');
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 4: A username selected by an earlier campaign is left out of later ones, the way a run selects them
+ */
+async function test4_UsernameDedupAcrossTabs() {
+  console.log('\n=== Test 4: Username dedup across tabs ===');
+
+  const campaigns = loadCampaigns(createConfig(), createCampaignsFile([
+    { name: 'First', sheetName: 'First' },
+    { name: 'Second', sheetName: 'Second' },
+  ]));
+  const rowsByTab = {
+    First: [createMockRow(0, 'ann'), createMockRow(1, 'bob')],
+    Second: [createMockRow(0, 'Ann'), createMockRow(1, 'cy'), createMockRow(2, 'bob', 'Sent')],
+  };
+
+  const selectedUsernames = new Set();
+  const selections = [];
+  for (const campaign of campaigns) {
+    const result = await loadFilteredDatabase({
+      rows: rowsByTab[campaign.storeOptions.sheetName],
+      filter: campaign.filter,
+      activateStatus: campaign.activateStatus,
+      sourceMode: campaign.sourceMode,
+      sources: loadSourceConfig({}),
+      maxProcess: campaign.maxProcess,
+      maxDraft: campaign.maxDraft,
+      enableFallback: campaign.enableFallback,
+      fallbacks: campaign.fallbacks,
+      excludeUsernames: selectedUsernames,
+      scoring: loadScoringConfig({}),
+      suppressed: new Map(),
+      cooldownDays: null,
+      followUps: campaign.followUps,
+    });
+    result.rows.forEach(row => selectedUsernames.add(row.username.toLowerCase().trim()));
+    selections.push(result);
+  }
+
+  const [first, second] = selections;
+  const annExcluded = second.excluded.find(({ row }) => row.username === 'Ann');
+  console.log(`First: ${first.rows.map(row => row.username).join(', ')}`);
+  console.log(`Second: ${second.rows.map(row => row.username).join(', ')}`);
+  console.log(`Excluded from second: ${second.excluded.map(({ row, reason }) => `${row.username} (${reason})`).join(', ')}`);
+
+  const passed = first.rows.map(row => row.username).join(',') === 'ann,bob' &&
+    second.rows.map(row => row.username).join(',') === 'cy' &&
+    annExcluded && annExcluded.reason === 'username already selected';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('='.repeat(60));
+  console.log('CAMPAIGNS - TEST HARNESS');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push({ name: 'Test 1: Default Campaign', passed: test1_DefaultCampaign() });
+  results.push({ name: 'Test 2: Campaign Overrides', passed: test2_Overrides() });
+  results.push({ name: 'Test 3: Validation Errors', passed: test3_ValidationErrors() });
+  results.push({ name: 'Test 4: Username Dedup Across Tabs', passed: await test4_UsernameDedupAcrossTabs() });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Total: ${passedCount}/${totalCount} tests passed`);
+  console.log('='.repeat(60));
+
+  if (passedCount === totalCount) {
+    console.log('🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Review the output above.');
+    process.exit(1);
+  }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
@@ -0,0 +1,102 @@
+// test-composerInput.js
+// Test harness for DM composer input (line breaks, emoji and verification)
+
+const { planComposerInput, splitGraphemes, composerTextMatches } = require('./composerInput');
+
+/**
+ * Test 1: Emoji, skin tones, ZWJ sequences, flags and combining characters stay whole
+ */
+function test1_Graphemes() {
+  console.log('\n=== Test 1: Graphemes ===');
+
+  const graphemes = splitGraphemes('Hi 👍🏽👩‍👩‍👧🇫🇷e\u0301!');
+  console.log(`Graphemes: ${JSON.stringify(graphemes)}`);
+
+  const passed = JSON.stringify(graphemes) === JSON.stringify(['H', 'i', ' ', '👍🏽', '👩‍👩‍👧', '🇫🇷', 'e\u0301', '!']);
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 2: Line breaks become Shift+Enter steps and nothing is lost or split
+ */
+function test2_Plan() {
+  console.log('\n=== Test 2: Input plan ===');
+
+  const message = 'Hey 🙌🏼 Ann!\r\n\r\nQuick question about your cafe\u0301?';
+  const steps = planComposerInput(message, { typedGraphemes: 6 });
+  steps.forEach(step => console.log(`  ${step.type}${step.text !== undefined ? ` ${JSON.stringify(step.text)}` : ''}`));
+
+  const rebuilt = steps.map(step => (step.type === 'newline' ? '\n' : step.text)).join('');
+  const passed = rebuilt === message.replace(/\r\n/g, '\n').normalize('NFC') &&
+    steps.filter(step => step.type === 'newline').length === 2 &&
+    steps.filter(step => step.type === 'key').length === 5 &&
+    steps[4].type === 'insert' && steps[4].text === '🙌🏼' &&
+    steps.every(step => step.type !== 'key' || step.text.length === 1);
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 3: Verification ignores Unicode form and how line breaks come back, but not real differences
+ */
+function test3_Verification() {
+  console.log('\n=== Test 3: Verification ===');
+
+  const message = 'Hi Zoë!\nLoved the post 🎉';
+  const checks = [
+    ['paragraphs', composerTextMatches('Hi Zoe\u0308!\n\nLoved the post 🎉\n', message), true],
+    ['non-breaking space', composerTextMatches('Hi Zoë!\u00a0Loved the post 🎉', message), true],
+    ['cut short', composerTextMatches('Hi Zoë!', message), false],
+    ['different text', composerTextMatches('Hi Zoe! Loved the post 🎉', message), false],
+    ['empty', composerTextMatches('', ''), false],
+  ];
+  checks.forEach(([label, actual]) => console.log(`  ${label}: ${actual}`));
+
+  const passed = checks.every(([, actual, expected]) => actual === expected);
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Main test runner
+ */
+function runAllTests() {
+  console.log('='.repeat(60));
+  console.log('COMPOSER INPUT - TEST HARNESS');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push({ name: 'Test 1: Graphemes', passed: test1_Graphemes() });
+  results.push({ name: 'Test 2: Input Plan', passed: test2_Plan() });
+  results.push({ name: 'Test 3: Verification', passed: test3_Verification() });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Total: ${passedCount}/${totalCount} tests passed`);
+  console.log('='.repeat(60));
+
+  if (passedCount === totalCount) {
+    console.log('🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Review the output above.');
+    process.exit(1);
+  }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
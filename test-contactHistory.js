@@ -0,0 +1,185 @@
+// test-contactHistory.js
+// Test harness for the cross-campaign contact frequency cap (CONTACT_COOLDOWN_DAYS)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildLastContacts, loadLastContacts, findRecentContact, parseContactCooldown } = require('./contactHistory');
+const { loadFilteredDatabase } = require('./databaseLoader');
+const { loadScoringConfig } = require('./leadScoring');
+const { createCsvLeadStore } = require('./csvLeadStore');
+const { createOutcomeJournal } = require('./outcomeJournal');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Test helper: ISO timestamp a number of days ago
+ */
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+/**
+ * Test helper: Creates mock row objects
+ */
+function createMockRow(rowIndex, username, source) {
+  return {
+    rowIndex: rowIndex + 2,
+    username: username,
+    source: source,
+    status: 'Pending',
+    dateAdded: '',
+    name: '',
+    bio: '',
+  };
+}
+
+/**
+ * Test 1: Only Drafted/Sent count as contacts and the latest one wins
+ */
+function test1_LastContacts() {
+  console.log('\n=== Test 1: Last contact per username ===');
+
+  const lastContacts = buildLastContacts([
+    { timestamp: daysAgo(40), username: 'Alice', status: 'Sent' },
+    { timestamp: daysAgo(2), username: 'alice', status: 'Skipped' },
+    { timestamp: daysAgo(10), username: 'alice', status: 'Drafted' },
+    { timestamp: daysAgo(1), username: 'bob', status: 'Failed' },
+    { timestamp: 'not a date', username: 'carol', status: 'Sent' },
+  ]);
+
+  const alice = lastContacts.get('alice');
+  console.log(`Usernames: ${[...lastContacts.keys()].join(', ')} | alice: ${alice && alice.status}`);
+
+  const passed = lastContacts.size === 1 &&
+    alice.status === 'Drafted' &&
+    findRecentContact(lastContacts, '@Alice', 30) !== null &&
+    findRecentContact(lastContacts, 'alice', 7) === null &&
+    parseContactCooldown({}) === null &&
+    parseContactCooldown({ CONTACT_COOLDOWN_DAYS: '30' }) === 30;
+
+  let invalidRejected = false;
+  try {
+    parseContactCooldown({ CONTACT_COOLDOWN_DAYS: '-3' });
+  } catch (error) {
+    invalidRejected = true;
+  }
+
+  console.log(passed && invalidRejected ? '✅ PASSED' : '❌ FAILED');
+  return passed && invalidRejected;
+}
+
+/**
+ * Test 2: Every row of a recently contacted username is excluded, whatever its source
+ */
+async function test2_CooldownAcrossSources() {
+  console.log('\n=== Test 2: Cooldown across sources ===');
+
+  const rows = [
+    createMockRow(0, 'alice', 'likes'),
+    createMockRow(1, 'bob', 'likes'),
+    createMockRow(2, 'alice', 'comments'),
+    createMockRow(3, 'dan', 'followers'),
+  ];
+  const lastContacts = buildLastContacts([
+    { timestamp: daysAgo(3), username: 'alice', status: 'Sent' },
+    { timestamp: daysAgo(45), username: 'dan', status: 'Sent' },
+  ]);
+
+  const result = await loadFilteredDatabase({
+    rows,
+    filter: 'status = Pending',
+    maxProcess: 10,
+    maxDraft: 10,
+    enableFallback: false,
+    scoring: loadScoringConfig({}),
+    suppressed: new Map(),
+    cooldownDays: 30,
+    lastContacts,
+  });
+
+  const selected = result.rows.map(row => row.username);
+  result.excluded.forEach(({ row, reason }) => console.log(`  ${row.username} (row ${row.rowIndex}): ${reason}`));
+  console.log(`Selected: ${selected.join(', ')} (expected bob, dan)`);
+
+  const passed = JSON.stringify(selected) === JSON.stringify(['bob', 'dan']) &&
+    result.stats.recentlyContacted === 2 &&
+    result.excluded.every(({ reason }) => reason.startsWith('contacted 3 days ago (Sent'));
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 3: Contacts are read from store history and from journaled outcomes
+ */
+async function test3_LoadFromHistoryAndJournal() {
+  console.log('\n=== Test 3: Store history and journal ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'contact-history-'));
+  const filePath = path.join(dir, 'leads.csv');
+  fs.writeFileSync(filePath, 'Session ID,Date Added,Username,Source,Date Sent,Message,Status,Name,Bio\n', 'utf8');
+
+  const store = createCsvLeadStore({ path: filePath });
+  await store.appendHistory({ timestamp: daysAgo(5), sessionId: 1, username: 'alice', rowIndex: 2, status: 'Sent' });
+
+  const journal = createOutcomeJournal({ path: path.join(dir, 'journal.jsonl') });
+  journal.record({
+    store: 'sheets',
+    target: 'Client B',
+    row: { rowIndex: 7, username: 'bob' },
+    outcome: { sessionId: 2, status: 'Drafted' },
+    history: { timestamp: daysAgo(1), sessionId: 2, username: 'bob', rowIndex: 7, status: 'Drafted' },
+  });
+
+  const lastContacts = await loadLastContacts([store], journal);
+  console.log(`Contacts: ${[...lastContacts.values()].map(contact => `${contact.username} (${contact.status})`).join(', ')}`);
+
+  const passed = lastContacts.size === 2 &&
+    lastContacts.get('alice').status === 'Sent' &&
+    lastContacts.get('bob').status === 'Drafted';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+  console.log('='.repeat(60));
+  console.log('CONTACT COOLDOWN - TEST HARNESS');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push({ name: 'Test 1: Last Contact per Username', passed: test1_LastContacts() });
+  results.push({ name: 'Test 2: Cooldown Across Sources', passed: await test2_CooldownAcrossSources() });
+  results.push({ name: 'Test 3: Store History and Journal', passed: await test3_LoadFromHistoryAndJournal() });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Total: ${passedCount}/${totalCount} tests passed`);
+  console.log('='.repeat(60));
+
+  if (passedCount === totalCount) {
+    console.log('🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Review the output above.');
+    process.exit(1);
+  }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
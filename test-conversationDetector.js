@@ -0,0 +1,153 @@
+// test-conversationDetector.js
+// Test harness for reply detection in follow-up sequences (mocked DM thread)
+
+const { detectReply } = require('./conversationDetector');
+
+const SENT = [
+  'Hey Sam! Thanks for the like, want to chat?',
+  'Hey Sam!\nJust bumping this up.',
+];
+
+/**
+ * Test helper: Creates a mocked DM page whose thread holds the given text elements
+ */
+function createMockPage(candidates) {
+  return {
+    async $() {
+      return null;
+    },
+    async $$eval() {
+      return candidates.map(candidate => ({ isInHeader: false, isNested: false, parentAria: '', element: 'DIV', ...candidate }));
+    },
+  };
+}
+
+/**
+ * Test helper: Runs detectReply on a thread holding our messages plus the given bubbles
+ */
+function detectWith(bubbles) {
+  return detectReply(createMockPage([...SENT.map(text => ({ text })), ...bubbles.map(text => ({ text }))]), SENT);
+}
+
+/**
+ * Test 1: Replies count whatever words they use and however short they are
+ */
+async function test1_RepliesAreKept() {
+  console.log('\n=== Test 1: Replies with UI words and short replies ===');
+
+  const stop = await detectWith(['Please stop sending me messages']);
+  const thanks = await detectWith(['thanks']);
+  const ok = await detectWith(['ok']);
+  const profile = await detectWith(['Love your profile, send me the info']);
+  console.log(`stop: ${stop.replied}, thanks: ${thanks.replied}, ok: ${ok.replied}, profile: ${profile.replied}`);
+
+  const passed = stop.replied === true && stop.sample[0] === 'please stop sending me messages' &&
+    thanks.replied === true && ok.replied === true && profile.replied === true;
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 2: A reply that is part of one of our messages is still a reply
+ */
+async function test2_SubstringOfOurMessage() {
+  console.log('\n=== Test 2: Reply quoting part of our message ===');
+
+  const quoted = await detectWith(['Thanks for the like']);
+  const greeting = await detectWith(['Hey Sam!']);
+  console.log(`quoted: ${quoted.replied}, greeting: ${greeting.replied}`);
+
+  const passed = quoted.replied === true && quoted.messageCount === 1 && greeting.replied === true;
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 3: Our own messages (in any case, whitespace or Unicode form), labels, the profile card,
+ * header text and nested copies of a bubble are not replies
+ */
+async function test3_NoReply() {
+  console.log('\n=== Test 3: Thread without a reply ===');
+
+  const result = await detectReply(createMockPage([
+    { text: 'Sam Smith', isInHeader: true },
+    { text: 'View profile' },
+    { text: '1,204 followers · 87 posts' },
+    { text: 'Instagram' },
+    { text: 'Yesterday 10:42' },
+    { text: 'hey sam!  thanks for the like, want to chat?' },
+    { text: 'Thanks for the like, want to chat?', isNested: true },
+    { text: 'Hey Sam!\n\nJust bumping this up.' },
+    { text: 'First part of a burst' },
+    { text: 'Second part' },
+    { text: 'Seen' },
+  ]), [...SENT, 'First part of a burst', 'Second part']);
+  const empty = await detectReply(createMockPage([]), SENT);
+  console.log(`Result: ${JSON.stringify(result)}`);
+
+  const passed = result.replied === false && result.messageCount === 0 && empty.replied === false;
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 4: A thread that cannot be read gives replied: null, not "no reply"
+ */
+async function test4_DetectionError() {
+  console.log('\n=== Test 4: Detection error ===');
+
+  const page = createMockPage([]);
+  page.$$eval = async () => {
+    throw new Error('Target closed');
+  };
+  const result = await detectReply(page, SENT);
+  console.log(`Result: ${JSON.stringify(result)}`);
+
+  const passed = result.replied === null && result.error === 'Target closed';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('='.repeat(60));
+  console.log('CONVERSATION DETECTOR - TEST HARNESS');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push({ name: 'Test 1: Replies Are Kept', passed: await test1_RepliesAreKept() });
+  results.push({ name: 'Test 2: Substring of Our Message', passed: await test2_SubstringOfOurMessage() });
+  results.push({ name: 'Test 3: No Reply', passed: await test3_NoReply() });
+  results.push({ name: 'Test 4: Detection Error', passed: await test4_DetectionError() });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Total: ${passedCount}/${totalCount} tests passed`);
+  console.log('='.repeat(60));
+
+  if (passedCount === totalCount) {
+    console.log('🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Review the output above.');
+    process.exit(1);
+  }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
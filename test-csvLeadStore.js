@@ -0,0 +1,411 @@
+// test-csvLeadStore.js
+// Test harness for the local CSV/TSV lead store
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCsvLeadStore, parseDelimited, formatDelimited } = require('./csvLeadStore');
+const { loadFilteredDatabase } = require('./databaseLoader');
+const { loadScoringConfig } = require('./leadScoring');
+
+const HEADER = 'Session ID,Date Added,Username,Source,Date Sent,Message,Status,Name,Bio';
+
+/**
+ * Test helper: Writes a lead file into a fresh temp directory and returns its path
+ */
+function createTempLeadFile(fileName, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-lead-store-'));
+  const filePath = path.join(dir, fileName);
+  fs.writeFileSync(filePath, content, 'utf8');
+  return filePath;
+}
+
+/**
+ * Test 1: Quoted fields with delimiters, quotes and line breaks round-trip
+ */
+function test1_QuotedFieldsRoundTrip() {
+  console.log('\n=== Test 1: Quoted fields round-trip ===');
+
+  const rows = [
+    ['a', 'b, c', 'say "hi"'],
+    ['multi\nline', '', 'plain'],
+  ];
+
+  const text = formatDelimited(rows, ',');
+  const parsed = parseDelimited(text, ',');
+
+  console.log(`Serialized: ${JSON.stringify(text)}`);
+
+  const passed = JSON.stringify(parsed) === JSON.stringify(rows);
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 2: CRLF line endings and BOM are handled
+ */
+function test2_CrlfAndBom() {
+  console.log('\n=== Test 2: CRLF and BOM ===');
+
+  const parsed = parseDelimited('\ufeffx,y\r\n1,2\r\n', ',');
+
+  console.log(`Parsed: ${JSON.stringify(parsed)}`);
+  console.log(`Expected: [["x","y"],["1","2"]]`);
+
+  const passed = JSON.stringify(parsed) === JSON.stringify([['x', 'y'], ['1', '2']]);
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 3: loadRows returns rows in the same shape as the Sheets backend
+ */
+async function test3_LoadRows() {
+  console.log('\n=== Test 3: loadRows ===');
+
+  const filePath = createTempLeadFile('leads.csv', [
+    HEADER,
+    ',2026-01-01,Alice_B,likes,,,Pending,Alice,"Coach, runner"',
+    '',
+    ',2026-01-02,bob,comments,,,Pending,,',
+  ].join('\n'));
+
+  const store = createCsvLeadStore({ path: filePath });
+  const rows = await store.loadRows();
+
+  console.log(`Loaded: ${rows.map(r => `${r.username}@${r.rowIndex}`).join(', ')}`);
+  console.log(`Expected: alice_b@2, bob@4`);
+
+  const passed = rows.length === 2 &&
+                 rows[0].username === 'alice_b' &&
+                 rows[0].bio === 'Coach, runner' &&
+                 rows[0].rowIndex === 2 &&
+                 rows[1].rowIndex === 4;
+
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 4: updateRowOutcome writes only the outcome columns and preserves the rest
+ */
+async function test4_UpdateRowOutcome() {
+  console.log('\n=== Test 4: updateRowOutcome ===');
+
+  const filePath = createTempLeadFile('leads.tsv', [
+    HEADER.replace(/,/g, '\t'),
+    ['', '2026-01-01', 'alice', 'likes', 'old-date', 'old message', 'Pending', 'Alice', 'Bio'].join('\t'),
+  ].join('\n'));
+
+  const store = createCsvLeadStore({ path: filePath });
+  const [row] = await store.loadRows();
+
+  await store.updateRowOutcome(row, { sessionId: 123, status: 'Skipped' });
+  const afterSkip = (await store.loadRows())[0].rawRow;
+
+  await store.updateRowOutcome(row, { sessionId: 456, dateSent: 'new-date', message: 'Hi Alice', status: 'Sent' });
+  const afterSent = (await store.loadRows())[0].rawRow;
+
+  console.log(`After Skipped: ${JSON.stringify(afterSkip)}`);
+  console.log(`After Sent: ${JSON.stringify(afterSent)}`);
+
+  const leftovers = fs.readdirSync(path.dirname(filePath)).filter(name => name.endsWith('.tmp'));
+
+  const passed = afterSkip[0] === '123' &&
+                 afterSkip[4] === 'old-date' &&
+                 afterSkip[5] === 'old message' &&
+                 afterSkip[6] === 'Skipped' &&
+                 afterSent[0] === '456' &&
+                 afterSent[5] === 'Hi Alice' &&
+                 afterSent[6] === 'Sent' &&
+                 afterSent[8] === 'Bio' &&
+                 leftovers.length === 0;
+
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 5: Reordered headers, extra columns and aliases are located by name
+ */
+async function test5_HeaderMapping() {
+  console.log('\n=== Test 5: Header mapping ===');
+
+  const previousAliases = process.env.COLUMN_ALIASES;
+  process.env.COLUMN_ALIASES = 'Handle:Username';
+
+  try {
+    const filePath = createTempLeadFile('leads.csv', [
+      'Notes,Status,Handle,Source,Message,Date Sent,Date Added,Session ID',
+      'keep me,Pending,Carol,likes,,,2026-01-01,',
+    ].join('\n'));
+
+    const store = createCsvLeadStore({ path: filePath });
+    const [row] = await store.loadRows();
+
+    await store.updateRowOutcome(row, { sessionId: 789, dateSent: 'now', message: 'Hi Carol', status: 'Drafted' });
+    const updated = (await store.loadRows())[0].rawRow;
+
+    console.log(`Loaded: ${row.username} (${row.status})`);
+    console.log(`After update: ${JSON.stringify(updated)}`);
+
+    const passed = row.username === 'carol' &&
+                   row.status === 'Pending' &&
+                   JSON.stringify(updated) ===
+                     JSON.stringify(['keep me', 'Drafted', 'Carol', 'likes', 'Hi Carol', 'now', '2026-01-01', '789']);
+
+    console.log(passed ? '✅ PASSED' : '❌ FAILED');
+    return passed;
+  } finally {
+    if (previousAliases === undefined) {
+      delete process.env.COLUMN_ALIASES;
+    } else {
+      process.env.COLUMN_ALIASES = previousAliases;
+    }
+  }
+}
+
+/**
+ * Test 6: Rows that moved since loadRows are relocated by username; missing ones are refused
+ */
+async function test6_StaleRowProtection() {
+  console.log('\n=== Test 6: Stale-row protection ===');
+
+  const filePath = createTempLeadFile('leads.csv', [
+    HEADER,
+    ',2026-01-01,alice,likes,,,Pending,,',
+    ',2026-01-02,bob,likes,,,Pending,,',
+  ].join('\n'));
+
+  const store = createCsvLeadStore({ path: filePath });
+  const [alice, bob] = await store.loadRows();
+
+  // Someone sorts the file mid-run and deletes bob
+  fs.writeFileSync(filePath, [
+    HEADER,
+    ',2026-01-03,carol,likes,,,Pending,,',
+    ',2026-01-01,alice,likes,,,Pending,,',
+  ].join('\n'), 'utf8');
+
+  const writtenRow = await store.updateRowOutcome(alice, { sessionId: 1, dateSent: 'now', message: 'Hi', status: 'Sent' });
+
+  let conflictError = null;
+  try {
+    await store.updateRowOutcome(bob, { sessionId: 1, dateSent: 'now', message: 'Hi', status: 'Sent' });
+  } catch (error) {
+    conflictError = error;
+  }
+
+  const rows = await store.loadRows();
+
+  console.log(`Alice written to row: ${writtenRow} (expected 3)`);
+  console.log(`Bob: ${conflictError ? conflictError.message : 'no error'}`);
+
+  const passed = writtenRow === 3 &&
+                 rows[0].username === 'carol' && rows[0].status === 'Pending' &&
+                 rows[1].username === 'alice' && rows[1].status === 'Sent' &&
+                 conflictError !== null && conflictError.code === 'ROW_CONFLICT';
+
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 7: Suppressed keeps Date Sent / Message and records the reason in Status Reason
+ */
+async function test7_SuppressedWithReason() {
+  console.log('\n=== Test 7: Suppressed status with reason ===');
+
+  const filePath = createTempLeadFile('leads.csv', [
+    HEADER + ',Status Reason',
+    ',2026-01-01,alice,likes,2026-01-05,Hi Alice,Sent,,,',
+  ].join('\n'));
+
+  const store = createCsvLeadStore({ path: filePath });
+  const [alice] = await store.loadRows();
+  await store.updateRowOutcome(alice, { sessionId: 2, dateSent: 'now', message: 'New', status: 'Suppressed', reason: 'opted out' });
+
+  const [reloaded] = await store.loadRows();
+  console.log(`Status: ${reloaded.status} | Reason: ${reloaded.statusReason} | Date Sent: ${reloaded.rawRow[4]} | Message: ${reloaded.message}`);
+
+  const passed = reloaded.status === 'Suppressed' &&
+                 reloaded.statusReason === 'opted out' &&
+                 reloaded.rawRow[4] === '2026-01-05' &&
+                 reloaded.message === 'Hi Alice';
+
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 8: Usernames are fixed on load; unfixable ones are flagged and can be marked Invalid Username
+ */
+async function test8_UsernameValidation() {
+  console.log('\n=== Test 8: Username validation on load ===');
+
+  const filePath = createTempLeadFile('leads.csv', [
+    HEADER + ',Status Reason',
+    ',2026-01-01,@Jane.Doe,likes,,,Pending,,,',
+    ',2026-01-01,https://www.instagram.com/bob_smith/?hl=en,likes,,,Pending,,,',
+    ',2026-01-01,@Foo Bar,likes,,,Pending,,,',
+    ',2026-01-01,no!pe,likes,,,Sent,,,',
+  ].join('\n'));
+
+  const store = createCsvLeadStore({ path: filePath });
+  const rows = await store.loadRows();
+  console.log(`Loaded: ${rows.map(row => `${row.username}${row.usernameError ? ' (invalid)' : ''}`).join(', ')}`);
+
+  const result = await loadFilteredDatabase({
+    rows,
+    filter: 'status = Pending',
+    maxProcess: 10,
+    maxDraft: 10,
+    enableFallback: false,
+    scoring: loadScoringConfig({}),
+    suppressed: new Map(),
+    cooldownDays: null,
+    followUps: [],
+  });
+  console.log(`Selected: ${result.rows.map(row => row.username).join(', ')}`);
+  console.log(`Invalid: ${result.invalid.map(({ row, reason }) => `row ${row.rowIndex} - ${reason}`).join('; ')}`);
+
+  // Writes locate rows by their normalized username, so "@Jane.Doe" and "@Foo Bar" are still found
+  await store.updateRowOutcome(rows[0], { sessionId: 1, dateSent: 'now', message: 'Hi Jane', status: 'Drafted' });
+  for (const { row, reason } of result.invalid) {
+    await store.updateRowOutcome(row, { sessionId: 1, status: 'Invalid Username', reason });
+  }
+  const reloaded = await store.loadRows();
+  console.log(`Statuses: ${reloaded.map(row => row.status).join(', ')}`);
+
+  const passed = rows[0].username === 'jane.doe' && rows[0].usernameError === null &&
+                 rows[1].username === 'bob_smith' &&
+                 rows[2].usernameError === '"foo bar" contains spaces' &&
+                 rows[3].usernameError !== null &&
+                 JSON.stringify(result.rows.map(row => row.username)) === JSON.stringify(['jane.doe', 'bob_smith']) &&
+                 result.invalid.length === 1 && result.invalid[0].row === rows[2] &&
+                 JSON.stringify(reloaded.map(row => row.status)) === JSON.stringify(['Drafted', 'Pending', 'Invalid Username', 'Sent']) &&
+                 reloaded[2].statusReason === '"foo bar" contains spaces' &&
+                 reloaded[2].rawRow[2] === '@Foo Bar';
+
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 9: The Template column is read and Template ID / Variant record what a message was built from
+ */
+async function test9_TemplateColumns() {
+  console.log('\n=== Test 9: Template columns ===');
+
+  const filePath = createTempLeadFile('leads.csv', [
+    `${HEADER},Template,Template ID,Variant`,
+    ',2026-10-01,alice,likes,,,Pending,,,vip,,',
+    ',2026-10-01,bob,likes,,,Pending,,,,,',
+  ].join('\n'));
+  const store = createCsvLeadStore({ path: filePath });
+  const rows = await store.loadRows();
+
+  await store.updateRowOutcome(rows[0], { sessionId: 1, dateSent: 'now', message: 'Hi Alice', status: 'Drafted', templateId: 'vip', variant: 'vip:a' });
+  await store.updateRowOutcome(rows[1], { sessionId: 1, dateSent: 'now', message: 'Hi Bob', status: 'Drafted', templateId: 'default' });
+  await store.updateRowOutcome(rows[1], { sessionId: 2, status: 'Failed' });
+  const reloaded = await store.loadRows();
+  console.log(`Template: ${rows.map(row => row.template || '(none)').join(', ')}`);
+  console.log(`Template ID: ${reloaded.map(row => row.templateId).join(', ')}`);
+
+  const passed = rows[0].template === 'vip' && rows[1].template === '' &&
+                 reloaded[0].templateId === 'vip' && reloaded[1].templateId === 'default' &&
+                 reloaded[1].status === 'Failed' && reloaded[0].template === 'vip' &&
+                 reloaded[0].variant === 'vip:a' && reloaded[1].variant === '';
+
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 10: A history record torn by a crash mid-append is cut off (or terminated when whole) before the next append
+ */
+async function test10_TornHistoryRecord() {
+  console.log('\n=== Test 10: Torn history record ===');
+
+  const filePath = createTempLeadFile('leads.csv', `${HEADER}\n,2026-10-01,alice,likes,,,Pending,,\n`);
+  const historyPath = path.join(path.dirname(filePath), 'history.csv');
+  const store = createCsvLeadStore({ path: filePath, historyPath });
+  const entry = (username, error = '') => ({ timestamp: '2026-10-01T10:00:00.000Z', sessionId: 1, username, rowIndex: 2, status: 'Sent', flow: 'flow1', error });
+
+  // Torn inside a quoted cell that holds a line break
+  await store.appendHistory(entry('ann', 'first\nsecond'));
+  fs.appendFileSync(historyPath, '2026-10-01T10:00:00.000Z,1,bob,3,Failed,flow1,"line one\nline t');
+  await store.appendHistory(entry('cy'));
+  const afterTear = await store.loadHistory();
+
+  // A whole record that only lost its line break is kept
+  fs.appendFileSync(historyPath, '2026-10-01T10:00:00.000Z,1,dan,4,Sent,flow2,');
+  await store.appendHistory(entry('eve'));
+  const afterUnterminated = await store.loadHistory();
+
+  // A torn header is written again
+  fs.writeFileSync(historyPath, 'Timestamp,Sess', 'utf8');
+  await store.appendHistory(entry('fay'));
+  const afterTornHeader = await store.loadHistory();
+
+  console.log(`After tear: ${afterTear.map(item => item.username).join(', ')}`);
+  console.log(`After unterminated record: ${afterUnterminated.map(item => item.username).join(', ')}`);
+  console.log(`After torn header: ${afterTornHeader.map(item => item.username).join(', ')}`);
+
+  const passed = afterTear.map(item => item.username).join(',') === 'ann,cy' && afterTear[0].error === 'first\nsecond' &&
+    afterUnterminated.map(item => item.username).join(',') === 'ann,cy,dan,eve' && afterUnterminated[2].flow === 'flow2' &&
+    afterTornHeader.map(item => item.username).join(',') === 'fay' &&
+    fs.readFileSync(historyPath, 'utf8').startsWith('Timestamp,Session ID,');
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('='.repeat(60));
+  console.log('CSV LEAD STORE - TEST HARNESS');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push({ name: 'Test 1: Quoted Fields Round-Trip', passed: test1_QuotedFieldsRoundTrip() });
+  results.push({ name: 'Test 2: CRLF and BOM', passed: test2_CrlfAndBom() });
+  results.push({ name: 'Test 3: Load Rows', passed: await test3_LoadRows() });
+  results.push({ name: 'Test 4: Update Row Outcome', passed: await test4_UpdateRowOutcome() });
+  results.push({ name: 'Test 5: Header Mapping', passed: await test5_HeaderMapping() });
+  results.push({ name: 'Test 6: Stale-Row Protection', passed: await test6_StaleRowProtection() });
+  results.push({ name: 'Test 7: Suppressed With Reason', passed: await test7_SuppressedWithReason() });
+  results.push({ name: 'Test 8: Username Validation', passed: await test8_UsernameValidation() });
+  results.push({ name: 'Test 9: Template Columns', passed: await test9_TemplateColumns() });
+  results.push({ name: 'Test 10: Torn History Record', passed: await test10_TornHistoryRecord() });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Total: ${passedCount}/${totalCount} tests passed`);
+  console.log('='.repeat(60));
+
+  if (passedCount === totalCount) {
+    console.log('🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Review the output above.');
+    process.exit(1);
+  }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
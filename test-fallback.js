@@ -3,8 +3,10 @@
 
 require('dotenv').config();
 const { parseBoolean } = require('./envValidator');
-const { getEligibleRowsByStatus, parseEnableFallback } = require('./databaseLoader');
+const { getEligibleRowsByStatus, parseEnableFallback, loadFilteredDatabase } = require('./databaseLoader');
 const { buildDraftMessage } = require('./messageBuilder');
+const { loadFallbackTiers } = require('./fallbackTiers');
+const { loadScoringConfig } = require('./leadScoring');
 
 /**
  * Test helper: Creates mock row objects
@@ -276,10 +278,94 @@ function test8_MessageBuilding() {
   return passed;
 }
 
+/**
+ * Test 9: A fallback chain is read from FALLBACK_<n>_* and must be numbered without gaps
+ */
+function test9_LoadFallbackChain() {
+  console.log('\n=== Test 9: Load fallback chain from environment ===');
+
+  const tiers = loadFallbackTiers({
+    FALLBACK_STATUS: 'Retry',
+    FALLBACK_1_MAX: '2',
+    FALLBACK_2_FILTER: 'status = Skipped',
+    FALLBACK_2_MESSAGE: 'Circling back!',
+  });
+  console.log(`Tiers: ${tiers.map(tier => `${tier.tier}=${tier.status || tier.filter} (max ${tier.max})`).join(', ')}`);
+
+  const rejects = (env) => {
+    try {
+      loadFallbackTiers(env);
+      return false;
+    } catch (error) {
+      console.log(`  Rejected: ${error.message}`);
+      return true;
+    }
+  };
+
+  const passed = tiers.length === 2 &&
+    tiers[0].status === 'Retry' && tiers[0].max === 2 && tiers[0].draftMessage === null &&
+    tiers[1].filter === 'status = Skipped' && tiers[1].max === null && tiers[1].draftMessage === 'Circling back!' &&
+    loadFallbackTiers({}).length === 0 &&
+    rejects({ FALLBACK_STATUS: 'Retry', FALLBACK_3_STATUS: 'Old' }) &&
+    rejects({ FALLBACK_1_STATUS: 'Retry', FALLBACK_1_FILTER: 'status = Retry' }) &&
+    rejects({ FALLBACK_1_STATUS: 'Retry', FALLBACK_1_MAX: '0' }) &&
+    rejects({ FALLBACK_1_MAX: '5' });
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 10: Tiers are used in order, each up to its cap, with eligible/selected counts per tier
+ */
+async function test10_FallbackChainCaps() {
+  console.log('\n=== Test 10: Fallback chain with per-tier caps ===');
+
+  const allRows = [
+    createMockRow(0, 'user1', 'likes', 'Pending'),
+    createMockRow(1, 'user2', 'likes', 'Retry'),
+    createMockRow(2, 'user3', 'likes', 'Retry'),
+    createMockRow(3, 'user4', 'likes', 'Retry'),
+    createMockRow(4, 'user5', 'likes', 'Old'),
+    createMockRow(5, 'user6', 'likes', 'Old'),
+    createMockRow(6, 'user7', 'likes', 'Stale'),
+  ];
+
+  const result = await loadFilteredDatabase({
+    rows: allRows,
+    filter: 'status = Pending',
+    maxProcess: 100,
+    maxDraft: 5,
+    enableFallback: true,
+    fallbacks: [
+      { tier: 1, status: null, filter: 'status = Retry', max: 2, draftMessage: null },
+      { tier: 2, status: null, filter: 'status = Old', max: null, draftMessage: 'Circling back!' },
+      { tier: 3, status: null, filter: 'status = Stale', max: null, draftMessage: null },
+    ],
+    scoring: loadScoringConfig({}),
+    suppressed: new Map(),
+    followUps: [],
+    cooldownDays: 0,
+  });
+
+  const selected = result.rows.map(row => `${row.username}${result.fallbackRows.has(row) ? `@${result.fallbackRows.get(row).tier}` : ''}`);
+  const counts = result.stats.tiers.map(tier => `${tier.name}=${tier.eligible}/${tier.selected}`);
+  const capped = result.excluded.find(({ row }) => row.username === 'user4');
+  console.log(`Selected: ${selected.join(', ')}`);
+  console.log(`Tiers: ${counts.join(', ')}`);
+  console.log(`user4: ${capped && capped.reason}`);
+
+  const passed = JSON.stringify(selected) === JSON.stringify(['user1', 'user2@1', 'user3@1', 'user5@2', 'user6@2']) &&
+    JSON.stringify(counts) === JSON.stringify(['primary=1/1', 'fallback 1 (status = Retry)=3/2', 'fallback 2 (status = Old)=2/2', 'fallback 3 (status = Stale)=null/0']) &&
+    result.stats.selectedFallback === 4 &&
+    capped && capped.reason.includes('over tier cap (2)');
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
 /**
  * Run all tests
  */
-function runAllTests() {
+async function runAllTests() {
   console.log('='.repeat(60));
   console.log('FALLBACK STATUS FEATURE - TEST HARNESS');
   console.log('='.repeat(60));
@@ -294,6 +380,8 @@ function runAllTests() {
   results.push({ name: 'Test 6: Invalid ENABLE_FALLBACK', passed: test6_InvalidEnableFallback() });
   results.push({ name: 'Test 7: FALLBACK_STATUS Missing', passed: test7_FallbackStatusMissing() });
   results.push({ name: 'Test 8: Message Building', passed: test8_MessageBuilding() });
+  results.push({ name: 'Test 9: Load Fallback Chain', passed: test9_LoadFallbackChain() });
+  results.push({ name: 'Test 10: Fallback Chain Caps', passed: await test10_FallbackChainCaps() });
   
   console.log('\n' + '='.repeat(60));
   console.log('TEST SUMMARY');
@@ -330,6 +418,8 @@ if (typeof module !== 'undefined' && module.exports) {
     test6_InvalidEnableFallback,
     test7_FallbackStatusMissing,
     test8_MessageBuilding,
+    test9_LoadFallbackChain,
+    test10_FallbackChainCaps,
     runAllTests,
   };
 }
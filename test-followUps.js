@@ -0,0 +1,297 @@
+// test-followUps.js
+// Test harness for follow-up sequences (FOLLOW_UP_<n>_DAYS / FOLLOW_UP_<n>_MESSAGE)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadFollowUpSteps, findDueFollowUp, scheduleNextFollowUp, listSentMessages } = require('./followUps');
+const { parseTemplateLibrary, chooseTemplate, listFirstContactTemplates } = require('./templateLibrary');
+const { buildDraftMessages } = require('./messageBuilder');
+const { detectReply } = require('./conversationDetector');
+const { loadSourceConfig } = require('./sourceConfig');
+const { loadFilteredDatabase } = require('./databaseLoader');
+const { loadScoringConfig } = require('./leadScoring');
+const { createCsvLeadStore } = require('./csvLeadStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Test helper: ISO timestamp a number of days from now (negative for the past)
+ */
+function daysFromNow(days) {
+  return new Date(Date.now() + days * DAY_MS).toISOString();
+}
+
+/**
+ * Test helper: Creates mock row objects
+ */
+function createMockRow(rowIndex, username, status, followUpStep = '', nextFollowUp = '') {
+  return {
+    rowIndex: rowIndex + 2,
+    username: username,
+    source: 'likes',
+    status: status,
+    dateAdded: '',
+    name: '',
+    bio: '',
+    followUpStep: followUpStep,
+    nextFollowUp: nextFollowUp,
+  };
+}
+
+/**
+ * Test 1: Steps are read from the environment and must be numbered without gaps
+ */
+function test1_LoadSteps() {
+  console.log('\n=== Test 1: Load steps from environment ===');
+
+  const steps = loadFollowUpSteps({
+    FOLLOW_UP_2_DAYS: '3',
+    FOLLOW_UP_2_MESSAGE: 'Just checking in!',
+    FOLLOW_UP_3_DAYS: '7',
+    FOLLOW_UP_3_MESSAGE: 'Last note from me!',
+  });
+  console.log(`Steps: ${steps.map(step => `${step.step} (+${step.days}d)`).join(', ')}`);
+
+  const rejects = (env) => {
+    try {
+      loadFollowUpSteps(env);
+      return false;
+    } catch (error) {
+      console.log(`  Rejected: ${error.message}`);
+      return true;
+    }
+  };
+
+  const passed = steps.length === 2 &&
+    steps[0].step === 2 && steps[1].days === 7 &&
+    loadFollowUpSteps({}).length === 0 &&
+    rejects({ FOLLOW_UP_3_DAYS: '7', FOLLOW_UP_3_MESSAGE: 'Skipped step 2' }) &&
+    rejects({ FOLLOW_UP_2_DAYS: '3' }) &&
+    rejects({ FOLLOW_UP_2_DAYS: 'soon', FOLLOW_UP_2_MESSAGE: 'Hi!' });
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 2: A follow-up is due only for leads in a sequence whose date has passed
+ */
+function test2_DueAndSchedule() {
+  console.log('\n=== Test 2: Due follow-ups and scheduling ===');
+
+  const steps = [{ step: 2, days: 3, message: 'Step 2' }, { step: 3, days: 7, message: 'Step 3' }];
+  const due = findDueFollowUp(createMockRow(0, 'alice', 'Sent', '1', daysFromNow(-1)), steps);
+  const notYet = findDueFollowUp(createMockRow(1, 'bob', 'Sent', '1', daysFromNow(2)), steps);
+  const retried = findDueFollowUp(createMockRow(2, 'carol', 'Follow-up Failed', '2', daysFromNow(-1)), steps);
+  const finished = findDueFollowUp(createMockRow(3, 'dan', 'Sent', '3', daysFromNow(-1)), steps);
+  const replied = findDueFollowUp(createMockRow(4, 'erin', 'Replied', '1', daysFromNow(-1)), steps);
+
+  const from = Date.now();
+  const afterFirst = scheduleNextFollowUp(1, steps, from);
+  const afterLast = scheduleNextFollowUp(3, steps, from);
+  console.log(`After step 1: ${JSON.stringify(afterFirst)} | after step 3: ${JSON.stringify(afterLast)}`);
+
+  const passed = due && due.step === 2 &&
+    notYet === null &&
+    retried && retried.step === 3 &&
+    finished === null &&
+    replied === null &&
+    afterFirst.step === 1 && Date.parse(afterFirst.nextDue) === from + 3 * DAY_MS &&
+    afterLast.step === 3 && afterLast.nextDue === '';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 3: Due follow-ups are selected before new leads and share the MAX_DRAFT budget
+ */
+async function test3_FollowUpsBeforeNewLeads() {
+  console.log('\n=== Test 3: Follow-ups before new leads ===');
+
+  const steps = [{ step: 2, days: 3, message: 'Step 2' }];
+  const rows = [
+    createMockRow(0, 'dan', 'Pending'),
+    createMockRow(1, 'erin', 'Pending'),
+    createMockRow(2, 'bob', 'Sent', '1', daysFromNow(-1)),
+    createMockRow(3, 'alice', 'Sent', '1', daysFromNow(-5)),
+    createMockRow(4, 'carol', 'Sent', '1', daysFromNow(4)),
+  ];
+
+  const result = await loadFilteredDatabase({
+    rows,
+    filter: 'status = Pending',
+    maxProcess: 10,
+    maxDraft: 3,
+    enableFallback: false,
+    scoring: loadScoringConfig({}),
+    suppressed: new Map(),
+    followUps: steps,
+  });
+
+  const selected = result.rows.map(row => `${row.username}${result.followUps.has(row) ? ` (step ${result.followUps.get(row).step})` : ''}`);
+  console.log(`Selected: ${selected.join(', ')}`);
+
+  const passed = JSON.stringify(selected) === JSON.stringify(['alice (step 2)', 'bob (step 2)', 'dan']) &&
+    result.stats.followUpsDue === 2 &&
+    result.stats.selectedFollowUps === 2;
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 4: The step and next due date are written to the lead file; Replied keeps Date Sent and Message
+ */
+async function test4_CsvRoundTrip() {
+  console.log('\n=== Test 4: Sequence columns in the lead file ===');
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'follow-ups-'));
+  const filePath = path.join(dir, 'leads.csv');
+  fs.writeFileSync(filePath, [
+    'Session ID,Date Added,Username,Source,Date Sent,Message,Status,Name,Bio,Status Reason,Follow-up Step,Next Follow-up',
+    ',2026-10-01,alice,likes,,,Pending,,,,,',
+    ',2026-10-01,bob,likes,,,Pending,,,,,',
+  ].join('\n') + '\n', 'utf8');
+
+  const store = createCsvLeadStore({ path: filePath });
+  let rows = await store.loadRows();
+  await store.updateRowOutcome(rows[0], {
+    sessionId: 1, dateSent: '2026-10-01T10:00:00.000Z', message: 'Hi Alice!', status: 'Sent',
+    followUp: { step: 1, nextDue: '2026-10-04T10:00:00.000Z' },
+  });
+  await store.updateRowOutcome(rows[1], {
+    sessionId: 1, dateSent: '2026-10-01T10:00:00.000Z', message: 'Hi Bob!', status: 'Sent',
+    followUp: { step: 1, nextDue: '2026-10-04T10:00:00.000Z' },
+  });
+
+  rows = await store.loadRows();
+  await store.updateRowOutcome(rows[1], {
+    sessionId: 2, status: 'Replied', reason: 'Reply detected (1 message(s) not sent by us)',
+    followUp: { step: 1, nextDue: '' },
+  });
+
+  const [alice, bob] = await store.loadRows();
+  console.log(`alice: ${alice.status} step ${alice.followUpStep} next ${alice.nextFollowUp}`);
+  console.log(`bob: ${bob.status} step ${bob.followUpStep} next "${bob.nextFollowUp}" message "${bob.message}"`);
+
+  const passed = alice.followUpStep === '1' &&
+    alice.nextFollowUp === '2026-10-04T10:00:00.000Z' &&
+    bob.status === 'Replied' &&
+    bob.nextFollowUp === '' &&
+    bob.message === 'Hi Bob!';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test helper: Creates a mocked DM page whose thread holds the given message bubbles
+ */
+function createMockThread(bubbles) {
+  return {
+    async $() {
+      return null;
+    },
+    async $$eval() {
+      return bubbles.map(text => ({ text, isInHeader: false, isNested: false, parentAria: '', element: 'DIV' }));
+    },
+  };
+}
+
+/**
+ * Test 5: A lead first messaged from a library template is not taken as replied at step 3,
+ * after step 2 replaced its Message and Template ID
+ */
+async function test5_LibraryTemplateAtStep3() {
+  console.log('\n=== Test 5: Library template lead at step 3 ===');
+
+  const sources = loadSourceConfig({});
+  const config = {
+    sources,
+    templates: {
+      path: 'templates.json',
+      ...parseTemplateLibrary({
+        templates: {
+          'likes-intro': {
+            variants: [
+              { name: 'short', message: 'Hey {{first_name}}! Thanks for the like.' },
+              { name: 'burst', message: 'Hi {{first_name}}!{{break}}Saw you liked my post - want the guide?' },
+            ],
+          },
+        },
+        sources: { likes: 'likes-intro' },
+      }, sources),
+    },
+  };
+  const campaign = { draftMessage: 'Hey {{first_name}}, thanks for following!', fallbacks: [] };
+  const steps = [
+    { step: 2, days: 3, message: 'Just bumping this up, {{first_name}}.' },
+    { step: 3, days: 4, message: 'Last one from me, {{first_name}}!' },
+  ];
+
+  // The thread as the lead sees it: the first message (a library variant), then step 2
+  const row = { ...createMockRow(0, 'sam_k', 'Sent', '2', daysFromNow(-1)), name: 'Sam' };
+  const first = chooseTemplate(config, campaign, row);
+  const stepTwo = buildDraftMessages({ firstName: 'Sam', messageTemplate: steps[0].message, lead: row });
+  const thread = [...buildDraftMessages({ firstName: 'Sam', messageTemplate: first.text, lead: row }), ...stepTwo]
+    .map(message => message.text);
+  const stepThreeRow = { ...row, message: stepTwo[0].text, templateId: 'follow-up-2', variant: first.variant };
+
+  const sent = listSentMessages(stepThreeRow, 'Sam', listFirstContactTemplates(config, campaign, stepThreeRow), steps, steps[1]);
+  const noReply = await detectReply(createMockThread(thread), sent);
+  const reply = await detectReply(createMockThread([...thread, 'not interested']), sent);
+  const campaignOnly = await detectReply(createMockThread(thread),
+    listSentMessages(stepThreeRow, 'Sam', [campaign.draftMessage], steps, steps[1]));
+
+  console.log(`Thread: ${JSON.stringify(thread)}`);
+  console.log(`No reply: ${noReply.replied}, with reply: ${reply.replied}, campaign template only: ${campaignOnly.replied}`);
+
+  const passed = first.id === 'likes-intro' && first.variant !== null &&
+    noReply.replied === false && reply.replied === true && reply.sample.join(',') === 'not interested' &&
+    campaignOnly.replied === true;
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+  console.log('='.repeat(60));
+  console.log('FOLLOW-UP SEQUENCES - TEST HARNESS');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push({ name: 'Test 1: Load Steps from Environment', passed: test1_LoadSteps() });
+  results.push({ name: 'Test 2: Due Follow-ups and Scheduling', passed: test2_DueAndSchedule() });
+  results.push({ name: 'Test 3: Follow-ups Before New Leads', passed: await test3_FollowUpsBeforeNewLeads() });
+  results.push({ name: 'Test 4: Sequence Columns in Lead File', passed: await test4_CsvRoundTrip() });
+  results.push({ name: 'Test 5: Library Template Lead at Step 3', passed: await test5_LibraryTemplateAtStep3() });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Total: ${passedCount}/${totalCount} tests passed`);
+  console.log('='.repeat(60));
+
+  if (passedCount === totalCount) {
+    console.log('🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Review the output above.');
+    process.exit(1);
+  }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
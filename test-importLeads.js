@@ -0,0 +1,182 @@
+// test-importLeads.js
+// Test harness for the lead import command (input parsing, normalization and deduplication)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readImportEntries, planImport } = require('./importLeads');
+const { loadSourceConfig } = require('./sourceConfig');
+
+const DATE_ADDED = '2026-01-10T09:00:00.000Z';
+const DEFAULTS = { source: 'likes', status: 'Pending', dateAdded: DATE_ADDED };
+
+/**
+ * Test helper: Writes an input file into a fresh temp directory and returns its path
+ */
+function createTempInputFile(fileName, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-leads-'));
+  const filePath = path.join(dir, fileName);
+  fs.writeFileSync(filePath, content, 'utf8');
+  return filePath;
+}
+
+/**
+ * Test helper: Creates raw import entries, one per value
+ */
+function createEntries(values) {
+  return values.map((raw, index) => ({ raw, line: index + 1, file: 'input.txt' }));
+}
+
+/**
+ * Test 1: Profile URLs, @handles and URLs with query strings are normalized to usernames
+ */
+function test1_InputForms() {
+  console.log('\n=== Test 1: URL, @ and query-string inputs ===');
+
+  const plan = planImport(createEntries([
+    'https://www.instagram.com/Jane.Doe/?igsh=abc',
+    '@Bob_B',
+    'instagram.com/cy_9?utm_source=ig_web',
+    'https://www.instagram.com/ann.k/reels/',
+    'Dan',
+    'https://instagram.com/p/xyz/',
+    'bad name!',
+  ]), [], DEFAULTS, loadSourceConfig({}));
+
+  console.log(`Leads: ${plan.leads.map(lead => lead.username).join(', ')}`);
+  plan.invalid.forEach(({ entry, error }) => console.log(`  invalid "${entry.raw}": ${error}`));
+
+  const passed = plan.leads.map(lead => lead.username).join(',') === 'jane.doe,bob_b,cy_9,ann.k,dan' &&
+    plan.invalid.length === 2 &&
+    plan.invalid[0].error.includes('not a profile URL') && plan.invalid[1].error.includes('contains spaces');
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 2: Usernames already in the store, or repeated in the input, are skipped
+ */
+function test2_SkipExisting() {
+  console.log('\n=== Test 2: Existing and repeated usernames ===');
+
+  const existingRows = [
+    { rowIndex: 2, username: 'ann' },
+    { rowIndex: 5, username: '@Jane.Doe' },
+  ];
+  const plan = planImport(createEntries([
+    'ANN',
+    'https://www.instagram.com/jane.doe/',
+    'bob',
+    '@bob',
+    'instagram.com/Bob?hl=en',
+  ]), existingRows, DEFAULTS, loadSourceConfig({}));
+
+  console.log(`Leads: ${plan.leads.map(lead => lead.username).join(', ')}`);
+  console.log(`Existing: ${plan.existing.map(item => `${item.username}@${item.rowIndex}`).join(', ')}`);
+  console.log(`Repeated: ${plan.repeated.map(item => `${item.username} (line ${item.entry.line})`).join(', ')}`);
+
+  const passed = plan.leads.map(lead => lead.username).join(',') === 'bob' &&
+    plan.existing.map(item => `${item.username}@${item.rowIndex}`).join(',') === 'ann@2,jane.doe@5' &&
+    plan.repeated.map(item => item.entry.line).join(',') === '4,5';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 3: New leads are stamped with Date Added, Source and Status; a Source column wins over --source
+ */
+function test3_Stamping() {
+  console.log('\n=== Test 3: Date Added, Source and Status ===');
+
+  const sourceConfig = loadSourceConfig({ SOURCE_ALIASES: 'comment:comments' });
+  const entries = [
+    { raw: 'ann', line: 2, source: '', name: 'Ann', bio: 'Coach' },
+    { raw: 'bob', line: 3, source: 'Comment' },
+    { raw: 'cy', line: 4, source: 'tiktok' },
+  ];
+  const plan = planImport(entries, [], DEFAULTS, sourceConfig);
+  const noSource = planImport(createEntries(['dan']), [], { ...DEFAULTS, source: null }, sourceConfig);
+
+  plan.leads.forEach(lead => console.log(`  ${JSON.stringify(lead)}`));
+  plan.invalid.concat(noSource.invalid).forEach(({ entry, error }) => console.log(`  invalid "${entry.raw}": ${error}`));
+
+  const [ann, bob] = plan.leads;
+  const passed = plan.leads.length === 2 &&
+    ann.username === 'ann' && ann.source === 'likes' && ann.status === 'Pending' && ann.dateAdded === DATE_ADDED &&
+    ann.name === 'Ann' && ann.bio === 'Coach' &&
+    bob.source === 'comments' && bob.dateAdded === DATE_ADDED && bob.name === '' &&
+    plan.invalid.length === 1 && plan.invalid[0].error.startsWith('unknown source "tiktok"') &&
+    noSource.leads.length === 0 && noSource.invalid[0].error === 'no source - pass --source or add a Source column';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 4: CSV files are read through their header row; other files hold one entry per line or separator
+ */
+function test4_ReadInputFiles() {
+  console.log('\n=== Test 4: Input files ===');
+
+  const csvEntries = readImportEntries(createTempInputFile('leads.csv', [
+    'Name,Profile URL,Username,Source',
+    'Ann,x,https://www.instagram.com/ann/,comments',
+    ',,,',
+    '"Bob, Jr.",y,@bob,',
+  ].join('\n')));
+  const textEntries = readImportEntries(createTempInputFile('leads.txt', '@ann, bob\n\ninstagram.com/cy?igsh=1; dan\n'));
+
+  console.log(`CSV: ${JSON.stringify(csvEntries)}`);
+  console.log(`Text: ${JSON.stringify(textEntries)}`);
+
+  const passed = csvEntries.length === 2 &&
+    csvEntries[0].raw === 'https://www.instagram.com/ann/' && csvEntries[0].line === 2 &&
+    csvEntries[0].source === 'comments' && csvEntries[0].name === 'Ann' &&
+    csvEntries[1].raw === '@bob' && csvEntries[1].line === 4 && csvEntries[1].name === 'Bob, Jr.' && csvEntries[1].source === '' &&
+    textEntries.map(entry => `${entry.raw}:${entry.line}`).join(',') === '@ann:1,bob:1,instagram.com/cy?igsh=1:3,dan:3';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Main test runner
+ */
+function runAllTests() {
+  console.log('='.repeat(60));
+  console.log('LEAD IMPORT - TEST HARNESS');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push({ name: 'Test 1: Input Forms', passed: test1_InputForms() });
+  results.push({ name: 'Test 2: Existing and Repeated Usernames', passed: test2_SkipExisting() });
+  results.push({ name: 'Test 3: Stamping', passed: test3_Stamping() });
+  results.push({ name: 'Test 4: Input Files', passed: test4_ReadInputFiles() });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Total: ${passedCount}/${totalCount} tests passed`);
+  console.log('='.repeat(60));
+
+  if (passedCount === totalCount) {
+    console.log('🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Review the output above.');
+    process.exit(1);
+  }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
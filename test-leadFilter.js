@@ -0,0 +1,259 @@
+// test-leadFilter.js
+// Test harness for the lead filter language
+
+const { compileLeadFilter, buildStatusFilter } = require('./leadFilter');
+const { getEligibleRows, getEligibleRowsByStatus } = require('./databaseLoader');
+const { loadSourceConfig } = require('./sourceConfig');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date(2024, 5, 15, 12, 0, 0).getTime();
+
+/**
+ * Test helper: Creates mock row objects
+ */
+function createMockRow(rowIndex, username, source, status, extra = {}) {
+  return {
+    rowIndex: rowIndex + 2,
+    username: username.toLowerCase().trim(),
+    source: source,
+    status: status,
+    dateAdded: '',
+    message: '',
+    name: '',
+    bio: '',
+    ...extra,
+  };
+}
+
+/**
+ * Test 1: Several statuses, several sources and negation
+ */
+function test1_StatusesSourcesNegation() {
+  console.log('\n=== Test 1: Statuses, sources and negation ===');
+
+  const filter = compileLeadFilter('status in (Pending, "Second Pass") and not source in (followers, pod_guest)');
+  const rows = [
+    createMockRow(0, 'a', 'likes', 'Pending'),
+    createMockRow(1, 'b', 'Followers', 'Pending'),
+    createMockRow(2, 'c', 'comments', 'Second Pass'),
+    createMockRow(3, 'd', 'likes', 'pending'),
+  ];
+
+  const matched = rows.filter(row => filter.test(row, NOW).matched).map(row => row.username);
+  console.log(`Matched: ${matched.join(', ')}`);
+  console.log('Expected: a, c (status is exact, source ignores case)');
+
+  const passed = JSON.stringify(matched) === JSON.stringify(['a', 'c']);
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 2: Date Added ranges, Name/Bio presence and bio keywords
+ */
+function test2_DatesAndText() {
+  console.log('\n=== Test 2: Date ranges, presence and keywords ===');
+
+  const filter = compileLeadFilter(
+    'date_added within 14 days and name is not empty and bio contains ("coach", trainer) and date_added after 2024-06-01'
+  );
+  const recent = new Date(NOW - 3 * DAY_MS).toISOString();
+  const rows = [
+    createMockRow(0, 'fresh', 'likes', 'Pending', { dateAdded: recent, name: 'Ann', bio: 'Fitness Coach' }),
+    createMockRow(1, 'old', 'likes', 'Pending', { dateAdded: '2024-05-01', name: 'Bo', bio: 'coach' }),
+    createMockRow(2, 'noname', 'likes', 'Pending', { dateAdded: recent, bio: 'trainer' }),
+    createMockRow(3, 'nodate', 'likes', 'Pending', { name: 'Cy', bio: 'coach' }),
+    createMockRow(4, 'nobio', 'likes', 'Pending', { dateAdded: '2024-06-10', name: 'Di', bio: 'baker' }),
+  ];
+
+  const results = rows.map(row => ({ username: row.username, ...filter.test(row, NOW) }));
+  results.forEach(result => console.log(`  ${result.username}: ${result.matched ? 'matched' : result.clause}`));
+
+  const clauseOf = username => results.find(result => result.username === username).clause;
+  const passed = results[0].matched &&
+    clauseOf('old') === 'date_added within 14 days' &&
+    clauseOf('noname') === 'name is not empty' &&
+    clauseOf('nodate').includes('missing or unreadable') &&
+    clauseOf('nobio') === 'bio contains (coach, trainer)';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 3: Precedence (not > and > or) and the clause reported for or / not
+ */
+function test3_PrecedenceAndClauses() {
+  console.log('\n=== Test 3: Precedence and reported clauses ===');
+
+  const filter = compileLeadFilter('source = likes or source = comments and not status = Skipped');
+  const row = createMockRow(0, 'x', 'comments', 'Skipped');
+  const result = filter.test(row, NOW);
+
+  console.log(`Canonical: ${filter.text}`);
+  console.log(`Result: ${JSON.stringify(result)}`);
+
+  const passed = filter.text === 'source = likes or (source = comments and not status = Skipped)' &&
+    !result.matched &&
+    result.clause === 'source = likes or (source = comments and not status = Skipped)' &&
+    compileLeadFilter('source = likes or source = comments').test(createMockRow(1, 'y', 'likes', 'Pending'), NOW).matched;
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 4: Invalid expressions are rejected with a position
+ */
+function test4_InvalidExpressions() {
+  console.log('\n=== Test 4: Invalid expressions ===');
+
+  const invalid = [
+    'status = ',
+    'colour = red',
+    'status in (Pending',
+    'bio within 3 days',
+    'date_added before 2024-13-40',
+    'status = Pending source = likes',
+    '"unterminated',
+    '',
+  ];
+
+  let passed = true;
+  for (const expression of invalid) {
+    try {
+      compileLeadFilter(expression);
+      console.log(`  ${JSON.stringify(expression)}: accepted (unexpected)`);
+      passed = false;
+    } catch (error) {
+      console.log(`  ${JSON.stringify(expression)}: ${error.message}`);
+    }
+  }
+
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 5: ACTIVATE_STATUS / SOURCE_MODE compile to the same eligibility pass
+ */
+function test5_StatusFilterEquivalence() {
+  console.log('\n=== Test 5: Status/source pair equivalence ===');
+
+  const rows = [
+    createMockRow(0, 'a', 'likes', 'Pending'),
+    createMockRow(1, 'b', 'comments', 'Pending'),
+    createMockRow(2, 'A', 'LIKES', 'Pending'),
+    createMockRow(3, 'c', 'likes', 'Sent'),
+    createMockRow(4, 'd', 'likes', 'Pending'),
+  ];
+
+  const byStatus = getEligibleRowsByStatus(rows, 'Pending', 'likes', 100).map(row => row.rowIndex);
+  const reasons = new Map();
+  const byFilter = getEligibleRows(rows, compileLeadFilter('status = Pending and source = likes'), 1, new Set(), reasons)
+    .map(row => row.rowIndex);
+
+  console.log(`Status filter text: ${buildStatusFilter('Pending', 'likes').text}`);
+  console.log(`By status: ${byStatus.join(', ')} | By filter (max 1): ${byFilter.join(', ')}`);
+  rows.filter(row => reasons.has(row)).forEach(row => console.log(`  row ${row.rowIndex}: ${reasons.get(row)}`));
+
+  const passed = JSON.stringify(byStatus) === JSON.stringify([2, 6]) &&
+    JSON.stringify(byFilter) === JSON.stringify([2]) &&
+    reasons.get(rows[1]) === 'filter: source = likes' &&
+    reasons.get(rows[2]) === 'duplicate username' &&
+    reasons.get(rows[4]) === 'over MAX_PROCCESS (1)' &&
+    buildStatusFilter('Pending', 'all').text === 'status = Pending';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 6: Declared sources, aliases and groups select rows through SOURCE_MODE
+ */
+function test6_SourceGroupsAndAliases() {
+  console.log('\n=== Test 6: Source groups and aliases ===');
+
+  const sources = loadSourceConfig({
+    LEAD_SOURCES: 'likes, comments, followers, story_replies',
+    SOURCE_ALIASES: 'like:likes,comment:comments',
+    SOURCE_GROUPS: 'engaged:likes+comment',
+  });
+  const rows = [
+    createMockRow(0, 'a', 'likes', 'Pending'),
+    createMockRow(1, 'b', 'Comment', 'Pending'),
+    createMockRow(2, 'c', 'followers', 'Pending'),
+    createMockRow(3, 'd', 'story_replies', 'Pending'),
+  ];
+  const select = mode => {
+    const selected = sources.resolveSourceMode(mode);
+    const filter = buildStatusFilter('Pending', selected === 'all' ? 'all' : sources.expandSources(selected));
+    return getEligibleRows(rows, filter, 100).map(row => row.username).join(',');
+  };
+
+  console.log(`engaged -> ${JSON.stringify(sources.resolveSourceMode('engaged'))}`);
+  console.log(`engaged: ${select('engaged')} | "story_replies, followers": ${select('story_replies, followers')} | all: ${select('all')}`);
+
+  const rejects = (fn) => {
+    try {
+      fn();
+      return false;
+    } catch (error) {
+      console.log(`  Rejected: ${error.message}`);
+      return true;
+    }
+  };
+
+  const passed = select('engaged') === 'a,b' &&
+    select('story_replies, followers') === 'c,d' &&
+    select('all') === 'a,b,c,d' &&
+    sources.normalizeSource('Like') === 'likes' &&
+    rejects(() => sources.resolveSourceMode('pod_guest')) &&
+    rejects(() => loadSourceConfig({ SOURCE_ALIASES: 'fans:fanclub' })) &&
+    rejects(() => loadSourceConfig({ SOURCE_GROUPS: 'likes:likes+comments' }));
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Main test runner
+ */
+function runAllTests() {
+  console.log('='.repeat(60));
+  console.log('LEAD FILTER - TEST HARNESS');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push({ name: 'Test 1: Statuses, Sources and Negation', passed: test1_StatusesSourcesNegation() });
+  results.push({ name: 'Test 2: Date Ranges, Presence and Keywords', passed: test2_DatesAndText() });
+  results.push({ name: 'Test 3: Precedence and Reported Clauses', passed: test3_PrecedenceAndClauses() });
+  results.push({ name: 'Test 4: Invalid Expressions', passed: test4_InvalidExpressions() });
+  results.push({ name: 'Test 5: Status/Source Pair Equivalence', passed: test5_StatusFilterEquivalence() });
+  results.push({ name: 'Test 6: Source Groups and Aliases', passed: test6_SourceGroupsAndAliases() });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Total: ${passedCount}/${totalCount} tests passed`);
+  console.log('='.repeat(60));
+
+  if (passedCount === totalCount) {
+    console.log('🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Review the output above.');
+    process.exit(1);
+  }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
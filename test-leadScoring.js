@@ -0,0 +1,185 @@
+// test-leadScoring.js
+// Test harness for lead prioritization
+
+const { loadScoringConfig, scoreLead, formatScore } = require('./leadScoring');
+const { getEligibleRows, loadFilteredDatabase } = require('./databaseLoader');
+const { compileLeadFilter } = require('./leadFilter');
+const { loadSourceConfig } = require('./sourceConfig');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date(2024, 5, 15, 12, 0, 0).getTime();
+
+/**
+ * Test helper: Creates mock row objects
+ */
+function createMockRow(rowIndex, username, source, extra = {}) {
+  return {
+    rowIndex: rowIndex + 2,
+    username: username,
+    source: source,
+    status: 'Pending',
+    dateAdded: '',
+    name: '',
+    bio: '',
+    ...extra,
+  };
+}
+
+/**
+ * Test 1: Weights parse from the environment and combine into one score
+ */
+function test1_ScoreBreakdown() {
+  console.log('\n=== Test 1: Score breakdown ===');
+
+  const config = loadScoringConfig({
+    SCORE_SOURCE_WEIGHTS: 'comments:3, likes:1',
+    SCORE_RECENCY_WEIGHT: '2',
+    SCORE_RECENCY_DAYS: '10',
+    SCORE_BIO_KEYWORDS: 'Coach:2,agency:-5',
+    SCORE_NAME_WEIGHT: '0.5',
+  });
+  const row = createMockRow(0, 'ann', 'Comments', {
+    dateAdded: new Date(NOW - 5 * DAY_MS).toISOString(),
+    name: 'Ann',
+    bio: 'Running coach',
+  });
+
+  const result = scoreLead(row, config, NOW);
+  console.log(`Score: ${formatScore(result)}`);
+
+  const passed = config.enabled && result.score === 6.5 &&
+    formatScore(result) === '6.5 (source comments +3, recency +1, bio "coach" +2, name +0.5)';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 2: Invalid weights are rejected; no weights means scoring is off
+ */
+function test2_InvalidAndDisabled() {
+  console.log('\n=== Test 2: Invalid weights and disabled scoring ===');
+
+  const invalid = [
+    { SCORE_SOURCE_WEIGHTS: 'likes' },
+    { SCORE_BIO_KEYWORDS: 'coach:lots' },
+    { SCORE_NAME_WEIGHT: 'high' },
+    { SCORE_RECENCY_DAYS: '0' },
+  ];
+
+  let passed = !loadScoringConfig({}).enabled;
+  for (const env of invalid) {
+    try {
+      loadScoringConfig(env);
+      console.log(`  ${JSON.stringify(env)}: accepted (unexpected)`);
+      passed = false;
+    } catch (error) {
+      console.log(`  ${JSON.stringify(env)}: ${error.message}`);
+    }
+  }
+
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 3: Eligible rows are ordered by score before MAX_PROCCESS applies; ties keep sheet order
+ */
+function test3_OrderingBeforeLimit() {
+  console.log('\n=== Test 3: Ordering before MAX_PROCCESS ===');
+
+  const config = loadScoringConfig({ SCORE_SOURCE_WEIGHTS: 'comments:3,likes:1' });
+  const rows = [
+    createMockRow(0, 'a', 'likes'),
+    createMockRow(1, 'b', 'followers'),
+    createMockRow(2, 'c', 'comments'),
+    createMockRow(3, 'd', 'likes'),
+    createMockRow(4, 'c', 'likes'),
+  ];
+  const scores = new Map(rows.map(row => [row, scoreLead(row, config, NOW)]));
+
+  const selected = getEligibleRows(rows, compileLeadFilter('status = Pending'), 3, new Set(), null, scores)
+    .map(row => `${row.username}:${row.rowIndex}`);
+  console.log(`Selected: ${selected.join(', ')}`);
+  console.log('Expected: c:4, a:2, d:5 (first "c" row kept as the duplicate, b cut by MAX_PROCCESS)');
+
+  const passed = JSON.stringify(selected) === JSON.stringify(['c:4', 'a:2', 'd:5']);
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 4: A Source cell holding an alias is weighted as the source it stands for
+ */
+async function test4_AliasSource() {
+  console.log('\n=== Test 4: Alias sources ===');
+
+  const sources = loadSourceConfig({ SOURCE_ALIASES: 'comment:comments' });
+  const config = loadScoringConfig({ SCORE_SOURCE_WEIGHTS: 'comments:3,likes:1' });
+  const aliasRow = createMockRow(1, 'ann', 'Comment');
+  const aliasScore = scoreLead(aliasRow, config, NOW, sources);
+
+  const result = await loadFilteredDatabase({
+    rows: [createMockRow(0, 'bob', 'likes'), aliasRow],
+    filter: 'status = Pending',
+    sources: sources,
+    maxProcess: 10,
+    maxDraft: 10,
+    enableFallback: false,
+    scoring: config,
+    suppressed: new Map(),
+    cooldownDays: null,
+    followUps: [],
+  });
+
+  console.log(`Score: ${formatScore(aliasScore)}`);
+  console.log(`Selected: ${result.rows.map(row => `${row.username} (${formatScore(result.scores.get(row))})`).join(', ')}`);
+
+  const passed = aliasScore.score === 3 && formatScore(aliasScore) === '3 (source comments +3)' &&
+    result.rows.map(row => row.username).join(',') === 'ann,bob' && result.scores.get(aliasRow).score === 3;
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+  console.log('='.repeat(60));
+  console.log('LEAD SCORING - TEST HARNESS');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push({ name: 'Test 1: Score Breakdown', passed: test1_ScoreBreakdown() });
+  results.push({ name: 'Test 2: Invalid Weights and Disabled Scoring', passed: test2_InvalidAndDisabled() });
+  results.push({ name: 'Test 3: Ordering Before MAX_PROCCESS', passed: test3_OrderingBeforeLimit() });
+  results.push({ name: 'Test 4: Alias Sources', passed: await test4_AliasSource() });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Total: ${passedCount}/${totalCount} tests passed`);
+  console.log('='.repeat(60));
+
+  if (passedCount === totalCount) {
+    console.log('🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Review the output above.');
+    process.exit(1);
+  }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
@@ -0,0 +1,181 @@
+// test-outcomeJournal.js
+// Test harness for the outcome journal (acknowledgements, superseded outcomes, compaction and replay)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOutcomeJournal, collectPending } = require('./outcomeJournal');
+const { groupByStore, replayGroup } = require('./replayJournal');
+const { createCsvLeadStore } = require('./csvLeadStore');
+
+/**
+ * Test helper: Returns a file path in a fresh temp directory
+ */
+function createTempPath(fileName) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outcome-journal-'));
+  return path.join(dir, fileName);
+}
+
+/**
+ * Test helper: Creates a journaled outcome the way main.js records one
+ */
+function createEntry(store, target, rowIndex, username, status) {
+  return {
+    store: store,
+    target: target,
+    row: { rowIndex, username },
+    outcome: { sessionId: 1, dateSent: '2026-01-05T10:00:00.000Z', message: `Hi ${username}`, status },
+    history: { timestamp: '2026-01-05T10:00:00.000Z', sessionId: 1, username, rowIndex, status, flow: 'flow1', error: '' },
+  };
+}
+
+/**
+ * Test 1: Acknowledged parts are no longer pending; compaction keeps only outcomes with pending parts
+ */
+function test1_AcknowledgeAndCompact() {
+  console.log('\n=== Test 1: Acknowledge and compact ===');
+
+  const journal = createOutcomeJournal({ path: createTempPath('journal.jsonl') });
+  const annId = journal.record(createEntry('csv', 'leads.csv', 2, 'ann', 'Sent'));
+  const bobId = journal.record(createEntry('csv', 'leads.csv', 3, 'bob', 'Drafted'));
+  journal.record(createEntry('csv', 'leads.csv', 4, 'cy', 'Skipped'));
+  journal.acknowledge(annId, 'row', { rowIndex: 2 });
+  journal.acknowledge(annId, 'history');
+  journal.acknowledge(bobId, 'row', { rowIndex: 3 });
+
+  const pending = journal.loadPending();
+  const kept = journal.compact();
+  const lines = fs.readFileSync(journal.path, 'utf8').trim().split('\n');
+  const afterCompact = journal.loadPending();
+
+  // A crash mid-append leaves a torn last line, which is ignored and cut off by the next append
+  fs.appendFileSync(journal.path, '{"type":"ack","id":"');
+  const afterTear = journal.loadPending();
+  const pendingCyId = afterTear.find(entry => entry.row.username === 'cy').id;
+  journal.acknowledge(pendingCyId, 'row', { rowIndex: 4 });
+  const afterAck = journal.loadPending();
+
+  pending.forEach(entry => console.log(`  ${entry.row.username}: ${entry.pending.join(', ')}`));
+  console.log(`Kept after compact: ${kept}, lines: ${lines.length}`);
+
+  const summary = entries => entries.map(entry => `${entry.row.username}:${entry.pending.join('+')}`).join(',');
+  const passed = summary(pending) === 'bob:history,cy:row+history' &&
+    kept === 2 && lines.length === 2 &&
+    summary(afterCompact) === summary(pending) && summary(afterTear) === summary(pending) &&
+    summary(afterAck) === 'bob:history,cy:history' &&
+    journal.loadOutcomes().length === 2;
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 2: An unwritten row update is superseded by a later written one for the same lead in the same store
+ */
+function test2_Supersede() {
+  console.log('\n=== Test 2: Superseded row updates ===');
+
+  const outcome = (id, target, username, status) => ({ type: 'outcome', id, ...createEntry('sheets', target, 2, username, status) });
+  const ack = (id, part) => ({ type: 'ack', id, part });
+
+  const pending = collectPending([
+    outcome('1', 'Sheet1', 'ann', 'Send Failed'), // superseded by 2, which was written
+    outcome('2', 'Sheet1', 'ann', 'Sent'),
+    ack('2', 'row'),
+    ack('2', 'history'),
+    outcome('3', 'Sheet2', 'ann', 'Drafted'), // another worksheet - not superseded
+    outcome('4', 'Sheet1', 'bob', 'Drafted'), // a later unwritten outcome does not supersede
+    outcome('5', 'Sheet1', 'bob', 'Skipped'),
+    ack('9', 'row'), // ack for an outcome compacted away
+  ]);
+
+  pending.forEach(entry => console.log(`  ${entry.id} ${entry.target} ${entry.row.username}: ${entry.pending.join(', ')}`));
+
+  const passed = pending.map(entry => `${entry.id}:${entry.pending.join('+')}`).join(',') ===
+    '1:history,3:row+history,4:row+history,5:row+history';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 3: Replay writes pending parts, acknowledges what lands and leaves row conflicts pending
+ */
+async function test3_Replay() {
+  console.log('\n=== Test 3: Replay ===');
+
+  const leadsPath = createTempPath('leads.csv');
+  fs.writeFileSync(leadsPath, [
+    'Session ID,Date Added,Username,Source,Date Sent,Message,Status',
+    ',2026-01-01,ann,likes,,,Pending',
+    ',2026-01-01,bob,likes,,,Pending',
+  ].join('\n') + '\n', 'utf8');
+
+  const journal = createOutcomeJournal({ path: createTempPath('journal.jsonl') });
+  journal.record(createEntry('csv', leadsPath, 2, 'ann', 'Sent'));
+  journal.record(createEntry('csv', leadsPath, 3, 'bob', 'Sent'));
+
+  // bob's row is edited to someone else before the replay
+  fs.writeFileSync(leadsPath, fs.readFileSync(leadsPath, 'utf8').replace(',bob,', ',dave,'), 'utf8');
+
+  const groups = groupByStore(journal.loadPending());
+  const counts = await replayGroup(journal, groups[0]);
+  const remaining = journal.compact();
+  const pending = journal.loadPending();
+
+  const store = createCsvLeadStore({ path: leadsPath });
+  const rows = await store.loadRows();
+  const history = await store.loadHistory();
+
+  console.log(`Groups: ${groups.length}, counts: ${JSON.stringify(counts)}, remaining: ${remaining}`);
+  rows.forEach(row => console.log(`  ${row.username}: ${row.status} ${row.message}`));
+
+  const passed = groups.length === 1 && groups[0].entries.length === 2 &&
+    counts.written === 3 && counts.conflicts === 1 && counts.failed === 0 &&
+    remaining === 1 && pending.length === 1 && pending[0].row.username === 'bob' && pending[0].pending.join(',') === 'row' &&
+    rows[0].status === 'Sent' && rows[0].message === 'Hi ann' && rows[1].username === 'dave' && rows[1].status === 'Pending' &&
+    history.map(entry => entry.username).sort().join(',') === 'ann,bob';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('='.repeat(60));
+  console.log('OUTCOME JOURNAL - TEST HARNESS');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push({ name: 'Test 1: Acknowledge and Compact', passed: test1_AcknowledgeAndCompact() });
+  results.push({ name: 'Test 2: Superseded Row Updates', passed: test2_Supersede() });
+  results.push({ name: 'Test 3: Replay', passed: await test3_Replay() });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Total: ${passedCount}/${totalCount} tests passed`);
+  console.log('='.repeat(60));
+
+  if (passedCount === totalCount) {
+    console.log('🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Review the output above.');
+    process.exit(1);
+  }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
@@ -0,0 +1,136 @@
+// test-sheetLint.js
+// Test harness for the sheet lint command (data quality checks)
+
+const { lintRows } = require('./sheetLint');
+const { loadSourceConfig } = require('./sourceConfig');
+const { parseRowUsername } = require('./usernames');
+
+/**
+ * Test helper: Creates mock row objects the way the lead stores load them
+ */
+function createMockRow(rowIndex, cells) {
+  const { username, error } = parseRowUsername(cells.username || '');
+  return {
+    rowIndex: rowIndex + 2,
+    username: username,
+    usernameError: error,
+    source: cells.source !== undefined ? cells.source : 'likes',
+    status: cells.status || 'Pending',
+    sessionId: cells.sessionId || '',
+    dateAdded: cells.dateAdded !== undefined ? cells.dateAdded : '2026-10-01',
+    dateSent: cells.dateSent || '',
+    message: cells.message || '',
+  };
+}
+
+const CONTEXT = {
+  statuses: ['Pending', 'Drafted', 'Sent'],
+  sources: loadSourceConfig({}),
+  sessions: new Set(['100']),
+};
+
+/**
+ * Test 1: A clean lead store has no issues
+ */
+function test1_CleanRows() {
+  console.log('\n=== Test 1: Clean rows ===');
+
+  const issues = lintRows([
+    createMockRow(0, { username: 'alice' }),
+    createMockRow(1, { username: 'bob', status: 'Sent', sessionId: '100', dateSent: '2026-10-02T10:00:00.000Z', message: 'Hi Bob!' }),
+  ], CONTEXT);
+  console.log(`Issues: ${issues.length}`);
+
+  const passed = issues.length === 0;
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 2: Every check reports its rows, in check then row order, with a fix
+ */
+function test2_EveryCheck() {
+  console.log('\n=== Test 2: Every check ===');
+
+  const issues = lintRows([
+    createMockRow(0, { username: 'alice' }),
+    createMockRow(1, { username: '@Alice' }),
+    createMockRow(2, { username: 'alice', status: 'Sent', sessionId: '999', dateSent: '2026-10-02', message: 'Hi!' }),
+    createMockRow(3, { username: 'bad name', status: 'pending', source: 'tiktok', dateAdded: 'yesterday' }),
+    createMockRow(4, { username: 'carol', status: 'Sent', sessionId: '100', dateSent: '2026-10-02' }),
+  ], CONTEXT);
+  issues.forEach(issue => console.log(`  ${issue.check} row ${issue.rowIndex}: ${issue.message} -> ${issue.fix.action}`));
+
+  const summary = issues.map(issue => `${issue.check}@${issue.rowIndex}:${issue.fix.action}`);
+  const passed = JSON.stringify(summary) === JSON.stringify([
+    'duplicate-username@3:remove-row',
+    'duplicate-username@4:review',
+    'invalid-username@5:review',
+    'unknown-status@5:set',
+    'unknown-source@5:review',
+    'malformed-date@5:review',
+    'sent-without-message@6:review',
+    'unknown-session@4:review',
+  ]) && issues[3].fix.to === 'Pending';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 3: Session IDs are not checked without recorded history
+ */
+function test3_NoHistory() {
+  console.log('\n=== Test 3: No recorded history ===');
+
+  const issues = lintRows([
+    createMockRow(0, { username: 'alice', status: 'Sent', sessionId: '999', dateSent: '2026-10-02', message: 'Hi!' }),
+  ], { ...CONTEXT, sessions: null });
+  console.log(`Issues: ${issues.length}`);
+
+  const passed = issues.length === 0;
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Main test runner
+ */
+function runAllTests() {
+  console.log('='.repeat(60));
+  console.log('SHEET LINT - TEST HARNESS');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push({ name: 'Test 1: Clean Rows', passed: test1_CleanRows() });
+  results.push({ name: 'Test 2: Every Check', passed: test2_EveryCheck() });
+  results.push({ name: 'Test 3: No Recorded History', passed: test3_NoHistory() });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Total: ${passedCount}/${totalCount} tests passed`);
+  console.log('='.repeat(60));
+
+  if (passedCount === totalCount) {
+    console.log('🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Review the output above.');
+    process.exit(1);
+  }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
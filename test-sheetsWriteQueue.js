@@ -0,0 +1,286 @@
+// test-sheetsWriteQueue.js
+// Test harness for the Google Sheets write queue (coalescing, retries and the failed-write report)
+
+const { setSheetsClient } = require('./sheetsManager');
+const { createSheetsWriteQueue, mergeOutcomes } = require('./sheetsWriteQueue');
+
+const HEADERS = ['Session ID', 'Date Added', 'Username', 'Source', 'Date Sent', 'Message', 'Status'];
+
+/**
+ * Test helper: Creates an error the way the googleapis client reports an HTTP status
+ */
+function createApiError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Test helper: Reads an A1 range ("'Sheet1'!1:1" or "'Sheet1'!C:C") from a grid of rows
+ */
+function readRange(grid, range, majorDimension) {
+  const [, from] = range.split('!');
+  const rowMatch = /^(\d+):\d+$/.exec(from);
+  if (rowMatch) {
+    return [grid[Number(rowMatch[1]) - 1] || []];
+  }
+
+  const column = from.split(':')[0].charCodeAt(0) - 65;
+  const cells = grid.map(row => (row[column] === undefined ? '' : row[column]));
+  return majorDimension === 'COLUMNS' ? [cells] : cells.map(cell => [cell]);
+}
+
+/**
+ * Test helper: Installs a stub Sheets client over a grid of rows.
+ * failures holds errors thrown by the next batchUpdate calls, one per call.
+ */
+function installStubClient(grid, failures = []) {
+  const client = {
+    batchUpdates: [],
+    spreadsheets: {
+      values: {
+        async get({ range, majorDimension }) {
+          return { data: { values: readRange(grid, range, majorDimension) } };
+        },
+        async batchGet({ ranges, majorDimension }) {
+          return { data: { valueRanges: ranges.map(range => ({ range, values: readRange(grid, range, majorDimension) })) } };
+        },
+        async batchUpdate({ requestBody }) {
+          client.batchUpdates.push({ at: Date.now(), data: requestBody.data });
+          const failure = failures.shift();
+          if (failure) {
+            throw failure;
+          }
+          return { data: {} };
+        },
+        async append() {
+          return { data: {} };
+        },
+      },
+    },
+  };
+
+  setSheetsClient(client);
+  return client;
+}
+
+/**
+ * Test helper: Creates a sheet with a header row and one Pending row per username
+ */
+function createGrid(usernames) {
+  return [HEADERS, ...usernames.map(username => ['', '2026-01-01', username, 'likes', '', '', 'Pending'])];
+}
+
+/**
+ * Test helper: Collects the values written by one batchUpdate, keyed by A1 cell
+ */
+function writtenCells(batchUpdate) {
+  const cells = {};
+  batchUpdate.data.forEach(valueRange => {
+    cells[valueRange.range.split('!')[1]] = valueRange.values[0][0];
+  });
+  return cells;
+}
+
+/**
+ * Test helper: Captures whether a queued write resolved or rejected
+ */
+function capture(promise) {
+  return promise.then(rowIndex => ({ rowIndex }), error => ({ error }));
+}
+
+/**
+ * Test 1: A later outcome that preserves Date Sent and Message keeps the earlier ones
+ */
+function test1_MergeOutcomes() {
+  console.log('\n=== Test 1: mergeOutcomes ===');
+
+  const sent = {
+    sessionId: 1, dateSent: '2026-01-05', message: 'Hi Ann', status: 'Sent', preserveDateAndMessage: false,
+    followUp: { step: 1, nextDue: '2026-01-08' },
+  };
+  const skipped = { sessionId: 2, dateSent: '', message: '', status: 'Skipped', preserveDateAndMessage: true, followUp: null };
+  const drafted = { sessionId: 3, dateSent: '2026-01-09', message: 'Hey again', status: 'Drafted', preserveDateAndMessage: false, followUp: null };
+
+  const keptSent = mergeOutcomes(sent, skipped);
+  const replaced = mergeOutcomes(keptSent, drafted);
+  console.log(`Sent + Skipped: ${JSON.stringify(keptSent)}`);
+  console.log(`+ Drafted: ${JSON.stringify(replaced)}`);
+
+  const passed = keptSent.status === 'Skipped' && keptSent.sessionId === 2 &&
+    keptSent.dateSent === '2026-01-05' && keptSent.message === 'Hi Ann' && keptSent.preserveDateAndMessage === false &&
+    keptSent.followUp.step === 1 &&
+    replaced.status === 'Drafted' && replaced.dateSent === '2026-01-09' && replaced.message === 'Hey again' &&
+    replaced.followUp.step === 1;
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 2: Several updates to one row before a flush become one write in a single batchUpdate
+ */
+async function test2_Coalescing() {
+  console.log('\n=== Test 2: Coalescing ===');
+
+  const client = installStubClient(createGrid(['ann', 'bob']));
+  const queue = createSheetsWriteQueue({ spreadsheetId: 'sheet-id', sheetName: 'Coalesce', historySheetName: '' });
+
+  const writes = [
+    capture(queue.enqueueRowUpdate({ rowIndex: 2, username: 'ann' }, { sessionId: 1, dateSent: '2026-01-05', message: 'Hi Ann', status: 'Sent' })),
+    capture(queue.enqueueRowUpdate({ rowIndex: 2, username: 'ann' }, { sessionId: 2, status: 'Skipped', reason: 'already contacted' })),
+    capture(queue.enqueueRowUpdate({ rowIndex: 3, username: 'bob' }, { sessionId: 2, dateSent: '2026-01-05', message: 'Hi Bob', status: 'Drafted' })),
+  ];
+  const queued = queue.size();
+  const { failed } = await queue.close();
+  const results = await Promise.all(writes);
+
+  const cells = client.batchUpdates.length === 1 ? writtenCells(client.batchUpdates[0]) : {};
+  console.log(`Queued: ${queued}, batchUpdates: ${client.batchUpdates.length}, cells: ${JSON.stringify(cells)}`);
+
+  const passed = queued === 2 && client.batchUpdates.length === 1 && failed.length === 0 &&
+    cells.A2 === '2' && cells.G2 === 'Skipped' && cells.E2 === '2026-01-05' && cells.F2 === 'Hi Ann' &&
+    cells.G3 === 'Drafted' && cells.F3 === 'Hi Bob' &&
+    results.every((result, index) => result.rowIndex === [2, 2, 3][index]);
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 3: A quota error is retried after the backoff and the write then succeeds
+ */
+async function test3_RetryableError() {
+  console.log('\n=== Test 3: Retryable error ===');
+
+  const client = installStubClient(createGrid(['ann']), [createApiError('Quota exceeded', 429)]);
+  const queue = createSheetsWriteQueue({ spreadsheetId: 'sheet-id', sheetName: 'Retry', historySheetName: '', retryBaseDelayMs: 50 });
+
+  const write = capture(queue.enqueueRowUpdate({ rowIndex: 2, username: 'ann' }, { sessionId: 1, dateSent: '2026-01-05', message: 'Hi Ann', status: 'Sent' }));
+  const { failed } = await queue.close();
+  const result = await write;
+
+  const calls = client.batchUpdates;
+  const gap = calls.length === 2 ? calls[1].at - calls[0].at : 0;
+  console.log(`batchUpdates: ${calls.length}, retried after ${gap}ms, result: ${JSON.stringify(result)}`);
+
+  const passed = calls.length === 2 && gap >= 50 && result.rowIndex === 2 && failed.length === 0 &&
+    writtenCells(calls[1]).G2 === 'Sent';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 4: Errors that are not transient, and transient ones that exhaust their attempts, are reported as failed
+ */
+async function test4_FailedWrites() {
+  console.log('\n=== Test 4: Non-retryable error and the failed-write report ===');
+
+  const client = installStubClient(createGrid(['ann']), [createApiError('Invalid range', 400)]);
+  const queue = createSheetsWriteQueue({ spreadsheetId: 'sheet-id', sheetName: 'Fail', historySheetName: '', retryBaseDelayMs: 10 });
+  const write = capture(queue.enqueueRowUpdate({ rowIndex: 2, username: 'ann' }, { sessionId: 1, dateSent: '2026-01-05', message: 'Hi Ann', status: 'Sent' }));
+  const { failed } = await queue.close();
+  const result = await write;
+
+  // A server error on every attempt gives up after maxAttempts
+  const exhaustedClient = installStubClient(createGrid(['bob']), [
+    createApiError('Backend error', 503),
+    createApiError('Backend error', 503),
+  ]);
+  const exhaustedQueue = createSheetsWriteQueue({
+    spreadsheetId: 'sheet-id', sheetName: 'Exhaust', historySheetName: '', retryBaseDelayMs: 10, maxAttempts: 2,
+  });
+  const exhaustedWrite = capture(exhaustedQueue.enqueueRowUpdate({ rowIndex: 2, username: 'bob' }, { sessionId: 1, status: 'Skipped' }));
+  const exhausted = await exhaustedQueue.close();
+  const exhaustedResult = await exhaustedWrite;
+
+  console.log(`Non-retryable: ${client.batchUpdates.length} call(s), ${JSON.stringify(failed)}, ${result.error && result.error.message}`);
+  console.log(`Exhausted: ${exhaustedClient.batchUpdates.length} call(s), ${JSON.stringify(exhausted.failed)}`);
+
+  const passed = client.batchUpdates.length === 1 && failed.length === 1 &&
+    failed[0].target === 'row 2 (ann)' && failed[0].status === 'Sent' && failed[0].attempts === 1 &&
+    failed[0].error === 'Invalid range' && !failed[0].conflict &&
+    result.error && result.error.message === 'Sheets write failed after 1 attempt(s): Invalid range' &&
+    queue.getFailedWrites().length === 1 &&
+    exhaustedClient.batchUpdates.length === 2 && exhausted.failed.length === 1 &&
+    exhausted.failed[0].attempts === 2 && exhausted.failed[0].error === 'Backend error' &&
+    exhaustedResult.error && exhaustedResult.error.message.includes('after 2 attempt(s)');
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 5: A column inserted after the sheet was loaded is picked up before writing,
+ * even when the Username column did not move
+ */
+async function test5_HeaderChanged() {
+  console.log('\n=== Test 5: Header row changed mid-run ===');
+
+  const grid = createGrid(['ann']);
+  const client = installStubClient(grid);
+  const queue = createSheetsWriteQueue({ spreadsheetId: 'sheet-id', sheetName: 'Helper', historySheetName: '' });
+
+  // Caches the column map, as loading the sheet does
+  const first = capture(queue.enqueueRowUpdate({ rowIndex: 2, username: 'ann' }, { sessionId: 1, status: 'Skipped' }));
+  await queue.flush();
+  await first;
+
+  // Someone inserts a helper column right after Username
+  grid.forEach((row, index) => row.splice(3, 0, index === 0 ? 'Notes' : ''));
+
+  const write = capture(queue.enqueueRowUpdate({ rowIndex: 2, username: 'ann' }, { sessionId: 2, dateSent: '2026-01-05', message: 'Hi Ann', status: 'Sent' }));
+  const { failed } = await queue.close();
+  const result = await write;
+
+  const cells = writtenCells(client.batchUpdates[client.batchUpdates.length - 1]);
+  console.log(`Cells after insert: ${JSON.stringify(cells)}`);
+
+  const passed = result.rowIndex === 2 && failed.length === 0 &&
+    cells.F2 === '2026-01-05' && cells.G2 === 'Hi Ann' && cells.H2 === 'Sent' &&
+    cells.E2 === undefined && grid[1][3] === '';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('='.repeat(60));
+  console.log('SHEETS WRITE QUEUE - TEST HARNESS');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push({ name: 'Test 1: mergeOutcomes', passed: test1_MergeOutcomes() });
+  results.push({ name: 'Test 2: Coalescing', passed: await test2_Coalescing() });
+  results.push({ name: 'Test 3: Retryable Error', passed: await test3_RetryableError() });
+  results.push({ name: 'Test 4: Failed Writes', passed: await test4_FailedWrites() });
+  results.push({ name: 'Test 5: Header Changed', passed: await test5_HeaderChanged() });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Total: ${passedCount}/${totalCount} tests passed`);
+  console.log('='.repeat(60));
+
+  if (passedCount === totalCount) {
+    console.log('🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Review the output above.');
+    process.exit(1);
+  }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
@@ -0,0 +1,233 @@
+// test-sqliteLeadStore.js
+// Test harness for the SQLite lead store (migrations, outcomes and history)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { createSqliteLeadStore, migrate, MIGRATIONS } = require('./sqliteLeadStore');
+
+/**
+ * Test helper: Returns a database path in a fresh temp directory
+ */
+function createTempDatabasePath() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-lead-store-'));
+  return path.join(dir, 'leads.db');
+}
+
+/**
+ * Test helper: Lists the columns of a table
+ */
+function listColumns(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+}
+
+/**
+ * Test 1: A new database is migrated to the latest version; an older one is upgraded with its data kept
+ */
+function test1_Migrations() {
+  console.log('\n=== Test 1: Migrations ===');
+
+  const latestVersion = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+  // Fresh database
+  const fresh = new Database(':memory:');
+  const freshVersion = migrate(fresh);
+  const freshColumns = listColumns(fresh, 'leads');
+
+  // Database left at version 2 by an older release
+  const old = new Database(':memory:');
+  MIGRATIONS.filter(migration => migration.version <= 2).forEach(migration => old.exec(migration.up));
+  old.pragma('user_version = 2');
+  old.prepare("INSERT INTO leads (username, status, status_reason) VALUES ('alice', 'Suppressed', 'asked')").run();
+  const upgradedVersion = migrate(old);
+  const kept = old.prepare('SELECT * FROM leads').get();
+
+  // Running again is a no-op
+  const rerunVersion = migrate(old);
+
+  // Database from a newer release
+  const newer = new Database(':memory:');
+  newer.pragma(`user_version = ${latestVersion + 1}`);
+  let newerError = null;
+  try {
+    migrate(newer);
+  } catch (error) {
+    newerError = error;
+  }
+
+  console.log(`Fresh: version ${freshVersion}, columns ${freshColumns.join(', ')}`);
+  console.log(`Upgraded from 2: version ${upgradedVersion}, kept ${JSON.stringify(kept)}`);
+  console.log(`Newer: ${newerError ? newerError.message : 'no error'}`);
+
+  const passed = freshVersion === latestVersion &&
+    ['status_reason', 'follow_up_step', 'next_follow_up', 'template', 'template_id', 'variant'].every(column => freshColumns.includes(column)) &&
+    upgradedVersion === latestVersion && rerunVersion === latestVersion &&
+    kept.username === 'alice' && kept.status_reason === 'asked' && kept.variant === '' && kept.follow_up_step === '' &&
+    newerError !== null && newerError.message.includes('newer than supported');
+  [fresh, old, newer].forEach(db => db.close());
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 2: appendLeads inserts leads that loadRows returns in the same shape as the other backends
+ */
+async function test2_AppendAndLoad() {
+  console.log('\n=== Test 2: appendLeads and loadRows ===');
+
+  const dbPath = createTempDatabasePath();
+  const store = createSqliteLeadStore({ path: dbPath });
+  const appended = await store.appendLeads([
+    { username: 'Alice_B', source: 'likes', status: 'Pending', dateAdded: '2026-01-01', name: 'Alice', bio: 'Coach, runner' },
+    { username: 'bad name', status: 'Pending' },
+  ]);
+  const rows = await store.loadRows();
+  store.close();
+
+  // Reopening an existing database keeps its leads
+  const reopened = createSqliteLeadStore({ path: dbPath });
+  const reloaded = await reopened.loadRows();
+  reopened.close();
+
+  console.log(`Appended: ${appended}, loaded: ${rows.map(row => `${row.username || '(invalid)'}@${row.rowIndex}`).join(', ')}`);
+
+  const passed = appended === 2 && rows.length === 2 && reloaded.length === 2 &&
+    rows[0].rowIndex === 1 && rows[0].username === 'alice_b' && rows[0].source === 'likes' &&
+    rows[0].status === 'Pending' && rows[0].dateAdded === '2026-01-01' && rows[0].name === 'Alice' &&
+    rows[0].bio === 'Coach, runner' && rows[0].followUpStep === '' && rows[0].variant === '' &&
+    rows[1].username === 'bad name' && Boolean(rows[1].usernameError);
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 3: Outcomes update the lead with the sheet's preserve rules; edited or deleted leads are refused
+ */
+async function test3_UpdateRowOutcome() {
+  console.log('\n=== Test 3: updateRowOutcome ===');
+
+  const dbPath = createTempDatabasePath();
+  const store = createSqliteLeadStore({ path: dbPath });
+  await store.appendLeads([
+    { username: 'alice', status: 'Pending' },
+    { username: 'bob', status: 'Pending' },
+    { username: 'carol', status: 'Pending' },
+  ]);
+  const [alice, bob, carol] = await store.loadRows();
+
+  await store.updateRowOutcome(alice, {
+    sessionId: 1, dateSent: '2026-01-05T10:00:00.000Z', message: 'Hi Alice', status: 'Sent',
+    followUp: { step: 1, nextDue: '2026-01-08T10:00:00.000Z' }, templateId: 'intro', variant: 'intro:a',
+  });
+  // A later failure keeps Date Sent and Message
+  await store.updateRowOutcome(alice, { sessionId: 2, status: 'Send Failed', reason: 'bubble not detected' });
+
+  // Mid-run, bob's record is edited to someone else and carol's is deleted
+  const db = new Database(dbPath);
+  db.prepare("UPDATE leads SET username = 'dave' WHERE id = ?").run(bob.rowIndex);
+  db.prepare('DELETE FROM leads WHERE id = ?').run(carol.rowIndex);
+  db.close();
+
+  const conflicts = [];
+  for (const row of [bob, carol]) {
+    try {
+      await store.updateRowOutcome(row, { sessionId: 2, dateSent: 'now', message: 'Hi', status: 'Sent' });
+      conflicts.push(null);
+    } catch (error) {
+      conflicts.push(error);
+    }
+  }
+
+  const rows = await store.loadRows();
+  store.close();
+  const updated = rows.find(row => row.username === 'alice');
+  const edited = rows.find(row => row.username === 'dave');
+  console.log(`Alice: ${JSON.stringify({ ...updated, rawRow: undefined })}`);
+  conflicts.forEach(error => console.log(`  ${error ? error.message : 'no error'}`));
+
+  const passed = updated.status === 'Send Failed' && updated.sessionId === '2' &&
+    updated.dateSent === '2026-01-05T10:00:00.000Z' && updated.message === 'Hi Alice' &&
+    updated.statusReason === 'bubble not detected' && updated.followUpStep === '1' &&
+    updated.nextFollowUp === '2026-01-08T10:00:00.000Z' && updated.templateId === 'intro' && updated.variant === 'intro:a' &&
+    conflicts.every(error => error && error.code === 'ROW_CONFLICT') &&
+    conflicts[0].message.includes('now holds dave') && conflicts[1].message.includes('no longer exists') &&
+    edited.status === 'Pending';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 4: Every attempt is kept in the outcomes table and read back oldest first, filtered by username or session
+ */
+async function test4_History() {
+  console.log('\n=== Test 4: Outcome history ===');
+
+  const store = createSqliteLeadStore({ path: createTempDatabasePath() });
+  await store.appendLeads([{ username: 'alice', status: 'Pending' }]);
+
+  await store.appendHistory({ timestamp: '2026-01-02T10:00:00.000Z', sessionId: 2, username: 'alice', rowIndex: 1, status: 'Sent', flow: 'flow1' });
+  await store.appendHistory({ timestamp: '2026-01-01T10:00:00.000Z', sessionId: 1, username: 'alice', rowIndex: 1, status: 'Failed', error: 'No DM button' });
+  // A lead that is not in the database (e.g. deleted) is still recorded, without a lead id
+  await store.appendHistory({ timestamp: '2026-01-02T11:00:00.000Z', sessionId: 2, username: 'bob', rowIndex: 99, status: 'Skipped' });
+
+  const all = await store.loadHistory();
+  const forAlice = await store.loadHistory({ username: 'ALICE' });
+  const forSession = await store.loadHistory({ sessionId: 2 });
+  store.close();
+
+  all.forEach(entry => console.log(`  ${entry.timestamp} ${entry.sessionId} ${entry.username} ${entry.status} lead ${entry.rowIndex}`));
+
+  const passed = all.length === 3 &&
+    all.map(entry => entry.status).join(',') === 'Failed,Sent,Skipped' &&
+    all[0].error === 'No DM button' && all[0].sessionId === '1' && all[0].rowIndex === 1 &&
+    all[1].flow === 'flow1' && all[2].rowIndex === null &&
+    forAlice.length === 2 && forAlice.every(entry => entry.username === 'alice') &&
+    forSession.map(entry => entry.username).join(',') === 'alice,bob';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('='.repeat(60));
+  console.log('SQLITE LEAD STORE - TEST HARNESS');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push({ name: 'Test 1: Migrations', passed: test1_Migrations() });
+  results.push({ name: 'Test 2: Append and Load', passed: await test2_AppendAndLoad() });
+  results.push({ name: 'Test 3: Update Row Outcome', passed: await test3_UpdateRowOutcome() });
+  results.push({ name: 'Test 4: Outcome History', passed: await test4_History() });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Total: ${passedCount}/${totalCount} tests passed`);
+  console.log('='.repeat(60));
+
+  if (passedCount === totalCount) {
+    console.log('🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Review the output above.');
+    process.exit(1);
+  }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
@@ -0,0 +1,211 @@
+// test-suppressionList.js
+// Test harness for the do-not-contact registry (event replay, add/remove, torn lines and the shared worksheet)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSuppressionList, buildSuppressionMap, SUPPRESSION_HEADERS } = require('./suppressionList');
+const { setSheetsClient } = require('./sheetsManager');
+
+/**
+ * Test helper: Returns a registry path in a fresh temp directory
+ */
+function createTempRegistryPath() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'suppression-list-'));
+  return path.join(dir, 'suppression-list.jsonl');
+}
+
+/**
+ * Test helper: Installs a stub Sheets client whose suppression worksheet holds the given rows
+ */
+function installStubClient(rows) {
+  setSheetsClient({
+    spreadsheets: {
+      values: {
+        async get({ range }) {
+          return { data: { values: range.endsWith('!A1:A1') ? rows.slice(0, 1) : rows.slice() } };
+        },
+        async append({ requestBody }) {
+          rows.push(...requestBody.values);
+          return { data: {} };
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Test 1: Events replay in time order, whatever order they were stored in
+ */
+function test1_BuildSuppressionMap() {
+  console.log('\n=== Test 1: buildSuppressionMap ===');
+
+  const suppressed = buildSuppressionMap([
+    { at: '2026-01-03T10:00:00.000Z', action: 'remove', username: 'ann', reason: 'mistake', by: 'sam' },
+    { at: '2026-01-01T10:00:00.000Z', action: 'add', username: 'ann', reason: 'asked to stop', by: 'sam' },
+    { at: '2026-01-02T10:00:00.000Z', action: 'add', username: 'bob', reason: 'competitor', by: 'lee' },
+    { at: '2026-01-04T10:00:00.000Z', action: 'add', username: 'ann', reason: 'asked again', by: 'lee' },
+    { at: '2026-01-05T10:00:00.000Z', action: 'remove', username: 'cy', reason: 'never added', by: 'lee' },
+  ]);
+
+  suppressed.forEach(entry => console.log(`  ${JSON.stringify(entry)}`));
+
+  const ann = suppressed.get('ann');
+  const passed = suppressed.size === 2 && ann.reason === 'asked again' && ann.by === 'lee' &&
+    ann.at === '2026-01-04T10:00:00.000Z' && suppressed.get('bob').reason === 'competitor' && !suppressed.has('cy');
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 2: add and remove record events, normalize usernames and refuse no-op changes
+ */
+async function test2_AddAndRemove() {
+  console.log('\n=== Test 2: add and remove ===');
+
+  const list = createSuppressionList({ path: createTempRegistryPath(), sheetName: null });
+  const added = await list.add('https://www.instagram.com/Ann.K/', 'asked to stop', 'sam');
+  await list.add('@bob', 'competitor', 'sam');
+  const removed = await list.remove('bob', 'signed up', 'lee');
+
+  const errors = [];
+  for (const attempt of [
+    () => list.add('ann.k', 'again', 'sam'),
+    () => list.remove('bob', 'again', 'sam'),
+    () => list.add('bad name!', 'typo', 'sam'),
+    () => list.add('cy', '  ', 'sam'),
+  ]) {
+    try {
+      await attempt();
+      errors.push(null);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  const suppressed = await list.load();
+  const history = await list.history('@BOB');
+  errors.forEach(message => console.log(`  ${message}`));
+  console.log(`Suppressed: ${[...suppressed.keys()].join(', ')}, bob history: ${history.map(event => event.action).join(', ')}`);
+
+  const passed = added.username === 'ann.k' && added.action === 'add' && added.by === 'sam' &&
+    removed.action === 'remove' && removed.reason === 'signed up' &&
+    errors[0].startsWith('ann.k is already suppressed (asked to stop, by sam') &&
+    errors[1] === 'bob is not on the suppression list' &&
+    errors[2].startsWith('Invalid username "bad name!"') &&
+    errors[3] === 'A reason is required to suppress cy' &&
+    [...suppressed.keys()].join(',') === 'ann.k' &&
+    (await list.check('@Ann.K')).reason === 'asked to stop' && (await list.check('bob')) === null &&
+    history.map(event => event.action).join(',') === 'add,remove';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 3: A torn last line (crash mid-append) is ignored and cut off by the next append; corruption elsewhere is an error
+ */
+async function test3_TornLastLine() {
+  console.log('\n=== Test 3: Torn last line ===');
+
+  const filePath = createTempRegistryPath();
+  const list = createSuppressionList({ path: filePath, sheetName: null });
+  await list.add('ann', 'asked to stop', 'sam');
+  fs.appendFileSync(filePath, '{"at":"2026-01-02T10:00:00.000Z","action":"add","user');
+
+  const afterTear = await list.load();
+  await list.add('bob', 'competitor', 'sam');
+  const afterAppend = await list.load();
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean);
+
+  // A broken line that is not the last one is reported, never skipped
+  const corruptPath = createTempRegistryPath();
+  fs.writeFileSync(corruptPath, 'not json\n' + lines.join('\n') + '\n', 'utf8');
+  let corruptError = null;
+  try {
+    await createSuppressionList({ path: corruptPath, sheetName: null }).load();
+  } catch (error) {
+    corruptError = error;
+  }
+
+  console.log(`After torn append: ${[...afterTear.keys()].join(', ')}; after next add: ${[...afterAppend.keys()].join(', ')}`);
+  console.log(`Corrupt line: ${corruptError ? corruptError.message : 'no error'}`);
+
+  const passed = afterTear.size === 1 && afterTear.has('ann') &&
+    [...afterAppend.keys()].join(',') === 'ann,bob' && lines.length === 2 &&
+    corruptError !== null && corruptError.message.includes('is corrupt at line 1');
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 4: With a shared worksheet, events written to both the file and the sheet are listed once
+ */
+async function test4_SheetEventsCountOnce() {
+  console.log('\n=== Test 4: Local file and worksheet ===');
+
+  // A teammate's event is only in the worksheet
+  const rows = [
+    SUPPRESSION_HEADERS,
+    ['2026-01-01T10:00:00.000Z', 'add', '@Bob', 'competitor', 'lee'],
+  ];
+  installStubClient(rows);
+
+  const list = createSuppressionList({ path: createTempRegistryPath(), sheetName: 'Do Not Contact' });
+  const added = await list.add('ann', 'asked to stop', 'sam');
+  await list.remove('ann', 'mistake', 'sam');
+
+  const history = await list.history();
+  const suppressed = await list.load();
+  history.forEach(event => console.log(`  ${event.at} ${event.action} ${event.username} (${event.by})`));
+
+  const passed = rows.length === 4 && rows[2][2] === 'ann' &&
+    history.length === 3 && history.map(event => `${event.action}:${event.username}`).join(',') === 'add:bob,add:ann,remove:ann' &&
+    history[1].at === added.at &&
+    [...suppressed.keys()].join(',') === 'bob';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Run all tests
+ */
+async function runAllTests() {
+  console.log('='.repeat(60));
+  console.log('SUPPRESSION LIST - TEST HARNESS');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push({ name: 'Test 1: buildSuppressionMap', passed: test1_BuildSuppressionMap() });
+  results.push({ name: 'Test 2: Add and Remove', passed: await test2_AddAndRemove() });
+  results.push({ name: 'Test 3: Torn Last Line', passed: await test3_TornLastLine() });
+  results.push({ name: 'Test 4: Worksheet Events Count Once', passed: await test4_SheetEventsCountOnce() });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Total: ${passedCount}/${totalCount} tests passed`);
+  console.log('='.repeat(60));
+
+  if (passedCount === totalCount) {
+    console.log('🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Review the output above.');
+    process.exit(1);
+  }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
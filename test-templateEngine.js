@@ -0,0 +1,277 @@
+// test-templateEngine.js
+// Test harness for message templates (named placeholders and conditionals)
+
+const { compileTemplate, renderTemplate, isBurstTemplate } = require('./templateEngine');
+const { buildDraftMessage, buildDraftMessages } = require('./messageBuilder');
+const { parseTemplateLibrary, selectTemplate, chooseTemplate } = require('./templateLibrary');
+const { summarizeVariants } = require('./variantReport');
+const { loadSourceConfig } = require('./sourceConfig');
+
+/**
+ * Test 1: Placeholders are replaced, with fallbacks for empty values
+ */
+function test1_Placeholders() {
+  console.log('\n=== Test 1: Placeholders and fallbacks ===');
+
+  const template = 'Hey {{first_name|fallback:"there"}}! Thanks for the {{ source }}, @{{username}}.';
+  const withName = renderTemplate(template, { first_name: 'Ann', username: 'ann.lee', source: 'likes' });
+  const withoutName = renderTemplate(template, { first_name: '', username: 'ann.lee', source: 'likes' });
+  const emptyPlaceholder = renderTemplate('Hey {{first_name}}! Welcome.', {});
+
+  console.log(`With name: "${withName}"`);
+  console.log(`Without name: "${withoutName}"`);
+  console.log(`Empty placeholder: "${emptyPlaceholder}"`);
+
+  const passed = withName === 'Hey Ann! Thanks for the likes, @ann.lee.' &&
+    withoutName === 'Hey there! Thanks for the likes, @ann.lee.' &&
+    emptyPlaceholder === 'Hey! Welcome.';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 2: Conditionals keep the right branch, including nested blocks
+ */
+function test2_Conditionals() {
+  console.log('\n=== Test 2: Conditionals ===');
+
+  const template = '{{#if name}}Hi {{name}}!{{else}}Hi!{{/if}} {{#unless first_name}}Quick question.{{/unless}}' +
+    '{{#if source}}{{#if name}} (via {{source}}){{/if}}{{/if}}';
+  const named = renderTemplate(template, { name: 'Bo', first_name: 'Bo', source: 'comments' });
+  const anonymous = renderTemplate(template, { source: 'comments' });
+
+  console.log(`Named: "${named}"`);
+  console.log(`Anonymous: "${anonymous}"`);
+
+  const passed = named === 'Hi Bo! (via comments)' &&
+    anonymous === 'Hi! Quick question.';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 3: Unknown variables and broken tags are reported when the template is compiled
+ */
+function test3_Validation() {
+  console.log('\n=== Test 3: Validation errors ===');
+
+  const rejects = (template, expected) => {
+    try {
+      compileTemplate(template);
+      console.log(`  Not rejected: ${template}`);
+      return false;
+    } catch (error) {
+      console.log(`  Rejected: ${error.message}`);
+      return error.message.includes(expected);
+    }
+  };
+
+  const passed = rejects('Hey {{frist_name}}!', 'unknown variable "frist_name" at position 5') &&
+    rejects('Hey {{first_name', 'never closed') &&
+    rejects('{{#if name}}Hi', '{{#if name}} at position 1 is never closed') &&
+    rejects('Hi{{/if}}', 'has no matching {{#if}}') &&
+    rejects('{{name|fallback:there}}', 'cannot read') &&
+    compileTemplate('Plain message!').variables.length === 0;
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 4: Templates without placeholders keep the original name insertion
+ */
+function test4_LegacyTemplates() {
+  console.log('\n=== Test 4: Templates without placeholders ===');
+
+  const legacy = buildDraftMessage({ firstName: 'John', messageTemplate: 'Hey! Thanks for following.', separator: '!' });
+  const placeholders = buildDraftMessage({
+    firstName: 'John',
+    messageTemplate: 'Thanks for following, {{first_name}}! Big fan of {{name|fallback:"your page"}}.',
+    separator: '!',
+    lead: { username: 'john_doe', source: 'followers', name: '' },
+  });
+
+  console.log(`Legacy: "${legacy}"`);
+  console.log(`Placeholders: "${placeholders}"`);
+
+  const passed = legacy === 'Hey John! Thanks for following.' &&
+    placeholders === 'Thanks for following, John! Big fan of your page.';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 5: The template library picks the Template column, then the tier, then the source, then the default
+ */
+function test5_TemplateLibrary() {
+  console.log('\n=== Test 5: Template library ===');
+
+  const sources = loadSourceConfig({ SOURCE_ALIASES: 'like:likes' });
+  const library = {
+    path: 'templates.json',
+    ...parseTemplateLibrary({
+      templates: { 'Likes-Intro': 'Thanks for the like, {{first_name}}!', vip: 'Hi {{name}}!' },
+      sources: { likes: 'likes-intro' },
+    }, sources),
+  };
+  const options = { draftMessage: 'Hey!', sources };
+  const tier = { ...options, override: { id: 'fallback-2', text: 'Hey again!' } };
+  const chosen = [
+    selectTemplate(library, { source: 'like', template: '' }, options).id,
+    selectTemplate(library, { source: 'comments', template: '' }, options).id,
+    selectTemplate(library, { source: 'likes', template: 'VIP' }, tier).id,
+    selectTemplate(library, { source: 'likes', template: '' }, tier).id,
+    selectTemplate(null, { source: 'likes', template: '' }, options).id,
+  ];
+  // A campaign row: a fallback tier's own template is used, a tier without one falls through to the source
+  const config = { templates: library, sources };
+  const campaign = { draftMessage: 'Hey!' };
+  const fromTier = chooseTemplate(config, campaign, { source: 'like', template: '' }, { tier: 2, draftMessage: 'Hey again!' });
+  const fromSource = chooseTemplate(config, campaign, { source: 'like', template: '' }, { tier: 3, draftMessage: null });
+  console.log(`Chosen: ${chosen.join(', ')}; campaign row: ${fromTier.id}, ${fromSource.id}`);
+
+  const rejects = (fn, expected) => {
+    try {
+      fn();
+      return false;
+    } catch (error) {
+      console.log(`  Rejected: ${error.message}`);
+      return error.message.includes(expected);
+    }
+  };
+
+  const passed = JSON.stringify(chosen) === JSON.stringify(['likes-intro', 'default', 'vip', 'fallback-2', 'default']) &&
+    fromTier.id === 'fallback-2' && fromTier.text === 'Hey again!' && fromSource.id === 'likes-intro' &&
+    rejects(() => selectTemplate(library, { source: 'likes', template: 'vipp' }, options), 'Known templates: likes-intro, vip') &&
+    rejects(() => parseTemplateLibrary({
+      templates: { default: 'Hi!', intro: 'Hi {{frist_name}}' },
+      sources: { tiktok: 'intro', comments: 'missing' },
+    }, sources), 'reserved for DRAFT_MESSAGE; template "intro": Invalid template: unknown variable "frist_name"');
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 6: Variants are assigned by weight, stay stable per username, and are summarized per variant
+ */
+function test6_Variants() {
+  console.log('\n=== Test 6: Message experiments ===');
+
+  const library = {
+    path: 'templates.json',
+    ...parseTemplateLibrary({
+      templates: {
+        intro: { variants: [{ name: 'A', message: 'Hi {{first_name}}!', weight: 3 }, { name: 'b', message: 'Hey {{first_name}}!' }] },
+      },
+      sources: { likes: 'intro' },
+    }, loadSourceConfig({})),
+  };
+  const options = { draftMessage: 'Hey!' };
+  const usernames = Array.from({ length: 400 }, (_, index) => `lead_${index}`);
+  const picks = usernames.map(username => selectTemplate(library, { username, source: 'likes', template: '' }, options));
+  const repeated = usernames.map(username => selectTemplate(library, { username, source: 'likes', template: '' }, options).variant);
+  const shareA = picks.filter(pick => pick.variant === 'intro:a').length / picks.length;
+  console.log(`Share of intro:a: ${(shareA * 100).toFixed(1)}% (weight 3 of 4)`);
+
+  const summaries = summarizeVariants([
+    { variant: 'intro:a', status: 'Sent' },
+    { variant: 'intro:a', status: 'Replied' },
+    { variant: 'intro:a', status: 'Drafted' },
+    { variant: 'intro:b', status: 'Follow-up Failed' },
+    { variant: '', status: 'Replied' },
+  ]);
+  summaries.forEach(summary => console.log(`  ${summary.variant}: sent ${summary.sent}, replied ${summary.replied}, drafted ${summary.drafted}`));
+
+  const passed = JSON.stringify(repeated) === JSON.stringify(picks.map(pick => pick.variant)) &&
+    picks.every(pick => pick.id === 'intro' && pick.text === (pick.variant === 'intro:a' ? 'Hi {{first_name}}!' : 'Hey {{first_name}}!')) &&
+    shareA > 0.65 && shareA < 0.85 &&
+    summaries.length === 2 &&
+    summaries[0].sent === 2 && summaries[0].replied === 1 && summaries[0].drafted === 1 && summaries[0].replyRate === 0.5 &&
+    summaries[1].sent === 1 && summaries[1].replyRate === 0;
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 7: {{break}} splits a template into messages with their delays; breaks in blocks are rejected
+ */
+function test7_MessageBreaks() {
+  console.log('\n=== Test 7: Multi-message templates ===');
+
+  const template = 'Hey {{first_name|fallback:"there"}}!{{break}}{{#if name}}Love {{name}}.{{/if}}{{ break | delay:"20" }}Quick question?';
+  const withName = buildDraftMessages({ firstName: 'Ann', messageTemplate: template, lead: { name: 'Ann Bakes' } });
+  const withoutName = buildDraftMessages({ firstName: '', messageTemplate: template, lead: {} });
+  const legacy = buildDraftMessages({ firstName: 'John', messageTemplate: 'Hey! Thanks for following.' });
+  console.log(`With name: ${JSON.stringify(withName)}`);
+  console.log(`Without name: ${JSON.stringify(withoutName)}`);
+
+  const errors = ['{{#if name}}a{{break}}b{{/if}}', 'a{{break|delay:"soon"}}b', 'a{{break|delay:"900"}}b'].map(text => {
+    try {
+      compileTemplate(text);
+      return null;
+    } catch (error) {
+      console.log(`  ${error.message}`);
+      return error.message;
+    }
+  });
+
+  const passed = JSON.stringify(withName) === JSON.stringify([
+    { text: 'Hey Ann!', delaySeconds: 0 },
+    { text: 'Love Ann Bakes.', delaySeconds: 5 },
+    { text: 'Quick question?', delaySeconds: 20 },
+  ]) &&
+    // The empty middle message is left out; the next one keeps its own delay
+    JSON.stringify(withoutName) === JSON.stringify([{ text: 'Hey there!', delaySeconds: 0 }, { text: 'Quick question?', delaySeconds: 20 }]) &&
+    renderTemplate(template, { first_name: 'Ann' }) === 'Hey Ann!\n\nQuick question?' &&
+    JSON.stringify(legacy) === JSON.stringify([{ text: 'Hey John! Thanks for following.', delaySeconds: 0 }]) &&
+    isBurstTemplate(template) && !isBurstTemplate('Hey {{first_name}}!') && !isBurstTemplate('{{break') &&
+    errors[0] && errors[0].includes('top level') && errors[1] && errors[1].includes('"soon"') && errors[2] && errors[2].includes('600');
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Main test runner
+ */
+function runAllTests() {
+  console.log('='.repeat(60));
+  console.log('MESSAGE TEMPLATES - TEST HARNESS');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push({ name: 'Test 1: Placeholders and Fallbacks', passed: test1_Placeholders() });
+  results.push({ name: 'Test 2: Conditionals', passed: test2_Conditionals() });
+  results.push({ name: 'Test 3: Validation Errors', passed: test3_Validation() });
+  results.push({ name: 'Test 4: Templates Without Placeholders', passed: test4_LegacyTemplates() });
+  results.push({ name: 'Test 5: Template Library', passed: test5_TemplateLibrary() });
+  results.push({ name: 'Test 6: Message Experiments', passed: test6_Variants() });
+  results.push({ name: 'Test 7: Multi-Message Templates', passed: test7_MessageBreaks() });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Total: ${passedCount}/${totalCount} tests passed`);
+  console.log('='.repeat(60));
+
+  if (passedCount === totalCount) {
+    console.log('🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Review the output above.');
+    process.exit(1);
+  }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
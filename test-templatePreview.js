@@ -0,0 +1,131 @@
+// test-templatePreview.js
+// Test harness for the template preview command (name resolution and rendered messages)
+
+const { resolveFirstName, previewLead, formatPreviewCsv } = require('./templatePreview');
+const { parseDelimited } = require('./csvLeadStore');
+
+/**
+ * Test helper: Creates a mock row object the way the lead stores load them
+ */
+function createMockRow(rowIndex, cells) {
+  return {
+    rowIndex: rowIndex + 2,
+    username: cells.username,
+    source: cells.source || 'likes',
+    status: 'Pending',
+    name: cells.name || '',
+    bio: cells.bio || '',
+    template: cells.template || '',
+  };
+}
+
+/**
+ * Test 1: The first name comes from the Name column, then the bio, then the username
+ */
+function test1_FirstNames() {
+  console.log('\n=== Test 1: First name sources ===');
+
+  const checks = [
+    [createMockRow(0, { username: 'alice_w', name: '🌸 alice Wong | Coach', bio: "I'm Sarah" }), 'Alice', 'name'],
+    [createMockRow(1, { username: 'xx_9', bio: "Hi, I'm Sarah - coach" }), 'Sarah', 'bio'],
+    [createMockRow(2, { username: 'mike.t', bio: "I'm a coach, this is my page" }), 'Mike', 'username'],
+    [createMockRow(3, { username: 'x' }), '', 'none'],
+  ];
+  checks.forEach(([row]) => console.log(`  ${row.username}: ${JSON.stringify(resolveFirstName(row))}`));
+
+  const passed = checks.every(([row, firstName, source]) => {
+    const resolved = resolveFirstName(row);
+    return resolved.firstName === firstName && resolved.source === source;
+  });
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 2: Previews render the chosen template, follow-ups and bursts, and report templates that would fail
+ */
+function test2_Previews() {
+  console.log('\n=== Test 2: Previews ===');
+
+  const chooseTemplate = row => {
+    if (row.template === 'vip') {
+      throw new Error('Template column is "vip" but TEMPLATES_PATH is not set');
+    }
+    return { id: 'intro', text: 'Hey {{first_name|fallback:"there"}}!{{break}}Loved your {{source}} 🎉', variant: 'intro:a' };
+  };
+
+  const burst = previewLead(createMockRow(0, { username: 'ann_b', source: 'comments' }), { chooseTemplate });
+  const followUp = previewLead(createMockRow(1, { username: 'bo' }), { chooseTemplate, followUp: { step: 2, message: 'Hey! Just bumping this up.' } });
+  const failing = previewLead(createMockRow(2, { username: 'cy', template: 'vip' }), { chooseTemplate });
+  [burst, followUp, failing].forEach(preview => console.log(`  ${JSON.stringify(preview)}`));
+
+  const passed = burst.text === 'Hey Ann!\n\nLoved your comments 🎉' && burst.messages === 2 && burst.length === 31 &&
+    burst.template === 'intro:a' &&
+    followUp.text === 'Hey Bo! Just bumping this up.' && followUp.template === 'follow-up-2' && followUp.messages === 1 &&
+    failing.error && failing.error.includes('vip') && failing.text === '';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Test 3: The CSV keeps multi-line messages and commas in one cell
+ */
+function test3_Csv() {
+  console.log('\n=== Test 3: CSV output ===');
+
+  const preview = previewLead(createMockRow(0, { username: 'ann_b', name: 'Ann' }), {
+    chooseTemplate: () => ({ id: 'default', text: 'Hey {{first_name}}, hi!\nSecond line', variant: null }),
+  });
+  const csv = formatPreviewCsv([{ campaign: 'Sheet1', ...preview }]);
+  console.log(csv);
+
+  const rows = parseDelimited(csv);
+  const passed = rows.length === 2 &&
+    rows[0].join('|') === 'Campaign|Row|Username|First Name|Name Source|Template|Messages|Length|Message|Error' &&
+    rows[1].join('|') === 'Sheet1|2|ann_b|Ann|Name column|default|1|24|Hey Ann, hi!\nSecond line|';
+  console.log(passed ? '✅ PASSED' : '❌ FAILED');
+  return passed;
+}
+
+/**
+ * Main test runner
+ */
+function runAllTests() {
+  console.log('='.repeat(60));
+  console.log('TEMPLATE PREVIEW - TEST HARNESS');
+  console.log('='.repeat(60));
+
+  const results = [];
+
+  results.push({ name: 'Test 1: First Name Sources', passed: test1_FirstNames() });
+  results.push({ name: 'Test 2: Previews', passed: test2_Previews() });
+  results.push({ name: 'Test 3: CSV Output', passed: test3_Csv() });
+
+  console.log('\n' + '='.repeat(60));
+  console.log('TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  const passedCount = results.filter(r => r.passed).length;
+  const totalCount = results.length;
+
+  results.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+  });
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Total: ${passedCount}/${totalCount} tests passed`);
+  console.log('='.repeat(60));
+
+  if (passedCount === totalCount) {
+    console.log('🎉 All tests passed!');
+    process.exit(0);
+  } else {
+    console.log('⚠️  Some tests failed. Review the output above.');
+    process.exit(1);
+  }
+}
+
+// Run tests if executed directly
+if (require.main === module) {
+  runAllTests();
+}
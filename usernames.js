@@ -0,0 +1,137 @@
+// usernames.js
+// Instagram username normalization - turns pasted handles and profile URLs into bare usernames
+// and checks them against Instagram's username rules
+
+/**
+ * First path segments of instagram.com URLs that are not profiles
+ */
+const NON_PROFILE_PATHS = ['p', 'reel', 'reels', 'tv', 'explore', 'accounts', 'direct', 'about', 'legal', 'developer'];
+
+/**
+ * Longest username Instagram allows
+ */
+const MAX_USERNAME_LENGTH = 30;
+
+/**
+ * Invisible characters that sneak in when handles are copied from apps and web pages
+ * (zero-width spaces/joiners, word joiner, byte order mark, soft hyphen)
+ */
+const INVISIBLE_CHARACTERS = /[\u200B-\u200D\u2060\uFEFF\u00AD]/g;
+
+/**
+ * Matches an Instagram URL (with or without protocol / www. / m.) and captures the path
+ */
+const INSTAGRAM_URL_PATTERN = /^(?:https?:\/\/)?(?:(?:www|m)\.)?(?:instagram\.com|instagr\.am)(\/[^?#]*)?(?:[?#].*)?$/i;
+
+/**
+ * Checks a bare, lowercase username against Instagram's rules: at most 30 characters, only
+ * letters, digits, periods and underscores, and no leading, trailing or consecutive periods.
+ *
+ * @param {string} username - Username to check
+ * @returns {string|null} Why the username is invalid, or null if it is valid
+ */
+function validateUsername(username) {
+  if (/\s/.test(username)) {
+    return `"${username}" contains spaces`;
+  }
+
+  const illegal = [...new Set(username.replace(/[a-z0-9._]/g, ''))];
+  if (illegal.length > 0) {
+    return `"${username}" contains ${illegal.map(char => `"${char}"`).join(', ')} (only letters, digits, "." and "_" are allowed)`;
+  }
+  if (username.length > MAX_USERNAME_LENGTH) {
+    return `"${username}" is longer than ${MAX_USERNAME_LENGTH} characters`;
+  }
+  if (username.startsWith('.') || username.endsWith('.')) {
+    return `"${username}" starts or ends with a period`;
+  }
+  if (username.includes('..')) {
+    return `"${username}" contains consecutive periods`;
+  }
+
+  return null;
+}
+
+/**
+ * Normalizes one pasted username or profile URL and checks it against Instagram's rules
+ * (see validateUsername).
+ *
+ * Handles:
+ *   - surrounding whitespace and quotes, and invisible characters
+ *   - leading "@"
+ *   - profile URLs: https://www.instagram.com/jane.doe/?hl=en -> jane.doe
+ *   - story URLs: instagram.com/stories/jane.doe/123 -> jane.doe
+ *   - case (usernames are case-insensitive and stored lowercase)
+ *
+ * @param {string} raw - Raw value
+ * @returns {Object} { username, error } - username is '' and error is set when nothing usable is found
+ */
+function normalizeUsername(raw) {
+  let value = String(raw === undefined || raw === null ? '' : raw)
+    .replace(INVISIBLE_CHARACTERS, '')
+    .trim()
+    .replace(/^["']+|["']+$/g, '')
+    .trim();
+
+  if (value === '') {
+    return { username: '', error: 'empty value' };
+  }
+
+  const urlMatch = value.match(INSTAGRAM_URL_PATTERN);
+  if (urlMatch) {
+    const segments = (urlMatch[1] || '').split('/').filter(Boolean);
+
+    if (segments.length === 0) {
+      return { username: '', error: `no username in URL "${value}"` };
+    }
+
+    if (segments[0].toLowerCase() === 'stories' && segments[1]) {
+      value = segments[1];
+    } else if (NON_PROFILE_PATHS.includes(segments[0].toLowerCase()) || segments[0].toLowerCase() === 'stories') {
+      return { username: '', error: `not a profile URL "${value}"` };
+    } else {
+      value = segments[0];
+    }
+  } else if (/^https?:\/\//i.test(value)) {
+    return { username: '', error: `not an Instagram URL "${value}"` };
+  }
+
+  // Query strings/fragments left on a bare "name?igsh=..." and a leading @
+  value = value.replace(/[?#].*$/, '').replace(/^@+/, '').replace(/\/+$/, '').trim().toLowerCase();
+
+  if (value === '') {
+    return { username: '', error: `no username in "${String(raw).trim()}"` };
+  }
+
+  const error = validateUsername(value);
+  if (error) {
+    return { username: '', error };
+  }
+
+  return { username: value, error: null };
+}
+
+/**
+ * Reads the Username cell of a lead row.
+ * Recoverable values (handles, profile URLs, stray whitespace) are normalized; a value that cannot
+ * be fixed keeps its lowercased text, so the row can still be located for writes, and gets an error.
+ * An empty cell is not an error here - rows without a username are reported by the loader.
+ *
+ * @param {string} value - Username cell value
+ * @returns {Object} { username, error } - error is null unless the cell holds an invalid username
+ */
+function parseRowUsername(value) {
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  if (text === '') {
+    return { username: '', error: null };
+  }
+
+  const { username, error } = normalizeUsername(text);
+  return username ? { username, error: null } : { username: text.toLowerCase(), error };
+}
+
+module.exports = {
+  normalizeUsername,
+  validateUsername,
+  parseRowUsername,
+};
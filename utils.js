@@ -1,4 +1,7 @@
 // utils.js
+const fs = require('fs');
+const path = require('path');
+
 const ts = () => new Date().toISOString();
 
 /**
@@ -102,4 +105,35 @@ async function waitForNewFollowers(page, followerSelector, prevCount, timeout =
   return false;
 }
 
-module.exports = { ts, humanDelay, performScroll, waitForNewFollowers };
\ No newline at end of file
+/**
+ * Writes a file atomically: the content goes to a temp file in the same directory,
+ * is flushed to disk, then renamed over the target. A crash mid-write leaves either
+ * the old file or the new one, never a truncated mix.
+ * @param {string} filePath - Destination file path
+ * @param {string} content - Full file content
+ */
+function writeFileAtomic(filePath, content) {
+  const dir = path.dirname(path.resolve(filePath));
+  const tempPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, content, null, 'utf8');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    fs.renameSync(tempPath, filePath);
+  } catch (renameError) {
+    try {
+      fs.unlinkSync(tempPath);
+    } catch (cleanupError) {
+      // Temp file already gone - nothing to clean up
+    }
+    throw renameError;
+  }
+}
+
+module.exports = { ts, humanDelay, performScroll, waitForNewFollowers, writeFileAtomic };
\ No newline at end of file
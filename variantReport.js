@@ -0,0 +1,167 @@
+// variantReport.js
+// A/B variant report - sent count, reply count and reply rate for each message variant
+
+require('dotenv').config();
+const { createLeadStore, resolveLeadStoreType } = require('./leadStore');
+const logger = require('./logger');
+
+/**
+ * Variant Report
+ *
+ * Reads the Variant column of a lead store (written with the first message of each lead, see
+ * templateLibrary.js) and counts, per variant:
+ *   - sent: leads whose first message went out (every Status except Drafted)
+ *   - replied: leads with Status "Replied"
+ *   - reply rate: replied / sent
+ * Leads still at Drafted are listed separately, since nobody has seen those messages yet.
+ * Replies are detected before a follow-up is sent, so reply counts need follow-up steps configured.
+ * Nothing is written to the lead store.
+ *
+ * Usage: npm run variant-report [-- --sheet <tab> | --path <lead file>]
+ */
+
+/**
+ * Parses command line arguments.
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { sheetName, path }
+ * @throws {Error} If an option is missing its value or unknown
+ */
+function parseArgs(argv) {
+  const options = { sheetName: null, path: null };
+  const valueOptions = { '--sheet': 'sheetName', '--path': 'path' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+
+    if (!valueOptions[arg]) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`${arg} requires a value`);
+    }
+    options[valueOptions[arg]] = value;
+    i++;
+  }
+
+  return options;
+}
+
+/**
+ * Counts outcomes per variant.
+ *
+ * @param {Array<Object>} rows - Rows from LeadStore.loadRows()
+ * @returns {Array<Object>} One entry per variant, sorted by variant, with:
+ *   - variant: string - "<template>:<variant>"
+ *   - template: string - template ID
+ *   - drafted: number - leads still at Drafted
+ *   - sent: number
+ *   - replied: number
+ *   - replyRate: number|null - replied / sent (null when nothing was sent)
+ */
+function summarizeVariants(rows) {
+  const byVariant = new Map();
+
+  rows.forEach(row => {
+    if (!row.variant) {
+      return;
+    }
+    if (!byVariant.has(row.variant)) {
+      const separator = row.variant.lastIndexOf(':');
+      byVariant.set(row.variant, {
+        variant: row.variant,
+        template: separator === -1 ? row.variant : row.variant.slice(0, separator),
+        drafted: 0,
+        sent: 0,
+        replied: 0,
+        replyRate: null,
+      });
+    }
+
+    const summary = byVariant.get(row.variant);
+    if (row.status === 'Drafted') {
+      summary.drafted++;
+      return;
+    }
+    summary.sent++;
+    if (row.status === 'Replied') {
+      summary.replied++;
+    }
+  });
+
+  return [...byVariant.values()]
+    .map(summary => ({ ...summary, replyRate: summary.sent > 0 ? summary.replied / summary.sent : null }))
+    .sort((a, b) => a.variant.localeCompare(b.variant));
+}
+
+/**
+ * Formats a reply rate for display.
+ *
+ * @param {number|null} rate - Reply rate (0-1)
+ * @returns {string} Percentage with one decimal, or "-" when nothing was sent
+ */
+function formatReplyRate(rate) {
+  return rate === null ? '-' : `${(rate * 100).toFixed(1)}%`;
+}
+
+/**
+ * Main entry point for the report command.
+ */
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const storeOptions = {};
+  if (options.sheetName) {
+    storeOptions.sheetName = options.sheetName;
+  }
+  if (options.path) {
+    storeOptions.path = options.path;
+  }
+  const store = createLeadStore(resolveLeadStoreType(), storeOptions);
+
+  logger.section('Variant Report');
+  logger.info(`Lead store: ${store.name} (${store.target})`);
+
+  const rows = await store.loadRows();
+  const summaries = summarizeVariants(rows);
+
+  if (typeof store.close === 'function') {
+    await store.close();
+  }
+
+  if (summaries.length === 0) {
+    logger.warn('No rows have a Variant - add the Variant column and a template with variants (see TEMPLATES_PATH)');
+    return 0;
+  }
+
+  const width = Math.max(...summaries.map(summary => summary.variant.length));
+  let template = null;
+  summaries.forEach(summary => {
+    if (summary.template !== template) {
+      template = summary.template;
+      logger.info(`Template ${template}:`);
+    }
+    logger.info(
+      `  ${summary.variant.padEnd(width)}  sent ${String(summary.sent).padStart(4)}  ` +
+      `replied ${String(summary.replied).padStart(4)}  reply rate ${formatReplyRate(summary.replyRate).padStart(6)}` +
+      `${summary.drafted > 0 ? `  (${summary.drafted} drafted, not sent)` : ''}`
+    );
+  });
+
+  return 0;
+}
+
+if (require.main === module) {
+  run()
+    .then(exitCode => process.exit(exitCode))
+    .catch(error => {
+      logger.error(`Report failed: ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  summarizeVariants, // Exported for testing
+  formatReplyRate,
+};